@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+// Drive the softphone of an agent's example page from the terminal, see lib/cli.js
+// or run pef-cli --help.
+
+var cli = require('../lib/cli');
+
+cli.runCli(process.argv.slice(2), process.env, console).then(function (code) {
+    process.exitCode = code;
+});
+
+// Stop tailing on Ctrl+C
+process.on("SIGINT", function () {
+    process.exit(0);
+});
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// Local receiver for trying out webhooks (lib/webhooks.js). Prints every delivery
+// and checks its signature. --fail <n> answers 503 to the first n attempts of each
+// delivery, to watch the server retry and dead-letter.
+//
+//   node bin/webhook-receiver.js [--port 9090] [--secret <secret>] [--fail <n>]
+//
+// The secret can also be given in PEF_WEBHOOK_SECRET. Register the receiver with
+//   curl -k https://localhost:8443/api/webhooks -H "Content-Type: application/json" \
+//     -d '{"url": "http://localhost:9090/", "events": ["screenPop", "interaction"], "secret": "<secret>"}'
+// adding -H "Authorization: Bearer <relay token>" when the server has a relay token.
+
+var http = require("http");
+var webhooks = require('../lib/webhooks');
+
+/**
+ * Create the receiver's HTTP server. options.secret checks signatures when set;
+ * options.fail is how many attempts of each delivery to refuse; options.log prints.
+ */
+function createWebhookReceiver(options) {
+    var attempts = new Map();
+
+    return http.createServer(function (req, res) {
+        if (req.method !== "POST") {
+            res.writeHead(405, { Allow: "POST" });
+            res.end();
+            return;
+        }
+
+        var body = "";
+        req.setEncoding("utf8");
+        req.on("data", function (chunk) { body += chunk; });
+        req.on("end", function () {
+            var delivery = req.headers["x-pef-delivery"] || "unknown";
+            var attempt = (attempts.get(delivery) || 0) + 1;
+            attempts.set(delivery, attempt);
+
+            var signature = "unsigned";
+            if (options.secret) {
+                signature = webhooks.verifySignature(options.secret, req.headers["x-pef-timestamp"], body,
+                    req.headers["x-pef-signature"]) ? "signature ok" : "BAD SIGNATURE";
+            }
+
+            var failing = attempt <= (options.fail || 0);
+            options.log(new Date().toISOString() + " " + req.headers["x-pef-event"] + " " + delivery +
+                " attempt " + attempt + ", " + signature + (failing ? ", answering 503" : ""));
+            options.log("  " + body);
+
+            if (signature === "BAD SIGNATURE") {
+                res.writeHead(401);
+            } else {
+                res.writeHead(failing ? 503 : 204);
+            }
+            res.end();
+        });
+    });
+}
+
+/**
+ * Read --port, --secret and --fail from the command line
+ */
+function parseReceiverArgs(argv, env) {
+    var options = { port: 9090, secret: env.PEF_WEBHOOK_SECRET || null, fail: 0 };
+
+    for (var i = 0; i < argv.length; i++) {
+        var name = argv[i].replace(/^--/, "");
+        if (["port", "secret", "fail"].indexOf(name) === -1 || argv[i + 1] === undefined) {
+            throw new Error("Usage: webhook-receiver.js [--port <port>] [--secret <secret>] [--fail <attempts>]");
+        }
+        options[name] = name === "secret" ? argv[++i] : Number(argv[++i]);
+    }
+    return options;
+}
+
+if (require.main === module) {
+    var options;
+    try {
+        options = parseReceiverArgs(process.argv.slice(2), process.env);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(2);
+    }
+
+    options.log = console.log;
+    createWebhookReceiver(options).listen(options.port, function () {
+        console.log("Receiving webhooks on http://localhost:" + options.port + "/" +
+            (options.secret ? "" : " (no --secret, so signatures are not checked)"));
+    });
+}
+
+module.exports = {
+    createWebhookReceiver: createWebhookReceiver
+};
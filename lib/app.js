@@ -0,0 +1,95 @@
+// Express application serving the example page, framework.js and the local APIs.
+
+var fs = require("fs");
+var path = require("path");
+var express = require('express');
+var callLogs = require('./callLogs');
+var contacts = require('./contacts');
+var eventRelay = require('./eventRelay');
+var createScenarioRouter = require('./scenarios');
+var webhooks = require('./webhooks');
+
+var PROJECT_DIR = path.join(__dirname, "..");
+// Placeholder of example.html filled with the token the page connects to the event relay with
+var AGENT_TOKEN_META = '<meta name="pef-relay-agent-token" content="">';
+
+/**
+ * Handler serving example.html with a new agent token for the event relay on every load,
+ * when the relay lets the page have one
+ */
+function createExamplePageHandler(staticRoot, relay) {
+    return function (req, res, next) {
+        fs.readFile(path.join(staticRoot, "example.html"), "utf8", function (err, html) {
+            if (err) {
+                return next(err.code === "ENOENT" ? undefined : err);
+            }
+
+            var meta = '<meta name="pef-relay-agent-token" content="' + (relay.issueAgentToken(req) || "") + '">';
+            res.set("Cache-Control", "no-store");
+            res.type("html").send(html.replace(AGENT_TOKEN_META, meta));
+        });
+    };
+}
+
+/**
+ * Create the application serving the files in config.staticRoot. Throws if the webhooks file is not valid.
+ * app.locals.relay is the event relay pages connect to, to be given the servers' upgrades;
+ * app.locals.webhooks is the dispatcher for the events pages report to it.
+ */
+function createApp(config) {
+    var app = express();
+
+    // Webhooks notified of the framework events pages report to the event relay
+    var webhookStore = webhooks.createWebhookStore(config.webhooksFile);
+    // Read now, so a broken file stops the server from starting instead of failing the first event
+    webhookStore.load();
+    app.locals.webhooks = webhooks.createWebhookDispatcher(webhookStore, {
+        deadLetterFile: config.webhookDeadLetterFile,
+        maxAttempts: config.webhookMaxAttempts
+    });
+    app.locals.relay = eventRelay.createEventRelay({ token: config.relayToken, onEvent: app.locals.webhooks.handleRelayEvent });
+
+    app.get('/example.html', createExamplePageHandler(config.staticRoot, app.locals.relay));
+    app.use(express.static(config.staticRoot));
+
+    // Contact directory searched by the example page and edited on contacts.html
+    var contactStore = contacts.createContactStore(config.contactsFile, path.join(PROJECT_DIR, "data/contacts.json"));
+    app.use('/api/contacts', contacts.createContactRouter(contactStore));
+
+    // Call logs saved by the example page's processCallLog handler
+    app.use('/api/call-logs', callLogs.createCallLogRouter(callLogs.createCallLogStore(config.callLogFile)));
+
+    // Interaction scenarios replayed by the example page's scenario runner
+    app.use('/api/scenarios', createScenarioRouter(path.join(PROJECT_DIR, "scenarios")));
+
+    // Webhooks receive every agent's events, so only those the relay trusts with them may manage them
+    app.use('/api/webhooks', eventRelay.requireRelayToken(config.relayToken),
+        webhooks.createWebhookRouter(webhookStore, app.locals.webhooks, config.webhookDeadLetterFile));
+
+    return app;
+}
+
+/**
+ * Request handler sending every HTTP request to the same URL over HTTPS
+ */
+function createRedirectHandler(httpsPort) {
+    return function (req, res) {
+        var hostname;
+        try {
+            hostname = new URL("http://" + req.headers.host).hostname;
+        } catch (e) {
+            res.writeHead(400, { "Content-Type": "text/plain" });
+            res.end("Missing or invalid Host header");
+            return;
+        }
+
+        var location = "https://" + hostname + (httpsPort === 443 ? "" : ":" + httpsPort) + req.url;
+        res.writeHead(301, { Location: location });
+        res.end();
+    };
+}
+
+module.exports = {
+    createApp: createApp,
+    createRedirectHandler: createRedirectHandler
+};
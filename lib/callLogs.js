@@ -0,0 +1,188 @@
+// Call log store and REST API standing in for a CRM.
+// Records are kept in a JSON file, one per interaction, so every processCallLog
+// event for an interaction updates the same record and keeps its record id.
+//
+//   GET  /api/call-logs                  every record, most recently updated first
+//   GET  /api/call-logs/<id>             the record of an interaction, or with that record id
+//   POST /api/call-logs                  save { interactionId, eventName, callLog }
+//   PUT  /api/call-logs/<interactionId>  save { eventName, callLog }
+//
+// Saving answers with the record, 201 when it was created and 200 when it was updated.
+
+var crypto = require("crypto");
+var express = require('express');
+var jsonFile = require('./jsonFile');
+
+var readJsonFile = jsonFile.readJsonFile;
+var writeJsonFile = jsonFile.writeJsonFile;
+
+/**
+ * New record id, stable for the life of the record
+ */
+function createRecordId() {
+    return "CL-" + Date.now().toString(36) + "-" + crypto.randomBytes(3).toString("hex");
+}
+
+/**
+ * Contact or relation selected with addAssociation, as { id, text }
+ */
+function toAssociation(selection) {
+    if (!selection || typeof selection !== "object") {
+        return null;
+    }
+    return { id: selection.id !== undefined ? String(selection.id) : null, text: selection.text || "" };
+}
+
+/**
+ * Describe what is wrong with a call log save, or return null if it is valid
+ */
+function validateCallLogSave(interactionId, body) {
+    if (typeof interactionId !== "string" || interactionId === "") {
+        return "interactionId must be a non-empty string";
+    }
+    if (typeof body.eventName !== "string" || body.eventName === "") {
+        return "eventName must be a non-empty string";
+    }
+    if (!body.callLog || typeof body.callLog !== "object" || Array.isArray(body.callLog)) {
+        return "callLog must be an object";
+    }
+    if (body.callLog.attributes !== undefined &&
+        (!body.callLog.attributes || typeof body.callLog.attributes !== "object" || Array.isArray(body.callLog.attributes))) {
+        return "callLog.attributes must be an object";
+    }
+    return null;
+}
+
+/**
+ * Store of call log records in a JSON file, read on first use
+ */
+function createCallLogStore(file) {
+    var records = null;
+
+    function load() {
+        if (!records) {
+            records = readJsonFile(file, "call logs") || [];
+        }
+        return records;
+    }
+
+    function save() {
+        writeJsonFile(file, records);
+    }
+
+    return {
+        file: file,
+
+        /**
+         * Every record, most recently updated first
+         */
+        list: function () {
+            return load().slice().sort(function (a, b) {
+                return a.updated < b.updated ? 1 : a.updated > b.updated ? -1 : 0;
+            });
+        },
+
+        /**
+         * The record of an interaction, or with a record id, or null
+         */
+        get: function (key) {
+            return load().find(function (record) {
+                return record.interactionId === key;
+            }) || load().find(function (record) {
+                return record.id === key;
+            }) || null;
+        },
+
+        /**
+         * Create or update the record of an interaction from a processCallLog event.
+         * Returns { record, created }.
+         */
+        upsert: function (interactionId, eventName, callLog) {
+            var now = new Date().toISOString();
+            var record = load().find(function (existing) {
+                return existing.interactionId === interactionId;
+            });
+            var created = !record;
+
+            if (created) {
+                record = {
+                    id: createRecordId(),
+                    interactionId: interactionId,
+                    subject: "",
+                    notes: "",
+                    associations: { contact: null, relation: null },
+                    attributes: {},
+                    events: [],
+                    created: now
+                };
+                records.push(record);
+            }
+
+            // Fields the client left out keep their saved value
+            if (callLog.subject !== undefined) record.subject = String(callLog.subject);
+            if (callLog.notes !== undefined) record.notes = String(callLog.notes);
+            if (callLog.selectedContact !== undefined) record.associations.contact = toAssociation(callLog.selectedContact);
+            if (callLog.selectedRelation !== undefined) record.associations.relation = toAssociation(callLog.selectedRelation);
+            Object.assign(record.attributes, callLog.attributes);
+            record.events.push({ eventName: eventName, time: now });
+            record.updated = now;
+
+            save();
+            return { record: record, created: created };
+        }
+    };
+}
+
+/**
+ * Router exposing a call log store
+ */
+function createCallLogRouter(store) {
+    var router = express.Router();
+    router.use(express.json());
+
+    function saveCallLog(interactionId, body, res) {
+        var invalid = validateCallLogSave(interactionId, body || {});
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        var result = store.upsert(interactionId, body.eventName, body.callLog);
+        res.status(result.created ? 201 : 200).json(result.record);
+    }
+
+    router.get('/', function (req, res) {
+        res.json(store.list());
+    });
+
+    router.get('/:id', function (req, res) {
+        var record = store.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: "No call log for " + req.params.id });
+        }
+        res.json(record);
+    });
+
+    router.post('/', function (req, res) {
+        saveCallLog((req.body || {}).interactionId, req.body, res);
+    });
+
+    router.put('/:interactionId', function (req, res) {
+        saveCallLog(req.params.interactionId, req.body, res);
+    });
+
+    // Malformed JSON bodies and store failures are answered in JSON too
+    router.use(function (err, req, res, next) {
+        if (err.type === "entity.parse.failed") {
+            return res.status(400).json({ error: "Request body is not valid JSON" });
+        }
+        console.error("Call log API error:", err.message);
+        res.status(500).json({ error: err.message });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createCallLogRouter: createCallLogRouter,
+    createCallLogStore: createCallLogStore
+};
@@ -0,0 +1,327 @@
+// Local certificate authority for the development server.
+// On first run a CA and a server certificate signed by it are generated and
+// kept outside the repository (by default in ~/.pef/certs). Trusting the CA
+// once makes the browser accept the server certificate for every configured
+// hostname and IP address. The server certificate is renewed automatically
+// when it is about to expire or the hostnames change; the CA lasts ten years.
+
+var crypto = require("crypto");
+var fs = require("fs");
+var net = require("net");
+var os = require("os");
+var path = require("path");
+var forge = require("node-forge");
+
+var CA_VALIDITY_DAYS = 3650;
+// Browsers reject server certificates valid for longer than 398 days
+var SERVER_VALIDITY_DAYS = 397;
+var EXPIRY_WARNING_DAYS = 30;
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+var FILES = {
+    caKey: "ca.key",
+    caCert: "ca.crt",
+    serverKey: "server.key",
+    serverCert: "server.crt"
+};
+
+/**
+ * Directory the certificates are kept in unless configured otherwise
+ */
+function getDefaultCertDir() {
+    return path.join(os.homedir(), ".pef", "certs");
+}
+
+/**
+ * Hostnames and addresses the server certificate covers unless configured otherwise
+ */
+function getDefaultCertHosts() {
+    var hosts = ["localhost", "127.0.0.1", "::1"];
+    var hostname = os.hostname().toLowerCase();
+    if (hostname && hosts.indexOf(hostname) === -1) {
+        hosts.push(hostname);
+    }
+    return hosts;
+}
+
+/**
+ * Compare hostnames case-insensitively and IPv6 addresses in their shortest form
+ */
+function normalizeHost(host) {
+    host = String(host).trim().toLowerCase();
+    if (net.isIPv6(host)) {
+        return new URL("http://[" + host + "]").hostname.slice(1, -1);
+    }
+    return host;
+}
+
+/**
+ * Hostnames and addresses in a certificate's subject alternative names
+ */
+function getCertificateHosts(x509) {
+    return (x509.subjectAltName || "").split(", ").filter(Boolean).map(function (entry) {
+        return normalizeHost(entry.replace(/^(DNS|IP Address):/, ""));
+    });
+}
+
+/**
+ * Random positive serial number, as hex
+ */
+function createSerialNumber() {
+    var bytes = crypto.randomBytes(16);
+    bytes[0] &= 0x7f;
+    return bytes.toString("hex");
+}
+
+/**
+ * Generate an RSA key pair, in node-forge form
+ */
+function createKeyPair() {
+    var pem = crypto.generateKeyPairSync("rsa", {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: "pkcs8", format: "pem" },
+        publicKeyEncoding: { type: "spki", format: "pem" }
+    });
+    return {
+        privateKey: forge.pki.privateKeyFromPem(pem.privateKey),
+        publicKey: forge.pki.publicKeyFromPem(pem.publicKey)
+    };
+}
+
+/**
+ * Create a certificate valid from now for a number of days
+ */
+function createCertificate(publicKey, subject, days, now) {
+    var cert = forge.pki.createCertificate();
+    cert.publicKey = publicKey;
+    cert.serialNumber = createSerialNumber();
+    // Backdate a little so clocks that are slightly behind accept it
+    cert.validity.notBefore = new Date(now.getTime() - 60 * 60 * 1000);
+    cert.validity.notAfter = new Date(now.getTime() + days * DAY_MS);
+    cert.setSubject(subject);
+    return cert;
+}
+
+/**
+ * Generate the local certificate authority
+ */
+function createCa(now) {
+    var keys = createKeyPair();
+    var subject = [
+        { name: "commonName", value: "PEF Local Development CA (" + os.userInfo().username + "@" + os.hostname() + ")" },
+        { name: "organizationName", value: "PureCloud Embeddable Framework Example" }
+    ];
+
+    var cert = createCertificate(keys.publicKey, subject, CA_VALIDITY_DAYS, now);
+    cert.setIssuer(subject);
+    cert.setExtensions([
+        { name: "basicConstraints", cA: true, pathLenConstraint: 0, critical: true },
+        { name: "keyUsage", keyCertSign: true, cRLSign: true, critical: true },
+        { name: "subjectKeyIdentifier" }
+    ]);
+    cert.sign(keys.privateKey, forge.md.sha256.create());
+
+    return {
+        key: forge.pki.privateKeyToPem(keys.privateKey),
+        cert: forge.pki.certificateToPem(cert)
+    };
+}
+
+/**
+ * Generate a server certificate for some hosts, signed by the CA
+ */
+function createServerCertificate(hosts, caPem, now) {
+    var caKey = forge.pki.privateKeyFromPem(caPem.key);
+    var caCert = forge.pki.certificateFromPem(caPem.cert);
+    var keys = createKeyPair();
+
+    var cert = createCertificate(keys.publicKey, [{ name: "commonName", value: hosts[0] }], SERVER_VALIDITY_DAYS, now);
+    cert.setIssuer(caCert.subject.attributes);
+    cert.setExtensions([
+        { name: "basicConstraints", cA: false, critical: true },
+        { name: "keyUsage", digitalSignature: true, keyEncipherment: true, critical: true },
+        { name: "extKeyUsage", serverAuth: true },
+        {
+            name: "subjectAltName",
+            altNames: hosts.map(function (host) {
+                return net.isIP(host) ? { type: 7, ip: host } : { type: 2, value: host };
+            })
+        },
+        { name: "subjectKeyIdentifier" },
+        { name: "authorityKeyIdentifier", keyIdentifier: caCert.generateSubjectKeyIdentifier().getBytes() }
+    ]);
+    cert.sign(caKey, forge.md.sha256.create());
+
+    return {
+        key: forge.pki.privateKeyToPem(keys.privateKey),
+        cert: forge.pki.certificateToPem(cert)
+    };
+}
+
+/**
+ * Read a PEM file, returning null if it does not exist
+ */
+function readPem(file) {
+    try {
+        return fs.readFileSync(file, "utf8");
+    } catch (e) {
+        if (e.code === "ENOENT") {
+            return null;
+        }
+        throw new Error("Could not read " + file + ": " + e.message);
+    }
+}
+
+/**
+ * Write a key or certificate; keys are only readable by their owner
+ */
+function writePem(file, content, secret) {
+    fs.writeFileSync(file, content, { mode: secret ? 0o600 : 0o644 });
+}
+
+/**
+ * Days from now until a certificate expires, negative once it has
+ */
+function getDaysLeft(x509, now) {
+    return Math.floor((new Date(x509.validTo).getTime() - now.getTime()) / DAY_MS);
+}
+
+/**
+ * Why the server certificate has to be generated again, or null if it can be kept
+ */
+function getServerRenewalReason(serverPem, ca, hosts, now) {
+    if (!serverPem.key || !serverPem.cert) {
+        return "no server certificate yet";
+    }
+
+    var x509 = new crypto.X509Certificate(serverPem.cert);
+    if (!x509.checkIssued(ca) || !x509.verify(ca.publicKey)) {
+        return "the CA changed";
+    }
+    if (getDaysLeft(x509, now) < EXPIRY_WARNING_DAYS) {
+        return "it expires on " + new Date(x509.validTo).toDateString();
+    }
+
+    var covered = getCertificateHosts(x509);
+    var missing = hosts.filter(function (host) {
+        return covered.indexOf(host) === -1;
+    });
+    if (missing.length > 0 || covered.length !== hosts.length) {
+        return "the hosts changed to " + hosts.join(", ");
+    }
+    return null;
+}
+
+/**
+ * Make sure a valid CA and server certificate exist in options.dir for options.hosts.
+ * Returns the file paths, what was generated and why, the CA fingerprint and any warnings.
+ */
+function ensureCertificates(options) {
+    var dir = options.dir || getDefaultCertDir();
+    var hosts = (options.hosts || getDefaultCertHosts()).map(normalizeHost).filter(function (host, index, all) {
+        return host && all.indexOf(host) === index;
+    });
+    var now = options.now || new Date();
+
+    if (hosts.length === 0) {
+        throw new Error("No hostnames configured for the server certificate");
+    }
+
+    try {
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    } catch (e) {
+        throw new Error("Could not create the certificate directory " + dir + ": " + e.message);
+    }
+
+    var files = {};
+    Object.keys(FILES).forEach(function (name) {
+        files[name] = path.join(dir, FILES[name]);
+    });
+
+    var result = {
+        dir: dir,
+        hosts: hosts,
+        key: files.serverKey,
+        cert: files.serverCert,
+        ca: files.caCert,
+        createdCa: false,
+        renewedServer: null,
+        warnings: []
+    };
+
+    var caPem = { key: readPem(files.caKey), cert: readPem(files.caCert) };
+    var ca = caPem.cert ? new crypto.X509Certificate(caPem.cert) : null;
+    if (!caPem.key || !ca || getDaysLeft(ca, now) < 0) {
+        caPem = createCa(now);
+        writePem(files.caKey, caPem.key, true);
+        writePem(files.caCert, caPem.cert, false);
+        ca = new crypto.X509Certificate(caPem.cert);
+        result.createdCa = true;
+    }
+
+    var caDaysLeft = getDaysLeft(ca, now);
+    if (caDaysLeft < EXPIRY_WARNING_DAYS) {
+        result.warnings.push("The local CA expires in " + caDaysLeft + " days, on " + new Date(ca.validTo).toDateString() +
+            ". Delete " + files.caKey + " to generate a new one, then trust it again.");
+    }
+
+    var serverPem = { key: readPem(files.serverKey), cert: readPem(files.serverCert) };
+    var reason = getServerRenewalReason(serverPem, ca, hosts, now);
+    if (reason) {
+        serverPem = createServerCertificate(hosts, caPem, now);
+        writePem(files.serverKey, serverPem.key, true);
+        writePem(files.serverCert, serverPem.cert, false);
+        result.renewedServer = reason;
+    }
+
+    result.caFingerprint = ca.fingerprint256;
+    result.caExpires = new Date(ca.validTo);
+    result.serverExpires = new Date(new crypto.X509Certificate(serverPem.cert).validTo);
+    return result;
+}
+
+/**
+ * Warning about a certificate file that expired or is about to, or null
+ */
+function getExpiryWarning(file, now) {
+    var x509 = new crypto.X509Certificate(fs.readFileSync(file));
+    var daysLeft = getDaysLeft(x509, now || new Date());
+
+    if (daysLeft < 0) {
+        return "The certificate " + file + " expired on " + new Date(x509.validTo).toDateString() + "; browsers will reject it.";
+    }
+    if (daysLeft < EXPIRY_WARNING_DAYS) {
+        return "The certificate " + file + " expires in " + daysLeft + " days, on " + new Date(x509.validTo).toDateString() + ".";
+    }
+    return null;
+}
+
+/**
+ * How to make the browser trust the CA on a platform
+ */
+function getTrustInstructions(caFile, platform) {
+    var lines = ["To trust it, add " + caFile + " to the trusted root certificates:"];
+
+    if (platform === "darwin") {
+        lines.push("  sudo security add-trusted-cert -d -r trustRoot -k /Library/Keychains/System.keychain \"" + caFile + "\"");
+    } else if (platform === "win32") {
+        lines.push("  certutil -user -addstore Root \"" + caFile + "\"");
+    } else {
+        lines.push("  sudo cp \"" + caFile + "\" /usr/local/share/ca-certificates/pef-local-ca.crt && sudo update-ca-certificates");
+        lines.push("  Chrome on Linux: Settings > Privacy and security > Security > Manage certificates > Authorities > Import");
+    }
+
+    lines.push("  Firefox: Settings > Privacy & Security > Certificates > View Certificates > Authorities > Import");
+    lines.push("Other machines that load framework.js from this server need to trust it too.");
+    return lines.join("\n");
+}
+
+module.exports = {
+    EXPIRY_WARNING_DAYS: EXPIRY_WARNING_DAYS,
+    ensureCertificates: ensureCertificates,
+    getCertificateHosts: getCertificateHosts,
+    getDefaultCertDir: getDefaultCertDir,
+    getDefaultCertHosts: getDefaultCertHosts,
+    getExpiryWarning: getExpiryWarning,
+    getTrustInstructions: getTrustInstructions
+};
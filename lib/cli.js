@@ -0,0 +1,477 @@
+// Command-line client of the event relay (lib/eventRelay.js), installed as pef-cli.
+// Sends softphone commands to the example page of an agent, as a relay backend,
+// or prints the messages example pages exchange with their softphones.
+// Each option is read from its flag, then its environment variable, then the default.
+
+var fs = require("fs");
+var path = require("path");
+var tls = require("tls");
+var WebSocket = require("ws");
+var certificates = require("./certificates");
+
+var DEFAULT_URL = "wss://localhost:8443/api/relay";
+// Longer than the relay gives agents to answer, so its TIMEOUT result arrives first
+var DEFAULT_TIMEOUT = 35000;
+// Close codes of a relay that closed the connection on purpose
+var NORMAL_CLOSURE = 1000;
+var GOING_AWAY = 1001;
+
+var STATUSES = ["AVAILABLE", "AWAY", "ON_QUEUE"];
+var ACTIONS = ["pickup", "hold", "mute", "securePause", "disconnect"];
+var NOTIFICATION_TYPES = ["INFO", "SUCCESS", "WARNING", "ERROR"];
+
+// Every option with its flag, environment variable and default
+var OPTIONS = {
+    url: { flag: "--url", env: "PEF_RELAY_URL", default: DEFAULT_URL,
+        description: "Event relay of server.js" },
+    agent: { flag: "--agent", env: "PEF_AGENT", default: null,
+        description: "Agent to send commands to (default: the only connected one)" },
+    token: { flag: "--token", env: "PEF_RELAY_TOKEN", default: null,
+        description: "Relay token, when the server sets --relay-token" },
+    ca: { flag: "--ca", env: "PEF_CA", default: null,
+        description: "CA certificate to trust (default: the one server.js generated)" },
+    timeout: { flag: "--timeout", env: "PEF_CLI_TIMEOUT", default: DEFAULT_TIMEOUT,
+        description: "Milliseconds to wait for the relay and for command results" },
+    type: { flag: "--type", env: null, default: null,
+        description: "tail: message types to print, e.g. interaction for interactionSubscription; repeatable" },
+    json: { flag: "--json", env: null, default: false, boolean: true,
+        description: "tail: print each relay message as a line of JSON" }
+};
+
+/**
+ * Create an error that is the user's to fix, reported with a pointer to --help
+ */
+function usageError(message) {
+    var err = new Error(message);
+    err.usage = true;
+    return err;
+}
+
+/**
+ * Check that a command got the arguments it needs
+ */
+function expectArgs(name, args, count, usage) {
+    if (args.length < count) {
+        throw usageError(name + " needs " + usage);
+    }
+}
+
+/**
+ * Check that a value is one of a list, matching case-insensitively
+ */
+function pickValue(what, value, values) {
+    var found = values.find(function (candidate) {
+        return candidate.toLowerCase() === String(value).toLowerCase();
+    });
+    if (!found) {
+        throw usageError(JSON.stringify(value) + " is not a valid " + what + ", use one of " + values.join(", "));
+    }
+    return found;
+}
+
+// Softphone commands, each building the relay command of the message type framework.js handles
+var COMMANDS = {
+    dial: {
+        usage: "dial <number>",
+        description: "Place a call (clickToDial)",
+        build: function (args) {
+            expectArgs("dial", args, 1, "a number");
+            return { type: "clickToDial", data: { number: args.join(" "), autoPlace: true } };
+        }
+    },
+    status: {
+        usage: "status <" + STATUSES.join("|") + ">",
+        description: "Change the agent's status (updateUserStatus)",
+        build: function (args) {
+            expectArgs("status", args, 1, "a status");
+            return { type: "updateUserStatus", data: { id: pickValue("status", args[0], STATUSES) } };
+        }
+    },
+    state: {
+        usage: "state <interactionId> <" + ACTIONS.join("|") + ">",
+        description: "Act on an interaction (updateInteractionState)",
+        build: function (args) {
+            expectArgs("state", args, 2, "an interaction id and an action");
+            return { type: "updateInteractionState", data: { id: args[0], action: pickValue("action", args[1], ACTIONS) } };
+        }
+    },
+    view: {
+        usage: "view <name>",
+        description: "Show a view of the softphone, e.g. interactionList or settings (setView)",
+        build: function (args) {
+            expectArgs("view", args, 1, "a view name");
+            return { type: "setView", data: { type: "main", view: { name: args[0] } } };
+        }
+    },
+    notify: {
+        usage: "notify <" + NOTIFICATION_TYPES.join("|") + "> <message>",
+        description: "Show a notification in the softphone (sendCustomNotification)",
+        build: function (args) {
+            expectArgs("notify", args, 2, "a notification type and a message");
+            return {
+                type: "sendCustomNotification",
+                data: { type: pickValue("notification type", args[0], NOTIFICATION_TYPES), message: args.slice(1).join(" ") }
+            };
+        }
+    }
+};
+
+/**
+ * Find the option a command-line flag sets
+ */
+function findOptionByFlag(flag) {
+    return Object.keys(OPTIONS).find(function (name) {
+        return OPTIONS[name].flag === flag;
+    });
+}
+
+/**
+ * Parse command-line arguments into { options, command, args, help }.
+ * Options may come before or after the command, as --flag value or --flag=value.
+ */
+function parseCliArgs(argv, env) {
+    env = env || {};
+    var result = { options: {}, command: null, args: [], help: false };
+    var given = {};
+    var types = [];
+
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+
+        if (arg === "--help" || arg === "-h") {
+            result.help = true;
+            continue;
+        }
+        if (arg.indexOf("--") !== 0) {
+            if (result.command === null) {
+                result.command = arg;
+            } else {
+                result.args.push(arg);
+            }
+            continue;
+        }
+
+        var equals = arg.indexOf("=");
+        var flag = equals === -1 ? arg : arg.slice(0, equals);
+        var name = findOptionByFlag(flag);
+        if (!name) {
+            throw usageError("Unknown option " + flag);
+        }
+
+        var value = equals === -1 ? undefined : arg.slice(equals + 1);
+        if (OPTIONS[name].boolean) {
+            value = true;
+        } else if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined) {
+                throw usageError(flag + " needs a value");
+            }
+        }
+
+        if (name === "type") {
+            types = types.concat(String(value).split(","));
+        } else {
+            given[name] = value;
+        }
+    }
+
+    Object.keys(OPTIONS).forEach(function (name) {
+        var option = OPTIONS[name];
+        if (given[name] !== undefined) {
+            result.options[name] = given[name];
+        } else if (option.env && env[option.env]) {
+            result.options[name] = env[option.env];
+        } else {
+            result.options[name] = option.default;
+        }
+    });
+
+    result.options.type = types.map(function (type) { return type.trim(); }).filter(Boolean);
+    var timeout = Number(result.options.timeout);
+    if (!Number.isInteger(timeout) || timeout <= 0) {
+        throw usageError("Invalid timeout " + JSON.stringify(result.options.timeout) + ", use a number of milliseconds");
+    }
+    result.options.timeout = timeout;
+
+    return result;
+}
+
+/**
+ * Build the relay command of a softphone command, throwing a usage error if it cannot
+ */
+function buildCommand(command, args) {
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+        throw usageError("Unknown command " + JSON.stringify(command));
+    }
+    return COMMANDS[command].build(args);
+}
+
+/**
+ * Relay types a --type stands for: as given, and the subscription message of that name
+ */
+function expandTypes(types) {
+    var expanded = [];
+    types.forEach(function (type) {
+        expanded.push(type);
+        if (!/Subscription$/.test(type)) {
+            expanded.push(type + "Subscription");
+        }
+    });
+    return expanded;
+}
+
+/**
+ * Text printed by --help
+ */
+function getCliUsage() {
+    var lines = [
+        "Usage: pef-cli [options] <command> [arguments]",
+        "",
+        "Commands:"
+    ];
+
+    Object.keys(COMMANDS).forEach(function (name) {
+        lines.push("  " + COMMANDS[name].usage, "      " + COMMANDS[name].description);
+    });
+    lines.push("  agents", "      List the agents connected to the relay");
+    lines.push("  tail [--type <type>] [--json]", "      Print the messages example pages exchange with their softphones");
+    lines.push("", "Options (environment variable in brackets):");
+
+    Object.keys(OPTIONS).forEach(function (name) {
+        var option = OPTIONS[name];
+        var flag = option.flag + (option.boolean ? "" : " <value>");
+        var defaultValue = option.default === null || option.boolean || option.description.indexOf("(default") !== -1 ?
+            "" : " (default: " + option.default + ")";
+        lines.push("  " + flag.padEnd(20) + option.description + (option.env ? " [" + option.env + "]" : "") + defaultValue);
+    });
+
+    lines.push("  " + "--help".padEnd(20) + "Show this help");
+    return lines.join("\n");
+}
+
+/**
+ * CA certificates to trust: the system's and the configured or generated local CA
+ */
+function getTrustedCas(caFile) {
+    var file = caFile || path.join(certificates.getDefaultCertDir(), "ca.crt");
+    try {
+        return tls.rootCertificates.concat(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+        if (e.code === "ENOENT" && !caFile) {
+            return undefined;
+        }
+        throw new Error("Could not read CA certificate " + file + ": " + e.message);
+    }
+}
+
+/**
+ * Connect to the relay and resolve with { socket, welcome } once it welcomes us
+ */
+function connectToRelay(options, query) {
+    var url = new URL(options.url);
+    Object.keys(query).forEach(function (name) {
+        url.searchParams.set(name, query[name]);
+    });
+
+    var socketOptions = { headers: {}, handshakeTimeout: options.timeout };
+    if (options.token) {
+        socketOptions.headers.Authorization = "Bearer " + options.token;
+    }
+    if (url.protocol === "wss:") {
+        socketOptions.ca = getTrustedCas(options.ca);
+    }
+
+    return new Promise(function (resolve, reject) {
+        var socket = new WebSocket(url.toString(), socketOptions);
+        var fail = function (message) {
+            socket.removeAllListeners("message");
+            reject(new Error("Could not connect to the relay at " + options.url + ": " + message));
+        };
+
+        socket.on("unexpected-response", function (req, res) {
+            var body = "";
+            res.setEncoding("utf8");
+            res.on("data", function (chunk) { body += chunk; });
+            res.on("end", function () {
+                fail(res.statusCode + " " + (body || res.statusMessage));
+            });
+        });
+        socket.on("error", function (err) {
+            fail(err.message);
+        });
+        socket.once("message", function (data) {
+            var welcome;
+            try {
+                welcome = JSON.parse(data.toString());
+            } catch (e) {
+                welcome = null;
+            }
+            if (!welcome || welcome.kind !== "welcome") {
+                socket.terminate();
+                return fail("it did not answer as an event relay");
+            }
+            resolve({ socket: socket, welcome: welcome });
+        });
+    });
+}
+
+/**
+ * Pick the agent to send a command to
+ */
+function chooseAgent(requested, agents) {
+    if (requested) {
+        return requested;
+    }
+    if (agents.length === 0) {
+        throw new Error("No agent is connected to the relay, open example.html first");
+    }
+    if (agents.length > 1) {
+        throw new Error("Several agents are connected (" + agents.join(", ") + "), choose one with --agent");
+    }
+    return agents[0];
+}
+
+/**
+ * Send a softphone command to an agent and resolve with the exit code
+ */
+function runCommand(options, command, io) {
+    return connectToRelay(options, { role: "backend" }).then(function (connection) {
+        var socket = connection.socket;
+
+        return new Promise(function (resolve, reject) {
+            var agent = chooseAgent(options.agent, connection.welcome.agents);
+            var id = "cli-" + process.pid + "-" + Date.now();
+            var timer = setTimeout(function () {
+                reject(new Error(command.type + " got no answer from the relay within " + options.timeout + "ms"));
+            }, options.timeout);
+
+            socket.on("message", function (data) {
+                var message = JSON.parse(data.toString());
+                if (message.kind === "error") {
+                    clearTimeout(timer);
+                    reject(new Error("The relay refused the command: " + message.error.message));
+                } else if (message.kind === "commandResult" && message.id === id) {
+                    clearTimeout(timer);
+                    if (message.ok) {
+                        io.log(command.type + " done on " + agent + (message.result === null ? "" : ": " + JSON.stringify(message.result)));
+                        resolve(0);
+                    } else {
+                        io.error(command.type + " failed on " + agent + ": " + message.error.code + " " + message.error.message);
+                        resolve(1);
+                    }
+                }
+            });
+            socket.on("close", function () {
+                clearTimeout(timer);
+                reject(new Error("The relay closed the connection before " + command.type + " finished"));
+            });
+
+            socket.send(JSON.stringify({ kind: "command", id: id, agent: agent, type: command.type, data: command.data }));
+        }).finally(function () {
+            socket.removeAllListeners("close");
+            socket.close();
+        });
+    });
+}
+
+/**
+ * Format a relay event as a line of text
+ */
+function formatEvent(message) {
+    var time = message.relayed ? message.relayed.slice(11, 23) : "";
+    var arrow = message.direction === "outbound" ? "->" : "<-";
+    var envelope = message.envelope || {};
+    return time + " " + message.agent + " " + arrow + " " + envelope.type + " " + JSON.stringify(envelope.data);
+}
+
+/**
+ * Print relay events until the relay closes the connection, then resolve with the exit code
+ */
+function runTail(options, io) {
+    var query = { role: "subscriber" };
+    if (options.agent) {
+        query.agent = options.agent;
+    }
+    if (options.type.length > 0) {
+        query.types = expandTypes(options.type).join(",");
+    }
+
+    return connectToRelay(options, query).then(function (connection) {
+        var socket = connection.socket;
+        if (!options.json) {
+            io.log("Connected agents: " + (connection.welcome.agents.join(", ") || "none"));
+        }
+
+        socket.on("message", function (data) {
+            var message = JSON.parse(data.toString());
+            if (options.json) {
+                io.log(JSON.stringify(message));
+            } else if (message.kind === "event") {
+                io.log(formatEvent(message));
+            } else if (message.kind === "agentConnected" || message.kind === "agentDisconnected") {
+                if (!options.agent || options.agent === message.agent) {
+                    io.log(message.agent + (message.kind === "agentConnected" ? " connected" : " disconnected"));
+                }
+            }
+        });
+
+        return new Promise(function (resolve) {
+            socket.on("close", function (code) {
+                if (code === NORMAL_CLOSURE || code === GOING_AWAY) {
+                    io.log("The relay closed the connection");
+                    resolve(0);
+                } else {
+                    io.error("Lost the connection to the relay (" + code + ")");
+                    resolve(1);
+                }
+            });
+        });
+    });
+}
+
+/**
+ * List the agents connected to the relay
+ */
+function runAgents(options, io) {
+    return connectToRelay(options, { role: "subscriber" }).then(function (connection) {
+        connection.socket.close();
+        io.log(connection.welcome.agents.length > 0 ? connection.welcome.agents.join("\n") : "No agents are connected");
+        return 0;
+    });
+}
+
+/**
+ * Run pef-cli with its arguments and resolve with the exit code: 0 on success,
+ * 1 when a command failed and 2 when the arguments are wrong.
+ * io receives the output as io.log(line) and io.error(line).
+ */
+function runCli(argv, env, io) {
+    return Promise.resolve().then(function () {
+        var parsed = parseCliArgs(argv, env);
+        if (parsed.help || parsed.command === null) {
+            io.log(getCliUsage());
+            return parsed.help ? 0 : 2;
+        }
+
+        if (parsed.command === "tail") {
+            return runTail(parsed.options, io);
+        }
+        if (parsed.command === "agents") {
+            return runAgents(parsed.options, io);
+        }
+        return runCommand(parsed.options, buildCommand(parsed.command, parsed.args), io);
+    }).catch(function (err) {
+        io.error(err.message + (err.usage ? ", see pef-cli --help" : ""));
+        return err.usage ? 2 : 1;
+    });
+}
+
+module.exports = {
+    COMMANDS: COMMANDS,
+    buildCommand: buildCommand,
+    expandTypes: expandTypes,
+    formatEvent: formatEvent,
+    getCliUsage: getCliUsage,
+    parseCliArgs: parseCliArgs,
+    runCli: runCli
+};
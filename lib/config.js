@@ -0,0 +1,278 @@
+// Configuration of the local server.
+// Each setting is read from, in order of precedence: a command-line flag, an
+// environment variable, the config file, then the default below. The config
+// file is JSON using the setting names as keys; it is read from --config,
+// PEF_CONFIG, or pef.config.json in the working directory when present.
+
+var fs = require("fs");
+var path = require("path");
+
+var PROJECT_DIR = path.join(__dirname, "..");
+var DEFAULT_CONFIG_FILE = "pef.config.json";
+
+// Every setting with its flag, environment variable, type and default
+var SETTINGS = {
+    host: { flag: "--host", env: "PEF_HOST", type: "string", default: "127.0.0.1",
+        description: "Address to bind to, 0.0.0.0 for all interfaces" },
+    httpPort: { flag: "--http-port", env: ["PEF_HTTP_PORT", "PORT"], type: "port", default: 8080,
+        description: "HTTP port" },
+    httpsPort: { flag: "--https-port", env: "PEF_HTTPS_PORT", type: "port", default: 8443,
+        description: "HTTPS port" },
+    http: { flag: "--http", env: "PEF_HTTP", type: "boolean", default: true,
+        description: "Serve HTTP as well as HTTPS (--no-http to disable)" },
+    redirectHttp: { flag: "--redirect-http", env: "PEF_REDIRECT_HTTP", type: "boolean", default: false,
+        description: "Redirect HTTP requests to HTTPS instead of serving them" },
+    staticRoot: { flag: "--static-root", env: "PEF_STATIC_ROOT", type: "path", default: "src",
+        description: "Directory of the files to serve" },
+    cert: { flag: "--cert", env: "PEF_CERT", type: "path", default: null,
+        description: "TLS certificate file (default: generated, see --cert-dir)" },
+    key: { flag: "--key", env: "PEF_KEY", type: "path", default: null,
+        description: "TLS private key file, required with --cert" },
+    ca: { flag: "--ca", env: "PEF_CA", type: "path", default: null,
+        description: "CA certificate file, optional" },
+    certDir: { flag: "--cert-dir", env: "PEF_CERT_DIR", type: "path", default: null,
+        description: "Where generated certificates are kept (default: ~/.pef/certs)" },
+    certHosts: { flag: "--cert-hosts", env: "PEF_CERT_HOSTS", type: "list", default: null,
+        description: "Comma-separated hostnames and IPs of the generated certificate (default: localhost, 127.0.0.1, ::1 and this machine's name)" },
+    callLogFile: { flag: "--call-log-file", env: "PEF_CALL_LOG_FILE", type: "path", default: "data/call-logs.json",
+        description: "JSON file the call log API saves records in" },
+    contactsFile: { flag: "--contacts-file", env: "PEF_CONTACTS_FILE", type: "path", default: "data/contacts.local.json",
+        description: "JSON file the contacts API saves contacts in, created from data/contacts.json" },
+    webhooksFile: { flag: "--webhooks-file", env: "PEF_WEBHOOKS_FILE", type: "path", default: "data/webhooks.json",
+        description: "JSON file the webhook API saves registrations in" },
+    webhookDeadLetterFile: { flag: "--webhook-dead-letter-file", env: "PEF_WEBHOOK_DEAD_LETTER_FILE", type: "path",
+        default: "data/webhook-dead-letters.jsonl", description: "File failed webhook deliveries are appended to" },
+    webhookMaxAttempts: { flag: "--webhook-max-attempts", env: "PEF_WEBHOOK_MAX_ATTEMPTS", type: "number", default: 5,
+        description: "Attempts to deliver each webhook event before giving up" },
+    relayToken: { flag: "--relay-token", env: "PEF_RELAY_TOKEN", type: "string", default: null,
+        description: "Token subscribers and backends present to use the event relay (default: only local connections)" },
+    shutdownTimeout: { flag: "--shutdown-timeout", env: "PEF_SHUTDOWN_TIMEOUT", type: "number", default: 10000,
+        description: "Milliseconds to wait for open connections on shutdown" }
+};
+
+/**
+ * Convert a raw setting value to its type, throwing a readable error if it does not fit
+ */
+function convertSetting(name, value, source, baseDir) {
+    var setting = SETTINGS[name];
+
+    switch (setting.type) {
+        case "port":
+        case "number":
+            var number = typeof value === "number" ? value : Number(String(value).trim());
+            if (!Number.isInteger(number) || number < 0 || (setting.type === "port" && number > 65535)) {
+                throw new Error("Invalid " + name + " from " + source + ": " + JSON.stringify(value) +
+                    (setting.type === "port" ? " is not a port number (0-65535)" : " is not a whole number"));
+            }
+            return number;
+        case "boolean":
+            if (typeof value === "boolean") {
+                return value;
+            }
+            var text = String(value).trim().toLowerCase();
+            if (["true", "1", "yes", "on"].indexOf(text) !== -1) return true;
+            if (["false", "0", "no", "off"].indexOf(text) !== -1) return false;
+            throw new Error("Invalid " + name + " from " + source + ": " + JSON.stringify(value) + " is not true or false");
+        case "list":
+            if (value === null) {
+                return null;
+            }
+            var items = (Array.isArray(value) ? value : String(value).split(",")).map(function (item) {
+                return String(item).trim();
+            }).filter(Boolean);
+            if (items.length === 0) {
+                throw new Error("Invalid " + name + " from " + source + ": " + JSON.stringify(value) + " is an empty list");
+            }
+            return items;
+        case "path":
+            if (value === null || value === "") {
+                return null;
+            }
+            return path.resolve(baseDir, String(value));
+        default:
+            return value === "" ? null : value;
+    }
+}
+
+/**
+ * Find the setting a command-line flag sets
+ */
+function findSettingByFlag(flag) {
+    return Object.keys(SETTINGS).find(function (name) {
+        return SETTINGS[name].flag === flag;
+    });
+}
+
+/**
+ * Parse command-line arguments into { config, settings, help }.
+ * Accepts --flag value, --flag=value, and --flag / --no-flag for booleans.
+ */
+function parseArgs(argv) {
+    var result = { settings: {}, config: null, help: false };
+
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        var value = undefined;
+
+        if (arg === "--help" || arg === "-h") {
+            result.help = true;
+            continue;
+        }
+
+        var equals = arg.indexOf("=");
+        var flag = equals === -1 ? arg : arg.slice(0, equals);
+        if (equals !== -1) {
+            value = arg.slice(equals + 1);
+        }
+
+        if (flag === "--config") {
+            if (value === undefined) {
+                value = argv[++i];
+            }
+            if (!value) {
+                throw new Error("--config needs a file name");
+            }
+            result.config = value;
+            continue;
+        }
+
+        var negated = flag.indexOf("--no-") === 0;
+        var name = findSettingByFlag(negated ? "--" + flag.slice(5) : flag);
+        if (!name) {
+            throw new Error("Unknown option " + flag + ", see --help");
+        }
+
+        if (SETTINGS[name].type === "boolean" && value === undefined) {
+            value = !negated;
+        } else if (negated) {
+            throw new Error(flag + " is not an option, see --help");
+        } else if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined) {
+                throw new Error(flag + " needs a value");
+            }
+        }
+
+        result.settings[name] = value;
+    }
+
+    return result;
+}
+
+/**
+ * Read the config file, returning {} if none was asked for and the default one does not exist
+ */
+function readConfigFile(file, required) {
+    var content;
+    try {
+        content = fs.readFileSync(file, "utf8");
+    } catch (e) {
+        if (e.code === "ENOENT" && !required) {
+            return {};
+        }
+        throw new Error("Could not read config file " + file + ": " + e.message);
+    }
+
+    var values;
+    try {
+        values = JSON.parse(content);
+    } catch (e) {
+        throw new Error("Config file " + file + " is not valid JSON: " + e.message);
+    }
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+        throw new Error("Config file " + file + " must hold a JSON object");
+    }
+
+    Object.keys(values).forEach(function (name) {
+        if (!SETTINGS[name]) {
+            throw new Error("Unknown setting " + JSON.stringify(name) + " in config file " + file);
+        }
+    });
+    return values;
+}
+
+/**
+ * Read an environment variable of a setting, trying each of its names in turn
+ */
+function readEnvSetting(name, env) {
+    var names = [].concat(SETTINGS[name].env);
+    for (var i = 0; i < names.length; i++) {
+        if (env[names[i]] !== undefined && env[names[i]] !== "") {
+            return { value: env[names[i]], source: "environment variable " + names[i] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the server configuration from command-line arguments, the environment and the config file
+ */
+function loadConfig(argv, env, cwd) {
+    env = env || {};
+    cwd = cwd || process.cwd();
+
+    var args = parseArgs(argv || []);
+    var configFile = args.config || env.PEF_CONFIG;
+    var fileValues = configFile ?
+        readConfigFile(path.resolve(cwd, configFile), true) :
+        readConfigFile(path.join(cwd, DEFAULT_CONFIG_FILE), false);
+    var fileDir = configFile ? path.dirname(path.resolve(cwd, configFile)) : cwd;
+
+    var config = { help: args.help };
+    Object.keys(SETTINGS).forEach(function (name) {
+        var envValue = readEnvSetting(name, env);
+
+        // Relative paths are relative to where they were given; defaults to the project
+        if (args.settings[name] !== undefined) {
+            config[name] = convertSetting(name, args.settings[name], "option " + SETTINGS[name].flag, cwd);
+        } else if (envValue) {
+            config[name] = convertSetting(name, envValue.value, envValue.source, cwd);
+        } else if (fileValues[name] !== undefined) {
+            config[name] = convertSetting(name, fileValues[name], "config file", fileDir);
+        } else {
+            config[name] = convertSetting(name, SETTINGS[name].default, "defaults", PROJECT_DIR);
+        }
+    });
+
+    if (Boolean(config.cert) !== Boolean(config.key)) {
+        throw new Error("Set both cert and key to use your own certificate, or neither to use a generated one");
+    }
+
+    // Port 0 picks a free port, so it can be given for both
+    if (config.http && config.httpPort !== 0 && config.httpPort === config.httpsPort) {
+        throw new Error("HTTP and HTTPS cannot both use port " + config.httpPort);
+    }
+
+    return config;
+}
+
+/**
+ * Text printed by --help
+ */
+function getUsage() {
+    var lines = [
+        "Usage: node server.js [options]",
+        "",
+        "Options (environment variable in brackets):",
+        "  " + "--config <file>".padEnd(28) + "JSON config file [PEF_CONFIG] (default: ./" + DEFAULT_CONFIG_FILE + " if present)"
+    ];
+
+    Object.keys(SETTINGS).forEach(function (name) {
+        var setting = SETTINGS[name];
+        var flag = setting.flag + (setting.type === "boolean" ? "" : " <" + setting.type + ">");
+        var defaultValue = setting.default === null || setting.description.indexOf("(default") !== -1 ?
+            "" : " (default: " + setting.default + ")";
+        lines.push("  " + flag.padEnd(28) + setting.description + " [" + [].concat(setting.env).join(", ") + "]" +
+            (setting.type === "boolean" ? "" : defaultValue));
+    });
+
+    lines.push("  " + "--help".padEnd(28) + "Show this help");
+    return lines.join("\n");
+}
+
+module.exports = {
+    SETTINGS: SETTINGS,
+    getUsage: getUsage,
+    loadConfig: loadConfig,
+    parseArgs: parseArgs
+};
@@ -0,0 +1,412 @@
+// Contact directory and REST API standing in for a CRM's contacts.
+// Contacts are kept in a JSON file, seeded from data/contacts.json the first
+// time, and are returned in the embeddable framework's frameworkcontacts
+// format ({type, name, phone: [{number, label}], email}) plus their id and company.
+// Phone numbers are stored in E.164 (+<country code><number>).
+//
+//   GET    /api/contacts          every contact, by name
+//   GET    /api/contacts?q=<text> contacts matching a name, company, phone number or email, best first
+//   GET    /api/contacts/<id>     one contact
+//   POST   /api/contacts          create a contact
+//   PUT    /api/contacts/<id>     replace a contact
+//   DELETE /api/contacts/<id>     delete a contact
+
+var crypto = require("crypto");
+var express = require('express');
+var jsonFile = require('./jsonFile');
+
+var readJsonFile = jsonFile.readJsonFile;
+var writeJsonFile = jsonFile.writeJsonFile;
+
+var MAX_SEARCH_RESULTS = 10;
+var E164 = /^\+[1-9]\d{6,14}$/;
+
+/**
+ * Convert a phone number to E.164, or return null if it is not one.
+ * Numbers without a country code are taken to be North American.
+ */
+function toE164(number) {
+    var text = String(number === undefined || number === null ? "" : number).trim();
+    if (!/^[\d\s()+\-.]+$/.test(text)) {
+        return null;
+    }
+
+    var digits = text.replace(/\D/g, "");
+    var e164;
+    if (text.charAt(0) === "+") {
+        e164 = "+" + digits;
+    } else if (digits.indexOf("00") === 0) {
+        e164 = "+" + digits.slice(2);
+    } else if (digits.length === 10) {
+        e164 = "+1" + digits;
+    } else if (digits.length === 11 && digits.charAt(0) === "1") {
+        e164 = "+" + digits;
+    } else {
+        return null;
+    }
+    return E164.test(e164) ? e164 : null;
+}
+
+/**
+ * Describe what is wrong with a contact, or return null if it is valid
+ */
+function validateContact(contact) {
+    if (!contact || typeof contact !== "object" || Array.isArray(contact)) {
+        return "A contact must be an object";
+    }
+    if (typeof contact.name !== "string" || contact.name.trim() === "") {
+        return "name must be a non-empty string";
+    }
+
+    var strings = ["type", "company", "email"];
+    for (var i = 0; i < strings.length; i++) {
+        if (contact[strings[i]] !== undefined && contact[strings[i]] !== null && typeof contact[strings[i]] !== "string") {
+            return strings[i] + " must be a string";
+        }
+    }
+    if (contact.email && !/^[^\s@]+@[^\s@]+$/.test(contact.email.trim())) {
+        return "email " + JSON.stringify(contact.email) + " is not an email address";
+    }
+
+    if (contact.phone !== undefined && !Array.isArray(contact.phone)) {
+        return "phone must be a list of {number, label}";
+    }
+    var phones = contact.phone || [];
+    for (var j = 0; j < phones.length; j++) {
+        if (!phones[j] || typeof phones[j] !== "object") {
+            return "phone[" + j + "] must be {number, label}";
+        }
+        if (!toE164(phones[j].number)) {
+            return "phone[" + j + "].number " + JSON.stringify(phones[j].number) + " is not a phone number";
+        }
+        if (phones[j].label !== undefined && typeof phones[j].label !== "string") {
+            return "phone[" + j + "].label must be a string";
+        }
+    }
+    return null;
+}
+
+/**
+ * Copy the fields of a valid contact, with its phone numbers in E.164
+ */
+function normalizeContact(contact, id) {
+    var normalized = {
+        id: id,
+        type: (contact.type || "").trim() || "external",
+        name: contact.name.trim(),
+        phone: (contact.phone || []).map(function (phone) {
+            var entry = { number: toE164(phone.number) };
+            if (phone.label) {
+                entry.label = phone.label.trim();
+            }
+            return entry;
+        })
+    };
+    if (contact.company && contact.company.trim()) {
+        normalized.company = contact.company.trim();
+    }
+    if (contact.email && contact.email.trim()) {
+        normalized.email = contact.email.trim();
+    }
+    return normalized;
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+    var previous = [];
+    for (var j = 0; j <= b.length; j++) {
+        previous.push(j);
+    }
+
+    for (var i = 1; i <= a.length; i++) {
+        var current = [i];
+        for (var k = 1; k <= b.length; k++) {
+            var cost = a.charAt(i - 1) === b.charAt(k - 1) ? 0 : 1;
+            current.push(Math.min(previous[k] + 1, current[k - 1] + 1, previous[k - 1] + cost));
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Split a name into lower-case words without punctuation
+ */
+function tokenize(text) {
+    return String(text || "").toLowerCase().replace(/[^a-z0-9\s]/g, "").split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Score how well a search word matches a word of a name; 0 means no match
+ */
+function scoreToken(searchToken, token) {
+    if (token === searchToken) return 3;
+    if (token.indexOf(searchToken) === 0) return 2;
+
+    // Allow one typo in short words and two in longer ones
+    var allowedEdits = searchToken.length >= 6 ? 2 : 1;
+    if (searchToken.length >= 3 && editDistance(searchToken, token.substring(0, searchToken.length)) <= allowedEdits) {
+        return 1;
+    }
+    return 0;
+}
+
+/**
+ * Score a name or company against a search; every search word has to match one of its words
+ */
+function scoreWords(text, searchTokens) {
+    var tokens = tokenize(text);
+    var total = 0;
+    for (var i = 0; i < searchTokens.length; i++) {
+        var best = Math.max.apply(null, tokens.map(function (token) {
+            return scoreToken(searchTokens[i], token);
+        }).concat(0));
+        if (best === 0) return 0;
+        total += best;
+    }
+    return total;
+}
+
+/**
+ * Digits of a number to compare, without the North American country code
+ */
+function phoneDigits(number) {
+    var digits = String(number || "").replace(/\D/g, "");
+    return digits.length === 11 && digits.charAt(0) === "1" ? digits.substring(1) : digits;
+}
+
+/**
+ * Score a contact against a search string; 0 means no match
+ */
+function scoreContact(contact, search) {
+    var isPhoneSearch = /^[\d\s()+\-.]+$/.test(search) && search.replace(/\D/g, "").length >= 3;
+    var score = 0;
+
+    if (isPhoneSearch) {
+        var e164 = toE164(search);
+        var digits = phoneDigits(search);
+        contact.phone.forEach(function (phone) {
+            if (phone.number === e164) {
+                score = Math.max(score, 3);
+            } else if (phoneDigits(phone.number).indexOf(digits) !== -1) {
+                score = Math.max(score, 1);
+            }
+        });
+    } else {
+        var searchTokens = tokenize(search);
+        if (searchTokens.length > 0) {
+            // A name match ranks above a company match
+            score = Math.max(scoreWords(contact.name, searchTokens) * 2, scoreWords(contact.company, searchTokens));
+        }
+    }
+
+    if (!score && contact.email && contact.email.toLowerCase().indexOf(search.toLowerCase()) !== -1) {
+        score = 1;
+    }
+    return score;
+}
+
+/**
+ * New contact id
+ */
+function createContactId() {
+    return "C-" + crypto.randomBytes(6).toString("hex");
+}
+
+/**
+ * Store of contacts in a JSON file, seeded from seedFile when the file does not exist yet
+ */
+function createContactStore(file, seedFile) {
+    var contacts = null;
+
+    function save() {
+        writeJsonFile(file, contacts);
+    }
+
+    function load() {
+        if (contacts) {
+            return contacts;
+        }
+
+        contacts = readJsonFile(file, "contacts");
+        if (!contacts) {
+            var seed = seedFile ? readJsonFile(seedFile, "seed contacts") || [] : [];
+            contacts = seed.map(function (contact, index) {
+                var invalid = validateContact(contact);
+                if (invalid) {
+                    throw new Error("Seed contact " + index + " in " + seedFile + " is invalid: " + invalid);
+                }
+                return normalizeContact(contact, createContactId());
+            });
+            save();
+        }
+        return contacts;
+    }
+
+    function indexOf(id) {
+        return load().findIndex(function (contact) {
+            return contact.id === id;
+        });
+    }
+
+    return {
+        file: file,
+
+        /**
+         * Every contact, by name
+         */
+        list: function () {
+            return load().slice().sort(function (a, b) {
+                return a.name.localeCompare(b.name);
+            });
+        },
+
+        /**
+         * Contacts matching a search string, best match first
+         */
+        search: function (searchString, limit) {
+            var search = String(searchString || "").trim();
+            if (!search) return [];
+
+            return load()
+                .map(function (contact) {
+                    return { contact: contact, score: scoreContact(contact, search) };
+                })
+                .filter(function (match) {
+                    return match.score > 0;
+                })
+                .sort(function (a, b) {
+                    return b.score - a.score || a.contact.name.localeCompare(b.contact.name);
+                })
+                .slice(0, limit || MAX_SEARCH_RESULTS)
+                .map(function (match) {
+                    return match.contact;
+                });
+        },
+
+        /**
+         * A contact by id, or null
+         */
+        get: function (id) {
+            var index = indexOf(id);
+            return index === -1 ? null : contacts[index];
+        },
+
+        /**
+         * Add a valid contact and return it
+         */
+        create: function (contact) {
+            var created = normalizeContact(contact, createContactId());
+            load().push(created);
+            save();
+            return created;
+        },
+
+        /**
+         * Replace a contact with a valid one, returning it, or null if there is no such contact
+         */
+        replace: function (id, contact) {
+            var index = indexOf(id);
+            if (index === -1) return null;
+
+            contacts[index] = normalizeContact(contact, id);
+            save();
+            return contacts[index];
+        },
+
+        /**
+         * Delete a contact, returning whether it existed
+         */
+        remove: function (id) {
+            var index = indexOf(id);
+            if (index === -1) return false;
+
+            contacts.splice(index, 1);
+            save();
+            return true;
+        }
+    };
+}
+
+/**
+ * Router exposing a contact store
+ */
+function createContactRouter(store) {
+    var router = express.Router();
+    router.use(express.json());
+
+    function notFound(res, id) {
+        res.status(404).json({ error: "No contact with id " + id });
+    }
+
+    router.get('/', function (req, res) {
+        if (req.query.q === undefined) {
+            return res.json(store.list());
+        }
+
+        var limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+        if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+            return res.status(400).json({ error: "limit must be a positive whole number" });
+        }
+        res.json(store.search(String(req.query.q), limit));
+    });
+
+    router.get('/:id', function (req, res) {
+        var contact = store.get(req.params.id);
+        if (!contact) {
+            return notFound(res, req.params.id);
+        }
+        res.json(contact);
+    });
+
+    router.post('/', function (req, res) {
+        var invalid = validateContact(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        var contact = store.create(req.body);
+        res.status(201).location(req.baseUrl + "/" + contact.id).json(contact);
+    });
+
+    router.put('/:id', function (req, res) {
+        var invalid = validateContact(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        var contact = store.replace(req.params.id, req.body);
+        if (!contact) {
+            return notFound(res, req.params.id);
+        }
+        res.json(contact);
+    });
+
+    router.delete('/:id', function (req, res) {
+        if (!store.remove(req.params.id)) {
+            return notFound(res, req.params.id);
+        }
+        res.status(204).end();
+    });
+
+    // Malformed JSON bodies and store failures are answered in JSON too
+    router.use(function (err, req, res, next) {
+        if (err.type === "entity.parse.failed") {
+            return res.status(400).json({ error: "Request body is not valid JSON" });
+        }
+        console.error("Contacts API error:", err.message);
+        res.status(500).json({ error: err.message });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createContactRouter: createContactRouter,
+    createContactStore: createContactStore,
+    toE164: toE164,
+    validateContact: validateContact
+};
@@ -0,0 +1,520 @@
+// WebSocket relay for the bridge messages of example pages, at /api/relay.
+// Every example page connects as an agent and streams each message it exchanges
+// with its softphone. Other clients connect to watch them, and backends can also
+// send commands (clickToDial, updateUserStatus, ...) to one agent's softphone.
+//
+// Connect to /api/relay?role=<role>, where role is:
+//  - agent&agent=<id>&token=<token>: an example page. Only pages served by this server
+//    may connect. With a configured relay token they present it; without one, only pages
+//    on this machine may connect, with the agent token served with their example.html.
+//    An agent id belongs to the token it first connected with: only that token may
+//    connect as it again, e.g. to replace the connection of a page that was reloaded.
+//  - subscriber: receives events, optionally only of one agent (&agent=<id>) or some
+//    message types (&types=screenPop,processCallLog)
+//  - backend: a subscriber that may send commands too
+// Subscribers and backends present the relay token as "Authorization: Bearer <token>"
+// or &token=<token>. Without a configured token, only local connections are accepted.
+//
+// Every message is JSON with a "kind":
+//  - to everyone, on connecting: {kind: "welcome", role, agents}
+//  - from agents: {kind: "event", direction, envelope}, relayed to subscribers as
+//    {kind: "event", agent, direction, envelope, relayed}
+//  - to subscribers: {kind: "agentConnected" | "agentDisconnected", agent}
+//  - from backends: {kind: "command", id, agent, type, data}, answered with
+//    {kind: "commandResult", id, agent, ok, result | error: {code, message}}
+//  - to anyone who sent something the relay could not use: {kind: "error", error: {code, message}}
+
+var crypto = require("crypto");
+var http = require("http");
+var WebSocket = require("ws");
+
+var RELAY_PATH = "/api/relay";
+var AGENT_ID = /^[\w.@-]{1,100}$/;
+var DEFAULT_COMMAND_TIMEOUT = 30000;
+var HEARTBEAT_INTERVAL = 30000;
+// Sent to clients when the server shuts down
+var GOING_AWAY = 1001;
+// Sent to an agent's old connection when the same agent connects again
+var REPLACED = 4000;
+// Agent ids whose tokens are remembered, the oldest disconnected ones are forgotten first
+var MAX_AGENT_CREDENTIALS = 10000;
+
+/**
+ * Compare tokens without leaking how much of them matched
+ */
+function tokensMatch(expected, actual) {
+    var a = crypto.createHash("sha256").update(String(expected)).digest();
+    var b = crypto.createHash("sha256").update(String(actual)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Hash of a token, to remember which one an agent connected with
+ */
+function hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Token a client presents, as "Authorization: Bearer <token>" or &token=<token>
+ */
+function presentedToken(req, query) {
+    var header = req.headers.authorization || "";
+    return header.indexOf("Bearer ") === 0 ? header.slice(7) : query.get("token");
+}
+
+/**
+ * Whether a request comes from this machine
+ */
+function isLocalRequest(req) {
+    var address = req.socket.remoteAddress || "";
+    return address === "127.0.0.1" || address === "::1" || address === "::ffff:127.0.0.1";
+}
+
+/**
+ * Whether an agent's page was served by this server
+ */
+function isSameOrigin(req) {
+    try {
+        return new URL(req.headers.origin).host === req.headers.host;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Why a client may not use what the relay token guards, or null if it may: it must
+ * present the token, or without a configured token, come from this machine
+ */
+function checkRelayToken(req, query, expected) {
+    if (expected) {
+        var token = presentedToken(req, query);
+        if (!token || !tokensMatch(expected, token)) {
+            return { status: 401, message: "A valid relay token is required" };
+        }
+    } else if (!isLocalRequest(req)) {
+        return { status: 403, message: "Set a relay token to accept connections from other machines" };
+    }
+    return null;
+}
+
+/**
+ * Express middleware only letting through the clients the relay accepts subscribers and backends from
+ */
+function requireRelayToken(expected) {
+    return function (req, res, next) {
+        var refused = checkRelayToken(req, new URL(req.originalUrl, "http://localhost").searchParams, expected);
+        if (refused) {
+            return res.status(refused.status).json({ error: refused.message });
+        }
+        next();
+    };
+}
+
+/**
+ * Refuse an upgrade request with an HTTP status
+ */
+function refuseUpgrade(socket, status, message) {
+    socket.end("HTTP/1.1 " + status + " " + http.STATUS_CODES[status] + "\r\n" +
+        "Content-Type: text/plain\r\nConnection: close\r\nContent-Length: " + Buffer.byteLength(message) + "\r\n\r\n" + message);
+}
+
+/**
+ * Send a message to a client if it is still connected
+ */
+function send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Log an error of the handler of relayed events
+ */
+function logEventHandlerError(err) {
+    console.error("Event relay onEvent handler failed:", err.message);
+}
+
+/**
+ * Answer a backend's command with a failure
+ */
+function failCommand(socket, id, agent, code, message) {
+    send(socket, { kind: "commandResult", id: id, agent: agent, ok: false, error: { code: code, message: message } });
+}
+
+/**
+ * Create a relay. options.token is the token subscribers and backends present;
+ * options.commandTimeout is how long a command may wait for the agent's result;
+ * options.onEvent(event) is called with every event the agents that presented the relay
+ * token or connected from this machine send, as relayed, e.g. to deliver webhooks.
+ * Pass relay.handleUpgrade to the "upgrade" event of the HTTP and HTTPS servers.
+ */
+function createEventRelay(options) {
+    options = options || {};
+    var commandTimeout = options.commandTimeout || DEFAULT_COMMAND_TIMEOUT;
+    var wss = new WebSocket.Server({ noServer: true, maxPayload: 1024 * 1024 });
+
+    var agents = new Map();
+    var subscribers = new Set();
+    // Commands waiting for an agent's result, keyed by the id the relay gave them
+    var pendingCommands = new Map();
+    var commandSequence = 0;
+    // Hash of the token each agent id connected with, oldest first
+    var agentCredentials = new Map();
+    // Signs the agent tokens served with example.html, which are valid until the server restarts
+    var agentTokenSecret = crypto.randomBytes(32);
+
+    /**
+     * Signature of an agent token
+     */
+    function signAgentToken(nonce) {
+        return crypto.createHmac("sha256", agentTokenSecret).update(nonce).digest("base64url");
+    }
+
+    /**
+     * Whether a token is one this relay issued to a page
+     */
+    function isAgentToken(token) {
+        var parts = String(token).split(".");
+        return parts.length === 2 && tokensMatch(signAgentToken(parts[0]), parts[1]);
+    }
+
+    /**
+     * Remember the token an agent id connected with, forgetting the oldest
+     * disconnected agents once there are too many
+     */
+    function rememberAgentCredential(agent, credential) {
+        agentCredentials.delete(agent);
+        agentCredentials.set(agent, credential);
+
+        var excess = agentCredentials.size - MAX_AGENT_CREDENTIALS;
+        agentCredentials.forEach(function (hash, id) {
+            if (excess > 0 && !agents.has(id)) {
+                agentCredentials.delete(id);
+                excess--;
+            }
+        });
+    }
+
+    /**
+     * Work out who is connecting, or why they may not
+     */
+    function authorize(req, query) {
+        var role = query.get("role");
+
+        if (role === "agent") {
+            if (!isSameOrigin(req)) {
+                return { status: 403, message: "Agents must be example pages served by this server" };
+            }
+            var agent = query.get("agent") || "";
+            if (!AGENT_ID.test(agent)) {
+                return { status: 400, message: "Agents need an id of letters, digits, '.', '@', '_' or '-'" };
+            }
+
+            var agentToken = presentedToken(req, query);
+            if (options.token) {
+                if (!agentToken || !tokensMatch(options.token, agentToken)) {
+                    return { status: 401, message: "A valid relay token is required" };
+                }
+            } else if (!isLocalRequest(req)) {
+                return { status: 403, message: "Set a relay token to accept agents from other machines" };
+            } else if (!agentToken || !isAgentToken(agentToken)) {
+                return { status: 401, message: "Agents need the token served with example.html" };
+            }
+            var credential = hashToken(agentToken);
+            if (agentCredentials.has(agent) && agentCredentials.get(agent) !== credential) {
+                return { status: 409, message: "Agent " + agent + " belongs to another page" };
+            }
+            // Claimed before the handshake, so two pages connecting at once cannot both get it
+            rememberAgentCredential(agent, credential);
+            // Webhook receivers trust what the server sends them, so only agents presenting the
+            // relay token or on this machine may have their events passed on to onEvent
+            return { role: role, agent: agent, trusted: Boolean(options.token) || isLocalRequest(req) };
+        }
+
+        if (role !== "subscriber" && role !== "backend") {
+            return { status: 400, message: "role must be agent, subscriber or backend" };
+        }
+
+        var refused = checkRelayToken(req, query, options.token);
+        if (refused) {
+            return refused;
+        }
+
+        var types = query.get("types");
+        return {
+            role: role,
+            filter: {
+                agent: query.get("agent") || null,
+                types: types ? types.split(",").map(function (type) { return type.trim(); }).filter(Boolean) : null
+            }
+        };
+    }
+
+    /**
+     * Pass an agent's bridge message to the subscribers that want it
+     */
+    function relayEvent(client, message) {
+        var agent = client.agent;
+        if (!message.envelope || typeof message.envelope !== "object") {
+            return;
+        }
+
+        var event = {
+            kind: "event",
+            agent: agent,
+            direction: message.direction === "outbound" ? "outbound" : "inbound",
+            envelope: message.envelope,
+            relayed: new Date().toISOString()
+        };
+        subscribers.forEach(function (subscriber) {
+            var filter = subscriber.client.filter;
+            if ((!filter.agent || filter.agent === agent) &&
+                (!filter.types || filter.types.indexOf(message.envelope.type) !== -1)) {
+                send(subscriber, event);
+            }
+        });
+
+        if (options.onEvent && client.trusted) {
+            // A failing handler must not take the relay down, it runs in a socket's message listener
+            try {
+                Promise.resolve(options.onEvent(event)).catch(logEventHandlerError);
+            } catch (e) {
+                logEventHandlerError(e);
+            }
+        }
+    }
+
+    /**
+     * Tell the subscribers about an agent coming or going
+     */
+    function announceAgent(kind, agent) {
+        subscribers.forEach(function (subscriber) {
+            send(subscriber, { kind: kind, agent: agent });
+        });
+    }
+
+    /**
+     * Settle a pending command and forward the outcome to the backend that sent it
+     */
+    function settleCommand(relayId, outcome) {
+        var pending = pendingCommands.get(relayId);
+        if (!pending) {
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        pendingCommands.delete(relayId);
+        send(pending.backend, Object.assign({ kind: "commandResult", id: pending.id, agent: pending.agent }, outcome));
+    }
+
+    /**
+     * Forward a backend's command to the agent it is for
+     */
+    function relayCommand(backend, message) {
+        if (typeof message.id !== "string" || typeof message.agent !== "string" || typeof message.type !== "string") {
+            return send(backend, {
+                kind: "error",
+                error: { code: "INVALID_MESSAGE", message: "A command needs a string id, agent and type" }
+            });
+        }
+
+        var agentSocket = agents.get(message.agent);
+        if (!agentSocket) {
+            return failCommand(backend, message.id, message.agent, "AGENT_NOT_CONNECTED", "Agent " + message.agent + " is not connected");
+        }
+
+        var relayId = "relay-" + (++commandSequence);
+        pendingCommands.set(relayId, {
+            id: message.id,
+            agent: message.agent,
+            backend: backend,
+            timer: setTimeout(function () {
+                settleCommand(relayId, {
+                    ok: false,
+                    error: { code: "TIMEOUT", message: message.type + " got no result within " + commandTimeout + "ms" }
+                });
+            }, commandTimeout)
+        });
+        send(agentSocket, { kind: "command", id: relayId, type: message.type, data: message.data });
+    }
+
+    /**
+     * Handle a message from a connected client
+     */
+    function handleMessage(socket, raw) {
+        var message;
+        try {
+            message = JSON.parse(raw);
+        } catch (e) {
+            return send(socket, { kind: "error", error: { code: "INVALID_MESSAGE", message: "Messages must be JSON" } });
+        }
+        message = message || {};
+
+        var client = socket.client;
+        if (client.role === "agent" && message.kind === "event") {
+            relayEvent(client, message);
+        } else if (client.role === "agent" && message.kind === "commandResult") {
+            var pending = pendingCommands.get(message.id);
+            // Only the agent a command went to may settle it
+            if (pending && pending.agent === client.agent) {
+                settleCommand(message.id, message.ok ?
+                    { ok: true, result: message.result === undefined ? null : message.result } :
+                    { ok: false, error: message.error || { code: "COMMAND_FAILED", message: "The command failed" } });
+            }
+        } else if (client.role === "backend" && message.kind === "command") {
+            relayCommand(socket, message);
+        } else {
+            send(socket, {
+                kind: "error",
+                error: { code: "UNSUPPORTED", message: "A " + client.role + " cannot send " + JSON.stringify(message.kind) + " messages" }
+            });
+        }
+    }
+
+    /**
+     * Forget a client that disconnected
+     */
+    function handleClose(socket) {
+        var client = socket.client;
+        if (client.role !== "agent") {
+            subscribers.delete(socket);
+            return;
+        }
+
+        // A replaced connection no longer speaks for its agent
+        if (agents.get(client.agent) !== socket) {
+            return;
+        }
+
+        agents.delete(client.agent);
+        pendingCommands.forEach(function (pending, relayId) {
+            if (pending.agent === client.agent) {
+                settleCommand(relayId, {
+                    ok: false,
+                    error: { code: "AGENT_DISCONNECTED", message: "Agent " + client.agent + " disconnected before answering" }
+                });
+            }
+        });
+        announceAgent("agentDisconnected", client.agent);
+    }
+
+    wss.on("connection", function (socket, req, client) {
+        socket.client = client;
+        socket.isAlive = true;
+        socket.on("pong", function () {
+            socket.isAlive = true;
+        });
+
+        if (client.role === "agent") {
+            var previous = agents.get(client.agent);
+            agents.set(client.agent, socket);
+            if (previous) {
+                previous.close(REPLACED, "Replaced by a new connection");
+            } else {
+                announceAgent("agentConnected", client.agent);
+            }
+        } else {
+            subscribers.add(socket);
+        }
+
+        socket.on("message", function (data) {
+            handleMessage(socket, data.toString());
+        });
+        socket.on("close", function () {
+            handleClose(socket);
+        });
+        socket.on("error", function (err) {
+            console.error("Event relay connection error:", err.message);
+        });
+
+        send(socket, { kind: "welcome", role: client.role, agents: Array.from(agents.keys()) });
+    });
+
+    // Drop connections that stopped answering pings, e.g. after a network change
+    var heartbeat = setInterval(function () {
+        wss.clients.forEach(function (socket) {
+            if (!socket.isAlive) {
+                socket.terminate();
+                return;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }, HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+
+    return {
+        /**
+         * Accept WebSocket connections to the relay path, leaving other upgrades alone
+         */
+        handleUpgrade: function (req, socket, head) {
+            var url = new URL(req.url, "http://localhost");
+            if (url.pathname !== RELAY_PATH) {
+                return refuseUpgrade(socket, 404, "Not Found");
+            }
+
+            var client = authorize(req, url.searchParams);
+            if (client.status) {
+                return refuseUpgrade(socket, client.status, client.message);
+            }
+
+            wss.handleUpgrade(req, socket, head, function (ws) {
+                wss.emit("connection", ws, req, client);
+            });
+        },
+
+        /**
+         * Issue a token the example page a request loads connects as an agent with, or null
+         * when it may not have one: with a relay token pages present that instead, and
+         * without one only pages on this machine may connect
+         */
+        issueAgentToken: function (req) {
+            if (options.token || !isLocalRequest(req)) {
+                return null;
+            }
+            var nonce = crypto.randomBytes(16).toString("base64url");
+            return nonce + "." + signAgentToken(nonce);
+        },
+
+        /**
+         * Ids of the connected agents
+         */
+        getAgents: function () {
+            return Array.from(agents.keys());
+        },
+
+        /**
+         * Disconnect every client, dropping those that do not close within the timeout
+         */
+        close: function (timeout) {
+            clearInterval(heartbeat);
+            pendingCommands.forEach(function (pending) {
+                clearTimeout(pending.timer);
+            });
+            pendingCommands.clear();
+
+            wss.clients.forEach(function (socket) {
+                socket.close(GOING_AWAY, "Server shutting down");
+            });
+            var timer = setTimeout(function () {
+                wss.clients.forEach(function (socket) {
+                    socket.terminate();
+                });
+            }, timeout === undefined ? 1000 : timeout);
+
+            return new Promise(function (resolve) {
+                wss.close(function () {
+                    clearTimeout(timer);
+                    resolve();
+                });
+            });
+        }
+    };
+}
+
+module.exports = {
+    RELAY_PATH: RELAY_PATH,
+    createEventRelay: createEventRelay,
+    requireRelayToken: requireRelayToken
+};
@@ -0,0 +1,42 @@
+// Reading and writing the JSON files the local APIs keep their records in.
+
+var fs = require("fs");
+var path = require("path");
+
+/**
+ * Read and parse a JSON file, returning null if it does not exist
+ */
+function readJsonFile(file, description) {
+    var content;
+    try {
+        content = fs.readFileSync(file, "utf8");
+    } catch (e) {
+        if (e.code === "ENOENT") {
+            return null;
+        }
+        throw new Error("Could not read " + description + " from " + file + ": " + e.message);
+    }
+
+    try {
+        return JSON.parse(content);
+    } catch (e) {
+        throw new Error(description.charAt(0).toUpperCase() + description.slice(1) + " file " + file +
+            " is not valid JSON: " + e.message);
+    }
+}
+
+/**
+ * Write a value as JSON, creating the directory if needed.
+ * A copy is written and renamed over the file, so a crash never leaves half a file.
+ */
+function writeJsonFile(file, value) {
+    var temporary = file + ".tmp";
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(temporary, JSON.stringify(value, null, 2) + "\n");
+    fs.renameSync(temporary, file);
+}
+
+module.exports = {
+    readJsonFile: readJsonFile,
+    writeJsonFile: writeJsonFile
+};
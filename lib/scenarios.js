@@ -0,0 +1,95 @@
+// Serves the interaction scenarios replayed by the example page's scenario runner.
+// Each scenario is a JSON file in the scenarios directory, named after the scenario.
+
+var fs = require("fs");
+var path = require("path");
+var express = require('express');
+
+var SCENARIO_NAME = /^[\w-]+$/;
+
+/**
+ * Read and parse one scenario file, which must hold a JSON object
+ */
+function readScenario(directory, file, callback) {
+    fs.readFile(path.join(directory, file), "utf8", function (err, content) {
+        if (err) {
+            return callback(err);
+        }
+
+        var scenario;
+        try {
+            scenario = JSON.parse(content);
+        } catch (e) {
+            return callback(new Error("Scenario " + file + " is not valid JSON: " + e.message));
+        }
+        if (!scenario || typeof scenario !== "object" || Array.isArray(scenario)) {
+            return callback(new Error("Scenario " + file + " must hold a JSON object"));
+        }
+        callback(null, scenario);
+    });
+}
+
+/**
+ * Router listing the scenarios in a directory and returning them by name
+ */
+function createScenarioRouter(directory) {
+    var router = express.Router();
+
+    router.get('/', function (req, res) {
+        fs.readdir(directory, function (err, files) {
+            if (err) {
+                console.error("Could not list scenarios:", err.message);
+                return res.json([]);
+            }
+
+            var names = files.filter(function (file) {
+                return path.extname(file) === ".json";
+            }).sort();
+
+            var scenarios = [];
+            var remaining = names.length;
+            if (remaining === 0) {
+                return res.json(scenarios);
+            }
+
+            names.forEach(function (file, index) {
+                readScenario(directory, file, function (err, scenario) {
+                    if (err) {
+                        console.error(err.message);
+                    } else {
+                        scenarios[index] = {
+                            name: path.basename(file, ".json"),
+                            description: scenario.description || ""
+                        };
+                    }
+
+                    if (--remaining === 0) {
+                        res.json(scenarios.filter(Boolean));
+                    }
+                });
+            });
+        });
+    });
+
+    router.get('/:name', function (req, res) {
+        // Names map straight to files, so never let one leave the directory
+        if (!SCENARIO_NAME.test(req.params.name)) {
+            return res.status(400).json({ error: "Invalid scenario name" });
+        }
+
+        readScenario(directory, req.params.name + ".json", function (err, scenario) {
+            if (err) {
+                if (err.code === "ENOENT") {
+                    return res.status(404).json({ error: "No scenario named " + req.params.name });
+                }
+                return res.status(500).json({ error: err.message });
+            }
+            scenario.name = req.params.name;
+            res.json(scenario);
+        });
+    });
+
+    return router;
+}
+
+module.exports = createScenarioRouter;
@@ -0,0 +1,157 @@
+// Starts and stops the HTTP and HTTPS servers described by a configuration from lib/config.js.
+
+var fs = require("fs");
+var http = require("http");
+var https = require("https");
+var app = require('./app');
+
+/**
+ * Read a TLS file named by a setting, explaining which setting to fix when it cannot be read
+ */
+function readTlsFile(config, name, flag, optional) {
+    var file = config[name];
+    if (!file) {
+        if (optional) return undefined;
+        throw new Error("No " + name + " file configured, set it with " + flag);
+    }
+
+    try {
+        return fs.readFileSync(file);
+    } catch (e) {
+        if (optional && e.code === "ENOENT") {
+            return undefined;
+        }
+        throw new Error("Could not read the TLS " + name + " file " + file + " (" + e.code + "). " +
+            "Point " + flag + " at an existing file.");
+    }
+}
+
+/**
+ * Explain why a server could not listen on its port
+ */
+function describeListenError(err, name, port, host) {
+    var address = (host || "*") + ":" + port;
+    if (err.code === "EACCES") {
+        return "Not allowed to listen on " + address + " for " + name + ". Ports below 1024 need root; " +
+            "choose another port with --" + name + "-port.";
+    }
+    if (err.code === "EADDRINUSE") {
+        return "Port " + port + " is already in use, so " + name + " cannot listen on " + address + ". " +
+            "Stop the other server or choose another port with --" + name + "-port.";
+    }
+    if (err.code === "EADDRNOTAVAIL") {
+        return "Cannot bind " + name + " to " + address + ": the address is not on this machine. Check --host.";
+    }
+    return "Could not start " + name + " on " + address + ": " + err.message;
+}
+
+/**
+ * Start listening, resolving once the server is bound
+ */
+function listen(server, name, port, host) {
+    return new Promise(function (resolve, reject) {
+        server.once("error", function (err) {
+            reject(new Error(describeListenError(err, name, port, host)));
+        });
+        server.listen(port, host || undefined, function () {
+            resolve(server);
+        });
+    });
+}
+
+/**
+ * Close a server, dropping connections still open after the timeout
+ */
+function closeServer(server, timeout) {
+    return new Promise(function (resolve) {
+        if (!server.listening) {
+            resolve();
+            return;
+        }
+
+        var timer = setTimeout(function () {
+            server.closeAllConnections();
+        }, timeout);
+
+        server.close(function () {
+            clearTimeout(timer);
+            resolve();
+        });
+        server.closeIdleConnections();
+    });
+}
+
+/**
+ * Start the servers. Resolves with { https, http, relay, close(timeout) }; http is null when disabled.
+ */
+function startServer(config) {
+    var sslOptions;
+    try {
+        sslOptions = {
+            key: readTlsFile(config, "key", "--key"),
+            cert: readTlsFile(config, "cert", "--cert"),
+            ca: readTlsFile(config, "ca", "--ca", true),
+            requestCert: true,
+            rejectUnauthorized: false
+        };
+    } catch (e) {
+        return Promise.reject(e);
+    }
+
+    var application;
+    try {
+        application = app.createApp(config);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+
+    var httpsServer;
+    try {
+        httpsServer = https.createServer(sslOptions, application);
+    } catch (e) {
+        return Promise.reject(new Error("The TLS key or certificate is not valid: " + e.message));
+    }
+
+    // WebSocket connections are not HTTP requests, so the relay closes them itself
+    var relay = application.locals.relay;
+    httpsServer.on("upgrade", relay.handleUpgrade);
+
+    var running = {
+        https: httpsServer,
+        http: null,
+        relay: relay,
+        close: function (timeout) {
+            timeout = timeout === undefined ? config.shutdownTimeout : timeout;
+            return Promise.all([running.https, running.http].filter(Boolean).map(function (server) {
+                return closeServer(server, timeout);
+            }).concat(relay.close(Math.min(timeout, 1000)), application.locals.webhooks.close()));
+        }
+    };
+
+    return listen(httpsServer, "https", config.httpsPort, config.host)
+        .then(function () {
+            if (!config.http) {
+                return;
+            }
+
+            // Redirect to the port HTTPS actually got, which differs from the setting when it is 0
+            running.http = http.createServer(config.redirectHttp ?
+                app.createRedirectHandler(httpsServer.address().port) : application);
+            if (!config.redirectHttp) {
+                running.http.on("upgrade", relay.handleUpgrade);
+            }
+            return listen(running.http, "http", config.httpPort, config.host);
+        })
+        .then(function () {
+            return running;
+        }, function (err) {
+            // Don't leave the server that did start running
+            return running.close(0).then(function () {
+                throw err;
+            });
+        });
+}
+
+module.exports = {
+    startServer: startServer
+};
@@ -0,0 +1,589 @@
+// Outbound webhooks for the framework events that example pages report through the
+// event relay (lib/eventRelay.js). Webhooks are registered per event in a JSON file,
+// and each event is POSTed to the webhooks registered for it as JSON, signed with
+// the webhook's secret:
+//
+//   X-PEF-Event:      the event
+//   X-PEF-Delivery:   delivery id, the same on every attempt
+//   X-PEF-Timestamp:  Unix time in seconds of the attempt
+//   X-PEF-Signature:  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret>
+//
+// Network errors, timeouts, 408, 429 and 5xx answers are retried with exponential
+// backoff. Deliveries that still fail, or that the receiver refused with another
+// status, are appended to the dead-letter log, one JSON object per line.
+//
+// Events:
+//   screenPop       screenPop messages
+//   processCallLog  processCallLog messages
+//   interaction     interactionSubscription messages (add, change, connect, disconnect, acw, deallocate)
+//   userStatus      userActionSubscription messages about the agent's routing status or presence
+//   ping            only sent by POST /api/webhooks/<id>/ping, once and without retries
+//
+//   GET    /api/webhooks               every webhook, without its secret
+//   POST   /api/webhooks               register { url, events, secret?, description? }, answered with the secret
+//   GET    /api/webhooks/dead-letters  the most recent failed deliveries first (?limit=, default 100)
+//   GET    /api/webhooks/<id>
+//   PUT    /api/webhooks/<id>          replace { url, events, secret?, description? }, keeping the secret if left out
+//   DELETE /api/webhooks/<id>
+//   POST   /api/webhooks/<id>/ping     send the webhook a ping and answer with { delivered, status | error }
+//
+// Like subscribers of the event relay, API clients present the relay token as
+// "Authorization: Bearer <token>" or ?token=<token>; without one, only local requests are accepted.
+
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
+var express = require('express');
+var jsonFile = require('./jsonFile');
+
+var readJsonFile = jsonFile.readJsonFile;
+var writeJsonFile = jsonFile.writeJsonFile;
+
+var WEBHOOK_EVENTS = ["screenPop", "processCallLog", "interaction", "userStatus"];
+// userActionSubscription categories that are status changes
+var USER_STATUS_CATEGORIES = ["routingStatus", "presence"];
+var MIN_SECRET_LENGTH = 16;
+var DEFAULT_MAX_ATTEMPTS = 5;
+var DEFAULT_RETRY_DELAY = 1000;
+var DEFAULT_MAX_RETRY_DELAY = 60000;
+var DEFAULT_TIMEOUT = 10000;
+var DEFAULT_DEAD_LETTER_LIMIT = 100;
+
+/**
+ * New id, prefixed with what it identifies
+ */
+function createId(prefix) {
+    return prefix + "-" + Date.now().toString(36) + "-" + crypto.randomBytes(3).toString("hex");
+}
+
+/**
+ * Signature of a delivery body sent at a Unix time, as sent in X-PEF-Signature
+ */
+function signPayload(secret, timestamp, body) {
+    return "sha256=" + crypto.createHmac("sha256", secret).update(timestamp + "." + body).digest("hex");
+}
+
+/**
+ * Whether a delivery's signature is right and its timestamp is recent.
+ * Receivers use this to check deliveries came from this server.
+ */
+function verifySignature(secret, timestamp, body, signature, toleranceSeconds) {
+    var tolerance = toleranceSeconds === undefined ? 300 : toleranceSeconds;
+    if (!/^\d+$/.test(String(timestamp)) || Math.abs(Date.now() / 1000 - Number(timestamp)) > tolerance) {
+        return false;
+    }
+
+    var expected = Buffer.from(signPayload(secret, timestamp, body));
+    var actual = Buffer.from(String(signature || ""));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Webhook event of a bridge message an example page received, or null if webhooks ignore it
+ */
+function getWebhookEvent(envelope) {
+    var data = envelope.data || {};
+
+    switch (envelope.type) {
+        case "screenPop":
+        case "processCallLog":
+            return envelope.type;
+        case "interactionSubscription":
+            return "interaction";
+        case "userActionSubscription":
+            return USER_STATUS_CATEGORIES.indexOf(data.category) !== -1 ? "userStatus" : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Describe what is wrong with a webhook registration, or return null if it is valid
+ */
+function validateWebhook(body) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return "The webhook must be an object";
+    }
+
+    var url;
+    try {
+        url = new URL(body.url);
+    } catch (e) {
+        return "url must be an absolute http or https URL";
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+        return "url must be an absolute http or https URL";
+    }
+
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+        return "events must be a non-empty list of " + WEBHOOK_EVENTS.join(", ");
+    }
+    for (var i = 0; i < body.events.length; i++) {
+        if (WEBHOOK_EVENTS.indexOf(body.events[i]) === -1) {
+            return "events[" + i + "] " + JSON.stringify(body.events[i]) + " is not one of " + WEBHOOK_EVENTS.join(", ");
+        }
+    }
+
+    if (body.secret !== undefined && (typeof body.secret !== "string" || body.secret.length < MIN_SECRET_LENGTH)) {
+        return "secret must be a string of at least " + MIN_SECRET_LENGTH + " characters";
+    }
+    if (body.description !== undefined && typeof body.description !== "string") {
+        return "description must be a string";
+    }
+    return null;
+}
+
+/**
+ * A webhook as the API shows it, without its secret
+ */
+function toPublicWebhook(webhook) {
+    var shown = Object.assign({}, webhook);
+    delete shown.secret;
+    return shown;
+}
+
+/**
+ * Whether a record of the webhooks file has what deliveries need
+ */
+function isStoredWebhook(webhook) {
+    return Boolean(webhook) && typeof webhook === "object" && typeof webhook.id === "string" &&
+        typeof webhook.url === "string" && Array.isArray(webhook.events) && typeof webhook.secret === "string";
+}
+
+/**
+ * Store of webhook registrations in a JSON file, read on first use
+ */
+function createWebhookStore(file) {
+    var webhooks = null;
+
+    function load() {
+        if (!webhooks) {
+            var stored = readJsonFile(file, "webhooks") || [];
+            if (!Array.isArray(stored) || !stored.every(isStoredWebhook)) {
+                throw new Error("Webhooks file " + file + " must hold a list of webhooks with an id, url, events and secret");
+            }
+            webhooks = stored;
+        }
+        return webhooks;
+    }
+
+    function save() {
+        writeJsonFile(file, webhooks);
+    }
+
+    function index(id) {
+        return load().findIndex(function (webhook) {
+            return webhook.id === id;
+        });
+    }
+
+    /**
+     * Webhook record from a validated registration
+     */
+    function toWebhook(id, body, secret, created) {
+        var now = new Date().toISOString();
+        return {
+            id: id,
+            url: body.url,
+            events: body.events.filter(function (event, i) {
+                return body.events.indexOf(event) === i;
+            }),
+            description: body.description || "",
+            secret: body.secret || secret || crypto.randomBytes(24).toString("hex"),
+            created: created || now,
+            updated: now
+        };
+    }
+
+    return {
+        file: file,
+
+        /**
+         * Read the file now rather than on first use, throwing if it is not valid
+         */
+        load: function () {
+            load();
+        },
+
+        /**
+         * Every webhook, oldest first
+         */
+        list: function () {
+            return load().slice();
+        },
+
+        /**
+         * The webhooks registered for an event
+         */
+        forEvent: function (event) {
+            return load().filter(function (webhook) {
+                return webhook.events.indexOf(event) !== -1;
+            });
+        },
+
+        /**
+         * The webhook with an id, or null
+         */
+        get: function (id) {
+            var i = index(id);
+            return i === -1 ? null : webhooks[i];
+        },
+
+        /**
+         * Register a webhook, generating its id and, unless given, its secret
+         */
+        create: function (body) {
+            var webhook = toWebhook(createId("WH"), body);
+            load().push(webhook);
+            save();
+            return webhook;
+        },
+
+        /**
+         * Replace a webhook, returning null if there is none with that id
+         */
+        replace: function (id, body) {
+            var i = index(id);
+            if (i === -1) {
+                return null;
+            }
+            webhooks[i] = toWebhook(id, body, webhooks[i].secret, webhooks[i].created);
+            save();
+            return webhooks[i];
+        },
+
+        /**
+         * Remove a webhook, returning whether it existed
+         */
+        remove: function (id) {
+            var i = index(id);
+            if (i === -1) {
+                return false;
+            }
+            webhooks.splice(i, 1);
+            save();
+            return true;
+        }
+    };
+}
+
+/**
+ * Failed deliveries in a dead-letter log, most recent first.
+ * Lines that are not JSON, e.g. after a crash mid-write, are skipped.
+ */
+function readDeadLetters(file, limit) {
+    var content;
+    try {
+        content = fs.readFileSync(file, "utf8");
+    } catch (e) {
+        if (e.code === "ENOENT") {
+            return [];
+        }
+        throw new Error("Could not read the webhook dead-letter log " + file + ": " + e.message);
+    }
+
+    var letters = [];
+    content.split("\n").forEach(function (line) {
+        if (!line.trim()) return;
+        try {
+            letters.push(JSON.parse(line));
+        } catch (e) {
+            // Skipped, see above
+        }
+    });
+    return letters.reverse().slice(0, limit === undefined ? DEFAULT_DEAD_LETTER_LIMIT : limit);
+}
+
+/**
+ * Whether a failed attempt may succeed if tried again
+ */
+function isRetryable(status) {
+    return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Create the dispatcher delivering events to the webhooks of a store.
+ * options.deadLetterFile is the dead-letter log; options.maxAttempts, retryDelay
+ * (before the second attempt, doubling after each), maxRetryDelay and timeout
+ * (per attempt, in milliseconds) tune delivery; options.fetch replaces global fetch.
+ */
+function createWebhookDispatcher(store, options) {
+    options = options || {};
+    var maxAttempts = Math.max(1, options.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+    var retryDelay = options.retryDelay === undefined ? DEFAULT_RETRY_DELAY : options.retryDelay;
+    var maxRetryDelay = options.maxRetryDelay === undefined ? DEFAULT_MAX_RETRY_DELAY : options.maxRetryDelay;
+    var timeout = options.timeout || DEFAULT_TIMEOUT;
+    var send = options.fetch || fetch;
+
+    // Deliveries waiting to be retried, and attempts under way
+    var waiting = new Set();
+    var inFlight = new Set();
+    var closed = false;
+
+    /**
+     * Append a delivery that failed for good to the dead-letter log
+     */
+    function deadLetter(delivery, attempts, error) {
+        var letter = {
+            delivery: delivery.id,
+            webhook: delivery.webhook.id,
+            url: delivery.webhook.url,
+            event: delivery.payload.event,
+            attempts: attempts,
+            error: error,
+            failed: new Date().toISOString(),
+            payload: delivery.payload
+        };
+        console.error("Webhook " + delivery.webhook.id + " failed for good after " + attempts +
+            " attempt(s): " + error);
+
+        if (options.deadLetterFile) {
+            try {
+                fs.mkdirSync(path.dirname(options.deadLetterFile), { recursive: true });
+                fs.appendFileSync(options.deadLetterFile, JSON.stringify(letter) + "\n");
+            } catch (e) {
+                console.error("Could not write the webhook dead-letter log " + options.deadLetterFile + ": " + e.message);
+            }
+        }
+        return { delivered: false, attempts: attempts, error: error };
+    }
+
+    /**
+     * POST a delivery once, resolving with { status, error }; status is null when no answer came
+     */
+    function post(delivery) {
+        var body = JSON.stringify(delivery.payload);
+        var timestamp = String(Math.floor(Date.now() / 1000));
+
+        var request = send(delivery.webhook.url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "User-Agent": "pef-webhooks",
+                "X-PEF-Event": delivery.payload.event,
+                "X-PEF-Delivery": delivery.id,
+                "X-PEF-Timestamp": timestamp,
+                "X-PEF-Signature": signPayload(delivery.webhook.secret, timestamp, body)
+            },
+            body: body,
+            redirect: "manual",
+            signal: AbortSignal.timeout(timeout)
+        }).then(function (response) {
+            // Read the body so the connection can be reused
+            return response.text().catch(function () {}).then(function () {
+                return response.status >= 200 && response.status < 300 ?
+                    { status: response.status, error: null } :
+                    { status: response.status, error: "Answered " + response.status };
+            });
+        }, function (err) {
+            var reason = err.name === "TimeoutError" ? "No answer within " + timeout + "ms" : (err.cause || err).message;
+            return { status: null, error: reason };
+        });
+
+        inFlight.add(request);
+        return request.finally(function () {
+            inFlight.delete(request);
+        });
+    }
+
+    /**
+     * Deliver to one webhook, retrying with exponential backoff.
+     * Resolves with { delivered, attempts, status | error }.
+     */
+    function deliver(webhook, payload) {
+        var delivery = { id: payload.id, webhook: webhook, payload: payload };
+
+        function attempt(number) {
+            return post(delivery).then(function (outcome) {
+                if (!outcome.error) {
+                    return { delivered: true, attempts: number, status: outcome.status };
+                }
+                if (!isRetryable(outcome.status) || number >= maxAttempts || closed) {
+                    return deadLetter(delivery, number, outcome.error);
+                }
+
+                var delay = Math.min(retryDelay * Math.pow(2, number - 1), maxRetryDelay);
+                console.warn("Webhook " + webhook.id + " attempt " + number + " failed (" + outcome.error +
+                    "), retrying in " + delay + "ms");
+                return new Promise(function (resolve) {
+                    var retry = {
+                        timer: setTimeout(function () {
+                            waiting.delete(retry);
+                            resolve(attempt(number + 1));
+                        }, delay),
+                        // Called instead when the dispatcher closes before the retry
+                        abandon: function () {
+                            clearTimeout(retry.timer);
+                            resolve(deadLetter(delivery, number, outcome.error + ", then the server shut down"));
+                        }
+                    };
+                    waiting.add(retry);
+                });
+            });
+        }
+
+        return attempt(1);
+    }
+
+    /**
+     * Deliver an event to the webhooks registered for it.
+     * Resolves with the outcome of each delivery once all of them are done.
+     */
+    function dispatch(event, details) {
+        if (closed) {
+            return Promise.resolve([]);
+        }
+
+        var registered;
+        try {
+            registered = store.forEvent(event);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+
+        var timestamp = new Date().toISOString();
+        return Promise.all(registered.map(function (webhook) {
+            return deliver(webhook, Object.assign({ id: createId("D"), event: event, timestamp: timestamp }, details));
+        }));
+    }
+
+    return {
+        dispatch: dispatch,
+
+        /**
+         * Deliver the webhook event of a message the event relay relayed, if it has one.
+         * Only messages pages received from their softphone are framework events.
+         */
+        handleRelayEvent: function (relayed) {
+            var event = relayed.direction === "inbound" ? getWebhookEvent(relayed.envelope) : null;
+            if (!event) {
+                return Promise.resolve([]);
+            }
+            return dispatch(event, {
+                agent: relayed.agent,
+                type: relayed.envelope.type,
+                data: relayed.envelope.data === undefined ? null : relayed.envelope.data
+            });
+        },
+
+        /**
+         * Send a webhook a ping, once and without retries, and resolve with the outcome
+         */
+        ping: function (webhook) {
+            var payload = { id: createId("D"), event: "ping", timestamp: new Date().toISOString(), agent: null, type: "ping", data: null };
+            return post({ id: payload.id, webhook: webhook, payload: payload }).then(function (outcome) {
+                return outcome.error ?
+                    { delivered: false, attempts: 1, status: outcome.status, error: outcome.error } :
+                    { delivered: true, attempts: 1, status: outcome.status };
+            });
+        },
+
+        /**
+         * Stop delivering: retries still waiting go to the dead-letter log,
+         * and the promise resolves once the attempts under way are done
+         */
+        close: function () {
+            closed = true;
+            waiting.forEach(function (retry) {
+                retry.abandon();
+            });
+            waiting.clear();
+            return Promise.all(Array.from(inFlight)).then(function () {});
+        }
+    };
+}
+
+/**
+ * Router exposing a webhook store, pinging through a dispatcher
+ */
+function createWebhookRouter(store, dispatcher, deadLetterFile) {
+    var router = express.Router();
+    router.use(express.json());
+
+    function notFound(res, id) {
+        res.status(404).json({ error: "No webhook with id " + id });
+    }
+
+    router.get('/', function (req, res) {
+        res.json(store.list().map(toPublicWebhook));
+    });
+
+    router.post('/', function (req, res) {
+        var invalid = validateWebhook(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        var webhook = store.create(req.body);
+        res.status(201).location(req.baseUrl + "/" + webhook.id).json(webhook);
+    });
+
+    router.get('/dead-letters', function (req, res) {
+        var limit = req.query.limit === undefined ? DEFAULT_DEAD_LETTER_LIMIT : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return res.status(400).json({ error: "limit must be a positive whole number" });
+        }
+        res.json(readDeadLetters(deadLetterFile, limit));
+    });
+
+    router.get('/:id', function (req, res) {
+        var webhook = store.get(req.params.id);
+        if (!webhook) {
+            return notFound(res, req.params.id);
+        }
+        res.json(toPublicWebhook(webhook));
+    });
+
+    router.put('/:id', function (req, res) {
+        var invalid = validateWebhook(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        var webhook = store.replace(req.params.id, req.body);
+        if (!webhook) {
+            return notFound(res, req.params.id);
+        }
+        res.json(toPublicWebhook(webhook));
+    });
+
+    router.delete('/:id', function (req, res) {
+        if (!store.remove(req.params.id)) {
+            return notFound(res, req.params.id);
+        }
+        res.status(204).end();
+    });
+
+    router.post('/:id/ping', function (req, res, next) {
+        var webhook = store.get(req.params.id);
+        if (!webhook) {
+            return notFound(res, req.params.id);
+        }
+        dispatcher.ping(webhook).then(function (outcome) {
+            res.json(outcome);
+        }, next);
+    });
+
+    // Malformed JSON bodies and store failures are answered in JSON too
+    router.use(function (err, req, res, next) {
+        if (err.type === "entity.parse.failed") {
+            return res.status(400).json({ error: "Request body is not valid JSON" });
+        }
+        console.error("Webhook API error:", err.message);
+        res.status(500).json({ error: err.message });
+    });
+
+    return router;
+}
+
+module.exports = {
+    WEBHOOK_EVENTS: WEBHOOK_EVENTS,
+    createWebhookDispatcher: createWebhookDispatcher,
+    createWebhookRouter: createWebhookRouter,
+    createWebhookStore: createWebhookStore,
+    getWebhookEvent: getWebhookEvent,
+    readDeadLetters: readDeadLetters,
+    signPayload: signPayload,
+    validateWebhook: validateWebhook,
+    verifySignature: verifySignature
+};
@@ -1,26 +1,92 @@
-var http = require("http");
-var https = require("https");
-var fs = require("fs");
-var express = require('express');
-var app = express();
+var certificates = require('./lib/certificates');
+var config = require('./lib/config');
+var server = require('./lib/server');
 
-app.use(express.static(__dirname+ "/src"));
+/**
+ * Use the generated certificates unless a certificate was configured, and report on them
+ */
+function setupCertificates(settings) {
+    if (settings.cert) {
+        try {
+            var warning = certificates.getExpiryWarning(settings.cert);
+            if (warning) {
+                console.warn(warning);
+            }
+        } catch (e) {
+            // Unreadable certificates are reported when the server starts
+        }
+        return;
+    }
 
-app.set('port', (process.env.PORT || 80));
+    var generated = certificates.ensureCertificates({ dir: settings.certDir, hosts: settings.certHosts });
+    settings.cert = generated.cert;
+    settings.key = generated.key;
+    settings.ca = generated.ca;
 
-var sslOptions = {
-    key: fs.readFileSync('https-requirements/localhost.key'),
-    cert: fs.readFileSync('https-requirements/localhost.crt'),
-    ca: fs.readFileSync('https-requirements/ca.crt'),
-    requestCert: true,
-    rejectUnauthorized: false
-};
+    if (generated.createdCa) {
+        console.log("Created a local certificate authority in " + generated.dir);
+        console.log("CA SHA-256 fingerprint: " + generated.caFingerprint);
+        console.log(certificates.getTrustInstructions(generated.ca, process.platform));
+    } else {
+        console.log("Using the local certificate authority " + generated.ca + " (SHA-256 fingerprint " + generated.caFingerprint + ")");
+    }
 
-var httpServer = http.createServer(app);
-var httpsServer = https.createServer(sslOptions, app);
+    if (generated.renewedServer) {
+        console.log("Generated a server certificate for " + generated.hosts.join(", ") + " (" + generated.renewedServer + ")");
+    }
 
-var httpsPort = 443;
+    generated.warnings.forEach(function (message) {
+        console.warn(message);
+    });
+}
 
-console.log("starting on " + httpsPort + ' (https)');
-httpServer.listen(app.get('port'));
-httpsServer.listen(httpsPort);
+var settings;
+try {
+    settings = config.loadConfig(process.argv.slice(2), process.env);
+} catch (e) {
+    console.error("Configuration error: " + e.message);
+    process.exit(1);
+}
+
+if (settings.help) {
+    console.log(config.getUsage());
+    process.exit(0);
+}
+
+try {
+    setupCertificates(settings);
+} catch (e) {
+    console.error("Certificate error: " + e.message);
+    process.exit(1);
+}
+
+server.startServer(settings).then(function (running) {
+    // The certificate and trustedOrigins name the loopback address localhost
+    var host = !settings.host || settings.host === "127.0.0.1" || settings.host === "0.0.0.0" ? "localhost" : settings.host;
+    var httpsPort = running.https.address().port;
+    console.log("starting on " + httpsPort + " (https), open https://" + host + (httpsPort === 443 ? "" : ":" + httpsPort) + "/example.html");
+    if (running.http) {
+        console.log("starting on " + running.http.address().port + " (http" + (settings.redirectHttp ? ", redirecting to https" : "") + ")");
+    }
+
+    var stopping = false;
+    function shutdown(signal) {
+        if (stopping) {
+            // A second signal means don't wait any longer
+            process.exit(1);
+        }
+        stopping = true;
+
+        console.log(signal + " received, closing open connections");
+        running.close().then(function () {
+            console.log("Server stopped");
+            process.exit(0);
+        });
+    }
+
+    process.on("SIGTERM", function () { shutdown("SIGTERM"); });
+    process.on("SIGINT", function () { shutdown("SIGINT"); });
+}, function (err) {
+    console.error("Server failed to start: " + err.message);
+    process.exit(1);
+});
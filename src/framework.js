@@ -1,8 +1,713 @@
-var contactSearchCallback;
+// Message protocol shared with the host page. This is a copy of
+// scripts/protocol.js, which cannot be loaded into the PureCloud client;
+// keep both in sync when changing the protocol.
+var BRIDGE_PROTOCOL = "pef-bridge";
+var BRIDGE_PROTOCOL_VERSION = 1;
+var BRIDGE_SOURCE = "framework";
+
+// Shape every message must have before its payload is looked at
+var ENVELOPE_SCHEMA = {
+    type: 'object',
+    required: ['protocol', 'version', 'id', 'timestamp', 'source', 'type'],
+    properties: {
+        protocol: { type: 'string' },
+        version: { type: 'number' },
+        id: { type: 'string' },
+        timestamp: { type: 'string' },
+        source: { type: 'string', enum: ['host', 'framework'] },
+        type: { type: 'string' },
+        replyTo: { type: 'string' },
+        data: { type: 'any' }
+    }
+};
+
+// Declared payload for every message type, keyed by type.
+// `from` names the only side allowed to send the message, and `command`
+// marks host messages the framework answers with a commandResponse.
+var MESSAGE_SCHEMAS = {
+    // Host -> framework commands
+    clickToDial: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['number'],
+            properties: {
+                number: { type: 'string' },
+                autoPlace: { type: 'boolean' },
+                queueId: { type: 'string' },
+                attributes: { type: 'object' }
+            }
+        }
+    },
+    addAssociation: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['type', 'id', 'text'],
+            properties: {
+                type: { type: 'string', enum: ['contact', 'relation'] },
+                id: { type: 'string' },
+                text: { type: 'string' },
+                select: { type: 'boolean' }
+            }
+        }
+    },
+    addAttribute: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['interactionId', 'attributes'],
+            properties: {
+                interactionId: { type: 'string' },
+                attributes: { type: 'object' }
+            }
+        }
+    },
+    addTransferContext: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: { type: 'string' },
+                attributes: { type: 'object' }
+            }
+        }
+    },
+    sendContactSearch: {
+        from: 'host',
+        payload: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['type', 'name'],
+                properties: {
+                    type: { type: 'string' },
+                    name: { type: 'string' },
+                    phone: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['number'],
+                            properties: {
+                                number: { type: 'string' },
+                                label: { type: 'string' }
+                            }
+                        }
+                    },
+                    email: { type: 'string' }
+                }
+            }
+        }
+    },
+    updateUserStatus: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+                id: { type: 'string' }
+            }
+        }
+    },
+    updateInteractionState: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['action', 'id'],
+            properties: {
+                action: { type: 'string', enum: ['pickup', 'disconnect', 'hold', 'mute', 'securePause'] },
+                id: { type: 'string' }
+            }
+        }
+    },
+    setView: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['type', 'view'],
+            properties: {
+                type: { type: 'string' },
+                view: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: {
+                        name: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    updateAudioConfiguration: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            properties: {
+                call: { type: 'boolean' },
+                chat: { type: 'boolean' },
+                email: { type: 'boolean' },
+                callback: { type: 'boolean' },
+                message: { type: 'boolean' },
+                voicemail: { type: 'boolean' },
+                deviceId: { type: ['string', 'null'] }
+            }
+        }
+    },
+    sendCustomNotification: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['message', 'type'],
+            properties: {
+                message: { type: 'string' },
+                type: { type: 'string', enum: ['INFO', 'SUCCESS', 'WARNING', 'ERROR'] },
+                timeout: { type: 'number' }
+            }
+        }
+    },
+    callLogResult: {
+        from: 'host',
+        payload: {
+            type: 'object',
+            required: ['success'],
+            properties: {
+                success: { type: 'boolean' },
+                id: { type: 'string' },
+                reason: { type: 'string' }
+            }
+        }
+    },
+    audioDeviceStatus: {
+        from: 'host',
+        payload: {
+            type: 'object',
+            required: ['status'],
+            properties: {
+                status: { type: 'string' },
+                deviceId: { type: ['string', 'null'] },
+                outputDeviceId: { type: ['string', 'null'] },
+                ringerDeviceId: { type: ['string', 'null'] },
+                ringOnSpeaker: { type: 'boolean' },
+                inputDevices: { type: 'array', items: { type: 'object', required: ['deviceId'] } },
+                outputDevices: { type: 'array', items: { type: 'object', required: ['deviceId'] } },
+                error: { type: 'string' },
+                message: { type: 'string' },
+                isPermissionError: { type: 'boolean' },
+                diagnostics: {
+                    type: 'object',
+                    required: ['test', 'result'],
+                    properties: {
+                        test: { type: 'string', enum: ['microphone', 'speaker', 'loopback'] },
+                        result: { type: 'string' },
+                        level: { type: 'string' },
+                        rms: { type: 'number' },
+                        peak: { type: 'number' },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+
+    // Framework -> host events
+    interactionSubscription: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['category', 'interaction'],
+            properties: {
+                category: { type: 'string' },
+                interaction: { type: 'object' }
+            }
+        }
+    },
+    userActionSubscription: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['category'],
+            properties: {
+                category: { type: 'string' }
+            }
+        }
+    },
+    notificationSubscription: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['category'],
+            properties: {
+                category: { type: 'string' }
+            }
+        }
+    },
+    screenPop: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['interactionId'],
+            properties: {
+                searchString: { type: ['string', 'null'] },
+                interactionId: { type: ['object', 'string'] }
+            }
+        }
+    },
+    processCallLog: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['callLog', 'interactionId', 'eventName'],
+            properties: {
+                callLog: { type: 'object' },
+                interactionId: { type: ['object', 'string'] },
+                eventName: { type: 'string' }
+            }
+        }
+    },
+    openCallLog: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['callLog'],
+            properties: {
+                callLog: { type: 'object' },
+                interaction: { type: ['object', 'string'] }
+            }
+        }
+    },
+    contactSearch: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['searchString'],
+            properties: {
+                searchString: { type: 'string' }
+            }
+        }
+    },
+    selectAudioDevice: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['deviceId'],
+            properties: {
+                deviceId: { type: 'string' },
+                role: { type: 'string', enum: ['microphone', 'speaker', 'ringer'] }
+            }
+        }
+    },
+
+    commandResponse: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['status'],
+            properties: {
+                status: { type: 'string', enum: ['ack', 'result', 'error'] },
+                result: { type: 'any' },
+                error: {
+                    type: 'object',
+                    required: ['code', 'message'],
+                    properties: {
+                        code: { type: 'string' },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+
+    // Either side
+    error: {
+        from: 'any',
+        payload: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+                code: { type: 'string' },
+                message: { type: 'string' },
+                details: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    }
+};
+
+// Id of the contact search still waiting for results; a new search supersedes it
+var activeContactSearchId = null;
+var rejectedMessageCount = 0;
+var bridgeMessageCounter = 0;
+
+// Messages waiting for a reply from the host page, keyed by envelope id
+var pendingHostRequests = {};
+
+/**
+ * Handlers for messages received from the host page, keyed by message type.
+ * Command handlers return the outcome of the PureCloud call they make.
+ */
+var commandHandlers = {
+    clickToDial: function (data) {
+        return window.PureCloud.clickToDial(data);
+    },
+    addAssociation: function (data) {
+        return window.PureCloud.addAssociation(data);
+    },
+    addAttribute: function (data) {
+        return window.PureCloud.addCustomAttributes(data);
+    },
+    addTransferContext: function (data) {
+        return window.PureCloud.addTransferContext(data);
+    },
+    sendContactSearch: function (data, message) {
+        settleHostRequest(message.replyTo, data);
+    },
+    updateUserStatus: function (data) {
+        return window.PureCloud.User.updateStatus(data);
+    },
+    updateInteractionState: function (data) {
+        return window.PureCloud.Interaction.updateState(data);
+    },
+    setView: function (data) {
+        return window.PureCloud.User.setView(data);
+    },
+    updateAudioConfiguration: function (data) {
+        return window.PureCloud.User.Notification.setAudioConfiguration(data);
+    },
+    sendCustomNotification: function (data) {
+        return window.PureCloud.User.Notification.notifyUser(data);
+    },
+    audioDeviceStatus: function (data) {
+        if (data.diagnostics) {
+            console.log("Host audio " + data.diagnostics.test + " test: " + data.diagnostics.result);
+            return;
+        }
+        console.log("Host audio device status: " + data.status);
+    },
+    callLogResult: function (data, message) {
+        settleHostRequest(message.replyTo, data);
+    },
+    error: function (data, message) {
+        var request = takeHostRequest(message.replyTo);
+        if (request) {
+            request.onFailure(data);
+            return;
+        }
+        console.error("Host rejected message " + (message.replyTo || "") + ": " + data.code + " " + data.message);
+    }
+};
+
+/**
+ * Check an origin against Framework.config.trustedOrigins
+ */
+function isTrustedOrigin(origin) {
+    return window.Framework.config.trustedOrigins.indexOf(origin) !== -1;
+}
+
+/**
+ * Resolve the origin of the host page so messages are only delivered there
+ */
+function getParentOrigin() {
+    var trustedOrigins = window.Framework.config.trustedOrigins;
+    var candidate;
+
+    if (window.location.ancestorOrigins && window.location.ancestorOrigins.length > 0) {
+        candidate = window.location.ancestorOrigins[0];
+    } else if (document.referrer) {
+        try {
+            candidate = new URL(document.referrer).origin;
+        } catch (e) {
+            candidate = null;
+        }
+    }
+
+    return candidate && isTrustedOrigin(candidate) ? candidate : trustedOrigins[0];
+}
+
+/**
+ * Wrap a payload in a protocol envelope
+ */
+function createEnvelope(type, data, replyTo) {
+    var envelope = {
+        protocol: BRIDGE_PROTOCOL,
+        version: BRIDGE_PROTOCOL_VERSION,
+        id: BRIDGE_SOURCE + "-" + Date.now().toString(36) + "-" + (++bridgeMessageCounter),
+        timestamp: new Date().toISOString(),
+        source: BRIDGE_SOURCE,
+        type: type,
+        data: data
+    };
+
+    if (replyTo) {
+        envelope.replyTo = replyTo;
+    }
+
+    return envelope;
+}
+
+/**
+ * Build the payload of an error reply
+ */
+function createErrorPayload(code, message, details) {
+    var payload = { code: code, message: message };
+    if (details && details.length > 0) {
+        payload.details = details;
+    }
+    return payload;
+}
+
+/**
+ * Describe the JSON type of a value the way schemas name it
+ */
+function getSchemaType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema, collecting readable errors
+ */
+function validatePayload(schema, value, path, errors) {
+    errors = errors || [];
+
+    var allowedTypes = [].concat(schema.type || "any");
+    var actualType = getSchemaType(value);
+
+    if (allowedTypes.indexOf("any") === -1 && allowedTypes.indexOf(actualType) === -1) {
+        errors.push(path + " should be " + allowedTypes.join(" or ") + " but was " + actualType);
+        return errors;
+    }
+
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+        errors.push(path + " should be one of " + schema.enum.join(", "));
+    }
+
+    if (actualType === "object") {
+        (schema.required || []).forEach(function (key) {
+            if (value[key] === undefined) {
+                errors.push(path + "." + key + " is required");
+            }
+        });
+
+        Object.keys(schema.properties || {}).forEach(function (key) {
+            if (value[key] !== undefined) {
+                validatePayload(schema.properties[key], value[key], path + "." + key, errors);
+            }
+        });
+    }
+
+    if (actualType === "array" && schema.items) {
+        value.forEach(function (item, index) {
+            validatePayload(schema.items, item, path + "[" + index + "]", errors);
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Parse and validate a raw message sent by the given side.
+ * Returns { envelope } on success, or { envelope, error } where error is an
+ * error payload ready to send back to the sender.
+ */
+function parseEnvelope(raw, expectedSource) {
+    var envelope;
+    try {
+        envelope = JSON.parse(raw);
+    } catch (e) {
+        return { error: createErrorPayload("PARSE_ERROR", "Message is not valid JSON") };
+    }
+
+    var errors = validatePayload(ENVELOPE_SCHEMA, envelope, "message");
+    if (errors.length > 0) {
+        return { error: createErrorPayload("INVALID_ENVELOPE", "Message envelope is invalid", errors) };
+    }
+
+    if (envelope.protocol !== BRIDGE_PROTOCOL || envelope.version !== BRIDGE_PROTOCOL_VERSION) {
+        return {
+            envelope: envelope,
+            error: createErrorPayload("UNSUPPORTED_VERSION",
+                "Expected " + BRIDGE_PROTOCOL + " version " + BRIDGE_PROTOCOL_VERSION +
+                " but received " + envelope.protocol + " version " + envelope.version)
+        };
+    }
+
+    var schema = MESSAGE_SCHEMAS[envelope.type];
+    if (!schema || (schema.from !== "any" && schema.from !== envelope.source) || envelope.source !== expectedSource) {
+        return {
+            envelope: envelope,
+            error: createErrorPayload("UNKNOWN_TYPE", "Unexpected message type from " + envelope.source + ": " + envelope.type)
+        };
+    }
+
+    errors = validatePayload(schema.payload, envelope.data, "data");
+    if (errors.length > 0) {
+        return {
+            envelope: envelope,
+            error: createErrorPayload("INVALID_PAYLOAD", "Invalid payload for " + envelope.type, errors)
+        };
+    }
+
+    return { envelope: envelope };
+}
+
+/**
+ * Post a message to the host page, never to an untrusted origin
+ */
+function postToParent(message) {
+    var targetOrigin = getParentOrigin();
+    if (!targetOrigin) {
+        console.error("No trusted origin configured, message not sent: " + message.type);
+        return;
+    }
+    var envelope = createEnvelope(message.type, message.data, message.replyTo);
+    window.parent.postMessage(JSON.stringify(envelope), targetOrigin);
+    return envelope;
+}
+
+/**
+ * Post a message the host page answers with a reply.
+ * onReply receives the reply payload; onFailure receives an error payload
+ * if the message could not be sent, the host rejected it, or no reply
+ * arrived within the timeout.
+ */
+function sendRequestToHost(message, timeout, onReply, onFailure) {
+    var envelope = postToParent(message);
+    if (!envelope) {
+        onFailure(createErrorPayload("NOT_SENT", "Could not send " + message.type + " to the host"));
+        return null;
+    }
+
+    pendingHostRequests[envelope.id] = {
+        onReply: onReply,
+        onFailure: onFailure,
+        timer: setTimeout(function () {
+            delete pendingHostRequests[envelope.id];
+            onFailure(createErrorPayload("TIMEOUT", message.type + " got no reply within " + timeout + "ms"));
+        }, timeout)
+    };
+
+    return envelope.id;
+}
+
+/**
+ * Remove and return the pending request a reply refers to
+ */
+function takeHostRequest(id) {
+    var request = id && pendingHostRequests[id];
+    if (!request) {
+        return null;
+    }
+
+    clearTimeout(request.timer);
+    delete pendingHostRequests[id];
+    return request;
+}
+
+/**
+ * Deliver a host reply to the request it answers
+ */
+function settleHostRequest(id, data) {
+    var request = takeHostRequest(id);
+    if (!request) {
+        // The request already timed out and was reported as failed
+        console.warn("Ignoring reply to unknown or expired request: " + id);
+        return;
+    }
+    request.onReply(data);
+}
+
+/**
+ * Validate a message from the host page and route it to its command handler
+ */
+function handleHostMessage(event) {
+    if (!isTrustedOrigin(event.origin)) {
+        rejectedMessageCount++;
+        console.warn("Rejected message from untrusted origin: " + event.origin);
+        return;
+    }
+
+    // The PureCloud client posts its own non-string messages on this window; they are not part of the protocol
+    if (typeof event.data !== "string") {
+        return;
+    }
+
+    var result = parseEnvelope(event.data, "host");
+    if (result.error) {
+        console.error("Invalid message from host: " + result.error.code + " " + result.error.message);
+
+        // Never answer an error with an error, that could loop forever
+        if (!result.envelope || result.envelope.type !== "error") {
+            postToParent({
+                type: "error",
+                data: result.error,
+                replyTo: result.envelope && typeof result.envelope.id === "string" ? result.envelope.id : undefined
+            });
+        }
+        return;
+    }
+
+    var message = result.envelope;
+    if (!MESSAGE_SCHEMAS[message.type].command) {
+        try {
+            commandHandlers[message.type](message.data, message);
+        } catch (e) {
+            console.error("Error processing " + message.type + " message: " + e);
+        }
+        return;
+    }
+
+    runCommand(message);
+}
+
+/**
+ * Run a host command and report its ack, then its result or error, to the host
+ */
+function runCommand(message) {
+    postToParent({type: "commandResponse", data: {status: "ack"}, replyTo: message.id});
+
+    new Promise(function (resolve) {
+        // PureCloud APIs may return a value, a promise, or nothing at all
+        resolve(commandHandlers[message.type](message.data, message));
+    }).then(function (value) {
+        var data = {status: "result"};
+        if (value !== undefined) {
+            data.result = value;
+        }
+        postToParent({type: "commandResponse", data: data, replyTo: message.id});
+    }, function (err) {
+        console.error("Error processing " + message.type + " command: " + err);
+        postToParent({
+            type: "commandResponse",
+            data: {
+                status: "error",
+                error: {
+                    code: (err && err.code) || "COMMAND_FAILED",
+                    message: (err && err.message) || String(err)
+                }
+            },
+            replyTo: message.id
+        });
+    });
+}
 
 window.Framework = {
     config: {
         name:"ExampleGitHubApp",
+        // Origins of the host page allowed to exchange messages with this framework
+        trustedOrigins: ["https://localhost:8443"],
+        // Milliseconds to wait for the host page to save a call log before reporting a failure
+        callLogTimeout: 15000,
+        // Milliseconds to wait for the host page to return contact search results
+        contactSearchTimeout: 5000,
         clientIds: {
             "mypurecloud.com": "",
         },
@@ -28,75 +733,76 @@ window.Framework = {
             {
                 type: 'Interaction', 
                 callback: function (category, interaction) {
-                    window.parent.postMessage(JSON.stringify({type:"interactionSubscription", data:{category:category, interaction:interaction}}) , "*");
+                    postToParent({type:"interactionSubscription", data:{category:category, interaction:interaction}});
                 }  
             },
             {
                 type: 'UserAction', 
                 callback: function (category, data) {
-                    window.parent.postMessage(JSON.stringify({type:"userActionSubscription", data:{category:category, data:data}}) , "*");
+                    postToParent({type:"userActionSubscription", data:{category:category, data:data}});
                 }  
             },
             {
                 type: 'Notification', 
                 callback: function (category, data) {
-                    window.parent.postMessage(JSON.stringify({type:"notificationSubscription", data:{category:category, data:data}}) , "*");
+                    postToParent({type:"notificationSubscription", data:{category:category, data:data}});
                 }  
             }
         ]);
 
-        window.addEventListener("message", function(event) {
-            try {
-                var message = JSON.parse(event.data);
-                if(message){
-                    if(message.type == "clickToDial"){
-                        window.PureCloud.clickToDial(message.data);
-                    } else if(message.type == "addAssociation"){
-                        window.PureCloud.addAssociation(message.data);
-                    }else if(message.type == "addAttribute"){
-                        window.PureCloud.addCustomAttributes(message.data);
-                    }else if(message.type == "addTransferContext"){
-                        window.PureCloud.addTransferContext(message.data);
-                    }else if(message.type == "sendContactSearch"){
-                        if(contactSearchCallback) {
-                            contactSearchCallback(message.data);
-                        }
-                    }else if(message.type == "updateUserStatus"){
-                        window.PureCloud.User.updateStatus(message.data);
-                    }else if(message.type == "updateInteractionState"){
-                        window.PureCloud.Interaction.updateState(message.data);
-                    }else if(message.type == "setView"){
-                        window.PureCloud.User.setView(message.data);
-                    }else if(message.type == "updateAudioConfiguration"){
-                        window.PureCloud.User.Notification.setAudioConfiguration(message.data);
-                    }else if(message.type == "sendCustomNotification"){
-                        window.PureCloud.User.Notification.notifyUser(message.data);
-                    }
-                }
-            } catch {
-                //ignore if you can not parse the payload into JSON
-            }
-        });
+        window.addEventListener("message", handleHostMessage);
     },
     screenPop: function (searchString, interaction) {
-        window.parent.postMessage(JSON.stringify({type:"screenPop", data:{searchString:searchString, interactionId:interaction}}) , "*");
+        postToParent({type:"screenPop", data:{searchString:searchString, interactionId:interaction}});
     },
     processCallLog: function (callLog, interaction, eventName, onSuccess, onFailure) {
-        window.parent.postMessage(JSON.stringify({type:"processCallLog" , data:{callLog:callLog, interactionId:interaction, eventName:eventName}}) , "*");
-        var success = true;
-        if (success) {
-            onSuccess({
-                id: callLog.id || Date.now()
-            });
-        } else {
-            onFailure();
-        }
+        sendRequestToHost(
+            {type:"processCallLog" , data:{callLog:callLog, interactionId:interaction, eventName:eventName}},
+            window.Framework.config.callLogTimeout,
+            function (result) {
+                if (result.success && result.id) {
+                    onSuccess({
+                        id: result.id
+                    });
+                } else {
+                    console.error("Host failed to save call log: " + (result.reason || "no record id returned"));
+                    onFailure();
+                }
+            },
+            function (error) {
+                console.error("Call log was not saved: " + error.code + " " + error.message);
+                onFailure();
+            }
+        );
     },
     openCallLog: function(callLog, interaction){
-        window.parent.postMessage(JSON.stringify({type:"openCallLog" , data:{callLog:callLog, interaction:interaction}}) , "*");
+        postToParent({type:"openCallLog" , data:{callLog:callLog, interaction:interaction}});
     },
     contactSearch: function(searchString, onSuccess, onFailure) {
-        contactSearchCallback = onSuccess;
-        window.parent.postMessage(JSON.stringify({type:"contactSearch" , data:{searchString:searchString}}) , "*");
+        // Only the latest search is shown, so fail the one it replaces instead of leaking its callbacks
+        var superseded = takeHostRequest(activeContactSearchId);
+        if (superseded) {
+            superseded.onFailure(createErrorPayload("SUPERSEDED", "Contact search was replaced by a newer search"));
+        }
+
+        var searchId = sendRequestToHost(
+            {type:"contactSearch" , data:{searchString:searchString}},
+            window.Framework.config.contactSearchTimeout,
+            function (contacts) {
+                activeContactSearchId = null;
+                onSuccess(contacts);
+            },
+            function (error) {
+                if (activeContactSearchId === searchId) {
+                    activeContactSearchId = null;
+                }
+                console.warn("Contact search for \"" + searchString + "\" failed: " + error.code + " " + error.message);
+                onFailure();
+            }
+        );
+        activeContactSearchId = searchId;
+    },
+    getRejectedMessageCount: function() {
+        return rejectedMessageCount;
     }
 };
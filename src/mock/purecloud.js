@@ -0,0 +1,414 @@
+// Stand-in for the PureCloud embedded client, for development without an org.
+// Provides a fake window.PureCloud, loads the framework named by the
+// `framework` query parameter and raises the same framework callbacks the
+// real client does.
+
+const mockInteractions = new Map();
+const mockSubscriptions = {};
+let mockAssociations = [];
+let mockInteractionSequence = 0;
+
+/**
+ * Write a line to the mock client's activity log
+ */
+function mockLog(text) {
+    console.log('[mock client] ' + text);
+
+    const log = document.getElementById('mockLog');
+    if (log) {
+        const line = document.createElement('div');
+        line.textContent = new Date().toLocaleTimeString() + ' ' + text;
+        log.insertBefore(line, log.firstChild);
+    }
+}
+
+/**
+ * Call the callbacks subscribed to a type of event
+ */
+function emitMockEvent(type, category, data) {
+    (mockSubscriptions[type] || []).forEach(callback => callback(category, data));
+}
+
+/**
+ * Snapshot of an interaction as the framework receives it
+ */
+function cloneMockInteraction(interaction) {
+    return JSON.parse(JSON.stringify(interaction));
+}
+
+/**
+ * Create an interaction and announce it
+ */
+function createMockInteraction(fields) {
+    const now = new Date().toISOString();
+    const interaction = Object.assign({
+        id: 'mock-' + Date.now().toString(36) + '-' + (++mockInteractionSequence),
+        state: 'alerting',
+        direction: 'Inbound',
+        ani: '+13172222222',
+        dnis: '+13175550000',
+        phone: 'tel:+13172222222',
+        name: 'Weather Line',
+        displayAddress: '+13172222222',
+        queueName: 'Support',
+        isConnected: false,
+        isDisconnected: false,
+        isDone: false,
+        isHeld: false,
+        isMuted: false,
+        isSecurePause: false,
+        isCallback: false,
+        isChat: false,
+        isEmail: false,
+        isMessage: false,
+        isVoicemail: false,
+        startTime: now,
+        attributes: {}
+    }, fields);
+
+    mockInteractions.set(interaction.id, interaction);
+    mockLog('Interaction ' + interaction.id + ' added (' + interaction.state + ')');
+    emitMockEvent('Interaction', 'add', cloneMockInteraction(interaction));
+    renderMockInteractions();
+    return interaction;
+}
+
+/**
+ * Apply changes to an interaction and raise a change event with both versions
+ */
+function changeMockInteraction(interaction, changes, category) {
+    const old = cloneMockInteraction(interaction);
+    Object.assign(interaction, changes);
+
+    emitMockEvent('Interaction', 'change', { old: old, new: cloneMockInteraction(interaction) });
+    if (category) {
+        emitMockEvent('Interaction', category, cloneMockInteraction(interaction));
+    }
+    renderMockInteractions();
+}
+
+/**
+ * Connect an alerting or dialing interaction
+ */
+function connectMockInteraction(interaction) {
+    changeMockInteraction(interaction, {
+        state: 'connected',
+        isConnected: true,
+        connectedTime: new Date().toISOString()
+    }, 'connect');
+    mockLog('Interaction ' + interaction.id + ' connected');
+}
+
+/**
+ * Disconnect an interaction and raise processCallLog for it
+ */
+function disconnectMockInteraction(interaction) {
+    changeMockInteraction(interaction, {
+        state: 'disconnected',
+        isConnected: false,
+        isDisconnected: true,
+        endTime: new Date().toISOString()
+    }, 'disconnect');
+    mockLog('Interaction ' + interaction.id + ' disconnected');
+
+    raiseMockProcessCallLog(interaction, 'interactionDisconnected');
+    emitMockEvent('Interaction', 'acw', cloneMockInteraction(interaction));
+}
+
+/**
+ * Finish after-call work and forget an interaction
+ */
+function deallocateMockInteraction(interaction) {
+    changeMockInteraction(interaction, { isDone: true });
+    mockInteractions.delete(interaction.id);
+    emitMockEvent('Interaction', 'deallocate', cloneMockInteraction(interaction));
+    mockLog('Interaction ' + interaction.id + ' deallocated');
+    renderMockInteractions();
+}
+
+/**
+ * Build the call log the client would save for an interaction
+ */
+function createMockCallLog(interaction) {
+    const notes = document.getElementById('mockCallLogNotes');
+    const callLog = {
+        notes: notes ? notes.value : '',
+        attributes: Object.assign({}, interaction.attributes)
+    };
+
+    mockAssociations.forEach(association => {
+        if (association.select) {
+            callLog[association.type === 'relation' ? 'selectedRelation' : 'selectedContact'] = {
+                id: association.id,
+                text: association.text
+            };
+        }
+    });
+
+    if (interaction.callLogId) {
+        callLog.id = interaction.callLogId;
+    }
+    return callLog;
+}
+
+/**
+ * Raise processCallLog and remember the record id the framework reports
+ */
+function raiseMockProcessCallLog(interaction, eventName) {
+    const callLog = createMockCallLog(interaction);
+    mockLog('processCallLog (' + eventName + ') for ' + interaction.id);
+
+    window.Framework.processCallLog(callLog, cloneMockInteraction(interaction), eventName,
+        result => {
+            interaction.callLogId = result.id;
+            mockLog('Call log saved as ' + result.id);
+        },
+        () => mockLog('Call log save failed, the client would retry'));
+}
+
+/**
+ * Find an interaction by id, throwing like an API call would
+ */
+function getMockInteraction(id) {
+    const interaction = mockInteractions.get(id);
+    if (!interaction) {
+        throw new Error('Unknown interaction: ' + id);
+    }
+    return interaction;
+}
+
+window.PureCloud = {
+    subscribe: function (subscriptions) {
+        subscriptions.forEach(subscription => {
+            mockSubscriptions[subscription.type] = (mockSubscriptions[subscription.type] || []).concat(subscription.callback);
+        });
+        mockLog('Subscribed to ' + subscriptions.map(s => s.type).join(', '));
+    },
+
+    clickToDial: function (data) {
+        mockLog('clickToDial ' + data.number);
+        const interaction = createMockInteraction({
+            state: 'dialing',
+            direction: 'Outbound',
+            ani: '+13175550000',
+            dnis: data.number,
+            phone: 'tel:' + data.number,
+            name: data.number,
+            displayAddress: data.number,
+            queueName: data.queueId || null,
+            attributes: Object.assign({}, data.attributes)
+        });
+
+        if (data.autoPlace) {
+            setTimeout(() => {
+                if (mockInteractions.has(interaction.id)) {
+                    connectMockInteraction(interaction);
+                }
+            }, 1000);
+        }
+    },
+
+    addAssociation: function (data) {
+        mockLog('addAssociation ' + data.type + ' ' + data.text);
+        mockAssociations = mockAssociations.filter(a => !(a.type === data.type && a.id === data.id));
+        mockAssociations.push(data);
+    },
+
+    addCustomAttributes: function (data) {
+        const interaction = getMockInteraction(data.interactionId);
+        changeMockInteraction(interaction, {
+            attributes: Object.assign({}, interaction.attributes, data.attributes)
+        });
+        mockLog('addCustomAttributes on ' + data.interactionId);
+    },
+
+    addTransferContext: function (data) {
+        mockLog('addTransferContext ' + data.name);
+    },
+
+    User: {
+        updateStatus: function (data) {
+            document.getElementById('mockStatus').textContent = data.id;
+            emitMockEvent('UserAction', 'routingStatus', { status: data.id });
+            mockLog('User status set to ' + data.id);
+        },
+
+        setView: function (data) {
+            document.getElementById('mockView').textContent = data.view.name;
+            mockLog('View set to ' + data.view.name);
+        },
+
+        Notification: {
+            setAudioConfiguration: function (data) {
+                mockLog('Audio configuration ' + JSON.stringify(data));
+            },
+
+            notifyUser: function (data) {
+                mockLog('Notification [' + data.type + '] ' + data.message);
+            }
+        }
+    },
+
+    Interaction: {
+        updateState: function (data) {
+            const interaction = getMockInteraction(data.id);
+            mockLog('updateState ' + data.action + ' on ' + data.id);
+
+            switch (data.action) {
+                case 'pickup':
+                    if (interaction.state !== 'alerting') {
+                        throw new Error('Interaction is not alerting');
+                    }
+                    connectMockInteraction(interaction);
+                    break;
+                case 'disconnect':
+                    if (interaction.state === 'alerting') {
+                        // Declining an alerting interaction
+                        changeMockInteraction(interaction, { state: 'disconnected', isDisconnected: true }, 'disconnect');
+                        deallocateMockInteraction(interaction);
+                    } else {
+                        disconnectMockInteraction(interaction);
+                    }
+                    break;
+                case 'hold':
+                    changeMockInteraction(interaction, { isHeld: !interaction.isHeld });
+                    break;
+                case 'mute':
+                    changeMockInteraction(interaction, { isMuted: !interaction.isMuted });
+                    break;
+                case 'securePause':
+                    changeMockInteraction(interaction, { isSecurePause: !interaction.isSecurePause });
+                    break;
+                default:
+                    throw new Error('Unsupported action: ' + data.action);
+            }
+        }
+    }
+};
+
+/**
+ * List the interactions with buttons to drive them
+ */
+function renderMockInteractions() {
+    const list = document.getElementById('mockInteractions');
+    if (!list) return;
+
+    list.innerHTML = '';
+    mockInteractions.forEach(interaction => {
+        const item = document.createElement('div');
+        item.className = 'mockInteraction';
+
+        const label = document.createElement('div');
+        label.textContent = interaction.direction + ' ' + interaction.displayAddress + ' - ' + interaction.state +
+            (interaction.isHeld ? ' (held)' : '') + (interaction.isMuted ? ' (muted)' : '');
+        item.appendChild(label);
+
+        const actions = {
+            Answer: interaction.state === 'alerting' || interaction.state === 'dialing' ? () => connectMockInteraction(interaction) : null,
+            'Hang up': interaction.state === 'connected' ? () => disconnectMockInteraction(interaction) : null,
+            'Open log': () => {
+                mockLog('openCallLog for ' + interaction.id);
+                window.Framework.openCallLog(createMockCallLog(interaction), cloneMockInteraction(interaction));
+            },
+            Done: interaction.state === 'disconnected' ? () => deallocateMockInteraction(interaction) : null
+        };
+
+        Object.keys(actions).forEach(name => {
+            if (actions[name]) {
+                const button = document.createElement('button');
+                button.textContent = name;
+                button.addEventListener('click', actions[name]);
+                item.appendChild(button);
+            }
+        });
+
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Ring a new inbound interaction and raise screenPop for it, like the client does
+ */
+function simulateInboundInteraction() {
+    const mediaType = document.getElementById('mockMediaType').value;
+    const ani = document.getElementById('mockAni').value || '+13172222222';
+    const attributes = {};
+
+    const urlPop = document.getElementById('mockUrlPop').value;
+    if (urlPop) {
+        attributes.pt_urlpop = urlPop;
+    }
+
+    const interaction = createMockInteraction({
+        ani: ani,
+        phone: 'tel:' + ani,
+        displayAddress: ani,
+        name: ani,
+        isChat: mediaType === 'chat',
+        isEmail: mediaType === 'email',
+        isCallback: mediaType === 'callback',
+        attributes: attributes
+    });
+
+    window.Framework.screenPop(ani, cloneMockInteraction(interaction));
+}
+
+/**
+ * Raise contactSearch and show what the framework returns
+ */
+function simulateContactSearch() {
+    const searchString = document.getElementById('mockSearch').value;
+    const results = document.getElementById('mockSearchResults');
+    results.textContent = 'Searching...';
+
+    window.Framework.contactSearch(searchString,
+        contacts => {
+            results.textContent = contacts.length > 0 ? contacts.map(c => c.name).join(', ') : 'No contacts';
+        },
+        () => {
+            results.textContent = 'Search failed';
+        });
+}
+
+/**
+ * URL of the framework to load: the ?framework= parameter when it is on this origin, else /framework.js.
+ * Scripts from other origins would run with access to this origin's storage and APIs.
+ */
+function getMockFrameworkUrl() {
+    const requested = new URLSearchParams(window.location.search).get('framework');
+    if (requested) {
+        try {
+            const url = new URL(requested, window.location.href);
+            if (url.origin === window.location.origin) {
+                return url.href;
+            }
+        } catch (e) {
+            // Not a URL, so load the default
+        }
+        mockLog('Ignoring framework ' + requested + ', only framework scripts from ' + window.location.origin + ' are loaded');
+    }
+    return '/framework.js';
+}
+
+/**
+ * Load the framework the same way the real client does, then run its setup
+ */
+function loadMockFramework() {
+    const frameworkUrl = getMockFrameworkUrl();
+
+    const script = document.createElement('script');
+    script.src = frameworkUrl;
+    script.onload = () => {
+        document.getElementById('mockAppName').textContent = window.Framework.config.name;
+        window.Framework.initialSetup();
+        mockLog('Framework loaded from ' + frameworkUrl);
+    };
+    script.onerror = () => mockLog('Could not load framework from ' + frameworkUrl);
+    document.head.appendChild(script);
+}
+
+document.addEventListener('DOMContentLoaded', function () {
+    document.getElementById('mockInbound').addEventListener('click', simulateInboundInteraction);
+    document.getElementById('mockSearchButton').addEventListener('click', simulateContactSearch);
+    loadMockFramework();
+});
@@ -0,0 +1,354 @@
+// Pre-call audio self-test of the example page, run on the devices selected in
+// deviceManager:
+//  - microphone: a live level meter (Web Audio AnalyserNode) that tells working,
+//    silent and clipping microphones apart
+//  - speaker: a test tone on the speaker, after which the agent says whether they heard it,
+//    'unanswered' when they don't within SPEAKER_ANSWER_TIMEOUT_MS
+//  - loopback: records the microphone for a few seconds and plays it back on the speaker
+// Results are shown on the page and sent to the softphone as audioDeviceStatus
+// messages with status 'diagnostics'.
+
+const DIAGNOSTICS_METER_INTERVAL_MS = 100;
+const MICROPHONE_CHECK_MS = 3000;
+const LOOPBACK_RECORD_MS = 5000;
+const TEST_TONE_MS = 1500;
+const TEST_TONE_FREQUENCY = 440;
+// How long the speaker test waits for the agent to say whether they heard the tone
+const SPEAKER_ANSWER_TIMEOUT_MS = 30000;
+// Loudest RMS level under which a microphone counts as silent, about -40 dBFS
+const SILENCE_RMS = 0.01;
+// Samples this close to full scale are clipped; a microphone clips when more than
+// CLIPPING_RATIO of the meter readings had one
+const CLIPPING_PEAK = 0.99;
+const CLIPPING_RATIO = 0.05;
+
+const DIAGNOSTIC_MESSAGES = {
+    'microphone.ok': 'The microphone picks up sound.',
+    'microphone.silent': 'The microphone picks up no sound. Check that it is not muted and that it is the one you speak into.',
+    'microphone.clipping': 'The microphone is so loud that it distorts. Lower its input volume.',
+    'speaker.heard': 'The speaker plays sound.',
+    'speaker.notHeard': 'The test tone could not be heard. Check the volume and that the selected speaker is the one you listen on.',
+    'speaker.unanswered': 'Nobody said whether the test tone could be heard. Play it again to check the speaker.',
+    'loopback.played': 'The recording was played back on the speaker.'
+};
+
+// The test running, null when none is
+let activeDiagnostic = null;
+// Settles the speaker test with the agent's answer
+let speakerTestAnswer = null;
+
+/**
+ * RMS and peak level of time domain samples between -1 and 1
+ */
+function measureAudioLevel(samples) {
+    let sum = 0;
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const value = Math.abs(samples[i]);
+        sum += value * value;
+        peak = Math.max(peak, value);
+    }
+    return { rms: samples.length ? Math.sqrt(sum / samples.length) : 0, peak: peak };
+}
+
+/**
+ * Judge meter readings: { result: 'ok', 'silent' or 'clipping', rms, peak } with the loudest levels
+ */
+function classifyAudioLevels(levels) {
+    const rms = levels.reduce((loudest, level) => Math.max(loudest, level.rms), 0);
+    const peak = levels.reduce((loudest, level) => Math.max(loudest, level.peak), 0);
+    const clipped = levels.filter(level => level.peak >= CLIPPING_PEAK).length;
+
+    let result = 'ok';
+    if (rms < SILENCE_RMS) {
+        result = 'silent';
+    } else if (clipped / levels.length > CLIPPING_RATIO) {
+        result = 'clipping';
+    }
+    return { result: result, rms: Math.round(rms * 1000) / 1000, peak: Math.round(peak * 1000) / 1000 };
+}
+
+/**
+ * Wait for a number of milliseconds
+ */
+function diagnosticsDelay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Web Audio context for a test
+ */
+function createDiagnosticsAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+        throw new Error('This browser does not support the Web Audio API');
+    }
+    return new AudioContextClass();
+}
+
+/**
+ * Open the selected microphone for use(stream), releasing it once the promise use returns settles.
+ * Processing is off so the levels are the microphone's own.
+ */
+function withDiagnosticsMicrophone(use) {
+    const constraints = { echoCancellation: false, noiseSuppression: false, autoGainControl: false };
+    const deviceId = deviceManager.getSelection().microphone;
+    if (deviceId) {
+        constraints.deviceId = { exact: deviceId };
+    }
+
+    return navigator.mediaDevices.getUserMedia({ audio: constraints }).then(stream => {
+        const release = () => stream.getTracks().forEach(track => track.stop());
+        return Promise.resolve()
+            .then(() => use(stream))
+            .then(result => {
+                release();
+                return result;
+            }, err => {
+                release();
+                throw err;
+            });
+    });
+}
+
+/**
+ * Show the level of a stream on the meter for durationMs, resolving with every reading
+ */
+function meterAudioStream(stream, durationMs) {
+    const context = createDiagnosticsAudioContext();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 2048;
+    context.createMediaStreamSource(stream).connect(analyser);
+
+    const samples = new Float32Array(analyser.fftSize);
+    const levels = [];
+    const started = Date.now();
+
+    return new Promise(resolve => {
+        const timer = setInterval(() => {
+            analyser.getFloatTimeDomainData(samples);
+            const level = measureAudioLevel(samples);
+            levels.push(level);
+            showDiagnosticsLevel(level.peak);
+
+            if (Date.now() - started >= durationMs) {
+                clearInterval(timer);
+                showDiagnosticsLevel(0);
+                context.close();
+                resolve(levels);
+            }
+        }, DIAGNOSTICS_METER_INTERVAL_MS);
+    });
+}
+
+/**
+ * Play an audio element on the selected speaker, where calls play.
+ * Resolves once it plays, whether or not the speaker could be chosen.
+ */
+function playOnSpeaker(audio) {
+    const sinkId = canSelectAudioOutput() ? deviceManager.getSelection().speaker || '' : null;
+    return routeAudioOutput(audio, sinkId).then(() => audio.play());
+}
+
+/**
+ * Run one test at a time, showing and reporting its outcome.
+ * Resolves with the diagnostics sent to the softphone.
+ */
+function runDiagnostic(test, run) {
+    if (activeDiagnostic) {
+        return Promise.reject(new Error('The ' + activeDiagnostic + ' test is still running'));
+    }
+
+    activeDiagnostic = test;
+    updateDiagnosticsControls();
+
+    return Promise.resolve()
+        .then(run)
+        .catch(err => {
+            console.error('Audio ' + test + ' test failed:', err);
+            return { result: 'failed', message: 'The ' + test + ' test failed: ' + (err.message || err.name) };
+        })
+        .then(outcome => {
+            activeDiagnostic = null;
+            updateDiagnosticsControls();
+
+            const diagnostics = Object.assign({ test: test }, outcome);
+            diagnostics.message = diagnostics.message || DIAGNOSTIC_MESSAGES[test + '.' + diagnostics.result];
+            showDiagnosticsResult(diagnostics.message, diagnostics.result);
+            notifyWebRTCStatus({ status: 'diagnostics', diagnostics: diagnostics });
+            return diagnostics;
+        });
+}
+
+/**
+ * Meter the selected microphone, telling working, silent and clipping microphones apart
+ */
+function checkMicrophone(durationMs) {
+    return runDiagnostic('microphone', () => {
+        showDiagnosticsResult('Say something...', 'running');
+        return withDiagnosticsMicrophone(stream => meterAudioStream(stream, durationMs || MICROPHONE_CHECK_MS))
+            .then(classifyAudioLevels);
+    });
+}
+
+/**
+ * Play a test tone on the selected speaker, then ask whether it could be heard,
+ * waiting answerTimeoutMs for the answer
+ */
+function testSpeaker(durationMs, answerTimeoutMs) {
+    return runDiagnostic('speaker', () => {
+        const context = createDiagnosticsAudioContext();
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const destination = context.createMediaStreamDestination();
+
+        oscillator.frequency.value = TEST_TONE_FREQUENCY;
+        gain.gain.value = 0.2;
+        oscillator.connect(gain);
+        gain.connect(destination);
+
+        const audio = new Audio();
+        audio.srcObject = destination.stream;
+
+        showDiagnosticsResult('Playing a test tone...', 'running');
+        oscillator.start();
+        return playOnSpeaker(audio)
+            .then(() => diagnosticsDelay(durationMs || TEST_TONE_MS))
+            .then(() => {
+                oscillator.stop();
+                audio.pause();
+                context.close();
+                return askWhetherSpeakerWasHeard(answerTimeoutMs || SPEAKER_ANSWER_TIMEOUT_MS);
+            }, err => {
+                context.close();
+                throw err;
+            });
+    });
+}
+
+/**
+ * Ask whether the test tone could be heard, resolving with the outcome of the speaker test.
+ * Without an answer within timeoutMs the test ends as 'unanswered', so the other tests can run.
+ */
+function askWhetherSpeakerWasHeard(timeoutMs) {
+    showDiagnosticsResult('Did you hear the test tone?', 'question');
+    const answer = document.getElementById('speakerTestAnswer');
+    if (answer) answer.hidden = false;
+
+    return new Promise(resolve => {
+        const settle = result => {
+            clearTimeout(timer);
+            speakerTestAnswer = null;
+            if (answer) answer.hidden = true;
+            resolve({ result: result });
+        };
+        const timer = setTimeout(() => settle('unanswered'), timeoutMs);
+        speakerTestAnswer = heard => settle(heard ? 'heard' : 'notHeard');
+    });
+}
+
+/**
+ * Answer the speaker test's question
+ */
+function answerSpeakerTest(heard) {
+    if (speakerTestAnswer) {
+        speakerTestAnswer(heard);
+    }
+}
+
+/**
+ * Record the selected microphone, then play the recording back on the selected speaker
+ */
+function runLoopback(durationMs) {
+    return runDiagnostic('loopback', () => {
+        if (typeof MediaRecorder === 'undefined') {
+            throw new Error('This browser cannot record audio');
+        }
+
+        return withDiagnosticsMicrophone(stream => {
+            const recorder = new MediaRecorder(stream);
+            const chunks = [];
+            const stopped = new Promise(resolve => {
+                recorder.ondataavailable = event => chunks.push(event.data);
+                recorder.onstop = resolve;
+            });
+
+            showDiagnosticsResult('Recording, say something...', 'running');
+            recorder.start();
+
+            return meterAudioStream(stream, durationMs || LOOPBACK_RECORD_MS).then(levels => {
+                recorder.stop();
+                return stopped.then(() => new Blob(chunks, { type: recorder.mimeType }))
+                    .then(recording => {
+                        showDiagnosticsResult('Playing the recording back...', 'running');
+                        return playRecording(recording);
+                    })
+                    .then(() => {
+                        // How the microphone sounded while recording
+                        const level = classifyAudioLevels(levels);
+                        return { result: 'played', level: level.result, rms: level.rms, peak: level.peak };
+                    });
+            });
+        });
+    });
+}
+
+/**
+ * Play a recording on the selected speaker, resolving once it ended
+ */
+function playRecording(recording) {
+    const url = URL.createObjectURL(recording);
+    const audio = new Audio();
+
+    return new Promise((resolve, reject) => {
+        audio.onended = resolve;
+        audio.onerror = () => reject(new Error('The recording could not be played'));
+        audio.src = url;
+        playOnSpeaker(audio).catch(reject);
+    }).then(() => URL.revokeObjectURL(url), err => {
+        URL.revokeObjectURL(url);
+        throw err;
+    });
+}
+
+/**
+ * Show the microphone level, between 0 and 1
+ */
+function showDiagnosticsLevel(level) {
+    const meter = document.getElementById('microphoneLevel');
+    if (meter) meter.value = level;
+}
+
+/**
+ * Show what a test is doing or found
+ */
+function showDiagnosticsResult(text, className) {
+    const result = document.getElementById('diagnosticsResult');
+    if (result) {
+        result.textContent = text;
+        result.className = className || '';
+    }
+}
+
+/**
+ * Only let one test run at a time
+ */
+function updateDiagnosticsControls() {
+    ['checkMicrophone', 'testSpeaker', 'runLoopback'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = activeDiagnostic !== null;
+    });
+}
+
+/**
+ * Wire the diagnostics buttons of the page
+ */
+function setupAudioDiagnostics() {
+    if (!document.getElementById('checkMicrophone')) return;
+
+    document.getElementById('checkMicrophone').addEventListener('click', () => checkMicrophone());
+    document.getElementById('testSpeaker').addEventListener('click', () => testSpeaker());
+    document.getElementById('runLoopback').addEventListener('click', () => runLoopback());
+    document.getElementById('speakerHeard').addEventListener('click', () => answerSpeakerTest(true));
+    document.getElementById('speakerNotHeard').addEventListener('click', () => answerSpeakerTest(false));
+}
@@ -0,0 +1,158 @@
+// Call log persistence for the example page.
+// Stands in for a CRM: records are saved through the call log API of server.js,
+// keyed by interaction id, so repeated processCallLog events for one interaction
+// update the same record. openCallLog shows the saved record.
+const CALL_LOG_API = '/api/call-logs';
+
+/**
+ * Get the id of an interaction sent as the whole object or as its id
+ */
+function toInteractionId(interaction) {
+    return interaction && typeof interaction === 'object' ? interaction.id : interaction;
+}
+
+/**
+ * Get the interaction id from a processCallLog payload.
+ * The framework sends the whole interaction object, older clients send the id.
+ */
+function getCallLogInteractionId(payload) {
+    return toInteractionId(payload.interactionId);
+}
+
+/**
+ * Call the call log API and resolve with its JSON answer.
+ * Failures reject with the API's error message and the response status.
+ */
+function callLogRequest(method, path, body) {
+    const options = { method: method, headers: { Accept: 'application/json' } };
+    if (body) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+
+    return fetch(CALL_LOG_API + path, options).then(response =>
+        response.json().catch(() => ({})).then(result => {
+            if (!response.ok) {
+                const error = new Error(result.error || 'Call log API answered ' + response.status);
+                error.status = response.status;
+                throw error;
+            }
+            return result;
+        }));
+}
+
+/**
+ * Save a call log and resolve with the external record
+ */
+function saveCallLog(payload) {
+    const failSave = document.getElementById('failCallLogSave');
+    if (failSave && failSave.checked) {
+        return Promise.reject(new Error('Simulated CRM failure'));
+    }
+
+    const interactionId = getCallLogInteractionId(payload);
+    if (!interactionId) {
+        return Promise.reject(new Error('Call log has no interaction id'));
+    }
+
+    return callLogRequest('PUT', '/' + encodeURIComponent(interactionId), {
+        eventName: payload.eventName,
+        callLog: payload.callLog
+    });
+}
+
+/**
+ * Fetch the record of an interaction, or with a record id. Resolves with null if there is none.
+ */
+function loadCallLog(key) {
+    return callLogRequest('GET', '/' + encodeURIComponent(key))
+        .catch(err => {
+            if (err.status === 404) {
+                return null;
+            }
+            throw err;
+        });
+}
+
+/**
+ * Save a call log raised by the softphone and reply with the outcome
+ */
+function processCallLog(message) {
+    return saveCallLog(message.data)
+        .then(record => ({ success: true, id: record.id }))
+        .catch(err => {
+            console.error('Failed to save call log:', err);
+            return { success: false, reason: err.message };
+        })
+        .then(result => {
+            sendToSoftphone({
+                type: 'callLogResult',
+                data: result,
+                replyTo: message.id
+            });
+        });
+}
+
+/**
+ * Add a labelled line to the call log record panel
+ */
+function addCallLogField(list, label, value) {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    description.textContent = value;
+    list.appendChild(term);
+    list.appendChild(description);
+}
+
+/**
+ * Show a saved call log record, or a message in its place
+ */
+function showCallLogRecord(record, message) {
+    const panel = document.getElementById('callLogRecord');
+    if (!panel) return;
+
+    while (panel.firstChild) {
+        panel.removeChild(panel.firstChild);
+    }
+
+    if (!record) {
+        panel.textContent = message;
+        return;
+    }
+
+    const list = document.createElement('dl');
+    addCallLogField(list, 'Record', record.id);
+    addCallLogField(list, 'Interaction', record.interactionId);
+    addCallLogField(list, 'Subject', record.subject || '-');
+    addCallLogField(list, 'Notes', record.notes || '-');
+    addCallLogField(list, 'Name', record.associations.contact ? record.associations.contact.text : '-');
+    addCallLogField(list, 'Related to', record.associations.relation ? record.associations.relation.text : '-');
+
+    const attributes = Object.keys(record.attributes);
+    addCallLogField(list, 'Attributes', attributes.length > 0 ?
+        attributes.map(name => name + ': ' + record.attributes[name]).join('\n') : '-');
+    addCallLogField(list, 'Events', record.events.map(event =>
+        new Date(event.time).toLocaleString() + ' ' + event.eventName).join('\n'));
+    panel.appendChild(list);
+}
+
+/**
+ * Show the saved record of the call log the user opened in the softphone
+ */
+function openCallLog(message) {
+    const interactionId = toInteractionId(message.data.interaction);
+    const key = interactionId || message.data.callLog.id;
+    if (!key) {
+        showCallLogRecord(null, 'The call log has no interaction or record id');
+        return Promise.resolve();
+    }
+
+    showCallLogRecord(null, 'Loading call log...');
+    return loadCallLog(key)
+        .then(record => showCallLogRecord(record, 'No call log saved for ' + key + ' yet'))
+        .catch(err => {
+            console.error('Failed to load call log:', err);
+            showCallLogRecord(null, 'Could not load the call log: ' + err.message);
+        });
+}
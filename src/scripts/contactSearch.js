@@ -0,0 +1,120 @@
+// Contact search providers.
+// A provider answers the softphone's contactSearch requests with entries in
+// the frameworkcontacts format: {type, name, phone: [{number, label}], email}.
+// Register more providers with registerContactSearchProvider and pick one
+// from the Contact Search Options drop-down.
+
+// Registered providers, keyed by name
+const contactSearchProviders = {};
+
+/**
+ * Register a contact search provider.
+ * A provider is {name, label, search(searchString)} where search returns a
+ * promise of frameworkcontacts entries.
+ */
+function registerContactSearchProvider(provider) {
+    contactSearchProviders[provider.name] = provider;
+    addContactSearchProviderOption(provider);
+}
+
+/**
+ * List a provider in the drop-down, once the page has one
+ */
+function addContactSearchProviderOption(provider) {
+    const select = document.getElementById('contactSearchProvider');
+    if (select && !select.querySelector('option[value="' + provider.name + '"]')) {
+        const option = document.createElement('option');
+        option.value = provider.name;
+        option.textContent = provider.label || provider.name;
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Fill the provider drop-down with the providers registered before the page loaded
+ */
+function setupContactSearchProviders() {
+    Object.keys(contactSearchProviders).forEach(name => {
+        addContactSearchProviderOption(contactSearchProviders[name]);
+    });
+
+    const select = document.getElementById('contactSearchProvider');
+    if (select) {
+        select.value = 'directory';
+    }
+}
+
+/**
+ * Get the provider selected on the page
+ */
+function getActiveContactSearchProvider() {
+    const select = document.getElementById('contactSearchProvider');
+    return contactSearchProviders[select && select.value] || contactSearchProviders.directory;
+}
+
+/**
+ * Answer a contactSearch request from the softphone with the active provider's results
+ */
+function sendContactSearch(searchMessage) {
+    console.log('Process contact search');
+
+    const provider = getActiveContactSearchProvider();
+    provider.search(searchMessage.data.searchString)
+        .then(contacts => {
+            // Contacts the softphone would not accept get an error, so it does not wait for them until it times out
+            const errors = validatePayload(MESSAGE_SCHEMAS.sendContactSearch.payload, contacts, 'data');
+            if (errors.length > 0) {
+                console.error('Contact search returned invalid contacts:', errors);
+                sendToSoftphone({
+                    type: 'error',
+                    data: createErrorPayload('INVALID_PAYLOAD', 'The ' + provider.name + ' contact search returned invalid contacts', errors),
+                    replyTo: searchMessage.id
+                });
+                return;
+            }
+
+            sendToSoftphone({
+                type: 'sendContactSearch',
+                data: contacts,
+                replyTo: searchMessage.id
+            });
+        })
+        .catch(err => {
+            console.error('Contact search failed:', err);
+            sendToSoftphone({
+                type: 'error',
+                data: createErrorPayload('SEARCH_FAILED', err.message),
+                replyTo: searchMessage.id
+            });
+        });
+}
+
+// Returns the contacts in the contactSearchPayload text area whatever the search string is
+registerContactSearchProvider({
+    name: 'manual',
+    label: 'Manual payload',
+    search: function () {
+        return new Promise(resolve => {
+            resolve(JSON.parse(document.getElementById('contactSearchPayload').value));
+        });
+    }
+});
+
+// Searches the contacts API of server.js, maintained on contacts.html
+registerContactSearchProvider({
+    name: 'directory',
+    label: 'Local directory',
+    search: function (searchString) {
+        if (!String(searchString || '').trim()) {
+            return Promise.resolve([]);
+        }
+
+        return fetch('/api/contacts?q=' + encodeURIComponent(searchString))
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('Could not search the contact directory: ' + response.status);
+                }
+                return response.json();
+            });
+    }
+});
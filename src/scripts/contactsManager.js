@@ -0,0 +1,224 @@
+// Management page for the local contact directory (contacts.html).
+// Lists, searches, creates, edits and deletes contacts through the contacts API of server.js.
+
+const CONTACTS_API = '/api/contacts';
+// Enough to show the whole directory when filtering
+const CONTACT_FILTER_LIMIT = 1000;
+
+// The contact being edited, null when creating one
+let editedContact = null;
+
+/**
+ * Call the contacts API and resolve with its JSON answer, rejecting with the API's error message
+ */
+function contactsRequest(method, path, body) {
+    const options = { method: method, headers: { Accept: 'application/json' } };
+    if (body) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+
+    return fetch(CONTACTS_API + path, options).then(response => {
+        if (response.status === 204) {
+            return null;
+        }
+        return response.json().catch(() => ({})).then(result => {
+            if (!response.ok) {
+                throw new Error(result.error || 'Contacts API answered ' + response.status);
+            }
+            return result;
+        });
+    });
+}
+
+/**
+ * Show a short status message next to the toolbar
+ */
+function showContactStatus(text) {
+    document.getElementById('contactStatus').textContent = text;
+}
+
+/**
+ * Fill the table with contacts
+ */
+function renderContacts(contacts) {
+    const body = document.querySelector('#contactTable tbody');
+    body.innerHTML = '';
+
+    contacts.forEach(contact => {
+        const row = document.createElement('tr');
+        row.dataset.contactId = contact.id;
+
+        [
+            contact.name,
+            contact.company || '',
+            contact.phone.map(phone => (phone.label ? phone.label + ': ' : '') + phone.number).join('\n'),
+            contact.email || ''
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            cell.style.whiteSpace = 'pre-line';
+            row.appendChild(cell);
+        });
+
+        const actions = document.createElement('td');
+        const edit = document.createElement('button');
+        edit.textContent = 'Edit';
+        edit.addEventListener('click', () => openContactForm(contact));
+        const remove = document.createElement('button');
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => deleteContact(contact));
+        actions.appendChild(edit);
+        actions.appendChild(remove);
+        row.appendChild(actions);
+
+        body.appendChild(row);
+    });
+
+    showContactStatus(contacts.length + (contacts.length === 1 ? ' contact' : ' contacts'));
+}
+
+/**
+ * Load the contacts matching the filter, or all of them
+ */
+function loadContacts() {
+    const filter = document.getElementById('contactFilter').value.trim();
+    const path = filter ? '?q=' + encodeURIComponent(filter) + '&limit=' + CONTACT_FILTER_LIMIT : '';
+
+    return contactsRequest('GET', path)
+        .then(renderContacts)
+        .catch(err => showContactStatus('Could not load contacts: ' + err.message));
+}
+
+/**
+ * Add a row for a phone number to the form
+ */
+function addPhoneRow(phone) {
+    const row = document.createElement('div');
+    row.className = 'contactPhone';
+
+    const number = document.createElement('input');
+    number.className = 'contactPhoneNumber';
+    number.placeholder = '+13175550100';
+    number.value = phone ? phone.number : '';
+
+    const label = document.createElement('input');
+    label.className = 'contactPhoneLabel';
+    label.placeholder = 'Label, e.g. Work';
+    label.value = phone && phone.label ? phone.label : '';
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => row.remove());
+
+    row.appendChild(number);
+    row.appendChild(label);
+    row.appendChild(remove);
+    document.getElementById('contactPhones').appendChild(row);
+}
+
+/**
+ * Show the form to edit a contact, or to create one when contact is null
+ */
+function openContactForm(contact) {
+    editedContact = contact;
+
+    document.getElementById('contactFormTitle').textContent = contact ? 'Edit ' + contact.name : 'New contact';
+    document.getElementById('contactName').value = contact ? contact.name : '';
+    document.getElementById('contactType').value = contact ? contact.type : '';
+    document.getElementById('contactCompany').value = contact && contact.company ? contact.company : '';
+    document.getElementById('contactEmail').value = contact && contact.email ? contact.email : '';
+    document.getElementById('contactFormError').textContent = '';
+
+    document.getElementById('contactPhones').innerHTML = '';
+    (contact ? contact.phone : [null]).forEach(addPhoneRow);
+
+    document.getElementById('contactForm').hidden = false;
+    document.getElementById('contactName').focus();
+}
+
+/**
+ * Hide the form
+ */
+function closeContactForm() {
+    editedContact = null;
+    document.getElementById('contactForm').hidden = true;
+}
+
+/**
+ * Read the contact in the form, leaving out empty phone rows
+ */
+function readContactForm() {
+    const contact = {
+        name: document.getElementById('contactName').value,
+        type: document.getElementById('contactType').value,
+        company: document.getElementById('contactCompany').value,
+        email: document.getElementById('contactEmail').value,
+        phone: []
+    };
+
+    document.querySelectorAll('#contactPhones .contactPhone').forEach(row => {
+        const number = row.querySelector('.contactPhoneNumber').value.trim();
+        const label = row.querySelector('.contactPhoneLabel').value.trim();
+        if (number) {
+            contact.phone.push(label ? { number: number, label: label } : { number: number });
+        }
+    });
+    return contact;
+}
+
+/**
+ * Create or update the contact in the form
+ */
+function saveContact(event) {
+    event.preventDefault();
+
+    const contact = readContactForm();
+    const request = editedContact ?
+        contactsRequest('PUT', '/' + encodeURIComponent(editedContact.id), contact) :
+        contactsRequest('POST', '', contact);
+
+    return request
+        .then(saved => {
+            closeContactForm();
+            showContactStatus('Saved ' + saved.name);
+            return loadContacts();
+        })
+        .catch(err => {
+            document.getElementById('contactFormError').textContent = err.message;
+        });
+}
+
+/**
+ * Delete a contact after confirming
+ */
+function deleteContact(contact) {
+    if (!window.confirm('Delete ' + contact.name + '?')) {
+        return Promise.resolve();
+    }
+
+    return contactsRequest('DELETE', '/' + encodeURIComponent(contact.id))
+        .then(() => loadContacts())
+        .catch(err => showContactStatus('Could not delete ' + contact.name + ': ' + err.message));
+}
+
+/**
+ * Wire up the page and list the contacts
+ */
+function setupContactsManager() {
+    let filterTimer = null;
+    document.getElementById('contactFilter').addEventListener('input', () => {
+        clearTimeout(filterTimer);
+        filterTimer = setTimeout(loadContacts, 200);
+    });
+
+    document.getElementById('newContact').addEventListener('click', () => openContactForm(null));
+    document.getElementById('addContactPhone').addEventListener('click', () => addPhoneRow(null));
+    document.getElementById('cancelContact').addEventListener('click', closeContactForm);
+    document.getElementById('contactForm').addEventListener('submit', saveContact);
+
+    return loadContacts();
+}
+
+document.addEventListener('DOMContentLoaded', setupContactsManager);
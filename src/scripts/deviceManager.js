@@ -0,0 +1,506 @@
+// Audio devices of the example page: the microphone, the speaker calls play on and
+// the ringer alerts play on. deviceManager owns these selections and moves through
+// the states uninitialized -> prompting -> ready, or to error when no microphone can
+// be used. Other scripts read it through deviceManager.getState, getSelection and
+// getDevices, and hear about changes through deviceManager.subscribe.
+// Devices chosen with select() are kept in localStorage and preferred from then on,
+// matched by label and groupId since deviceIds change between sessions. Alerts play
+// on the ringer, and also on the speaker when setRingOnSpeaker(true) was called.
+
+// States each state may move to; initialize() may run again from ready and error
+const DEVICE_TRANSITIONS = {
+    uninitialized: ['prompting', 'error'],
+    prompting: ['ready', 'error'],
+    ready: ['prompting', 'error'],
+    error: ['prompting', 'error']
+};
+
+// Selections and the kind of device each one uses
+const DEVICE_ROLES = {
+    microphone: 'audioinput',
+    speaker: 'audiooutput',
+    ringer: 'audiooutput'
+};
+
+// Error codes and what to tell the user about them
+const DEVICE_ERRORS = {
+    BrowserNotSupported: 'Browser does not support WebRTC technology',
+    NoDevicesFound: 'No audio devices detected. Please connect a microphone and speakers.',
+    NoMicrophoneFound: 'No microphone detected. Please connect a microphone.',
+    PermissionDenied: 'Microphone access was denied. Please allow microphone access in your browser settings.',
+    DeviceNotFound: 'No microphone found. Please connect a microphone and refresh the page.',
+    DeviceBusy: 'Unable to access microphone. It may be in use by another application.'
+};
+
+const DEVICE_PREFERENCES_STORAGE_KEY = 'pefAudioDevicePreferences';
+const RING_ON_SPEAKER_STORAGE_KEY = 'pefRingOnSpeaker';
+
+let audioDeviceState = 'uninitialized';
+let audioDeviceError = null;
+const audioDeviceSelection = { microphone: null, speaker: null, ringer: null };
+const knownAudioDevices = { audioinput: [], audiooutput: [] };
+const audioDeviceListeners = [];
+// Roles whose preferred device is missing, so each fallback is announced once
+const audioDeviceFallbacks = {};
+// Whether alerts also play on the speaker, read from localStorage when first needed
+let ringOnSpeaker = null;
+
+/**
+ * Tell subscribers what happened
+ */
+function notifyAudioDeviceListeners(event) {
+    audioDeviceListeners.slice().forEach(listener => {
+        try {
+            listener(event);
+        } catch (e) {
+            console.error('Audio device listener failed:', e);
+        }
+    });
+}
+
+/**
+ * Move to another state, refusing transitions the state machine does not allow
+ */
+function setAudioDeviceState(state, error) {
+    if (DEVICE_TRANSITIONS[audioDeviceState].indexOf(state) === -1) {
+        throw new Error('Audio devices cannot go from ' + audioDeviceState + ' to ' + state);
+    }
+
+    const previous = audioDeviceState;
+    audioDeviceState = state;
+    audioDeviceError = error || null;
+    notifyAudioDeviceListeners({ type: 'state', state: state, previous: previous, error: audioDeviceError });
+}
+
+/**
+ * Error with one of the DEVICE_ERRORS codes
+ */
+function createAudioDeviceError(code, name) {
+    const err = new Error(DEVICE_ERRORS[code]);
+    err.name = name || code;
+    err.code = code;
+    return err;
+}
+
+/**
+ * Describe why the devices cannot be used, as { name, code, message, isPermissionError }
+ */
+function describeAudioDeviceError(err) {
+    let code = err.code;
+    if (!code) {
+        if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
+            code = 'PermissionDenied';
+        } else if (err.name === 'NotFoundError') {
+            code = 'DeviceNotFound';
+        } else if (err.name === 'NotReadableError' || err.name === 'AbortError') {
+            code = 'DeviceBusy';
+        } else {
+            code = 'UnknownError';
+        }
+    }
+
+    return {
+        name: err.name || 'Error',
+        code: code,
+        message: DEVICE_ERRORS[code] || 'Audio device error: ' + (err.message || 'Unknown error'),
+        isPermissionError: code === 'PermissionDenied'
+    };
+}
+
+/**
+ * Change a selection and tell subscribers why
+ */
+function setAudioDeviceSelection(role, deviceId, reason) {
+    const previous = audioDeviceSelection[role];
+    if (previous === deviceId) return;
+
+    audioDeviceSelection[role] = deviceId;
+    console.log('Selected ' + role + ':', deviceId);
+    notifyAudioDeviceListeners({ type: 'selection', role: role, deviceId: deviceId, previous: previous, reason: reason });
+}
+
+/**
+ * Read the connected devices into knownAudioDevices
+ */
+function readAudioDevices() {
+    return navigator.mediaDevices.enumerateDevices().then(devices => {
+        Object.keys(knownAudioDevices).forEach(kind => {
+            knownAudioDevices[kind] = devices.filter(d => d.kind === kind).map(d => ({
+                deviceId: d.deviceId,
+                groupId: d.groupId || '',
+                kind: d.kind,
+                label: d.label || ''
+            }));
+        });
+        return knownAudioDevices;
+    });
+}
+
+/**
+ * Devices chosen for each role, as { role: { label, groupId, deviceId } }
+ */
+function loadAudioDevicePreferences() {
+    try {
+        return JSON.parse(localStorage.getItem(DEVICE_PREFERENCES_STORAGE_KEY)) || {};
+    } catch (e) {
+        // Storage can be unavailable, e.g. in some private windows, or hold something else
+        return {};
+    }
+}
+
+/**
+ * Remember the device chosen for a role
+ */
+function saveAudioDevicePreference(role, device) {
+    const preferences = loadAudioDevicePreferences();
+    preferences[role] = { label: device.label, groupId: device.groupId, deviceId: device.deviceId };
+    try {
+        localStorage.setItem(DEVICE_PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+    } catch (e) {
+        // The choice then only lasts until the page is reloaded
+    }
+}
+
+/**
+ * Whether alerts also play on the speaker
+ */
+function loadRingOnSpeaker() {
+    if (ringOnSpeaker === null) {
+        try {
+            ringOnSpeaker = localStorage.getItem(RING_ON_SPEAKER_STORAGE_KEY) === 'true';
+        } catch (e) {
+            ringOnSpeaker = false;
+        }
+    }
+    return ringOnSpeaker;
+}
+
+/**
+ * Connected device matching a preference: the same label and groupId, else the same
+ * label, else the same deviceId for browsers that do not label devices
+ */
+function findPreferredAudioDevice(kind, preference) {
+    const devices = knownAudioDevices[kind];
+    return devices.find(d => d.label && d.label === preference.label && d.groupId === preference.groupId) ||
+        devices.find(d => d.label && d.label === preference.label) ||
+        devices.find(d => d.deviceId === preference.deviceId) ||
+        null;
+}
+
+/**
+ * Whether a device of a kind is connected
+ */
+function isAudioDeviceConnected(kind, deviceId) {
+    return knownAudioDevices[kind].some(d => d.deviceId === deviceId);
+}
+
+/**
+ * Device to use when nothing is selected: the first one that is not the browser's default
+ */
+function pickAudioDevice(devices) {
+    const device = devices.find(d => d.deviceId && d.deviceId !== 'default');
+    return device ? device.deviceId : devices[0].deviceId;
+}
+
+/**
+ * Open a microphone to check it works, resolving with the id of the device opened.
+ * When fallback is set and it cannot be opened, any microphone will do.
+ */
+function openMicrophone(deviceId, fallback) {
+    console.log('Testing audio device with ID:', deviceId);
+
+    const constraints = deviceId ? { audio: { deviceId: { exact: deviceId } } } : { audio: true };
+    return navigator.mediaDevices.getUserMedia(constraints)
+        .then(stream => {
+            const audioTrack = stream.getAudioTracks()[0];
+            const settings = audioTrack ? audioTrack.getSettings() : {};
+
+            // Release the device
+            stream.getTracks().forEach(track => track.stop());
+            return settings.deviceId || deviceId;
+        })
+        .catch(err => {
+            console.error('Error testing device:', err);
+            if (deviceId && fallback) {
+                console.log('Falling back to any available audio device');
+                return openMicrophone(null, false);
+            }
+            throw err;
+        });
+}
+
+/**
+ * Select the preferred devices that are connected, keep the selections that are still
+ * connected and pick devices for the others. Selections going back to a preferred
+ * device that was missing are made with reason 'preferred'.
+ */
+function reselectAudioDevices(reason) {
+    const preferences = loadAudioDevicePreferences();
+    // A ringer no one chose keeps following the speaker
+    const ringerFollowsSpeaker = !preferences.ringer && audioDeviceSelection.ringer === audioDeviceSelection.speaker;
+
+    Object.keys(DEVICE_ROLES).forEach(role => {
+        const kind = DEVICE_ROLES[role];
+        const preference = preferences[role];
+
+        if (preference) {
+            const preferred = findPreferredAudioDevice(kind, preference);
+            if (preferred) {
+                const switchingBack = audioDeviceFallbacks[role];
+                delete audioDeviceFallbacks[role];
+                setAudioDeviceSelection(role, preferred.deviceId, switchingBack ? 'preferred' : reason);
+                return;
+            }
+        }
+
+        const selected = audioDeviceSelection[role];
+        if (role === 'ringer' && ringerFollowsSpeaker && selected !== null) {
+            setAudioDeviceSelection(role, audioDeviceSelection.speaker, reason);
+        } else if (selected === null || (selected !== '' && !isAudioDeviceConnected(kind, selected))) {
+            selectFallbackAudioDevice(role, reason);
+        }
+
+        if (preference && !audioDeviceFallbacks[role]) {
+            audioDeviceFallbacks[role] = true;
+            console.warn('Preferred ' + role + ' is missing:', preference.label || preference.deviceId);
+            notifyAudioDeviceListeners({ type: 'fallback', role: role, preferred: preference, deviceId: audioDeviceSelection[role] });
+        }
+    });
+}
+
+/**
+ * Pick a device for a role whose selection is not connected
+ */
+function selectFallbackAudioDevice(role, reason) {
+    const kind = DEVICE_ROLES[role];
+
+    let deviceId;
+    if (knownAudioDevices[kind].length === 0) {
+        // '' plays on the browser's default output
+        deviceId = kind === 'audiooutput' ? '' : null;
+    } else if (role === 'ringer') {
+        deviceId = audioDeviceSelection.speaker;
+    } else {
+        deviceId = pickAudioDevice(knownAudioDevices[kind]);
+    }
+    setAudioDeviceSelection(role, deviceId, reason);
+}
+
+/**
+ * Check the selected microphone opens, selecting the one that did
+ */
+function checkSelectedMicrophone(reason) {
+    return openMicrophone(audioDeviceSelection.microphone, true)
+        .catch(err => {
+            throw err.code ? err : createAudioDeviceError('DeviceBusy', err.name);
+        })
+        .then(deviceId => setAudioDeviceSelection('microphone', deviceId, reason));
+}
+
+/**
+ * Move to error, reporting why
+ */
+function failAudioDevices(err) {
+    const error = describeAudioDeviceError(err);
+    console.error('Audio device error:', error.code, err);
+    setAudioDeviceState('error', error);
+    return false;
+}
+
+const deviceManager = {
+    /**
+     * Ask for the microphone, read the devices and select one of each.
+     * Resolves with whether the devices are ready.
+     */
+    initialize: function () {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            return Promise.resolve(failAudioDevices(createAudioDeviceError('BrowserNotSupported')));
+        }
+
+        setAudioDeviceState('prompting');
+
+        // Devices are listed before access is granted, but without labels
+        return readAudioDevices()
+            .then(devices => {
+                if (devices.audioinput.length === 0 && devices.audiooutput.length === 0) {
+                    throw createAudioDeviceError('NoDevicesFound');
+                }
+                return navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+            })
+            .then(stream => {
+                console.log('Microphone access granted');
+
+                // The device the browser opened is a good first pick, unless it is just its default
+                const audioTrack = stream.getAudioTracks()[0];
+                const granted = audioTrack ? audioTrack.getSettings().deviceId : null;
+                stream.getTracks().forEach(track => track.stop());
+
+                return readAudioDevices().then(() => granted);
+            })
+            .then(granted => {
+                if (knownAudioDevices.audioinput.length === 0) {
+                    throw createAudioDeviceError('NoMicrophoneFound');
+                }
+                if (granted && granted !== 'default' &&
+                    !isAudioDeviceConnected('audioinput', audioDeviceSelection.microphone) &&
+                    isAudioDeviceConnected('audioinput', granted)) {
+                    setAudioDeviceSelection('microphone', granted, 'initialize');
+                }
+
+                reselectAudioDevices('initialize');
+                return checkSelectedMicrophone('initialize');
+            })
+            .then(() => {
+                setAudioDeviceState('ready');
+                return true;
+            })
+            .catch(failAudioDevices);
+    },
+
+    /**
+     * Read the devices again after they changed, replacing selections that were unplugged.
+     * Once the devices failed for want of one, a connected device brings them back.
+     */
+    refresh: function () {
+        if (audioDeviceState === 'error' && audioDeviceError && !audioDeviceError.isPermissionError) {
+            console.log('Audio devices changed, trying them again');
+            return this.initialize();
+        }
+        if (audioDeviceState !== 'ready') {
+            console.log('Skipping device update - devices are ' + audioDeviceState);
+            return Promise.resolve(false);
+        }
+
+        console.log('Updating device list');
+        return readAudioDevices()
+            .then(() => {
+                if (knownAudioDevices.audioinput.length === 0) {
+                    throw createAudioDeviceError('NoMicrophoneFound');
+                }
+
+                const microphone = audioDeviceSelection.microphone;
+                reselectAudioDevices('unavailable');
+                return microphone === audioDeviceSelection.microphone ? null : checkSelectedMicrophone('unavailable');
+            })
+            .then(() => {
+                notifyAudioDeviceListeners({ type: 'devices', devices: this.getDevices() });
+                return true;
+            })
+            .catch(failAudioDevices);
+    },
+
+    /**
+     * Select the device for a role: 'microphone', 'speaker' or 'ringer', and prefer it from now on.
+     * A microphone must open to be selected. Resolves with whether it was selected.
+     */
+    select: function (role, deviceId) {
+        const kind = DEVICE_ROLES[role];
+        if (!kind) {
+            return Promise.reject(new Error('Unknown audio device role: ' + role));
+        }
+        const device = knownAudioDevices[kind].find(d => d.deviceId === deviceId);
+        if (!device) {
+            console.error('Selected device does not exist:', deviceId);
+            return Promise.resolve(false);
+        }
+
+        const opened = kind === 'audiooutput' ? Promise.resolve() : openMicrophone(deviceId, false);
+        return opened.then(() => {
+            saveAudioDevicePreference(role, device);
+            delete audioDeviceFallbacks[role];
+            setAudioDeviceSelection(role, deviceId, 'selected');
+            return true;
+        }, () => false);
+    },
+
+    /**
+     * 'uninitialized', 'prompting', 'ready' or 'error'
+     */
+    getState: function () {
+        return audioDeviceState;
+    },
+
+    /**
+     * Why the devices are in error, as { name, code, message, isPermissionError }, or null
+     */
+    getError: function () {
+        return audioDeviceError;
+    },
+
+    /**
+     * Selected device ids, as { microphone, speaker, ringer }. '' is the browser's default output.
+     */
+    getSelection: function () {
+        return Object.assign({}, audioDeviceSelection);
+    },
+
+    /**
+     * Play alerts on the speaker as well as the ringer, e.g. on both the headset and the
+     * desk speakers, and remember it
+     */
+    setRingOnSpeaker: function (enabled) {
+        ringOnSpeaker = Boolean(enabled);
+        try {
+            localStorage.setItem(RING_ON_SPEAKER_STORAGE_KEY, String(ringOnSpeaker));
+        } catch (e) {
+            // The choice then only lasts until the page is reloaded
+        }
+        notifyAudioDeviceListeners({ type: 'ringOnSpeaker', enabled: ringOnSpeaker });
+    },
+
+    /**
+     * Whether alerts also play on the speaker
+     */
+    getRingOnSpeaker: function () {
+        return loadRingOnSpeaker();
+    },
+
+    /**
+     * Output device ids alerts play on: the ringer, then the speaker when it rings too
+     * and is another device. '' is the browser's default output.
+     */
+    getAlertOutputs: function () {
+        const outputs = [audioDeviceSelection.ringer || ''];
+        const speaker = audioDeviceSelection.speaker;
+        if (loadRingOnSpeaker() && speaker !== null && outputs.indexOf(speaker) === -1) {
+            outputs.push(speaker);
+        }
+        return outputs;
+    },
+
+    /**
+     * Devices chosen with select(), as { microphone, speaker, ringer } of { label, groupId, deviceId }
+     * for the roles one was chosen for
+     */
+    getPreferences: function () {
+        return loadAudioDevicePreferences();
+    },
+
+    /**
+     * Connected devices, as { inputs, outputs } of { deviceId, groupId, kind, label }
+     */
+    getDevices: function () {
+        return {
+            inputs: knownAudioDevices.audioinput.map(d => Object.assign({}, d)),
+            outputs: knownAudioDevices.audiooutput.map(d => Object.assign({}, d))
+        };
+    },
+
+    /**
+     * Call listener(event) on every change, where event is one of
+     * {type: 'state', state, previous, error}, {type: 'selection', role, deviceId, previous, reason}
+     * with reason 'initialize', 'unavailable', 'preferred' or 'selected', {type: 'fallback', role,
+     * preferred, deviceId} when the preferred device is missing, {type: 'ringOnSpeaker', enabled}
+     * and {type: 'devices', devices} once refresh() read them again.
+     * Returns a function that removes the listener.
+     */
+    subscribe: function (listener) {
+        audioDeviceListeners.push(listener);
+        return function () {
+            const index = audioDeviceListeners.indexOf(listener);
+            if (index !== -1) {
+                audioDeviceListeners.splice(index, 1);
+            }
+        };
+    }
+};
@@ -0,0 +1,269 @@
+// Append-only log of every message exchanged with the softphone.
+// Entries are kept in IndexedDB so the timeline survives reloads, and can be
+// filtered on the page and exported as JSON or CSV.
+
+const EVENT_LOG_DB_NAME = 'pefEventLog';
+const EVENT_LOG_STORE = 'events';
+const MAX_EVENT_LOG_ENTRIES = 5000;
+const MAX_RENDERED_EVENT_LOG_ENTRIES = 200;
+
+// Entries in the order they were recorded
+let eventLogEntries = [];
+let eventLogDb = null;
+
+/**
+ * Open the IndexedDB database, resolving with null where IndexedDB is unavailable
+ */
+function openEventLogDb() {
+    return new Promise(resolve => {
+        if (!window.indexedDB) {
+            console.warn('IndexedDB not available, the event log will not be kept across reloads');
+            resolve(null);
+            return;
+        }
+
+        const request = window.indexedDB.open(EVENT_LOG_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(EVENT_LOG_STORE, { keyPath: 'seq', autoIncrement: true });
+            store.createIndex('type', 'type');
+            store.createIndex('interactionId', 'interactionId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.error('Could not open the event log database:', request.error);
+            resolve(null);
+        };
+    });
+}
+
+/**
+ * Run a request against the event store and resolve with its result.
+ * Resolves with null until the database is open.
+ */
+function eventLogRequest(mode, makeRequest, db) {
+    db = db || eventLogDb;
+    if (!db) {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+        const store = db.transaction(EVENT_LOG_STORE, mode).objectStore(EVENT_LOG_STORE);
+        const request = makeRequest(store);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Find the interaction a message is about, whatever its type
+ */
+function getEventInteractionId(type, data) {
+    if (!data || typeof data !== 'object') return null;
+
+    if (type === 'updateInteractionState') return data.id;
+    if (type === 'addAttribute') return data.interactionId;
+
+    const interaction = data.interaction || data.interactionId;
+    if (interaction && typeof interaction === 'object') {
+        const current = interaction.new || interaction.old || interaction;
+        return current.id || null;
+    }
+    return interaction || null;
+}
+
+/**
+ * Append a message to the log. Direction is 'inbound' (from the softphone) or 'outbound'.
+ */
+function recordEvent(direction, envelope) {
+    const entry = {
+        timestamp: envelope.timestamp || new Date().toISOString(),
+        direction: direction,
+        type: envelope.type,
+        messageId: envelope.id || null,
+        replyTo: envelope.replyTo || null,
+        interactionId: getEventInteractionId(envelope.type, envelope.data),
+        data: envelope.data
+    };
+
+    eventLogEntries.push(entry);
+    if (eventLogEntries.length > MAX_EVENT_LOG_ENTRIES) {
+        eventLogEntries.shift();
+    }
+
+    // Entries recorded before the database is open are saved once it is
+    if (eventLogDb) {
+        saveEventLogEntry(entry);
+    }
+
+    renderEventLog();
+    return entry;
+}
+
+/**
+ * Store an entry in IndexedDB
+ */
+function saveEventLogEntry(entry) {
+    eventLogRequest('readwrite', store => store.add(entry))
+        .then(seq => {
+            entry.seq = seq;
+            pruneEventLog(seq);
+        })
+        .catch(err => console.error('Could not save event log entry:', err));
+}
+
+/**
+ * Delete stored entries that fell out of the retention window
+ */
+function pruneEventLog(lastSeq) {
+    if (lastSeq <= MAX_EVENT_LOG_ENTRIES) return;
+
+    eventLogRequest('readwrite', store => store.delete(IDBKeyRange.upperBound(lastSeq - MAX_EVENT_LOG_ENTRIES)))
+        .catch(err => console.error('Could not prune the event log:', err));
+}
+
+/**
+ * Entries matching the filters on the page, oldest first
+ */
+function getFilteredEvents(filter) {
+    return eventLogEntries.filter(entry =>
+        (!filter.type || entry.type === filter.type) &&
+        (!filter.direction || entry.direction === filter.direction) &&
+        (!filter.interactionId || (entry.interactionId || '').indexOf(filter.interactionId) !== -1));
+}
+
+/**
+ * Read the filters from the page
+ */
+function getEventLogFilter() {
+    return {
+        type: document.getElementById('eventLogType').value,
+        direction: document.getElementById('eventLogDirection').value,
+        interactionId: document.getElementById('eventLogInteraction').value.trim()
+    };
+}
+
+/**
+ * Redraw the event timeline, newest first
+ */
+function renderEventLog() {
+    const body = document.querySelector('#eventLog tbody');
+    if (!body) return;
+
+    updateEventLogTypes();
+
+    const entries = getFilteredEvents(getEventLogFilter());
+    body.innerHTML = '';
+
+    entries.slice(-MAX_RENDERED_EVENT_LOG_ENTRIES).reverse().forEach(entry => {
+        const row = document.createElement('tr');
+        row.className = entry.direction;
+        [
+            entry.timestamp,
+            entry.direction === 'inbound' ? '← in' : '→ out',
+            entry.type,
+            entry.interactionId,
+            JSON.stringify(entry.data)
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value || '';
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    });
+
+    document.getElementById('eventLogCount').textContent =
+        entries.length + ' of ' + eventLogEntries.length + ' events';
+}
+
+/**
+ * Offer every message type seen so far in the type filter
+ */
+function updateEventLogTypes() {
+    const select = document.getElementById('eventLogType');
+    const known = Array.from(select.options).map(option => option.value);
+
+    eventLogEntries.forEach(entry => {
+        if (known.indexOf(entry.type) === -1) {
+            known.push(entry.type);
+            const option = document.createElement('option');
+            option.value = entry.type;
+            option.textContent = entry.type;
+            select.appendChild(option);
+        }
+    });
+}
+
+/**
+ * Quote a value for a CSV cell
+ */
+function toCsvValue(value) {
+    const text = value === undefined || value === null ? '' : typeof value === 'string' ? value : JSON.stringify(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Convert entries to CSV, one line per entry
+ */
+function eventsToCsv(entries) {
+    const columns = ['timestamp', 'direction', 'type', 'messageId', 'replyTo', 'interactionId', 'data'];
+    return [columns.join(',')]
+        .concat(entries.map(entry => columns.map(column => toCsvValue(entry[column])).join(',')))
+        .join('\r\n');
+}
+
+/**
+ * Download the filtered entries as a file
+ */
+function exportEventLog(format) {
+    const entries = getFilteredEvents(getEventLogFilter());
+    const content = format === 'csv' ? eventsToCsv(entries) : JSON.stringify(entries, null, 2);
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'event-log-' + new Date().toISOString().replace(/[:.]/g, '-') + '.' + format;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Show every entry again. The page offers no way to delete entries, so the timeline
+ * stays complete for the last MAX_EVENT_LOG_ENTRIES messages.
+ */
+function clearEventLogFilters() {
+    ['eventLogType', 'eventLogDirection', 'eventLogInteraction'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    renderEventLog();
+}
+
+/**
+ * Load the stored timeline and wire up the event log controls
+ */
+function setupEventLog() {
+    ['eventLogType', 'eventLogDirection'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderEventLog);
+    });
+    document.getElementById('eventLogInteraction').addEventListener('input', renderEventLog);
+    document.getElementById('exportEventLogJson').addEventListener('click', () => exportEventLog('json'));
+    document.getElementById('exportEventLogCsv').addEventListener('click', () => exportEventLog('csv'));
+    document.getElementById('clearEventLogFilters').addEventListener('click', clearEventLogFilters);
+
+    let db = null;
+    return openEventLogDb()
+        .then(openedDb => {
+            db = openedDb;
+            return eventLogRequest('readonly', store => store.getAll(), db);
+        })
+        .then(stored => {
+            // Events recorded while the database was opening come after the stored ones
+            const unsaved = eventLogEntries;
+            eventLogEntries = (stored || []).concat(unsaved);
+            eventLogDb = db;
+            unsaved.forEach(saveEventLogEntry);
+            renderEventLog();
+        })
+        .catch(err => console.error('Could not load the event log:', err));
+}
@@ -10,19 +10,61 @@ const SOUNDS = {
 let audioPool = [];
 const MAX_AUDIO_POOL_SIZE = 15; // Increased from 10 to handle more concurrent sounds
 
-// WebRTC device management
-let selectedAudioDeviceId = null;
-let deviceAccessGranted = false;
+// Page configuration, overridable through window.examplePageConfig
+const PAGE_CONFIG = Object.assign({
+    // Origins of the embedded client allowed to exchange messages with this page
+    trustedOrigins: ['https://apps.mypurecloud.com'],
+    // Client loaded in the softphone iframe: 'mock' or the domain of a PureCloud region
+    softphoneSource: 'mypurecloud.com',
+    // Milliseconds to wait for the softphone to complete a command
+    commandTimeout: 10000,
+    // Screen pop rules, see scripts/screenPop.js
+    screenPopRules: DEFAULT_SCREEN_POP_RULES,
+    // Milliseconds during which an interaction is not popped again, e.g. after a reconnect
+    screenPopDedupeMs: 30 * 60 * 1000,
+    // Stream messages to the event relay of server.js and accept commands from it
+    relay: true,
+    // Agent id on the relay, generated per tab when not set
+    relayAgentId: null,
+    // Relay token of server.js, which pages need to connect when it has one
+    relayToken: null,
+    // Volume of the ringtone of alerting interactions, between 0 and 1
+    ringtoneVolume: 0.6,
+    // Milliseconds an interaction rings before the ringtone escalates; 0 never escalates
+    ringtoneEscalateAfterMs: 15000,
+    // Volume of the ringtone once it escalated
+    ringtoneEscalatedVolume: 1,
+    // Sound looped alongside the ringtone once it escalated, null for none
+    ringtoneSecondarySound: SOUNDS.NOTIFICATION
+}, window.examplePageConfig);
+
+// Domains of the PureCloud regions the softphone can be loaded from
+const SOFTPHONE_REGIONS = [
+    'mypurecloud.com', 'usw2.pure.cloud', 'cac1.pure.cloud', 'mypurecloud.ie', 'euw2.pure.cloud',
+    'mypurecloud.de', 'aps1.pure.cloud', 'apne2.pure.cloud', 'mypurecloud.com.au', 'mypurecloud.jp'
+];
+
+// Messages dropped because they came from an untrusted origin
+let rejectedMessageCount = 0;
+
+// Origin of the client loaded in the softphone iframe, trusted alongside PAGE_CONFIG.trustedOrigins
+let softphoneOrigin = null;
 
 document.addEventListener('DOMContentLoaded', function () {
+    // Load the mock or real embedded client
+    setupSoftphoneSource();
+
     // Initialize the audio pool
     initializeAudioPool();
 
-    // Add WebRTC device initialization
-    initializeWebRTCDevices();
+    // Microphone, speaker and ringer selection
+    setupAudioDevices();
 
-    // Setup listener for device changes
-    setupDeviceChangeListener();
+    // Self-test of the selected audio devices
+    setupAudioDiagnostics();
+
+    // Ring while interactions are alerting
+    setupRingtone();
 
     // Clean up audio resources when the page is unloaded
     window.addEventListener('beforeunload', cleanupAudioResources);
@@ -30,10 +72,82 @@ document.addEventListener('DOMContentLoaded', function () {
     // Event listeners setup
     setupEventListeners();
 
+    // Contact search provider selection
+    setupContactSearchProviders();
+
+    // Interaction targeted by the call controls
+    setupInteractionSelector();
+
+    // Live view of every interaction
+    setupInteractionDashboard();
+
+    // Timeline of every message exchanged with the softphone
+    setupEventLog();
+
     // Handle incoming messages
     setupMessageHandling();
+
+    // Scripted interactions played in place of the softphone
+    setupScenarioRunner();
+
+    // Stream messages to the event relay and take commands from backends
+    setupRelayClient();
 });
 
+/**
+ * URL of the client to load in the softphone iframe
+ */
+function getSoftphoneUrl(source) {
+    const frameworkUrl = window.location.origin + '/framework.js';
+    if (source === 'mock') {
+        return window.location.origin + '/mock/client.html?framework=' + encodeURIComponent(frameworkUrl);
+    }
+    return 'https://apps.' + source + '/crm/index.html?crm=framework-local-secure&framework=' + frameworkUrl;
+}
+
+/**
+ * Load a client in the softphone iframe and trust the origin it is served from
+ */
+function loadSoftphone(source) {
+    const url = getSoftphoneUrl(source);
+
+    // The page chose to load this client, so its messages are expected; the previous client's no longer are
+    softphoneOrigin = new URL(url).origin;
+
+    console.log('Loading softphone from', url);
+    document.getElementById('softphone').src = url;
+}
+
+/**
+ * Let the user switch between the mock client and the real regional client
+ */
+function setupSoftphoneSource() {
+    const select = document.getElementById('softphoneSource');
+    const source = localStorage.getItem('softphoneSource') || PAGE_CONFIG.softphoneSource;
+
+    if (select) {
+        const mockOption = document.createElement('option');
+        mockOption.value = 'mock';
+        mockOption.textContent = 'Mock client (offline)';
+        select.appendChild(mockOption);
+
+        SOFTPHONE_REGIONS.forEach(region => {
+            const option = document.createElement('option');
+            option.value = region;
+            option.textContent = 'PureCloud (' + region + ')';
+            select.appendChild(option);
+        });
+
+        select.value = source;
+        select.addEventListener('change', () => {
+            localStorage.setItem('softphoneSource', select.value);
+            loadSoftphone(select.value);
+        });
+    }
+
+    loadSoftphone(source);
+}
+
 /**
  * Initialize the pool of audio elements
  */
@@ -75,7 +189,10 @@ function cleanupAudioElement(audio) {
     audio.pause();
     audio.currentTime = 0;
     audio.src = '';
+    audio.loop = false;
+    audio.volume = 1;
     audio.inUse = false;
+    audio.looping = false;
     audio.startTime = null;
 }
 
@@ -87,22 +204,25 @@ function getAudioFromPool() {
     let audio = audioPool.find(a => !a.inUse);
 
     if (!audio) {
+        // Looping sounds play until they are stopped, so they are never reclaimed
+        const reclaimable = audioPool.filter(a => !a.looping);
+
         // If all are in use, find one that has ended or is paused
-        audio = audioPool.find(a => a.ended || a.paused);
+        audio = reclaimable.find(a => a.ended || a.paused);
 
         if (audio) {
             cleanupAudioElement(audio);
         } else {
             // Look for an audio element that started playing more than 5 seconds ago
             const now = Date.now();
-            audio = audioPool.find(a => a.startTime && (now - a.startTime > 5000));
+            audio = reclaimable.find(a => a.startTime && (now - a.startTime > 5000));
 
             if (audio) {
                 console.warn('Reclaiming audio element that might be stuck');
                 cleanupAudioElement(audio);
-            } else if (audioPool.length > 0) {
+            } else if (reclaimable.length > 0) {
                 // Last resort: take the oldest one in the pool
-                audio = audioPool[0];
+                audio = reclaimable[0];
                 console.warn('Audio pool exhausted, forcing reuse of an audio element');
                 cleanupAudioElement(audio);
             } else {
@@ -128,7 +248,37 @@ function releaseAudioToPool(audio) {
 }
 
 /**
- * Play a sound with proper resource management
+ * Whether the browser can choose the output device of an audio element
+ */
+function canSelectAudioOutput() {
+    return typeof HTMLMediaElement.prototype.setSinkId === 'function';
+}
+
+/**
+ * Output devices alert sounds play on. Call audio stays on the speaker, which the
+ * embedded client is told about in audioDeviceStatus. Without output selection every
+ * sound plays once, on the browser's default output.
+ */
+function getAlertOutputs() {
+    return canSelectAudioOutput() ? deviceManager.getAlertOutputs() : [null];
+}
+
+/**
+ * Send an audio element to an output device; null leaves it where it is.
+ * Resolves once it is there, or on the output it was on when the device cannot be used.
+ */
+function routeAudioOutput(audio, sinkId) {
+    if (sinkId === null || audio.sinkId === sinkId) {
+        return Promise.resolve();
+    }
+
+    return audio.setSinkId(sinkId).catch(error => {
+        console.warn('Could not play on audio output ' + sinkId + ', using the current one:', error);
+    });
+}
+
+/**
+ * Play an alert sound on each alert output, returning the element playing on the ringer
  */
 function playSound(url) {
     if (!url) {
@@ -136,8 +286,28 @@ function playSound(url) {
         return null;
     }
 
+    return playAlertSound(url)[0];
+}
+
+/**
+ * Play an alert sound on each alert output, returning the elements playing it.
+ * options.volume sets their volume; with options.loop they play until released to the pool.
+ */
+function playAlertSound(url, options) {
+    return getAlertOutputs().map(sinkId => playSoundOn(url, sinkId, options));
+}
+
+/**
+ * Play a sound on an output device with proper resource management
+ */
+function playSoundOn(url, sinkId, options) {
+    options = options || {};
     const audio = getAudioFromPool();
 
+    if (options.volume !== undefined) {
+        audio.volume = options.volume;
+    }
+
     // Set up release on end or error
     audio.onended = () => releaseAudioToPool(audio);
     audio.onerror = () => {
@@ -145,25 +315,35 @@ function playSound(url) {
         releaseAudioToPool(audio);
     };
 
-    // Safety timeout to release after 30 seconds
-    audio.safetyTimeout = setTimeout(() => {
-        if (audio.inUse) {
-            console.warn('Safety timeout triggered for audio element');
-            releaseAudioToPool(audio);
-        }
-    }, 30000);
+    if (options.loop) {
+        audio.loop = true;
+        audio.looping = true;
+    } else {
+        // Safety timeout to release after 30 seconds
+        audio.safetyTimeout = setTimeout(() => {
+            if (audio.inUse) {
+                console.warn('Safety timeout triggered for audio element');
+                releaseAudioToPool(audio);
+            }
+        }, 30000);
+    }
 
-    // Set source and play
+    // Set source, then play once the element is on its output
     audio.src = url;
 
-    const playPromise = audio.play();
+    routeAudioOutput(audio, sinkId).then(() => {
+        // Released while switching outputs
+        if (!audio.inUse) return;
 
-    if (playPromise !== undefined) {
-        playPromise.catch(error => {
-            console.error('Audio play failed:', error);
-            releaseAudioToPool(audio);
-        });
-    }
+        const playPromise = audio.play();
+
+        if (playPromise !== undefined) {
+            playPromise.catch(error => {
+                console.error('Audio play failed:', error);
+                releaseAudioToPool(audio);
+            });
+        }
+    });
 
     return audio;
 }
@@ -177,434 +357,161 @@ function cleanupAudioResources() {
 }
 
 /**
- * Initialize WebRTC devices with proper error handling
+ * Show the state of the audio devices on the page and report it to the softphone
  */
-function initializeWebRTCDevices() {
-    // Check browser support
-    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        console.error('Browser does not support getUserMedia API');
-        notifyWebRTCStatus({
-            status: 'error',
-            error: 'NotSupported',
-            message: 'Browser does not support WebRTC'
-        });
-        return;
-    }
-
-    // Notify initialization
-    notifyWebRTCStatus({
-        status: 'initializing',
-        message: 'Waiting for microphone permissions'
-    });
-
-    // Show permission prompt
-    createPermissionPrompt();
-
-    // Request audio permission
-    navigator.mediaDevices.getUserMedia({ audio: true, video: false })
-        .then(handlePermissionGranted)
-        .catch(handlePermissionError);
+function setupAudioDevices() {
+    deviceManager.subscribe(handleAudioDeviceEvent);
+    setupDeviceChangeListener();
+    setupDeviceSelectors();
+    deviceManager.initialize();
 }
 
 /**
- * Handle successful permission grant
+ * React to a change of the device manager
  */
-function handlePermissionGranted(stream) {
-    // Remove permission prompt
-    removePermissionPrompt();
-
-    console.log('Audio permission granted');
-    deviceAccessGranted = true;
-
-    // Extract device info from active track
-    const audioTrack = stream.getAudioTracks()[0];
-    if (audioTrack) {
-        const settings = audioTrack.getSettings();
-        if (settings.deviceId) {
-            selectedAudioDeviceId = settings.deviceId;
-            console.log('Selected device ID from active track:', selectedAudioDeviceId);
-        }
-    }
-
-    // Stop the stream to release the device
-    stream.getTracks().forEach(track => track.stop());
-
-    // Get available devices
-    return navigator.mediaDevices.enumerateDevices()
-        .then(devices => {
-            const audioDevices = devices.filter(d => d.kind === 'audioinput');
-
-            if (audioDevices.length === 0) {
-                throw new Error('No audio input devices found');
-            }
-
-            // Validate selected device or select a new one
-            return validateOrSelectDevice(audioDevices);
-        })
-        .then(() => {
-            // Notify ready status
+function handleAudioDeviceEvent(event) {
+    if (event.type === 'state') {
+        if (event.state === 'prompting') {
+            showStatusMessage('Checking audio devices...');
             notifyWebRTCStatus({
-                status: 'ready',
-                deviceId: selectedAudioDeviceId
+                status: 'initializing',
+                message: 'Waiting for microphone permissions'
             });
+        } else if (event.state === 'ready') {
+            removeStatusMessage();
+            showDeviceSuccessNotification('Audio devices detected and ready');
+            notifyWebRTCStatus(Object.assign({ status: 'ready' }, describeAudioDevices()));
 
-            return navigator.mediaDevices.enumerateDevices();
-        })
-        .then(devices => {
-            // Send the complete device list to the softphone
-            const audioDevices = devices.filter(d => d.kind === 'audioinput');
-
+            if (deviceManager.getDevices().outputs.length === 0) {
+                // This is unusual, so warn but carry on with the browser's default output
+                showDeviceWarningNotification('No audio output devices detected. Audio playback may not work.', 'NoSpeakersFound');
+            }
+        } else if (event.state === 'error') {
+            removeStatusMessage();
+            showDeviceErrorNotification(event.error.message, event.error.code);
             notifyWebRTCStatus({
-                status: 'deviceList',
-                deviceId: selectedAudioDeviceId,
-                devices: audioDevices.map(d => ({
-                    deviceId: d.deviceId,
-                    label: d.label || 'Microphone'
-                }))
+                status: 'error',
+                error: event.error.name,
+                message: event.error.message,
+                isPermissionError: event.error.isPermissionError
             });
-        });
-}
-
-/**
- * Handle permission errors
- */
-function handlePermissionError(err) {
-    // Remove permission prompt
-    removePermissionPrompt();
-
-    console.error('WebRTC initialization error:', err);
-
-    // Handle different error types
-    if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
-        showPermissionDeniedMessage();
+        }
+    } else if (event.type === 'fallback') {
+        showDeviceWarningNotification('Your ' + event.role + ' "' + (event.preferred.label || event.preferred.deviceId) +
+            '" is not connected. Using ' + describeAudioDevice(event.role, event.deviceId) + ' until it is back.',
+            'PreferredDeviceMissing');
+    } else if (deviceManager.getState() === 'ready') {
+        if (event.reason === 'preferred') {
+            showDeviceSuccessNotification('Switched the ' + event.role + ' back to ' + describeAudioDevice(event.role, event.deviceId));
+        }
 
-        notifyWebRTCStatus({
-            status: 'error',
-            error: err.name,
-            message: 'Microphone access was denied. Please allow microphone access in your browser settings.',
-            isPermissionError: true
-        });
-    } else {
-        notifyWebRTCStatus({
-            status: 'error',
-            error: err.name || 'Error',
-            message: err.message || 'Could not access audio devices',
-            isPermissionError: false
-        });
+        // Selections made while initializing are reported once the devices are ready
+        if (event.type === 'devices' || event.type === 'ringOnSpeaker' || event.reason === 'selected') {
+            notifyWebRTCStatus(Object.assign({ status: 'updated' }, describeAudioDevices()));
+        }
     }
 }
 
 /**
- * Validate the current device or select a new one from available devices
+ * Name of the device selected for a role, for notifications
  */
-function validateOrSelectDevice(audioDevices) {
-    // Check if our current device is in the list
-    const deviceExists = selectedAudioDeviceId &&
-        audioDevices.some(d => d.deviceId === selectedAudioDeviceId);
-
-    if (!deviceExists) {
-        // Find a non-default device if possible
-        const deviceWithId = audioDevices.find(d =>
-            d.deviceId && d.deviceId !== 'default' && d.deviceId !== '');
-
-        selectedAudioDeviceId = deviceWithId ? deviceWithId.deviceId : audioDevices[0].deviceId;
-        console.log('Selected new audio device:', selectedAudioDeviceId);
-    }
+function describeAudioDevice(role, deviceId) {
+    const devices = deviceManager.getDevices();
+    const device = (role === 'microphone' ? devices.inputs : devices.outputs).find(d => d.deviceId === deviceId);
 
-    // Test the device to make sure it works
-    return testAudioDevice(selectedAudioDeviceId);
+    if (!device) {
+        return role === 'microphone' ? 'no microphone' : 'the browser\'s default output';
+    }
+    return '"' + (device.label || device.deviceId) + '"';
 }
 
 /**
- * Test if a device can be accessed
+ * Connected devices as reported to the softphone
  */
-function testAudioDevice(deviceId) {
-    console.log('Testing audio device with ID:', deviceId);
-
-    // Use exact constraint for specific deviceId
-    const constraints = deviceId ?
-        { audio: { deviceId: { exact: deviceId } } } :
-        { audio: true };
-
-    return navigator.mediaDevices.getUserMedia(constraints)
-        .then(stream => {
-            const audioTrack = stream.getAudioTracks()[0];
-
-            if (audioTrack) {
-                // Get actual device settings
-                const settings = audioTrack.getSettings();
-                if (settings.deviceId) {
-                    selectedAudioDeviceId = settings.deviceId;
-                }
-            }
-
-            // Release the device
-            stream.getTracks().forEach(track => track.stop());
-
-            return true;
-        })
-        .catch(err => {
-            console.error('Error testing device:', err);
-
-            // Try with any device if specific one failed
-            if (deviceId) {
-                console.log('Falling back to any available audio device');
-                return testAudioDevice(null);
-            }
-
-            // If even default device fails, report error
-            notifyWebRTCStatus({
-                status: 'error',
-                error: 'DeviceAccessError',
-                message: 'Could not access any audio device'
-            });
-
-            return false;
-        });
+function describeAudioDevices() {
+    const devices = deviceManager.getDevices();
+    return {
+        inputDevices: devices.inputs.map(d => ({
+            deviceId: d.deviceId,
+            label: d.label || 'Microphone',
+            kind: 'audioinput'
+        })),
+        outputDevices: devices.outputs.map(d => ({
+            deviceId: d.deviceId,
+            label: d.label || 'Speaker',
+            kind: 'audiooutput'
+        }))
+    };
 }
 
 /**
- * Update the device list when devices change
+ * Keep the microphone, speaker and ringer drop-downs and the ring on speaker
+ * checkbox in sync with the device manager
  */
-function updateDeviceList() {
-    if (!deviceAccessGranted) {
-        console.log('Skipping device update - no permission yet');
-        return;
+function setupDeviceSelectors() {
+    const selects = {
+        microphone: document.getElementById('microphoneSelect'),
+        speaker: document.getElementById('speakerSelect'),
+        ringer: document.getElementById('ringerSelect')
+    };
+    const ringOnSpeaker = document.getElementById('ringOnSpeaker');
+
+    // Alerts can only go to the default output
+    if (!canSelectAudioOutput()) {
+        [selects.ringer, ringOnSpeaker].forEach(control => {
+            if (!control) return;
+            control.disabled = true;
+            control.title = 'This browser plays alerts on its default output';
+        });
     }
 
-    console.log('Updating device list');
-
-    navigator.mediaDevices.enumerateDevices()
-        .then(devices => {
-            const audioDevices = devices.filter(d => d.kind === 'audioinput');
-
-            if (audioDevices.length === 0) {
-                console.warn('No audio devices found during update');
-                return;
-            }
-
-            // Check if selected device still exists
-            const deviceExists = selectedAudioDeviceId &&
-                audioDevices.some(d => d.deviceId === selectedAudioDeviceId);
-
-            if (!deviceExists) {
-                // Select a new device
-                validateOrSelectDevice(audioDevices);
-            }
-
-            // Notify about updated devices
-            notifyWebRTCStatus({
-                status: 'updated',
-                deviceId: selectedAudioDeviceId,
-                devices: audioDevices.map(d => ({
-                    deviceId: d.deviceId,
-                    label: d.label || 'Microphone'
-                }))
-            });
-        })
-        .catch(err => console.error('Error updating device list:', err));
-}
-
-/**
- * Enhanced audio device detection with user notifications
- */
-function initializeWebRTCDevices() {
-    // Check browser support first
-    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        const errorMsg = 'Browser does not support WebRTC technology';
-        console.error(errorMsg);
-        showDeviceErrorNotification(errorMsg, 'BrowserNotSupported');
-        return;
+    if (ringOnSpeaker) {
+        ringOnSpeaker.addEventListener('change', () => deviceManager.setRingOnSpeaker(ringOnSpeaker.checked));
     }
 
-    // Show a status message while we check devices
-    showStatusMessage('Checking audio devices...');
-
-    // First try to enumerate devices without permissions
-    // This will show if devices exist but might have empty labels
-    navigator.mediaDevices.enumerateDevices()
-        .then(initialDevices => {
-            const initialInputDevices = initialDevices.filter(d => d.kind === 'audioinput');
-            const initialOutputDevices = initialDevices.filter(d => d.kind === 'audiooutput');
-
-            console.log('Initial device scan found:', {
-                inputDevices: initialInputDevices.length,
-                outputDevices: initialOutputDevices.length
-            });
-
-            // Check if we have any devices at all
-            if (initialInputDevices.length === 0 && initialOutputDevices.length === 0) {
-                const errorMsg = 'No audio devices detected. Please connect a microphone and speakers.';
-                console.error(errorMsg);
-                showDeviceErrorNotification(errorMsg, 'NoDevicesFound');
-                return Promise.reject(new Error('No audio devices found'));
-            }
+    Object.keys(selects).forEach(role => {
+        const select = selects[role];
+        if (!select) return;
 
-            // Now request permission to access microphone
-            return navigator.mediaDevices.getUserMedia({ audio: true, video: false })
-                .then(stream => {
-                    // Success! We have microphone access
-                    console.log('Microphone access granted');
-
-                    // Store first track's device ID if available
-                    const audioTrack = stream.getAudioTracks()[0];
-                    if (audioTrack) {
-                        const settings = audioTrack.getSettings();
-                        if (settings.deviceId) {
-                            selectedAudioInputDeviceId = settings.deviceId;
-                            console.log('Selected input device from active track:', settings.deviceId);
-                        }
-                    }
-
-                    // Release the stream
-                    stream.getTracks().forEach(track => track.stop());
-
-                    // Now get the full device list with proper labels
-                    return navigator.mediaDevices.enumerateDevices();
-                });
-        })
-        .then(devices => {
-            // We now have devices with proper labels after permission
-            const inputDevices = devices.filter(d => d.kind === 'audioinput');
-            const outputDevices = devices.filter(d => d.kind === 'audiooutput');
-
-            console.log('Found audio devices after permission:', {
-                inputDevices: inputDevices.length,
-                outputDevices: outputDevices.length
-            });
-
-            // Log detailed device information for debugging
-            inputDevices.forEach((device, index) => {
-                console.log(`Input device ${index}:`, {
-                    id: device.deviceId,
-                    label: device.label || 'Unnamed device'
-                });
+        select.addEventListener('change', () => {
+            deviceManager.select(role, select.value).then(selected => {
+                if (!selected) select.value = deviceManager.getSelection()[role] || '';
             });
+        });
+    });
 
-            outputDevices.forEach((device, index) => {
-                console.log(`Output device ${index}:`, {
-                    id: device.deviceId,
-                    label: device.label || 'Unnamed device'
-                });
-            });
+    deviceManager.subscribe(() => {
+        const devices = deviceManager.getDevices();
+        const selection = deviceManager.getSelection();
 
-            // Check if we have input devices
-            if (inputDevices.length === 0) {
-                const errorMsg = 'No microphone detected. Please connect a microphone.';
-                console.error(errorMsg);
-                showDeviceErrorNotification(errorMsg, 'NoMicrophoneFound');
-                return Promise.reject(new Error('No microphone found'));
-            }
+        Object.keys(selects).forEach(role => {
+            const select = selects[role];
+            if (!select) return;
 
-            // Check if we have output devices
-            if (outputDevices.length === 0) {
-                // This is unusual, so we'll warn but continue
-                const warnMsg = 'No audio output devices detected. Audio playback may not work.';
-                console.warn(warnMsg);
-                showDeviceWarningNotification(warnMsg, 'NoSpeakersFound');
-                // Continue but set empty string as output device (browser default)
-                selectedAudioOutputDeviceId = '';
-            } else {
-                // Select an output device
-                const nonDefaultDevice = outputDevices.find(d =>
-                    d.deviceId && d.deviceId !== 'default' && d.deviceId !== '');
-                selectedAudioOutputDeviceId = nonDefaultDevice ?
-                    nonDefaultDevice.deviceId : outputDevices[0].deviceId || '';
-                console.log('Selected output device:', selectedAudioOutputDeviceId);
-            }
+            const options = role === 'microphone' ? devices.inputs : devices.outputs;
+            select.innerHTML = '';
 
-            // Select an input device if not already set from active track
-            if (!selectedAudioInputDeviceId || !inputDevices.some(d => d.deviceId === selectedAudioInputDeviceId)) {
-                const nonDefaultDevice = inputDevices.find(d =>
-                    d.deviceId && d.deviceId !== 'default' && d.deviceId !== '');
-                selectedAudioInputDeviceId = nonDefaultDevice ?
-                    nonDefaultDevice.deviceId : inputDevices[0].deviceId;
-                console.log('Selected input device:', selectedAudioInputDeviceId);
+            if (options.length === 0) {
+                const option = document.createElement('option');
+                option.value = '';
+                option.textContent = role === 'microphone' ? 'No microphones' : 'Browser default';
+                select.appendChild(option);
             }
 
-            // Test selected input device to make sure it works
-            return testAudioDevice(selectedAudioInputDeviceId)
-                .then(success => {
-                    if (success) {
-                        // Remove status message
-                        removeStatusMessage();
-
-                        // Show success notification
-                        showDeviceSuccessNotification('Audio devices detected and ready');
-
-                        // Notify PureCloud about devices
-                        notifyWebRTCStatus({
-                            status: 'ready',
-                            deviceId: selectedAudioInputDeviceId,
-                            outputDeviceId: selectedAudioOutputDeviceId,
-                            inputDevices: inputDevices.map(d => ({
-                                deviceId: d.deviceId,
-                                label: d.label || 'Microphone',
-                                kind: 'audioinput'
-                            })),
-                            outputDevices: outputDevices.map(d => ({
-                                deviceId: d.deviceId,
-                                label: d.label || 'Speaker',
-                                kind: 'audiooutput'
-                            }))
-                        });
-                    } else {
-                        const errorMsg = 'Unable to access microphone. It may be in use by another application.';
-                        console.error(errorMsg);
-                        showDeviceErrorNotification(errorMsg, 'MicrophoneAccessFailed');
-                        return Promise.reject(new Error('Microphone access failed'));
-                    }
-                });
-        })
-        .catch(err => {
-            console.error('WebRTC initialization error:', err);
-
-            // Remove status message
-            removeStatusMessage();
+            options.forEach(device => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label || (role === 'microphone' ? 'Microphone' : 'Speaker');
+                select.appendChild(option);
+            });
 
-            // Handle specific errors
-            if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
-                const errorMsg = 'Microphone access was denied. Please allow microphone access in your browser settings.';
-                showDeviceErrorNotification(errorMsg, 'PermissionDenied');
-
-                notifyWebRTCStatus({
-                    status: 'error',
-                    error: err.name,
-                    message: errorMsg,
-                    isPermissionError: true
-                });
-            } else if (err.name === 'NotFoundError') {
-                const errorMsg = 'No microphone found. Please connect a microphone and refresh the page.';
-                showDeviceErrorNotification(errorMsg, 'DeviceNotFound');
-
-                notifyWebRTCStatus({
-                    status: 'error',
-                    error: err.name,
-                    message: errorMsg,
-                    isPermissionError: false
-                });
-            } else if (err.name === 'NotReadableError' || err.name === 'AbortError') {
-                const errorMsg = 'Unable to access microphone. It may be in use by another application.';
-                showDeviceErrorNotification(errorMsg, 'DeviceBusy');
-
-                notifyWebRTCStatus({
-                    status: 'error',
-                    error: err.name,
-                    message: errorMsg,
-                    isPermissionError: false
-                });
-            } else {
-                const errorMsg = `Audio device error: ${err.message || 'Unknown error'}`;
-                showDeviceErrorNotification(errorMsg, 'UnknownError');
-
-                notifyWebRTCStatus({
-                    status: 'error',
-                    error: err.name || 'Error',
-                    message: errorMsg,
-                    isPermissionError: false
-                });
-            }
+            select.value = selection[role] || '';
         });
+
+        if (ringOnSpeaker) {
+            ringOnSpeaker.checked = deviceManager.getRingOnSpeaker();
+        }
+    });
 }
 
 /**
@@ -628,11 +535,12 @@ function showStatusMessage(message) {
     statusDiv.style.maxWidth = '400px';
 
     statusDiv.innerHTML = `
-        <p style="margin: 0; color: #333;">${message}</p>
+        <p class="notification-message" style="margin: 0; color: #333;"></p>
         <div style="margin-top: 10px; height: 4px; background: #eee; border-radius: 2px; overflow: hidden;">
             <div id="status-progress" style="height: 100%; width: 0; background: #4a90e2; transition: width 0.3s;"></div>
         </div>
     `;
+    statusDiv.querySelector('.notification-message').textContent = message;
 
     document.body.appendChild(statusDiv);
 
@@ -687,7 +595,7 @@ function showDeviceErrorNotification(message, errorCode) {
             <div style="margin-right: 15px; color: #d32f2f; font-size: 24px;">⚠️</div>
             <div>
                 <h3 style="margin-top: 0; margin-bottom: 5px; color: #d32f2f;">Audio Device Error</h3>
-                <p style="margin: 0;">${message}</p>
+                <p class="notification-message" style="margin: 0;"></p>
                 <p style="margin-top: 5px; font-size: 12px; color: #666;">Error code: ${errorCode}</p>
             </div>
         </div>
@@ -696,6 +604,7 @@ function showDeviceErrorNotification(message, errorCode) {
             <button id="dismiss-device-notification" style="padding: 8px 16px; background: #d32f2f; color: white; border: none; border-radius: 4px; cursor: pointer;">Dismiss</button>
         </div>
     `;
+    notificationDiv.querySelector('.notification-message').textContent = message;
 
     document.body.appendChild(notificationDiv);
 
@@ -709,17 +618,14 @@ function showDeviceErrorNotification(message, errorCode) {
     });
 
     // Also send a notification to the softphone
-    const softphone = document.getElementById("softphone");
-    if (softphone && softphone.contentWindow) {
-        softphone.contentWindow.postMessage(JSON.stringify({
-            type: 'sendCustomNotification',
-            data: {
-                message: message,
-                type: 'ERROR',
-                timeout: 0 // Doesn't auto-dismiss
-            }
-        }), "*");
-    }
+    sendToSoftphone({
+        type: 'sendCustomNotification',
+        data: {
+            message: message,
+            type: 'ERROR',
+            timeout: 0 // Doesn't auto-dismiss
+        }
+    });
 }
 
 /**
@@ -745,12 +651,14 @@ function showDeviceWarningNotification(message, warningCode) {
             <div style="margin-right: 15px; color: #f57c00; font-size: 24px;">⚠️</div>
             <div>
                 <h3 style="margin-top: 0; margin-bottom: 5px; color: #f57c00;">Audio Device Warning</h3>
-                <p style="margin: 0;">${message}</p>
+                <p class="notification-message" style="margin: 0;"></p>
                 <p style="margin-top: 5px; font-size: 12px; color: #666;">Warning code: ${warningCode}</p>
             </div>
         </div>
         <button id="dismiss-device-notification" style="margin-top: 10px; padding: 8px 16px; background: #f57c00; color: white; border: none; border-radius: 4px; cursor: pointer;">Dismiss</button>
     `;
+    // Set as text, since messages can carry device labels, which come from the OS or the device itself
+    notificationDiv.querySelector('.notification-message').textContent = message;
 
     document.body.appendChild(notificationDiv);
 
@@ -760,17 +668,14 @@ function showDeviceWarningNotification(message, warningCode) {
     });
 
     // Also send a notification to the softphone
-    const softphone = document.getElementById("softphone");
-    if (softphone && softphone.contentWindow) {
-        softphone.contentWindow.postMessage(JSON.stringify({
-            type: 'sendCustomNotification',
-            data: {
-                message: message,
-                type: 'WARNING',
-                timeout: 10000 // Auto-dismiss after 10 seconds
-            }
-        }), "*");
-    }
+    sendToSoftphone({
+        type: 'sendCustomNotification',
+        data: {
+            message: message,
+            type: 'WARNING',
+            timeout: 10000 // Auto-dismiss after 10 seconds
+        }
+    });
 }
 
 /**
@@ -795,10 +700,11 @@ function showDeviceSuccessNotification(message) {
             <div style="margin-right: 15px; color: #4caf50; font-size: 24px;">✅</div>
             <div>
                 <h3 style="margin-top: 0; margin-bottom: 5px; color: #4caf50;">Audio Ready</h3>
-                <p style="margin: 0;">${message}</p>
+                <p class="notification-message" style="margin: 0;"></p>
             </div>
         </div>
     `;
+    notificationDiv.querySelector('.notification-message').textContent = message;
 
     document.body.appendChild(notificationDiv);
 
@@ -810,17 +716,14 @@ function showDeviceSuccessNotification(message) {
     }, 5000);
 
     // Also send a notification to the softphone
-    const softphone = document.getElementById("softphone");
-    if (softphone && softphone.contentWindow) {
-        softphone.contentWindow.postMessage(JSON.stringify({
-            type: 'sendCustomNotification',
-            data: {
-                message: message,
-                type: 'SUCCESS',
-                timeout: 5000 // Auto-dismiss after 5 seconds
-            }
-        }), "*");
-    }
+    sendToSoftphone({
+        type: 'sendCustomNotification',
+        data: {
+            message: message,
+            type: 'SUCCESS',
+            timeout: 5000 // Auto-dismiss after 5 seconds
+        }
+    });
 }
 
 /**
@@ -968,7 +871,7 @@ function showTroubleshootingGuide(errorCode) {
 
     document.getElementById('retry-device-detection').addEventListener('click', function() {
         guideDiv.remove();
-        initializeWebRTCDevices();
+        deviceManager.initialize();
     });
 
     document.getElementById('continue-without-audio').addEventListener('click', function() {
@@ -978,6 +881,7 @@ function showTroubleshootingGuide(errorCode) {
             status: 'ready',
             deviceId: '',
             outputDeviceId: '',
+            ringerDeviceId: '',
             forceFallback: true
         });
     });
@@ -1007,44 +911,6 @@ function errorCodeToHumanReadable(errorCode) {
     }
 }
 
-/**
- * Select a specific audio device
- */
-function selectAudioDevice(deviceId) {
-    if (!deviceId) {
-        console.error('No device ID provided for selection');
-        return;
-    }
-
-    console.log('Selecting audio device:', deviceId);
-
-    // Validate device exists
-    navigator.mediaDevices.enumerateDevices()
-        .then(devices => {
-            const audioDevices = devices.filter(d => d.kind === 'audioinput');
-            const deviceExists = audioDevices.some(d => d.deviceId === deviceId);
-
-            if (deviceExists) {
-                // Test device before confirming selection
-                testAudioDevice(deviceId)
-                    .then(success => {
-                        if (success) {
-                            selectedAudioDeviceId = deviceId;
-
-                            notifyWebRTCStatus({
-                                status: 'ready',
-                                deviceId: deviceId
-                            });
-                        }
-                    });
-            } else {
-                console.error('Selected device does not exist:', deviceId);
-                validateOrSelectDevice(audioDevices);
-            }
-        })
-        .catch(err => console.error('Error in device selection:', err));
-}
-
 /**
  * Set up device change listener
  */
@@ -1052,7 +918,7 @@ function setupDeviceChangeListener() {
     if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
         navigator.mediaDevices.addEventListener('devicechange', () => {
             console.log('Media devices changed');
-            updateDeviceList();
+            deviceManager.refresh();
         });
     }
 }
@@ -1061,112 +927,18 @@ function setupDeviceChangeListener() {
  * Notify the softphone about WebRTC status
  */
 function notifyWebRTCStatus(data) {
-    const softphone = document.getElementById("softphone");
-    if (softphone && softphone.contentWindow) {
-        softphone.contentWindow.postMessage(JSON.stringify({
-            type: 'audioDeviceStatus',
-            data: data
-        }), "*");
-    } else {
-        console.error('Softphone iframe not found');
-    }
-}
-
-/**
- * Create UI for permission prompt
- */
-function createPermissionPrompt() {
-    removePermissionPrompt();
-
-    const promptDiv = document.createElement('div');
-    promptDiv.id = 'webrtc-permission-prompt';
-    promptDiv.style.position = 'fixed';
-    promptDiv.style.top = '10px';
-    promptDiv.style.left = '50%';
-    promptDiv.style.transform = 'translateX(-50%)';
-    promptDiv.style.zIndex = '9999';
-    promptDiv.style.background = '#f0f8ff';
-    promptDiv.style.padding = '15px';
-    promptDiv.style.borderRadius = '5px';
-    promptDiv.style.boxShadow = '0 2px 10px rgba(0,0,0,0.2)';
-    promptDiv.style.maxWidth = '400px';
-
-    promptDiv.innerHTML = `
-        <h3 style="margin-top: 0; color: #333;">Microphone Access Required</h3>
-        <p>This application needs access to your microphone for voice calls.</p>
-        <p>Please allow access when prompted by your browser.</p>
-    `;
-
-    document.body.appendChild(promptDiv);
-}
-
-/**
- * Remove permission prompt
- */
-function removePermissionPrompt() {
-    const prompt = document.getElementById('webrtc-permission-prompt');
-    if (prompt) prompt.remove();
-}
-
-/**
- * Show message when permission is denied
- */
-function showPermissionDeniedMessage() {
-    const messageDiv = document.createElement('div');
-    messageDiv.id = 'webrtc-permission-denied';
-    messageDiv.style.position = 'fixed';
-    messageDiv.style.top = '10px';
-    messageDiv.style.left = '50%';
-    messageDiv.style.transform = 'translateX(-50%)';
-    messageDiv.style.zIndex = '9999';
-    messageDiv.style.background = '#fff0f0';
-    messageDiv.style.padding = '15px';
-    messageDiv.style.borderRadius = '5px';
-    messageDiv.style.boxShadow = '0 2px 10px rgba(0,0,0,0.2)';
-    messageDiv.style.maxWidth = '400px';
-
-    messageDiv.innerHTML = `
-        <h3 style="margin-top: 0; color: #d32f2f;">Microphone Access Denied</h3>
-        <p>You've denied access to your microphone. Voice calling will not be available.</p>
-        <p>To enable voice calls, please:</p>
-        <ol>
-            <li>Click the camera/microphone icon in your browser's address bar</li>
-            <li>Select "Allow" for microphone access</li>
-            <li>Refresh this page</li>
-        </ol>
-        <button id="dismiss-permission-message" style="padding: 8px 16px; background: #d32f2f; color: white; border: none; border-radius: 4px; cursor: pointer;">Dismiss</button>
-    `;
-
-    document.body.appendChild(messageDiv);
-
-    document.getElementById('dismiss-permission-message').addEventListener('click', () => {
-        messageDiv.remove();
+    const selection = deviceManager.getSelection();
+    sendToSoftphone({
+        type: 'audioDeviceStatus',
+        data: Object.assign({
+            deviceId: selection.microphone,
+            outputDeviceId: selection.speaker,
+            ringerDeviceId: selection.ringer,
+            ringOnSpeaker: deviceManager.getRingOnSpeaker()
+        }, data)
     });
 }
 
-/**
- * Handle sound for interaction events
- */
-function handleInteractionSound(message) {
-    if (!message.data || !message.data.interaction) return;
-
-    const interaction = message.data.interaction;
-
-    // Check if this is a new alerting interaction
-    if (interaction.state === 'alerting' && (!interaction.old || interaction.old.state !== 'alerting')) {
-        // Play appropriate sound for the interaction type
-        if (interaction.type === 'call') {
-            playSound(SOUNDS.INCOMING_CALL);
-        } else if (interaction.type === 'message') {
-            playSound(SOUNDS.MESSAGE);
-        } else if (interaction.type === 'voicemail') {
-            playSound(SOUNDS.VOICEMAIL);
-        } else {
-            playSound(SOUNDS.NOTIFICATION);
-        }
-    }
-}
-
 /**
  * Set up all event listeners
  */
@@ -1215,169 +987,320 @@ function setupEventListeners() {
     if (elements.viewSettings) elements.viewSettings.addEventListener("click", setView);
 }
 
+/**
+ * Handlers for messages received from the softphone, keyed by message type
+ */
+const messageHandlers = {
+    screenPop: function (message, raw) {
+        document.getElementById("screenPopPayload").value = raw;
+        // Interactions already alerting ring until they are answered
+        const popped = message.data.interactionId;
+        if (!isInteractionRinging(popped && typeof popped === 'object' ? popped.id : popped)) {
+            playSound(SOUNDS.INCOMING_CALL);
+        }
+        handleScreenPop(message.data);
+    },
+    processCallLog: function (message, raw) {
+        document.getElementById("processCallLogPayLoad").value = raw;
+        processCallLog(message);
+    },
+    openCallLog: function (message, raw) {
+        document.getElementById("openCallLogPayLoad").value = raw;
+        openCallLog(message);
+    },
+    interactionSubscription: function (message) {
+        interactionStore.handleEvent(message.data.category, message.data.interaction);
+    },
+    userActionSubscription: function (message, raw) {
+        document.getElementById("userActionSubscriptionPayload").value = raw;
+    },
+    notificationSubscription: function (message, raw) {
+        document.getElementById("notificationSubscriptionPayload").value = raw;
+        playSound(SOUNDS.NOTIFICATION);
+    },
+    contactSearch: function (message) {
+        document.getElementById("searchText").textContent = ": " + message.data.searchString;
+        sendContactSearch(message);
+    },
+    selectAudioDevice: function (message) {
+        deviceManager.select(message.data.role || 'microphone', message.data.deviceId);
+    },
+    commandResponse: function (message) {
+        handleCommandResponse(message);
+    },
+    error: function (message) {
+        if (!rejectPendingCommand(message)) {
+            console.error('Softphone rejected message ' + (message.replyTo || '') + ':', message.data);
+        }
+    }
+};
+
+/**
+ * Keep the interaction drop-down of the call controls in sync with the interaction store
+ */
+function setupInteractionSelector() {
+    const select = document.getElementById('interactionSelect');
+    if (!select) return;
+
+    select.addEventListener('change', () => interactionStore.select(select.value || null));
+
+    interactionStore.subscribe(() => {
+        const selected = interactionStore.getSelected();
+        select.innerHTML = '';
+
+        const interactions = interactionStore.list();
+        if (interactions.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No interactions';
+            select.appendChild(option);
+        }
+
+        interactions.forEach(interaction => {
+            const option = document.createElement('option');
+            option.value = interaction.id;
+            option.textContent = interaction.mediaType + ' ' + (interaction.ani || interaction.name || interaction.id) +
+                ' (' + (interaction.state || 'unknown') + ')';
+            select.appendChild(option);
+        });
+
+        select.value = selected ? selected.id : '';
+    });
+}
+
 /**
  * Set up message handling
  */
 function setupMessageHandling() {
     window.addEventListener("message", function(event) {
-        try {
-            const message = JSON.parse(event.data);
-            if (message) {
-                if (message.type === "screenPop") {
-                    document.getElementById("screenPopPayload").value = event.data;
-                    playSound(SOUNDS.INCOMING_CALL);
-                } else if (message.type === "processCallLog") {
-                    document.getElementById("processCallLogPayLoad").value = event.data;
-                } else if (message.type === "openCallLog") {
-                    document.getElementById("openCallLogPayLoad").value = event.data;
-                } else if (message.type === "interactionSubscription") {
-                    document.getElementById("interactionSubscriptionPayload").value = event.data;
-                    handleInteractionSound(message);
-                } else if (message.type === "userActionSubscription") {
-                    document.getElementById("userActionSubscriptionPayload").value = event.data;
-                } else if (message.type === "notificationSubscription") {
-                    document.getElementById("notificationSubscriptionPayload").value = event.data;
-                    playSound(SOUNDS.NOTIFICATION);
-                } else if (message.type === "contactSearch") {
-                    document.getElementById("searchText").innerHTML = ": " + message.data.searchString;
-                    sendContactSearch();
-                } else if (message.type === "selectAudioDevice" && message.data && message.data.deviceId) {
-                    selectAudioDevice(message.data.deviceId);
-                }
-            }
-        } catch (e) {
-            console.error('Error processing message:', e);
+        if (!isTrustedOrigin(event.origin)) {
+            rejectMessage(event);
+            return;
+        }
+
+        // Other scripts in the embedded client may post non-string data; it is not part of the protocol
+        if (typeof event.data !== 'string') {
+            return;
         }
+
+        handleSoftphoneMessage(event.data);
     });
 }
 
+/**
+ * Validate a serialized message from the softphone and pass it to its handler
+ */
+function handleSoftphoneMessage(raw) {
+    const result = parseEnvelope(raw, 'framework');
+    if (result.error) {
+        console.error('Invalid message from softphone:', result.error);
+
+        // Never answer an error with an error, that could loop forever
+        if (!result.envelope || result.envelope.type !== 'error') {
+            sendToSoftphone({
+                type: 'error',
+                data: result.error,
+                replyTo: result.envelope && typeof result.envelope.id === 'string' ? result.envelope.id : undefined
+            });
+        }
+        return;
+    }
+
+    recordEvent('inbound', result.envelope);
+    relayBridgeMessage('inbound', result.envelope);
+
+    try {
+        messageHandlers[result.envelope.type](result.envelope, raw);
+    } catch (e) {
+        console.error('Error processing message:', e);
+    }
+}
+
 // Action functions
-function clickToDial() {
+function clickToDial(event) {
     console.log('Process click to dial');
-    sendToSoftphone({
-        type: 'clickToDial',
-        data: {number: '3172222222', autoPlace: true}
-    });
+    trackCommand(event.target, softphone.clickToDial('3172222222', {autoPlace: true}));
 }
 
-function addAssociation() {
+function addAssociation(event) {
     console.log('Process add association');
-    sendToSoftphone({
-        type: 'addAssociation',
-        data: JSON.parse(document.getElementById("associationPayload").value)
-    });
+    trackCommand(event.target, softphone.addAssociation(
+        JSON.parse(document.getElementById("associationPayload").value)
+    ));
 }
 
-function addAttribute() {
+function addAttribute(event) {
     console.log('Process add attribute');
-    sendToSoftphone({
-        type: 'addAttribute',
-        data: JSON.parse(document.getElementById("attributePayload").value)
-    });
+    const payload = JSON.parse(document.getElementById("attributePayload").value);
+    trackCommand(event.target, softphone.addCustomAttributes(payload.interactionId, payload.attributes));
 }
 
-function addTransferContext() {
+function addTransferContext(event) {
     console.log('Process add Transfer Context');
-    sendToSoftphone({
-        type: 'addTransferContext',
-        data: JSON.parse(document.getElementById("transferContextPayload").value)
-    });
-}
-
-function sendContactSearch() {
-    console.log('Process contact search');
-    sendToSoftphone({
-        type: 'sendContactSearch',
-        data: JSON.parse(document.getElementById("contactSearchPayload").value)
-    });
+    trackCommand(event.target, softphone.addTransferContext(
+        JSON.parse(document.getElementById("transferContextPayload").value)
+    ));
 }
 
-function updateUserStatus() {
+function updateUserStatus(event) {
     console.log('Process user status update');
-    sendToSoftphone({
-        type: 'updateUserStatus',
-        data: {id: document.getElementById("statusDropDown").value}
-    });
+    trackCommand(event.target, softphone.updateStatus(document.getElementById("statusDropDown").value));
 }
 
 function updateInteractionState(event) {
     console.log('Process interaction state change');
 
-    const lastInteractionPayload = JSON.parse(
-        document.getElementById("interactionSubscriptionPayload").value
-    );
-
-    let interactionId;
-    if (lastInteractionPayload.data.interaction.old) {
-        interactionId = lastInteractionPayload.data.interaction.old.id;
-    } else {
-        interactionId = lastInteractionPayload.data.interaction.id;
+    const interaction = interactionStore.getSelected();
+    if (!interaction) {
+        trackCommand(event.target, Promise.reject(createCommandError('NO_INTERACTION', 'No interaction selected')));
+        return;
     }
 
-    sendToSoftphone({
-        type: 'updateInteractionState',
-        data: {
-            action: event.target.outerText,
-            id: interactionId
-        }
-    });
+    trackCommand(event.target, softphone.updateInteractionState(interaction.id, event.target.outerText));
 }
 
-function updateAudioConfiguration() {
+function updateAudioConfiguration(event) {
     console.log('Update Audio Configuration');
 
-    sendToSoftphone({
-        type: 'updateAudioConfiguration',
-        data: {
-            call: document.getElementById('audio-call').checked,
-            chat: document.getElementById('audio-chat').checked,
-            email: document.getElementById('audio-email').checked,
-            callback: document.getElementById('audio-callback').checked,
-            message: document.getElementById('audio-message').checked,
-            voicemail: document.getElementById('audio-voicemail').checked,
-            deviceId: selectedAudioDeviceId
-        }
-    });
+    trackCommand(event.target, softphone.setAudioConfiguration({
+        call: document.getElementById('audio-call').checked,
+        chat: document.getElementById('audio-chat').checked,
+        email: document.getElementById('audio-email').checked,
+        callback: document.getElementById('audio-callback').checked,
+        message: document.getElementById('audio-message').checked,
+        voicemail: document.getElementById('audio-voicemail').checked,
+        // Alerts play on the ringer
+        deviceId: deviceManager.getSelection().ringer
+    }));
 }
 
 function setView(event) {
     console.log('Process view update');
-
-    sendToSoftphone({
-        type: 'setView',
-        data: {
-            type: "main",
-            view: {
-                name: event.target.outerText
-            }
-        }
-    });
+    trackCommand(event.target, softphone.setView(event.target.outerText));
 }
 
-function sendCustomNotification() {
+function sendCustomNotification(event) {
     console.log('Send Custom User Notification');
 
     // Play notification sound
     playSound(SOUNDS.NOTIFICATION);
 
-    sendToSoftphone({
-        type: 'sendCustomNotification',
-        data: {
-            message: document.getElementById('customNotificationMessage').value,
-            type: document.getElementById('notificationType').value,
-            timeout: document.getElementById('notificationTimeout').value
-        }
-    });
+    trackCommand(event.target, softphone.notifyUser(
+        document.getElementById('customNotificationMessage').value,
+        document.getElementById('notificationType').value,
+        Number(document.getElementById('notificationTimeout').value)
+    ));
 }
 
 /**
- * Helper to send messages to the softphone iframe
+ * Show the progress and outcome of a softphone command next to the control that sent it
  */
-function sendToSoftphone(data) {
-    const softphone = document.getElementById("softphone");
-    if (softphone && softphone.contentWindow) {
-        softphone.contentWindow.postMessage(JSON.stringify(data), "*");
-    } else {
+function trackCommand(control, promise) {
+    let status = control.nextElementSibling;
+    if (!status || !status.classList.contains('commandStatus')) {
+        status = document.createElement('span');
+        status.className = 'commandStatus';
+        control.insertAdjacentElement('afterend', status);
+    }
+
+    control.classList.add('pending');
+    control.disabled = true;
+    status.className = 'commandStatus pending';
+    status.textContent = '';
+
+    return promise
+        .then(result => {
+            status.className = 'commandStatus success';
+            status.textContent = 'Done';
+            return result;
+        })
+        .catch(err => {
+            console.error('Softphone command failed:', err);
+            status.className = 'commandStatus failure';
+            status.textContent = err.message;
+        })
+        .then(() => {
+            control.classList.remove('pending');
+            control.disabled = false;
+        });
+}
+
+/**
+ * Helper to send messages to the softphone iframe.
+ * Returns the envelope that was posted, or null if nothing was sent.
+ */
+function sendToSoftphone(message) {
+    const errors = validatePayload(MESSAGE_SCHEMAS[message.type].payload, message.data, 'data');
+    if (errors.length > 0) {
+        console.error('Invalid ' + message.type + ' payload, message not sent:', errors);
+        return null;
+    }
+
+    // While a scenario runs it stands in for the softphone
+    if (isScenarioRunning()) {
+        const envelope = createEnvelope(message.type, message.data, message.replyTo);
+        recordEvent('outbound', envelope);
+        relayBridgeMessage('outbound', envelope);
+        deliverToScenario(envelope);
+        return envelope;
+    }
+
+    const softphoneFrame = document.getElementById("softphone");
+    if (!softphoneFrame || !softphoneFrame.contentWindow) {
         console.error('Softphone iframe not found');
+        return null;
+    }
+
+    const targetOrigin = getSoftphoneOrigin(softphoneFrame);
+    if (!targetOrigin) {
+        console.error('Softphone origin is not trusted, message not sent:', message.type);
+        return null;
     }
+
+    const envelope = createEnvelope(message.type, message.data, message.replyTo);
+    softphoneFrame.contentWindow.postMessage(JSON.stringify(envelope), targetOrigin);
+    recordEvent('outbound', envelope);
+    relayBridgeMessage('outbound', envelope);
+    return envelope;
+}
+
+/**
+ * Check an origin against the configured trusted origins and the loaded softphone client
+ */
+function isTrustedOrigin(origin) {
+    return origin === softphoneOrigin || PAGE_CONFIG.trustedOrigins.indexOf(origin) !== -1;
+}
+
+/**
+ * Resolve the origin of the softphone iframe, or null if it is not trusted
+ */
+function getSoftphoneOrigin(softphoneFrame) {
+    try {
+        const origin = new URL(softphoneFrame.src).origin;
+        return isTrustedOrigin(origin) ? origin : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Drop a message from an untrusted origin and count it for monitoring
+ */
+function rejectMessage(event) {
+    rejectedMessageCount++;
+    console.warn('Rejected message from untrusted origin:', event.origin);
+
+    window.dispatchEvent(new CustomEvent('bridgeMessageRejected', {
+        detail: {
+            origin: event.origin,
+            count: rejectedMessageCount
+        }
+    }));
+}
+
+/**
+ * Number of messages rejected since the page loaded
+ */
+function getRejectedMessageCount() {
+    return rejectedMessageCount;
 }
@@ -0,0 +1,158 @@
+// Live table of the interactions in the interaction store, with call controls per row.
+
+const DASHBOARD_ACTIONS = ['pickup', 'hold', 'mute', 'securePause', 'disconnect'];
+
+let dashboardTimer = null;
+
+/**
+ * Format a number of seconds as h:mm:ss or m:ss
+ */
+function formatDuration(totalSeconds) {
+    const seconds = Math.max(0, Math.floor(totalSeconds));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return hours > 0 ? hours + ':' + String(minutes).padStart(2, '0') + ':' + rest : minutes + ':' + rest;
+}
+
+/**
+ * When an interaction's duration starts counting: connection, then start, then first event seen
+ */
+function getInteractionStartTime(record) {
+    const start = Date.parse(record.connectedTime || record.startTime || record.firstSeen);
+    return isNaN(start) ? Date.now() : start;
+}
+
+/**
+ * Create a table cell holding some text
+ */
+function createDashboardCell(text, className) {
+    const cell = document.createElement('td');
+    cell.textContent = text === undefined || text === null ? '' : text;
+    if (className) {
+        cell.className = className;
+    }
+    return cell;
+}
+
+/**
+ * List an interaction's custom attributes, one per line
+ */
+function createAttributesCell(attributes) {
+    const cell = document.createElement('td');
+    cell.className = 'dashboardAttributes';
+
+    Object.keys(attributes || {}).forEach(key => {
+        const line = document.createElement('div');
+        line.textContent = key + ': ' + attributes[key];
+        cell.appendChild(line);
+    });
+
+    return cell;
+}
+
+/**
+ * Create the call control buttons of a row
+ */
+function createControlsCell(record) {
+    const cell = document.createElement('td');
+    cell.className = 'dashboardControls';
+
+    DASHBOARD_ACTIONS.forEach(action => {
+        const button = document.createElement('button');
+        button.textContent = action;
+        button.addEventListener('click', event => {
+            // Don't let the click also select the row
+            event.stopPropagation();
+            trackCommand(button, softphone.updateInteractionState(record.id, action));
+        });
+        cell.appendChild(button);
+    });
+
+    return cell;
+}
+
+/**
+ * Create the row of one interaction
+ */
+function createDashboardRow(record, selected) {
+    const row = document.createElement('tr');
+    row.dataset.interactionId = record.id;
+    if (selected) {
+        row.className = 'selected';
+    }
+
+    row.appendChild(createDashboardCell(record.mediaType));
+    row.appendChild(createDashboardCell(record.state, 'dashboardState ' + (record.state || '')));
+    row.appendChild(createDashboardCell(record.direction));
+    row.appendChild(createDashboardCell(record.ani));
+    row.appendChild(createDashboardCell(record.dnis));
+    row.appendChild(createDashboardCell(record.queueName));
+
+    const duration = createDashboardCell('', 'dashboardDuration');
+    duration.dataset.start = getInteractionStartTime(record);
+    // Disconnected interactions stop counting
+    const end = Date.parse(record.endTime);
+    if (!isNaN(end)) {
+        duration.dataset.end = end;
+    }
+    row.appendChild(duration);
+
+    row.appendChild(createAttributesCell(record.attributes));
+    row.appendChild(createControlsCell(record));
+
+    row.addEventListener('click', () => interactionStore.select(record.id));
+    return row;
+}
+
+/**
+ * Refresh the duration timers of every row
+ */
+function updateDashboardDurations() {
+    const now = Date.now();
+    document.querySelectorAll('#interactionDashboard .dashboardDuration').forEach(cell => {
+        const end = cell.dataset.end ? Number(cell.dataset.end) : now;
+        cell.textContent = formatDuration((end - Number(cell.dataset.start)) / 1000);
+    });
+}
+
+/**
+ * Redraw the dashboard from the interaction store
+ */
+function renderInteractionDashboard() {
+    const body = document.querySelector('#interactionDashboard tbody');
+    if (!body) return;
+
+    const selected = interactionStore.getSelected();
+    const records = interactionStore.list()
+        .sort((a, b) => getInteractionStartTime(a) - getInteractionStartTime(b));
+
+    body.innerHTML = '';
+    records.forEach(record => body.appendChild(createDashboardRow(record, selected && selected.id === record.id)));
+
+    if (records.length === 0) {
+        const row = document.createElement('tr');
+        const cell = createDashboardCell('No active interactions', 'dashboardEmpty');
+        cell.colSpan = 9;
+        row.appendChild(cell);
+        body.appendChild(row);
+    }
+
+    updateDashboardDurations();
+
+    // Only tick while there is something to time
+    if (records.length > 0 && !dashboardTimer) {
+        dashboardTimer = setInterval(updateDashboardDurations, 1000);
+    } else if (records.length === 0 && dashboardTimer) {
+        clearInterval(dashboardTimer);
+        dashboardTimer = null;
+    }
+}
+
+/**
+ * Draw the dashboard and keep it up to date
+ */
+function setupInteractionDashboard() {
+    renderInteractionDashboard();
+    interactionStore.subscribe(renderInteractionDashboard);
+}
@@ -0,0 +1,161 @@
+// In-memory store of the interactions reported by Interaction subscription events.
+// Other scripts read it through interactionStore.get/list/getSelected and hear
+// about changes through interactionStore.subscribe.
+
+// Records keyed by interaction id
+const storedInteractions = new Map();
+const interactionListeners = [];
+let selectedInteractionId = null;
+
+// Interaction fields copied onto every record
+const TRACKED_INTERACTION_FIELDS = [
+    'state', 'direction', 'ani', 'dnis', 'queueName', 'displayAddress', 'phone', 'name',
+    'isConnected', 'isDisconnected', 'isHeld', 'isMuted', 'isRecording', 'isSecurePause',
+    'connectedTime', 'endTime', 'startTime', 'attributes'
+];
+
+/**
+ * Compare two versions of an interaction, returning {field: {old, new}} for changed fields
+ */
+function diffInteractions(oldInteraction, newInteraction) {
+    const changes = {};
+    const fields = new Set(Object.keys(oldInteraction || {}).concat(Object.keys(newInteraction || {})));
+
+    fields.forEach(field => {
+        const oldValue = oldInteraction ? oldInteraction[field] : undefined;
+        const newValue = newInteraction ? newInteraction[field] : undefined;
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes[field] = { old: oldValue, new: newValue };
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Create or update the record of an interaction from its latest version
+ */
+function updateInteractionRecord(interaction, category, changes) {
+    const existing = storedInteractions.get(interaction.id);
+    const record = existing || {
+        id: interaction.id,
+        firstSeen: new Date().toISOString(),
+        history: []
+    };
+
+    TRACKED_INTERACTION_FIELDS.forEach(field => {
+        if (interaction[field] !== undefined) {
+            record[field] = interaction[field];
+        }
+    });
+
+    record.mediaType = getInteractionMediaType(interaction);
+    record.interaction = interaction;
+    record.lastCategory = category;
+    record.lastUpdated = new Date().toISOString();
+    record.history.push({
+        category: category,
+        time: record.lastUpdated,
+        state: record.state,
+        changes: changes || {}
+    });
+
+    storedInteractions.set(record.id, record);
+    return record;
+}
+
+/**
+ * Tell subscribers what happened
+ */
+function notifyInteractionListeners(category, record) {
+    interactionListeners.slice().forEach(listener => {
+        try {
+            listener({ category: category, interaction: record, selectedId: selectedInteractionId });
+        } catch (e) {
+            console.error('Interaction store listener failed:', e);
+        }
+    });
+}
+
+const interactionStore = {
+    /**
+     * Apply an Interaction subscription event
+     */
+    handleEvent: function (category, interaction) {
+        if (!interaction) return null;
+
+        // change events carry both versions of the interaction
+        const current = interaction.new || interaction;
+        const changes = interaction.old && interaction.new ? diffInteractions(interaction.old, interaction.new) : null;
+        const id = current.id || (interaction.old && interaction.old.id);
+        if (!id) {
+            console.warn('Ignoring interaction event without an id:', category);
+            return null;
+        }
+
+        if (category === 'deallocate') {
+            const record = storedInteractions.get(id) || { id: id, history: [] };
+            storedInteractions.delete(id);
+            if (selectedInteractionId === id) {
+                selectedInteractionId = null;
+                this.selectMostRecent();
+            }
+            notifyInteractionListeners(category, record);
+            return record;
+        }
+
+        const record = updateInteractionRecord(Object.assign({ id: id }, current), category, changes);
+        if (!selectedInteractionId) {
+            selectedInteractionId = id;
+        }
+        notifyInteractionListeners(category, record);
+        return record;
+    },
+
+    get: function (id) {
+        return storedInteractions.get(id) || null;
+    },
+
+    /**
+     * List interactions, optionally filtered by any record field, e.g. {state: 'connected'}
+     */
+    list: function (filter) {
+        const records = Array.from(storedInteractions.values());
+        if (!filter) return records;
+
+        return records.filter(record => Object.keys(filter).every(field => record[field] === filter[field]));
+    },
+
+    getSelected: function () {
+        return this.get(selectedInteractionId);
+    },
+
+    select: function (id) {
+        if (id !== null && !storedInteractions.has(id)) {
+            console.warn('Cannot select unknown interaction:', id);
+            return false;
+        }
+        selectedInteractionId = id;
+        notifyInteractionListeners('select', this.getSelected());
+        return true;
+    },
+
+    selectMostRecent: function () {
+        const records = this.list().sort((a, b) => b.lastUpdated.localeCompare(a.lastUpdated));
+        return this.select(records.length > 0 ? records[0].id : null);
+    },
+
+    /**
+     * Call listener({category, interaction, selectedId}) on every change.
+     * Returns a function that removes the listener.
+     */
+    subscribe: function (listener) {
+        interactionListeners.push(listener);
+        return function () {
+            const index = interactionListeners.indexOf(listener);
+            if (index !== -1) {
+                interactionListeners.splice(index, 1);
+            }
+        };
+    }
+};
@@ -0,0 +1,472 @@
+// Message protocol shared by the host page and the embedded framework.
+// framework.js carries its own copy of these definitions because it is loaded
+// into the PureCloud client; keep both in sync when changing the protocol.
+const BRIDGE_PROTOCOL = 'pef-bridge';
+const BRIDGE_PROTOCOL_VERSION = 1;
+const BRIDGE_SOURCE = 'host';
+
+// Shape every message must have before its payload is looked at
+const ENVELOPE_SCHEMA = {
+    type: 'object',
+    required: ['protocol', 'version', 'id', 'timestamp', 'source', 'type'],
+    properties: {
+        protocol: { type: 'string' },
+        version: { type: 'number' },
+        id: { type: 'string' },
+        timestamp: { type: 'string' },
+        source: { type: 'string', enum: ['host', 'framework'] },
+        type: { type: 'string' },
+        replyTo: { type: 'string' },
+        data: { type: 'any' }
+    }
+};
+
+// Declared payload for every message type, keyed by type.
+// `from` names the only side allowed to send the message, and `command`
+// marks host messages the framework answers with a commandResponse.
+const MESSAGE_SCHEMAS = {
+    // Host -> framework commands
+    clickToDial: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['number'],
+            properties: {
+                number: { type: 'string' },
+                autoPlace: { type: 'boolean' },
+                queueId: { type: 'string' },
+                attributes: { type: 'object' }
+            }
+        }
+    },
+    addAssociation: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['type', 'id', 'text'],
+            properties: {
+                type: { type: 'string', enum: ['contact', 'relation'] },
+                id: { type: 'string' },
+                text: { type: 'string' },
+                select: { type: 'boolean' }
+            }
+        }
+    },
+    addAttribute: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['interactionId', 'attributes'],
+            properties: {
+                interactionId: { type: 'string' },
+                attributes: { type: 'object' }
+            }
+        }
+    },
+    addTransferContext: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: { type: 'string' },
+                attributes: { type: 'object' }
+            }
+        }
+    },
+    sendContactSearch: {
+        from: 'host',
+        payload: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['type', 'name'],
+                properties: {
+                    type: { type: 'string' },
+                    name: { type: 'string' },
+                    phone: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['number'],
+                            properties: {
+                                number: { type: 'string' },
+                                label: { type: 'string' }
+                            }
+                        }
+                    },
+                    email: { type: 'string' }
+                }
+            }
+        }
+    },
+    updateUserStatus: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+                id: { type: 'string' }
+            }
+        }
+    },
+    updateInteractionState: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['action', 'id'],
+            properties: {
+                action: { type: 'string', enum: ['pickup', 'disconnect', 'hold', 'mute', 'securePause'] },
+                id: { type: 'string' }
+            }
+        }
+    },
+    setView: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['type', 'view'],
+            properties: {
+                type: { type: 'string' },
+                view: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: {
+                        name: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    updateAudioConfiguration: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            properties: {
+                call: { type: 'boolean' },
+                chat: { type: 'boolean' },
+                email: { type: 'boolean' },
+                callback: { type: 'boolean' },
+                message: { type: 'boolean' },
+                voicemail: { type: 'boolean' },
+                deviceId: { type: ['string', 'null'] }
+            }
+        }
+    },
+    sendCustomNotification: {
+        from: 'host',
+        command: true,
+        payload: {
+            type: 'object',
+            required: ['message', 'type'],
+            properties: {
+                message: { type: 'string' },
+                type: { type: 'string', enum: ['INFO', 'SUCCESS', 'WARNING', 'ERROR'] },
+                timeout: { type: 'number' }
+            }
+        }
+    },
+    callLogResult: {
+        from: 'host',
+        payload: {
+            type: 'object',
+            required: ['success'],
+            properties: {
+                success: { type: 'boolean' },
+                id: { type: 'string' },
+                reason: { type: 'string' }
+            }
+        }
+    },
+    audioDeviceStatus: {
+        from: 'host',
+        payload: {
+            type: 'object',
+            required: ['status'],
+            properties: {
+                status: { type: 'string' },
+                deviceId: { type: ['string', 'null'] },
+                outputDeviceId: { type: ['string', 'null'] },
+                ringerDeviceId: { type: ['string', 'null'] },
+                ringOnSpeaker: { type: 'boolean' },
+                inputDevices: { type: 'array', items: { type: 'object', required: ['deviceId'] } },
+                outputDevices: { type: 'array', items: { type: 'object', required: ['deviceId'] } },
+                error: { type: 'string' },
+                message: { type: 'string' },
+                isPermissionError: { type: 'boolean' },
+                diagnostics: {
+                    type: 'object',
+                    required: ['test', 'result'],
+                    properties: {
+                        test: { type: 'string', enum: ['microphone', 'speaker', 'loopback'] },
+                        result: { type: 'string' },
+                        level: { type: 'string' },
+                        rms: { type: 'number' },
+                        peak: { type: 'number' },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+
+    // Framework -> host events
+    interactionSubscription: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['category', 'interaction'],
+            properties: {
+                category: { type: 'string' },
+                interaction: { type: 'object' }
+            }
+        }
+    },
+    userActionSubscription: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['category'],
+            properties: {
+                category: { type: 'string' }
+            }
+        }
+    },
+    notificationSubscription: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['category'],
+            properties: {
+                category: { type: 'string' }
+            }
+        }
+    },
+    screenPop: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['interactionId'],
+            properties: {
+                searchString: { type: ['string', 'null'] },
+                interactionId: { type: ['object', 'string'] }
+            }
+        }
+    },
+    processCallLog: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['callLog', 'interactionId', 'eventName'],
+            properties: {
+                callLog: { type: 'object' },
+                interactionId: { type: ['object', 'string'] },
+                eventName: { type: 'string' }
+            }
+        }
+    },
+    openCallLog: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['callLog'],
+            properties: {
+                callLog: { type: 'object' },
+                interaction: { type: ['object', 'string'] }
+            }
+        }
+    },
+    contactSearch: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['searchString'],
+            properties: {
+                searchString: { type: 'string' }
+            }
+        }
+    },
+    selectAudioDevice: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['deviceId'],
+            properties: {
+                deviceId: { type: 'string' },
+                role: { type: 'string', enum: ['microphone', 'speaker', 'ringer'] }
+            }
+        }
+    },
+
+    commandResponse: {
+        from: 'framework',
+        payload: {
+            type: 'object',
+            required: ['status'],
+            properties: {
+                status: { type: 'string', enum: ['ack', 'result', 'error'] },
+                result: { type: 'any' },
+                error: {
+                    type: 'object',
+                    required: ['code', 'message'],
+                    properties: {
+                        code: { type: 'string' },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+
+    // Either side
+    error: {
+        from: 'any',
+        payload: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+                code: { type: 'string' },
+                message: { type: 'string' },
+                details: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    }
+};
+
+let bridgeMessageCounter = 0;
+
+/**
+ * Wrap a payload in a protocol envelope
+ */
+function createEnvelope(type, data, replyTo) {
+    const envelope = {
+        protocol: BRIDGE_PROTOCOL,
+        version: BRIDGE_PROTOCOL_VERSION,
+        id: BRIDGE_SOURCE + '-' + Date.now().toString(36) + '-' + (++bridgeMessageCounter),
+        timestamp: new Date().toISOString(),
+        source: BRIDGE_SOURCE,
+        type: type,
+        data: data
+    };
+
+    if (replyTo) {
+        envelope.replyTo = replyTo;
+    }
+
+    return envelope;
+}
+
+/**
+ * Build the payload of an error reply
+ */
+function createErrorPayload(code, message, details) {
+    const payload = { code: code, message: message };
+    if (details && details.length > 0) {
+        payload.details = details;
+    }
+    return payload;
+}
+
+/**
+ * Describe the JSON type of a value the way schemas name it
+ */
+function getSchemaType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema, collecting readable errors
+ */
+function validatePayload(schema, value, path, errors) {
+    errors = errors || [];
+
+    const allowedTypes = [].concat(schema.type || 'any');
+    const actualType = getSchemaType(value);
+
+    if (allowedTypes.indexOf('any') === -1 && allowedTypes.indexOf(actualType) === -1) {
+        errors.push(path + ' should be ' + allowedTypes.join(' or ') + ' but was ' + actualType);
+        return errors;
+    }
+
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+        errors.push(path + ' should be one of ' + schema.enum.join(', '));
+    }
+
+    if (actualType === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(path + '.' + key + ' is required');
+            }
+        });
+
+        Object.keys(schema.properties || {}).forEach(key => {
+            if (value[key] !== undefined) {
+                validatePayload(schema.properties[key], value[key], path + '.' + key, errors);
+            }
+        });
+    }
+
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            validatePayload(schema.items, item, path + '[' + index + ']', errors);
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Parse and validate a raw message sent by the given side.
+ * Returns { envelope } on success, or { envelope, error } where error is an
+ * error payload ready to send back to the sender.
+ */
+function parseEnvelope(raw, expectedSource) {
+    let envelope;
+    try {
+        envelope = JSON.parse(raw);
+    } catch (e) {
+        return { error: createErrorPayload('PARSE_ERROR', 'Message is not valid JSON') };
+    }
+
+    let errors = validatePayload(ENVELOPE_SCHEMA, envelope, 'message');
+    if (errors.length > 0) {
+        return { error: createErrorPayload('INVALID_ENVELOPE', 'Message envelope is invalid', errors) };
+    }
+
+    if (envelope.protocol !== BRIDGE_PROTOCOL || envelope.version !== BRIDGE_PROTOCOL_VERSION) {
+        return {
+            envelope: envelope,
+            error: createErrorPayload('UNSUPPORTED_VERSION',
+                'Expected ' + BRIDGE_PROTOCOL + ' version ' + BRIDGE_PROTOCOL_VERSION +
+                ' but received ' + envelope.protocol + ' version ' + envelope.version)
+        };
+    }
+
+    const schema = MESSAGE_SCHEMAS[envelope.type];
+    if (!schema || (schema.from !== 'any' && schema.from !== envelope.source) || envelope.source !== expectedSource) {
+        return {
+            envelope: envelope,
+            error: createErrorPayload('UNKNOWN_TYPE', 'Unexpected message type from ' + envelope.source + ': ' + envelope.type)
+        };
+    }
+
+    errors = validatePayload(schema.payload, envelope.data, 'data');
+    if (errors.length > 0) {
+        return {
+            envelope: envelope,
+            error: createErrorPayload('INVALID_PAYLOAD', 'Invalid payload for ' + envelope.type, errors)
+        };
+    }
+
+    return { envelope: envelope };
+}
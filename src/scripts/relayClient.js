@@ -0,0 +1,223 @@
+// Connection from the example page to the event relay of server.js (lib/eventRelay.js).
+// Streams every message the page exchanges with the softphone to the relay, and
+// runs the commands backends send to this agent through the softphone API.
+// The agent id comes from examplePageConfig.relayAgentId, or is generated once
+// per tab and kept for reloads. The page connects with examplePageConfig.relayToken
+// when the server has a relay token, else with the agent token the server served
+// with it, which it keeps for reloads too: the relay only lets the token an agent id
+// first connected with connect as it again.
+
+const RELAY_PATH = '/api/relay';
+const RELAY_AGENT_STORAGE_KEY = 'pefRelayAgentId';
+const RELAY_TOKEN_STORAGE_KEY = 'pefRelayAgentToken';
+// Messages kept while disconnected, sent once the relay is back
+const MAX_RELAY_QUEUE = 200;
+const RELAY_RECONNECT_MIN_MS = 1000;
+const RELAY_RECONNECT_MAX_MS = 30000;
+// Close code the relay uses when another page connects with the same agent id
+const RELAY_REPLACED = 4000;
+
+let relaySocket = null;
+let relayQueue = [];
+let relayReconnectDelay = RELAY_RECONNECT_MIN_MS;
+let relayReconnectTimer = null;
+
+/**
+ * Id this page uses as an agent on the relay
+ */
+function getRelayAgentId() {
+    if (PAGE_CONFIG.relayAgentId) {
+        return PAGE_CONFIG.relayAgentId;
+    }
+
+    let agentId = null;
+    try {
+        agentId = sessionStorage.getItem(RELAY_AGENT_STORAGE_KEY);
+    } catch (e) {
+        // Storage can be unavailable, e.g. in some private windows
+    }
+    if (!agentId) {
+        agentId = 'agent-' + Math.random().toString(36).slice(2, 10);
+        try {
+            sessionStorage.setItem(RELAY_AGENT_STORAGE_KEY, agentId);
+        } catch (e) {
+            // The id then only lasts until the page is reloaded
+        }
+    }
+    return agentId;
+}
+
+/**
+ * Token this page connects to the relay with: the configured relay token, else the
+ * agent token it connected with before it was reloaded, else the one served with it
+ */
+function getRelayAgentToken() {
+    if (PAGE_CONFIG.relayToken) {
+        return PAGE_CONFIG.relayToken;
+    }
+
+    try {
+        const stored = sessionStorage.getItem(RELAY_TOKEN_STORAGE_KEY);
+        if (stored) return stored;
+    } catch (e) {
+        // Storage can be unavailable, e.g. in some private windows
+    }
+
+    const meta = document.querySelector('meta[name="pef-relay-agent-token"]');
+    return meta ? meta.getAttribute('content') : '';
+}
+
+/**
+ * Keep the token the relay accepted for reloads, or forget it when it was refused
+ */
+function storeRelayAgentToken(token) {
+    try {
+        if (token) {
+            sessionStorage.setItem(RELAY_TOKEN_STORAGE_KEY, token);
+        } else {
+            sessionStorage.removeItem(RELAY_TOKEN_STORAGE_KEY);
+        }
+    } catch (e) {
+        // The token then only lasts until the page is reloaded
+    }
+}
+
+/**
+ * Show the relay connection state on the page
+ */
+function showRelayStatus(text) {
+    const status = document.getElementById('relayStatus');
+    if (status) {
+        status.textContent = text;
+    }
+}
+
+/**
+ * Send a message to the relay, queueing it while disconnected
+ */
+function sendToRelay(message) {
+    if (relaySocket && relaySocket.readyState === WebSocket.OPEN) {
+        relaySocket.send(JSON.stringify(message));
+        return;
+    }
+
+    relayQueue.push(message);
+    if (relayQueue.length > MAX_RELAY_QUEUE) {
+        relayQueue.shift();
+    }
+}
+
+/**
+ * Stream a message exchanged with the softphone. Direction is 'inbound' or 'outbound'.
+ */
+function relayBridgeMessage(direction, envelope) {
+    if (!PAGE_CONFIG.relay) return;
+    sendToRelay({ kind: 'event', direction: direction, envelope: envelope });
+}
+
+/**
+ * Run a command a backend sent through the relay and report its outcome
+ */
+function runRelayCommand(message) {
+    const reply = outcome => sendToRelay(Object.assign({ kind: 'commandResult', id: message.id }, outcome));
+    const schema = MESSAGE_SCHEMAS[message.type];
+
+    if (!schema || !schema.command) {
+        reply({ ok: false, error: { code: 'UNKNOWN_COMMAND', message: 'Not a softphone command: ' + message.type } });
+        return Promise.resolve();
+    }
+
+    const errors = validatePayload(schema.payload, message.data, 'data');
+    if (errors.length > 0) {
+        reply({ ok: false, error: { code: 'INVALID_PAYLOAD', message: errors.join('; ') } });
+        return Promise.resolve();
+    }
+
+    console.log('Running ' + message.type + ' from the relay');
+    return sendCommand(message.type, message.data)
+        .then(result => reply({ ok: true, result: result === undefined ? null : result }))
+        .catch(err => reply({ ok: false, error: { code: err.code || 'COMMAND_FAILED', message: err.message } }));
+}
+
+/**
+ * Handle a message from the relay
+ */
+function handleRelayMessage(raw) {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (e) {
+        console.error('Invalid message from the relay:', raw);
+        return;
+    }
+
+    if (message.kind === 'command') {
+        runRelayCommand(message);
+    } else if (message.kind === 'error') {
+        console.error('Relay error:', message.error.message);
+    }
+}
+
+/**
+ * Connect to the relay, reconnecting with a growing delay when the connection drops
+ */
+function connectRelay() {
+    const agentId = getRelayAgentId();
+    const token = getRelayAgentToken();
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const url = protocol + '//' + window.location.host + RELAY_PATH + '?role=agent&agent=' + encodeURIComponent(agentId) +
+        '&token=' + encodeURIComponent(token);
+    let opened = false;
+
+    relayReconnectTimer = null;
+    showRelayStatus('connecting as ' + agentId);
+
+    const socket = new WebSocket(url);
+    relaySocket = socket;
+
+    socket.addEventListener('open', () => {
+        opened = true;
+        // The relay token stays in the page's configuration, out of storage
+        if (!PAGE_CONFIG.relayToken) {
+            storeRelayAgentToken(token);
+        }
+        relayReconnectDelay = RELAY_RECONNECT_MIN_MS;
+        showRelayStatus('connected as ' + agentId);
+
+        const queued = relayQueue;
+        relayQueue = [];
+        queued.forEach(sendToRelay);
+    });
+
+    socket.addEventListener('message', event => handleRelayMessage(event.data));
+
+    socket.addEventListener('close', event => {
+        if (relaySocket !== socket) return;
+        relaySocket = null;
+
+        // Another tab took over this agent id, so don't fight over it
+        if (event.code === RELAY_REPLACED) {
+            showRelayStatus('disconnected, ' + agentId + ' connected from another page');
+            return;
+        }
+        // A token kept from before the server restarted is no longer valid, so retry with the one served with the page
+        if (!opened) {
+            storeRelayAgentToken(null);
+        }
+
+        showRelayStatus('disconnected, retrying in ' + Math.round(relayReconnectDelay / 1000) + 's');
+        relayReconnectTimer = setTimeout(connectRelay, relayReconnectDelay);
+        relayReconnectDelay = Math.min(relayReconnectDelay * 2, RELAY_RECONNECT_MAX_MS);
+    });
+}
+
+/**
+ * Connect to the relay unless it is turned off
+ */
+function setupRelayClient() {
+    if (!PAGE_CONFIG.relay) {
+        showRelayStatus('off');
+        return;
+    }
+    connectRelay();
+}
@@ -0,0 +1,139 @@
+// Ringing for alerting interactions. While any interaction in interactionStore is
+// alerting, one ringtone loops on the alert outputs in the sound of the interaction
+// alerting longest, however many are alerting. It stops as soon as none is: when
+// they are connected, disconnected (which includes declined) or deallocated.
+// Once that interaction has alerted for PAGE_CONFIG.ringtoneEscalateAfterMs the
+// ringtone gets louder and PAGE_CONFIG.ringtoneSecondarySound loops alongside it.
+// When the next interaction takes over, the ringtone starts over for it.
+
+// Categories after which an interaction no longer rings, whatever its state says
+const RINGTONE_STOP_CATEGORIES = ['connect', 'disconnect', 'deallocate'];
+
+// Alerting interactions by id, as { sound, since }, in the order they started alerting
+const alertingInteractions = new Map();
+// Pool elements playing the ringtone and the secondary sound
+let ringtoneElements = [];
+let ringtoneSecondaryElements = [];
+let ringtoneSound = null;
+// Interaction the ringtone is playing for
+let ringtoneInteractionId = null;
+let ringtoneEscalationTimer = null;
+
+/**
+ * Sound an interaction rings with
+ */
+function getRingtoneSound(record) {
+    switch (record.mediaType) {
+        case 'call':
+            return SOUNDS.INCOMING_CALL;
+        case 'message':
+            return SOUNDS.MESSAGE;
+        case 'voicemail':
+            return SOUNDS.VOICEMAIL;
+        default:
+            return SOUNDS.NOTIFICATION;
+    }
+}
+
+/**
+ * Whether an interaction is ringing
+ */
+function isInteractionRinging(interactionId) {
+    return alertingInteractions.has(interactionId);
+}
+
+/**
+ * Whether the ringtone is playing
+ */
+function isRingtonePlaying() {
+    return ringtoneSound !== null;
+}
+
+/**
+ * Release the elements of a looping sound still playing it
+ */
+function releaseLoopingSound(elements) {
+    elements.filter(audio => audio.looping).forEach(releaseAudioToPool);
+}
+
+/**
+ * Stop ringing
+ */
+function stopRingtone() {
+    if (ringtoneEscalationTimer) {
+        clearTimeout(ringtoneEscalationTimer);
+        ringtoneEscalationTimer = null;
+    }
+
+    releaseLoopingSound(ringtoneElements);
+    releaseLoopingSound(ringtoneSecondaryElements);
+    ringtoneElements = [];
+    ringtoneSecondaryElements = [];
+    ringtoneSound = null;
+    ringtoneInteractionId = null;
+}
+
+/**
+ * Make the ringtone louder and start the secondary sound
+ */
+function escalateRingtone() {
+    ringtoneEscalationTimer = null;
+    console.log('Escalating the ringtone');
+
+    ringtoneElements.forEach(audio => {
+        audio.volume = PAGE_CONFIG.ringtoneEscalatedVolume;
+    });
+    if (PAGE_CONFIG.ringtoneSecondarySound) {
+        ringtoneSecondaryElements = playAlertSound(PAGE_CONFIG.ringtoneSecondarySound,
+            { loop: true, volume: PAGE_CONFIG.ringtoneEscalatedVolume });
+    }
+}
+
+/**
+ * Ring for the interaction alerting longest, or stop when none is
+ */
+function updateRingtone() {
+    const firstId = alertingInteractions.keys().next().value;
+    if (firstId === undefined) {
+        stopRingtone();
+        return;
+    }
+    if (ringtoneInteractionId === firstId) return;
+
+    const first = alertingInteractions.get(firstId);
+    stopRingtone();
+    ringtoneInteractionId = firstId;
+    ringtoneSound = first.sound;
+    ringtoneElements = playAlertSound(first.sound, { loop: true, volume: PAGE_CONFIG.ringtoneVolume });
+
+    if (PAGE_CONFIG.ringtoneEscalateAfterMs > 0) {
+        const delay = Math.max(0, first.since + PAGE_CONFIG.ringtoneEscalateAfterMs - Date.now());
+        ringtoneEscalationTimer = setTimeout(escalateRingtone, delay);
+    }
+}
+
+/**
+ * Start or stop ringing for an interaction event of the store
+ */
+function handleRingtoneEvent(event) {
+    const record = event.interaction;
+    if (event.category === 'select' || !record) return;
+
+    const alerting = RINGTONE_STOP_CATEGORIES.indexOf(event.category) === -1 &&
+        String(record.state).toLowerCase() === 'alerting';
+
+    if (alerting && !alertingInteractions.has(record.id)) {
+        alertingInteractions.set(record.id, { sound: getRingtoneSound(record), since: Date.now() });
+    } else if (!alerting) {
+        alertingInteractions.delete(record.id);
+    }
+    updateRingtone();
+}
+
+/**
+ * Ring while interactions are alerting
+ */
+function setupRingtone() {
+    interactionStore.subscribe(handleRingtoneEvent);
+    window.addEventListener('beforeunload', stopRingtone);
+}
@@ -0,0 +1,399 @@
+// Replays scripted interaction lifecycles through the page's message handling,
+// standing in for the embedded client so the page can be exercised without
+// placing real calls. Scenarios are JSON files in the scenarios directory,
+// listed by the server at /api/scenarios and fetched from /api/scenarios/<name>.
+// Open the page with ?scenario=<name> to run one as soon as it loads.
+//
+// A scenario has a name, a description, optional variables and steps that run
+// in order. Each step may wait first ("delay", in ms) and then does one of:
+//  - interaction: "add", "change" or "deallocate" the interaction named by "ref"
+//    (default "main"). "with" holds the fields to set and "event" raises a
+//    further category after a change (connect, disconnect, acw, blindTransfer, ...)
+//  - emit: send a framework message of that type with "data"
+//  - expect: wait up to "timeout" ms (default 5000) for the page to send a
+//    message of that type, whose data contains the fields in "match"
+// In strings, {{name}} is replaced by a scenario variable and "$now" by the
+// current time. In emitted data "$interaction" stands for the current version
+// of the interaction named by "ref" and "$interaction.id" for its id.
+
+const DEFAULT_SCENARIO_EXPECT_TIMEOUT = 5000;
+
+// The scenario being run, null when the softphone is live
+let activeScenario = null;
+
+/**
+ * Whether a scenario is standing in for the softphone
+ */
+function isScenarioRunning() {
+    return activeScenario !== null;
+}
+
+/**
+ * Write a line to the scenario log on the page
+ */
+function logScenario(text, className) {
+    console.log('[scenario] ' + text);
+
+    const log = document.getElementById('scenarioLog');
+    if (log) {
+        const line = document.createElement('div');
+        line.textContent = new Date().toLocaleTimeString() + ' ' + text;
+        if (className) {
+            line.className = className;
+        }
+        log.appendChild(line);
+    }
+}
+
+/**
+ * Replace {{name}} placeholders and "$now" in every string of a value
+ */
+function fillScenarioValue(value, variables) {
+    if (typeof value === 'string') {
+        if (value === '$now') {
+            return new Date().toISOString();
+        }
+        return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) =>
+            variables[name] === undefined ? match : String(variables[name]));
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => fillScenarioValue(item, variables));
+    }
+    if (value && typeof value === 'object') {
+        const filled = {};
+        Object.keys(value).forEach(key => {
+            filled[key] = fillScenarioValue(value[key], variables);
+        });
+        return filled;
+    }
+    return value;
+}
+
+/**
+ * Replace "$interaction" and "$interaction.id" in emitted data
+ */
+function insertScenarioInteraction(value, interaction) {
+    if (value === '$interaction') {
+        return copyScenarioInteraction(interaction);
+    }
+    if (value === '$interaction.id') {
+        return interaction ? interaction.id : null;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => insertScenarioInteraction(item, interaction));
+    }
+    if (value && typeof value === 'object') {
+        const inserted = {};
+        Object.keys(value).forEach(key => {
+            inserted[key] = insertScenarioInteraction(value[key], interaction);
+        });
+        return inserted;
+    }
+    return value;
+}
+
+/**
+ * Snapshot of an interaction as the framework would send it
+ */
+function copyScenarioInteraction(interaction) {
+    return interaction ? JSON.parse(JSON.stringify(interaction)) : null;
+}
+
+/**
+ * Check that every field of match has the same value in data
+ */
+function scenarioDataMatches(data, match) {
+    if (!match) return true;
+    if (!data || typeof data !== 'object') return false;
+
+    return Object.keys(match).every(key => {
+        if (match[key] && typeof match[key] === 'object') {
+            return scenarioDataMatches(data[key], match[key]);
+        }
+        return data[key] === match[key];
+    });
+}
+
+/**
+ * Hand a message to the page as if the softphone had posted it
+ */
+function emitScenarioMessage(type, data, replyTo) {
+    const envelope = Object.assign(createEnvelope(type, data, replyTo), {
+        id: 'scenario-' + Date.now().toString(36) + '-' + (++bridgeMessageCounter),
+        source: 'framework'
+    });
+    handleSoftphoneMessage(JSON.stringify(envelope));
+    return envelope;
+}
+
+/**
+ * Receive a message the page sent to the softphone while a scenario runs
+ */
+function deliverToScenario(envelope) {
+    const scenario = activeScenario;
+    if (!scenario) return;
+
+    // Commands succeed straight away, as the embedded client would answer them
+    if (MESSAGE_SCHEMAS[envelope.type].command) {
+        logScenario('Command ' + envelope.type + ' acknowledged');
+        setTimeout(() => {
+            emitScenarioMessage('commandResponse', { status: 'ack' }, envelope.id);
+            emitScenarioMessage('commandResponse', { status: 'result', result: null }, envelope.id);
+        }, 0);
+    }
+
+    // Messages sent before the step expecting them count too
+    scenario.received.push(envelope);
+    const waiting = scenario.waiting;
+    if (waiting && waiting.type === envelope.type && scenarioDataMatches(envelope.data, waiting.match)) {
+        scenario.received.splice(scenario.received.indexOf(envelope), 1);
+        scenario.waiting = null;
+        waiting.resolve(envelope);
+    }
+}
+
+/**
+ * Resolve with the first message of a type the page sends, or reject after the timeout
+ */
+function waitForScenarioMessage(scenario, type, match, timeout) {
+    const index = scenario.received.findIndex(envelope =>
+        envelope.type === type && scenarioDataMatches(envelope.data, match));
+    if (index !== -1) {
+        return Promise.resolve(scenario.received.splice(index, 1)[0]);
+    }
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            scenario.waiting = null;
+            reject(new Error('No ' + type + ' message within ' + timeout + 'ms'));
+        }, timeout);
+
+        scenario.waiting = {
+            type: type,
+            match: match,
+            resolve: envelope => {
+                clearTimeout(timer);
+                resolve(envelope);
+            }
+        };
+    });
+}
+
+/**
+ * Create, change or deallocate an interaction, emitting the events the framework would
+ */
+function runScenarioInteractionStep(scenario, step, variables) {
+    const ref = step.ref || 'main';
+    const fields = fillScenarioValue(step.with || {}, variables);
+    let interaction = scenario.interactions[ref];
+
+    if (step.interaction === 'add') {
+        interaction = Object.assign({
+            id: 'scenario-' + ref + '-' + Date.now().toString(36),
+            state: 'alerting',
+            direction: 'Inbound',
+            isConnected: false,
+            isDisconnected: false,
+            isDone: false,
+            isHeld: false,
+            isMuted: false,
+            isSecurePause: false,
+            startTime: new Date().toISOString(),
+            attributes: {}
+        }, fields);
+        scenario.interactions[ref] = interaction;
+        emitScenarioMessage('interactionSubscription', { category: 'add', interaction: copyScenarioInteraction(interaction) });
+        return;
+    }
+
+    if (!interaction) {
+        throw new Error('Interaction ' + ref + ' has not been added');
+    }
+
+    if (step.interaction === 'change') {
+        // A step with only an event raises it without a change
+        if (Object.keys(fields).length > 0) {
+            const old = copyScenarioInteraction(interaction);
+            Object.assign(interaction, fields);
+            emitScenarioMessage('interactionSubscription', {
+                category: 'change',
+                interaction: { old: old, new: copyScenarioInteraction(interaction) }
+            });
+        }
+        if (step.event) {
+            emitScenarioMessage('interactionSubscription', { category: step.event, interaction: copyScenarioInteraction(interaction) });
+        }
+    } else if (step.interaction === 'deallocate') {
+        interaction.isDone = true;
+        delete scenario.interactions[ref];
+        emitScenarioMessage('interactionSubscription', { category: 'deallocate', interaction: copyScenarioInteraction(interaction) });
+    } else {
+        throw new Error('Unknown interaction step: ' + step.interaction);
+    }
+}
+
+/**
+ * Run one step of a scenario
+ */
+function runScenarioStep(scenario, step, variables) {
+    if (step.interaction) {
+        runScenarioInteractionStep(scenario, step, variables);
+        return Promise.resolve();
+    }
+
+    if (step.emit) {
+        if (!MESSAGE_SCHEMAS[step.emit] || MESSAGE_SCHEMAS[step.emit].from === 'host') {
+            throw new Error('Scenarios can only emit framework messages, not ' + step.emit);
+        }
+        const interaction = scenario.interactions[step.ref || 'main'];
+        emitScenarioMessage(step.emit, insertScenarioInteraction(fillScenarioValue(step.data || {}, variables), interaction));
+        return Promise.resolve();
+    }
+
+    if (step.expect) {
+        const match = fillScenarioValue(step.match, variables);
+        return waitForScenarioMessage(scenario, step.expect, match, step.timeout || DEFAULT_SCENARIO_EXPECT_TIMEOUT)
+            .then(envelope => logScenario('Page sent ' + step.expect + ' ' + JSON.stringify(envelope.data), 'passed'));
+    }
+
+    throw new Error('Step has no interaction, emit or expect');
+}
+
+/**
+ * Wait for a number of milliseconds
+ */
+function scenarioDelay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Play a scenario against the page. Resolves with true if every step passed.
+ */
+function runScenario(definition) {
+    if (activeScenario) {
+        return Promise.reject(new Error('Scenario ' + activeScenario.name + ' is already running'));
+    }
+
+    const scenario = {
+        name: definition.name,
+        interactions: {},
+        received: [],
+        waiting: null,
+        stopped: false
+    };
+    const variables = definition.variables || {};
+    activeScenario = scenario;
+    logScenario('Running ' + definition.name + ': ' + (definition.description || ''));
+
+    const steps = definition.steps || [];
+    let run = Promise.resolve();
+    steps.forEach((step, index) => {
+        run = run
+            .then(() => scenarioDelay(step.delay || 0))
+            .then(() => {
+                if (scenario.stopped) {
+                    throw new Error('Stopped');
+                }
+                logScenario('Step ' + (index + 1) + ': ' + (step.description || step.interaction || step.emit || 'expect ' + step.expect));
+                return runScenarioStep(scenario, step, variables);
+            });
+    });
+
+    return run
+        .then(() => {
+            logScenario('Scenario ' + definition.name + ' passed', 'passed');
+            return true;
+        })
+        .catch(err => {
+            logScenario('Scenario ' + definition.name + ' failed: ' + err.message, 'failed');
+            return false;
+        })
+        .then(passed => {
+            activeScenario = null;
+            updateScenarioControls();
+            return passed;
+        });
+}
+
+/**
+ * Stop the running scenario after its current step
+ */
+function stopScenario() {
+    if (activeScenario) {
+        activeScenario.stopped = true;
+    }
+}
+
+/**
+ * Fetch a scenario definition from the server
+ */
+function loadScenario(name) {
+    return fetch('/api/scenarios/' + encodeURIComponent(name))
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Scenario ' + name + ' not found (' + response.status + ')');
+            }
+            return response.json();
+        });
+}
+
+/**
+ * Fetch a scenario by name and run it
+ */
+function runNamedScenario(name) {
+    updateScenarioControls(true);
+    return loadScenario(name)
+        .then(runScenario)
+        .catch(err => {
+            logScenario(err.message, 'failed');
+            updateScenarioControls();
+            return false;
+        });
+}
+
+/**
+ * Enable the buttons that make sense for the current state
+ */
+function updateScenarioControls(running) {
+    const runButton = document.getElementById('runScenario');
+    const stopButton = document.getElementById('stopScenario');
+    if (!runButton) return;
+
+    running = running || isScenarioRunning();
+    runButton.disabled = running;
+    stopButton.disabled = !running;
+}
+
+/**
+ * List the server's scenarios and wire up the simulator controls
+ */
+function setupScenarioRunner() {
+    const select = document.getElementById('scenarioSelect');
+    if (!select) return Promise.resolve();
+
+    document.getElementById('runScenario').addEventListener('click', () => {
+        document.getElementById('scenarioLog').innerHTML = '';
+        runNamedScenario(select.value);
+    });
+    document.getElementById('stopScenario').addEventListener('click', stopScenario);
+    updateScenarioControls();
+
+    const requested = new URLSearchParams(window.location.search).get('scenario');
+
+    return fetch('/api/scenarios')
+        .then(response => response.json())
+        .then(scenarios => {
+            scenarios.forEach(scenario => {
+                const option = document.createElement('option');
+                option.value = scenario.name;
+                option.textContent = scenario.name + (scenario.description ? ' - ' + scenario.description : '');
+                select.appendChild(option);
+            });
+
+            if (requested) {
+                select.value = requested;
+                return runNamedScenario(requested);
+            }
+        })
+        .catch(err => console.error('Could not list scenarios:', err));
+}
@@ -0,0 +1,247 @@
+// Rule-based screen pop for the example page.
+// Rules are evaluated in order and the first one that matches the interaction
+// and has something to pop decides what is popped; a rule whose URL template
+// cannot be filled in falls through to the next one.
+// Configure them with examplePageConfig.screenPopRules.
+//
+// Rule fields (all optional):
+//  - name: used in log messages
+//  - queues: queue names the rule applies to
+//  - mediaTypes: media types the rule applies to (call, callback, chat, email, message, ...)
+//  - directions: interaction directions the rule applies to (Inbound, Outbound)
+//  - requireAttributes: custom attributes that must be set on the interaction
+//  - urlTemplate: URL to open. {{name}} inserts an URL-encoded value, {{&name}}
+//    inserts it as is. Names are custom attributes (PT_URLPop, PT_SearchValue, ...)
+//    or interaction fields (id, ani, dnis, queueName, searchValue).
+//  - lookup: look the caller up with the active contact search provider when the
+//    rule has no URL to open; results are shown in the embedded panel
+//  - target: where to open the URL, 'tab', 'popup' or 'panel' (default)
+
+const DEFAULT_SCREEN_POP_RULES = [
+    {
+        name: 'attribute-url',
+        requireAttributes: ['PT_URLPop'],
+        urlTemplate: '{{&PT_URLPop}}',
+        target: 'tab'
+    },
+    {
+        name: 'contact-lookup',
+        lookup: true,
+        target: 'panel'
+    }
+];
+
+// When each interaction was last popped, keyed by interaction id
+const poppedInteractions = new Map();
+
+/**
+ * Work out the media type of a PureCloud interaction
+ */
+function getInteractionMediaType(interaction) {
+    if (interaction.type) return interaction.type;
+    if (interaction.isCallback) return 'callback';
+    if (interaction.isChat) return 'chat';
+    if (interaction.isEmail) return 'email';
+    if (interaction.isMessage) return 'message';
+    if (interaction.isVoicemail) return 'voicemail';
+    return 'call';
+}
+
+/**
+ * Read a custom attribute regardless of the case PureCloud stored its name in
+ */
+function getInteractionAttribute(interaction, name) {
+    const attributes = interaction.attributes || {};
+    const key = Object.keys(attributes).find(k => k.toLowerCase() === name.toLowerCase());
+    return key ? attributes[key] : undefined;
+}
+
+/**
+ * Value of a template placeholder: an interaction field, or else a custom attribute
+ */
+function getScreenPopValue(context, name) {
+    if (context[name] !== undefined && context[name] !== null && typeof context[name] !== 'object') {
+        return String(context[name]);
+    }
+    const value = getInteractionAttribute(context.interaction, name);
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Fill in a URL template. Returns null if a placeholder has no value.
+ */
+function renderScreenPopTemplate(template, context) {
+    let complete = true;
+    const url = template.replace(/\{\{(&?)\s*([\w.]+)\s*\}\}/g, (match, raw, name) => {
+        const value = getScreenPopValue(context, name);
+        if (!value) {
+            complete = false;
+        }
+        return raw ? value : encodeURIComponent(value);
+    });
+    return complete ? url : null;
+}
+
+/**
+ * Check whether a rule applies to an interaction
+ */
+function screenPopRuleMatches(rule, context) {
+    if (rule.queues && rule.queues.indexOf(context.queueName) === -1) return false;
+    if (rule.mediaTypes && rule.mediaTypes.indexOf(context.mediaType) === -1) return false;
+    if (rule.directions && rule.directions.indexOf(context.direction) === -1) return false;
+    if (rule.requireAttributes && !rule.requireAttributes.every(name => getInteractionAttribute(context.interaction, name))) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Build the values rules and templates see for a screenPop event
+ */
+function createScreenPopContext(payload) {
+    const interaction = payload.interactionId && typeof payload.interactionId === 'object' ?
+        payload.interactionId : { id: payload.interactionId };
+
+    return {
+        interaction: interaction,
+        id: interaction.id,
+        ani: interaction.ani,
+        dnis: interaction.dnis,
+        direction: interaction.direction,
+        queueName: interaction.queueName,
+        mediaType: getInteractionMediaType(interaction),
+        searchValue: getInteractionAttribute(interaction, 'PT_SearchValue') || payload.searchString ||
+            (interaction.ani || '').replace(/^tel:/, '')
+    };
+}
+
+/**
+ * Remember that an interaction was popped; returns false if it already was
+ */
+function markInteractionPopped(interactionId) {
+    const now = Date.now();
+
+    // Forget interactions popped long ago
+    poppedInteractions.forEach((time, id) => {
+        if (now - time > PAGE_CONFIG.screenPopDedupeMs) {
+            poppedInteractions.delete(id);
+        }
+    });
+
+    if (poppedInteractions.has(interactionId)) {
+        return false;
+    }
+    poppedInteractions.set(interactionId, now);
+    return true;
+}
+
+/**
+ * Open a URL in the target a rule asked for
+ */
+function openScreenPopUrl(url, target) {
+    let parsed;
+    try {
+        parsed = new URL(url, window.location.href);
+    } catch (e) {
+        console.error('Screen pop URL is not valid:', url);
+        return;
+    }
+
+    // Attributes come from the interaction, so never open anything but web pages
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        console.error('Refusing to screen pop URL with protocol', parsed.protocol);
+        return;
+    }
+
+    if (target === 'tab') {
+        window.open(parsed.href, '_blank', 'noopener');
+    } else if (target === 'popup') {
+        window.open(parsed.href, 'screenPop', 'width=900,height=700,noopener');
+    } else {
+        const panel = clearScreenPopPanel();
+        const frame = document.createElement('iframe');
+        frame.src = parsed.href;
+        panel.appendChild(frame);
+    }
+}
+
+/**
+ * Empty the embedded screen pop panel and return it
+ */
+function clearScreenPopPanel() {
+    const panel = document.getElementById('screenPopPanel');
+    while (panel.firstChild) {
+        panel.removeChild(panel.firstChild);
+    }
+    return panel;
+}
+
+/**
+ * Show contact lookup results in the embedded panel
+ */
+function showScreenPopContacts(searchValue, contacts) {
+    const panel = clearScreenPopPanel();
+
+    const heading = document.createElement('h5');
+    heading.textContent = contacts.length > 0 ?
+        'Contacts matching ' + searchValue : 'No contact found for ' + searchValue;
+    panel.appendChild(heading);
+
+    contacts.forEach(contact => {
+        const entry = document.createElement('div');
+        entry.className = 'screenPopContact';
+
+        const name = document.createElement('strong');
+        name.textContent = contact.name;
+        entry.appendChild(name);
+
+        (contact.phone || []).forEach(phone => {
+            const line = document.createElement('div');
+            line.textContent = (phone.label ? phone.label + ': ' : '') + phone.number;
+            entry.appendChild(line);
+        });
+
+        if (contact.email) {
+            const email = document.createElement('div');
+            email.textContent = contact.email;
+            entry.appendChild(email);
+        }
+
+        panel.appendChild(entry);
+    });
+}
+
+/**
+ * Pop the caller's record for a screenPop event raised by the softphone
+ */
+function handleScreenPop(payload) {
+    const context = createScreenPopContext(payload);
+
+    if (!context.id || !markInteractionPopped(context.id)) {
+        console.log('Skipping screen pop for already popped interaction', context.id);
+        return;
+    }
+
+    for (const rule of PAGE_CONFIG.screenPopRules) {
+        if (!screenPopRuleMatches(rule, context)) {
+            continue;
+        }
+
+        const url = rule.urlTemplate ? renderScreenPopTemplate(rule.urlTemplate, context) : null;
+        if (url) {
+            console.log('Screen pop rule ' + (rule.name || '') + ' opening', url);
+            openScreenPopUrl(url, rule.target);
+            return;
+        }
+
+        if (rule.lookup && context.searchValue) {
+            console.log('Screen pop rule ' + (rule.name || '') + ' looking up', context.searchValue);
+            getActiveContactSearchProvider().search(context.searchValue)
+                .then(contacts => showScreenPopContacts(context.searchValue, contacts))
+                .catch(err => console.error('Screen pop contact lookup failed:', err));
+            return;
+        }
+    }
+
+    console.log('No screen pop rule applies to interaction', context.id);
+}
@@ -0,0 +1,122 @@
+// Promise-based API for sending commands to the softphone.
+// Each command is correlated with the commandResponse messages the framework
+// sends back, using the id of the command's envelope.
+
+// Commands waiting for their result, keyed by envelope id
+const pendingCommands = new Map();
+
+/**
+ * Create an Error carrying a machine-readable code
+ */
+function createCommandError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Send a command to the softphone and resolve with its result.
+ *
+ * Options:
+ *  - timeout: milliseconds to wait for the result (defaults to PAGE_CONFIG.commandTimeout)
+ *  - onAck: called once the framework has accepted the command
+ */
+function sendCommand(type, data, options) {
+    options = options || {};
+    const timeout = options.timeout || PAGE_CONFIG.commandTimeout;
+
+    return new Promise((resolve, reject) => {
+        const envelope = sendToSoftphone({ type: type, data: data });
+        if (!envelope) {
+            reject(createCommandError('NOT_SENT', 'Could not send ' + type + ' to the softphone'));
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            pendingCommands.delete(envelope.id);
+            reject(createCommandError('TIMEOUT', type + ' did not complete within ' + timeout + 'ms'));
+        }, timeout);
+
+        pendingCommands.set(envelope.id, {
+            type: type,
+            resolve: resolve,
+            reject: reject,
+            onAck: options.onAck,
+            timer: timer
+        });
+    });
+}
+
+/**
+ * Settle the pending command a commandResponse refers to
+ */
+function handleCommandResponse(message) {
+    const pending = pendingCommands.get(message.replyTo);
+    if (!pending) {
+        // Fire-and-forget commands and commands that already timed out end up here
+        return;
+    }
+
+    const response = message.data;
+    if (response.status === 'ack') {
+        if (pending.onAck) {
+            pending.onAck();
+        }
+        return;
+    }
+
+    clearTimeout(pending.timer);
+    pendingCommands.delete(message.replyTo);
+
+    if (response.status === 'result') {
+        pending.resolve(response.result);
+    } else {
+        pending.reject(createCommandError(response.error.code, response.error.message));
+    }
+}
+
+/**
+ * Fail the pending command an error reply refers to.
+ * Returns true if the error belonged to a pending command.
+ */
+function rejectPendingCommand(message) {
+    const pending = pendingCommands.get(message.replyTo);
+    if (!pending) {
+        return false;
+    }
+
+    clearTimeout(pending.timer);
+    pendingCommands.delete(message.replyTo);
+    pending.reject(createCommandError(message.data.code, message.data.message));
+    return true;
+}
+
+const softphone = {
+    clickToDial: function (number, options) {
+        return sendCommand('clickToDial', Object.assign({ number: number }, options));
+    },
+    addAssociation: function (association) {
+        return sendCommand('addAssociation', association);
+    },
+    addCustomAttributes: function (interactionId, attributes) {
+        return sendCommand('addAttribute', { interactionId: interactionId, attributes: attributes });
+    },
+    addTransferContext: function (context) {
+        return sendCommand('addTransferContext', context);
+    },
+    updateStatus: function (statusId) {
+        return sendCommand('updateUserStatus', { id: statusId });
+    },
+    updateInteractionState: function (interactionId, action) {
+        return sendCommand('updateInteractionState', { id: interactionId, action: action });
+    },
+    setView: function (name) {
+        return sendCommand('setView', { type: 'main', view: { name: name } });
+    },
+    setAudioConfiguration: function (configuration) {
+        return sendCommand('updateAudioConfiguration', configuration);
+    },
+    notifyUser: function (message, type, timeout) {
+        return sendCommand('sendCustomNotification', { message: message, type: type, timeout: timeout });
+    }
+};
@@ -0,0 +1,230 @@
+// Tests for the host page script src/scripts/audioDiagnostics.js: the microphone
+// level check, the speaker test tone and the recording loopback, with fake Web Audio.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { flush, plain } = require('./helpers/framework');
+const { loadHostPage, mediaDevice } = require('./helpers/hostPage');
+
+let page;
+let audio;
+
+/**
+ * Fake Web Audio and MediaRecorder. Every sample the analyser reads is audio.sample;
+ * played lists the output and source of each element played.
+ */
+function installFakeAudio(window) {
+    const fake = { sample: 0.3, contexts: [], oscillators: [], played: [], revoked: [] };
+
+    window.AudioContext = class {
+        constructor() {
+            this.closed = false;
+            fake.contexts.push(this);
+        }
+        createAnalyser() {
+            return { fftSize: 0, connect() {}, getFloatTimeDomainData: samples => samples.fill(fake.sample) };
+        }
+        createMediaStreamSource() {
+            return { connect() {} };
+        }
+        createOscillator() {
+            const oscillator = { frequency: { value: 0 }, connect() {}, start() { this.started = true; }, stop() { this.stopped = true; } };
+            fake.oscillators.push(oscillator);
+            return oscillator;
+        }
+        createGain() {
+            return { gain: { value: 1 }, connect() {} };
+        }
+        createMediaStreamDestination() {
+            return { stream: { id: 'tone' } };
+        }
+        close() {
+            this.closed = true;
+            return Promise.resolve();
+        }
+    };
+
+    window.MediaRecorder = class {
+        constructor(stream) {
+            this.stream = stream;
+            this.mimeType = 'audio/webm';
+        }
+        start() {
+            this.state = 'recording';
+        }
+        stop() {
+            this.state = 'inactive';
+            this.ondataavailable({ data: new window.Blob(['recording']) });
+            this.onstop();
+        }
+    };
+
+    window.URL.createObjectURL = () => 'blob:recording';
+    window.URL.revokeObjectURL = url => fake.revoked.push(url);
+
+    window.HTMLMediaElement.prototype.setSinkId = function (sinkId) {
+        this.sinkId = sinkId;
+        return Promise.resolve();
+    };
+    window.HTMLMediaElement.prototype.play = function () {
+        fake.played.push({ sinkId: this.sinkId, src: this.srcObject ? this.srcObject.id : this.getAttribute('src') });
+        if (this.onended) setTimeout(() => this.onended(), 0);
+        return Promise.resolve();
+    };
+
+    return fake;
+}
+
+test.beforeEach(async () => {
+    page = await loadHostPage();
+    page.evaluate("loadSoftphone('mock')");
+    audio = installFakeAudio(page.window);
+
+    page.mediaDevices.devices = [
+        mediaDevice('audioinput', 'mic-1', 'Headset'),
+        mediaDevice('audiooutput', 'headset-1', 'Headset'),
+        mediaDevice('audiooutput', 'speaker-1', 'Speakers')
+    ];
+    await page.evaluate('deviceManager.initialize()');
+    page.mediaDevices.calls = [];
+    page.evaluate('setupAudioDiagnostics()');
+});
+
+test.afterEach(() => {
+    page.close();
+});
+
+/**
+ * Diagnostics sent to the softphone
+ */
+function reported() {
+    return page.sentMessages('audioDeviceStatus')
+        .filter(message => message.data.status === 'diagnostics')
+        .map(message => message.data.diagnostics);
+}
+
+test.describe('levels', () => {
+    test.it('measures the RMS and peak of samples', () => {
+        const level = page.window.measureAudioLevel(new page.window.Float32Array([0.5, -0.5, 0.5, -1]));
+        assert.strictEqual(level.peak, 1);
+        assert.strictEqual(level.rms, Math.sqrt(1.75 / 4));
+    });
+
+    test.it('tells working, silent and clipping microphones apart', () => {
+        const classify = levels => plain(page.window.classifyAudioLevels(levels));
+
+        assert.deepStrictEqual(classify([{ rms: 0.2, peak: 0.6 }, { rms: 0.004, peak: 0.01 }]), { result: 'ok', rms: 0.2, peak: 0.6 });
+        assert.deepStrictEqual(classify([{ rms: 0.004, peak: 0.02 }]), { result: 'silent', rms: 0.004, peak: 0.02 });
+        assert.deepStrictEqual(classify([{ rms: 0.5, peak: 1 }, { rms: 0.3, peak: 0.5 }]), { result: 'clipping', rms: 0.5, peak: 1 });
+        assert.strictEqual(classify([]).result, 'silent');
+    });
+});
+
+test.describe('checkMicrophone', () => {
+    test.it('reports a silent microphone and releases it', async () => {
+        audio.sample = 0.001;
+
+        const diagnostics = plain(await page.evaluate('checkMicrophone(250)'));
+
+        assert.deepStrictEqual(diagnostics, {
+            test: 'microphone',
+            result: 'silent',
+            rms: 0.001,
+            peak: 0.001,
+            message: 'The microphone picks up no sound. Check that it is not muted and that it is the one you speak into.'
+        });
+        assert.deepStrictEqual(reported(), [diagnostics]);
+        assert.strictEqual(page.sentMessages('audioDeviceStatus').pop().data.deviceId, 'mic-1');
+        assert.deepStrictEqual(page.mediaDevices.calls[0].constraints, {
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false, deviceId: { exact: 'mic-1' } }
+        });
+        assert.ok(page.mediaDevices.streams.every(stream => stream.track.stopped));
+        assert.ok(audio.contexts.every(context => context.closed));
+        assert.strictEqual(page.document.getElementById('diagnosticsResult').className, 'silent');
+        assert.strictEqual(page.document.getElementById('microphoneLevel').value, 0);
+    });
+
+    test.it('reports a clipping microphone', async () => {
+        audio.sample = 1;
+
+        assert.strictEqual((await page.evaluate('checkMicrophone(250)')).result, 'clipping');
+    });
+
+    test.it('runs one test at a time', async () => {
+        const running = page.evaluate('checkMicrophone(250)');
+        assert.strictEqual(page.document.getElementById('testSpeaker').disabled, true);
+
+        await assert.rejects(page.evaluate('runLoopback(250)'), /The microphone test is still running/);
+        assert.strictEqual((await running).result, 'ok');
+        assert.strictEqual(page.document.getElementById('testSpeaker').disabled, false);
+    });
+
+    test.it('reports browsers without Web Audio', async () => {
+        delete page.window.AudioContext;
+
+        const diagnostics = await page.evaluate('checkMicrophone(250)');
+
+        assert.strictEqual(diagnostics.result, 'failed');
+        assert.strictEqual(diagnostics.message, 'The microphone test failed: This browser does not support the Web Audio API');
+        assert.ok(page.mediaDevices.streams.every(stream => stream.track.stopped));
+    });
+});
+
+test.describe('testSpeaker', () => {
+    test.it('plays a tone on the speaker and reports whether it was heard', async () => {
+        const result = page.evaluate('testSpeaker(50)');
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        assert.deepStrictEqual(audio.played, [{ sinkId: 'headset-1', src: 'tone' }]);
+        assert.strictEqual(audio.oscillators[0].frequency.value, 440);
+        assert.strictEqual(audio.oscillators[0].stopped, true);
+        assert.strictEqual(page.document.getElementById('speakerTestAnswer').hidden, false);
+
+        page.document.getElementById('speakerNotHeard').click();
+
+        assert.strictEqual((await result).result, 'notHeard');
+        assert.strictEqual(page.document.getElementById('speakerTestAnswer').hidden, true);
+        assert.deepStrictEqual(reported().map(diagnostics => [diagnostics.test, diagnostics.result]), [['speaker', 'notHeard']]);
+    });
+
+    test.it('gives up waiting for an answer so the other tests can run', async () => {
+        const diagnostics = await page.evaluate('testSpeaker(50, 100)');
+
+        assert.strictEqual(diagnostics.result, 'unanswered');
+        assert.strictEqual(diagnostics.message, 'Nobody said whether the test tone could be heard. Play it again to check the speaker.');
+        assert.strictEqual(page.document.getElementById('speakerTestAnswer').hidden, true);
+        assert.strictEqual(page.document.getElementById('checkMicrophone').disabled, false);
+
+        // A late answer changes nothing
+        page.document.getElementById('speakerHeard').click();
+        assert.deepStrictEqual(reported().map(diagnostics => diagnostics.result), ['unanswered']);
+    });
+});
+
+test.describe('runLoopback', () => {
+    test.it('records the microphone and plays it back on the speaker', async () => {
+        await page.evaluate("deviceManager.select('speaker', 'speaker-1')");
+
+        const diagnostics = plain(await page.evaluate('runLoopback(250)'));
+
+        assert.deepStrictEqual(diagnostics, {
+            test: 'loopback',
+            result: 'played',
+            level: 'ok',
+            rms: 0.3,
+            peak: 0.3,
+            message: 'The recording was played back on the speaker.'
+        });
+        assert.deepStrictEqual(audio.played, [{ sinkId: 'speaker-1', src: 'blob:recording' }]);
+        assert.deepStrictEqual(audio.revoked, ['blob:recording']);
+        assert.ok(page.mediaDevices.streams.every(stream => stream.track.stopped));
+        await flush();
+    });
+
+    test.it('reports browsers that cannot record', async () => {
+        delete page.window.MediaRecorder;
+
+        const diagnostics = await page.evaluate('runLoopback(250)');
+        assert.strictEqual(diagnostics.message, 'The loopback test failed: This browser cannot record audio');
+    });
+});
@@ -0,0 +1,138 @@
+// Tests for lib/callLogs.js: the call log file store and its REST API.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createCallLogRouter, createCallLogStore } = require('../lib/callLogs');
+
+let dir;
+let file;
+
+test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pef-call-logs-'));
+    file = path.join(dir, 'data', 'call-logs.json');
+});
+
+test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.describe('createCallLogStore', () => {
+    test.it('keeps one record per interaction, with a stable id', () => {
+        const store = createCallLogStore(file);
+        const first = store.upsert('i-1', 'interactionConnected', {
+            notes: 'Asked about billing',
+            selectedContact: { id: 'c-1', text: 'Weather Line', type: 'contact', select: true },
+            attributes: { pt_urlpop: 'x' }
+        });
+        const second = store.upsert('i-1', 'interactionDisconnected', {
+            subject: 'Billing',
+            attributes: { pt_searchvalue: 'y' }
+        });
+
+        assert.strictEqual(first.created, true);
+        assert.strictEqual(second.created, false);
+        assert.match(first.record.id, /^CL-/);
+        assert.strictEqual(second.record.id, first.record.id);
+
+        const record = store.get('i-1');
+        assert.strictEqual(record.subject, 'Billing');
+        assert.strictEqual(record.notes, 'Asked about billing');
+        assert.deepStrictEqual(record.associations, { contact: { id: 'c-1', text: 'Weather Line' }, relation: null });
+        assert.deepStrictEqual(record.attributes, { pt_urlpop: 'x', pt_searchvalue: 'y' });
+        assert.deepStrictEqual(record.events.map(event => event.eventName), ['interactionConnected', 'interactionDisconnected']);
+    });
+
+    test.it('finds records by interaction or record id', () => {
+        const store = createCallLogStore(file);
+        const { record } = store.upsert('i-1', 'interactionDisconnected', {});
+
+        assert.strictEqual(store.get(record.id), store.get('i-1'));
+        assert.strictEqual(store.get('i-2'), null);
+    });
+
+    test.it('saves records to the file and reads them back', () => {
+        const { record } = createCallLogStore(file).upsert('i-1', 'interactionDisconnected', { notes: 'n' });
+
+        const reopened = createCallLogStore(file);
+        assert.deepStrictEqual(reopened.get('i-1'), record);
+        assert.strictEqual(reopened.upsert('i-1', 'interactionDisconnected', {}).record.id, record.id);
+    });
+
+    test.it('lists the most recently updated record first', async () => {
+        const store = createCallLogStore(file);
+        store.upsert('i-1', 'interactionDisconnected', {});
+        await new Promise(resolve => setTimeout(resolve, 5));
+        store.upsert('i-2', 'interactionDisconnected', {});
+
+        assert.deepStrictEqual(store.list().map(record => record.interactionId), ['i-2', 'i-1']);
+    });
+
+    test.it('reports a corrupt file', () => {
+        fs.mkdirSync(path.dirname(file));
+        fs.writeFileSync(file, '{');
+
+        assert.throws(() => createCallLogStore(file).list(), /is not valid JSON/);
+    });
+});
+
+test.describe('createCallLogRouter', () => {
+    let server;
+    let baseUrl;
+
+    test.beforeEach(async () => {
+        const app = express();
+        app.use('/api/call-logs', createCallLogRouter(createCallLogStore(file)));
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = 'http://127.0.0.1:' + server.address().port + '/api/call-logs';
+    });
+
+    test.afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    /**
+     * Send a JSON request and resolve with { status, body }
+     */
+    async function request(method, url, body) {
+        const response = await fetch(baseUrl + url, {
+            method: method,
+            headers: { 'Content-Type': 'application/json' },
+            body: typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    test.it('creates with POST and updates with PUT', async () => {
+        const created = await request('POST', '/', { interactionId: 'i-1', eventName: 'interactionConnected', callLog: { notes: 'a' } });
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual(created.body.interactionId, 'i-1');
+
+        const updated = await request('PUT', '/i-1', { eventName: 'interactionDisconnected', callLog: { notes: 'b' } });
+        assert.strictEqual(updated.status, 200);
+        assert.strictEqual(updated.body.id, created.body.id);
+        assert.strictEqual(updated.body.notes, 'b');
+    });
+
+    test.it('returns records by interaction or record id, and lists them', async () => {
+        const { body: record } = await request('PUT', '/i-1', { eventName: 'interactionDisconnected', callLog: {} });
+
+        assert.deepStrictEqual((await request('GET', '/i-1')).body, record);
+        assert.deepStrictEqual((await request('GET', '/' + record.id)).body, record);
+        assert.deepStrictEqual((await request('GET', '/')).body, [record]);
+        assert.strictEqual((await request('GET', '/i-2')).status, 404);
+    });
+
+    test.it('rejects invalid call logs', async () => {
+        assert.deepStrictEqual(await request('POST', '/', { eventName: 'x', callLog: {} }),
+            { status: 400, body: { error: 'interactionId must be a non-empty string' } });
+        assert.strictEqual((await request('PUT', '/i-1', { callLog: {} })).status, 400);
+        assert.strictEqual((await request('PUT', '/i-1', { eventName: 'x', callLog: [] })).status, 400);
+        assert.strictEqual((await request('PUT', '/i-1', { eventName: 'x', callLog: { attributes: 'a' } })).status, 400);
+        assert.deepStrictEqual(await request('PUT', '/i-1', '{'), { status: 400, body: { error: 'Request body is not valid JSON' } });
+    });
+});
@@ -0,0 +1,123 @@
+// Tests for lib/certificates.js: the generated CA and server certificate, and when they are renewed.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    ensureCertificates,
+    getCertificateHosts,
+    getExpiryWarning,
+    getTrustInstructions
+} = require('../lib/certificates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dir;
+
+test.beforeEach(() => {
+    dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pef-certs-')), 'certs');
+});
+
+test.afterEach(() => {
+    fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+});
+
+/**
+ * Load a certificate file
+ */
+function readCertificate(file) {
+    return new crypto.X509Certificate(fs.readFileSync(file));
+}
+
+test.it('creates a CA and a server certificate it signed on first run', () => {
+    const result = ensureCertificates({ dir: dir, hosts: ['localhost', '127.0.0.1'] });
+
+    assert.strictEqual(result.createdCa, true);
+    assert.strictEqual(result.renewedServer, 'no server certificate yet');
+
+    const ca = readCertificate(result.ca);
+    const server = readCertificate(result.cert);
+    assert.strictEqual(ca.ca, true);
+    assert.strictEqual(server.ca, false);
+    assert.ok(server.checkIssued(ca));
+    assert.ok(server.verify(ca.publicKey));
+    assert.strictEqual(result.caFingerprint, ca.fingerprint256);
+    assert.ok(server.checkPrivateKey(crypto.createPrivateKey(fs.readFileSync(result.key))));
+});
+
+test.it('covers every configured hostname and IP address', () => {
+    const result = ensureCertificates({ dir: dir, hosts: ['localhost', 'Dev.LAN', '192.168.1.20', '::1'] });
+    const server = readCertificate(result.cert);
+
+    assert.deepStrictEqual(getCertificateHosts(server), ['localhost', 'dev.lan', '192.168.1.20', '::1']);
+    assert.strictEqual(server.checkHost('dev.lan'), 'dev.lan');
+    assert.strictEqual(server.checkIP('192.168.1.20'), '192.168.1.20');
+});
+
+test.it('keeps private keys readable by their owner only', { skip: process.platform === 'win32' }, () => {
+    const result = ensureCertificates({ dir: dir, hosts: ['localhost'] });
+
+    assert.strictEqual(fs.statSync(result.key).mode & 0o077, 0);
+    assert.strictEqual(fs.statSync(path.join(dir, 'ca.key')).mode & 0o077, 0);
+});
+
+test.it('reuses the certificates on later runs', () => {
+    const first = ensureCertificates({ dir: dir, hosts: ['localhost'] });
+    const serverPem = fs.readFileSync(first.cert, 'utf8');
+
+    const second = ensureCertificates({ dir: dir, hosts: ['localhost'] });
+    assert.strictEqual(second.createdCa, false);
+    assert.strictEqual(second.renewedServer, null);
+    assert.strictEqual(second.caFingerprint, first.caFingerprint);
+    assert.strictEqual(fs.readFileSync(second.cert, 'utf8'), serverPem);
+});
+
+test.it('renews the server certificate when the hosts change, keeping the CA', () => {
+    const first = ensureCertificates({ dir: dir, hosts: ['localhost'] });
+    const second = ensureCertificates({ dir: dir, hosts: ['localhost', 'dev.lan'] });
+
+    assert.strictEqual(second.createdCa, false);
+    assert.strictEqual(second.caFingerprint, first.caFingerprint);
+    assert.match(second.renewedServer, /hosts changed/);
+    assert.deepStrictEqual(getCertificateHosts(readCertificate(second.cert)), ['localhost', 'dev.lan']);
+});
+
+test.it('renews the server certificate before it expires', () => {
+    ensureCertificates({ dir: dir, hosts: ['localhost'] });
+    const later = new Date(Date.now() + 380 * DAY_MS);
+
+    const result = ensureCertificates({ dir: dir, hosts: ['localhost'], now: later });
+    assert.match(result.renewedServer, /expires on/);
+    assert.ok(result.serverExpires.getTime() > later.getTime() + 300 * DAY_MS);
+});
+
+test.it('warns before the CA expires and replaces it once it has', () => {
+    const first = ensureCertificates({ dir: dir, hosts: ['localhost'] });
+
+    const nearExpiry = ensureCertificates({ dir: dir, hosts: ['localhost'], now: new Date(first.caExpires.getTime() - 10 * DAY_MS) });
+    assert.strictEqual(nearExpiry.createdCa, false);
+    assert.match(nearExpiry.warnings[0], /The local CA expires in \d+ days/);
+
+    const expired = ensureCertificates({ dir: dir, hosts: ['localhost'], now: new Date(first.caExpires.getTime() + DAY_MS) });
+    assert.strictEqual(expired.createdCa, true);
+    assert.notStrictEqual(expired.caFingerprint, first.caFingerprint);
+    assert.strictEqual(expired.renewedServer, 'the CA changed');
+});
+
+test.it('warns about configured certificates that expire soon', () => {
+    const result = ensureCertificates({ dir: dir, hosts: ['localhost'] });
+
+    assert.strictEqual(getExpiryWarning(result.cert), null);
+    assert.match(getExpiryWarning(result.cert, new Date(result.serverExpires.getTime() - 5 * DAY_MS)), /expires in \d+ days/);
+    assert.match(getExpiryWarning(result.cert, new Date(result.serverExpires.getTime() + DAY_MS)), /expired on/);
+});
+
+test.it('explains how to trust the CA on each platform', () => {
+    assert.match(getTrustInstructions('/c/ca.crt', 'darwin'), /security add-trusted-cert .*"\/c\/ca\.crt"/);
+    assert.match(getTrustInstructions('C:\\c\\ca.crt', 'win32'), /certutil -user -addstore Root "C:\\c\\ca\.crt"/);
+    assert.match(getTrustInstructions('/c/ca.crt', 'linux'), /update-ca-certificates/);
+    assert.match(getTrustInstructions('/c/ca.crt', 'linux'), /Firefox/);
+});
@@ -0,0 +1,194 @@
+// Tests for lib/cli.js: pef-cli's arguments, the commands it sends and tailing the event relay.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebSocket = require('ws');
+const { createEventRelay } = require('../lib/eventRelay');
+const { buildCommand, expandTypes, formatEvent, parseCliArgs, runCli } = require('../lib/cli');
+
+test.describe('parseCliArgs', () => {
+    test.it('reads the command, its arguments and options in any order', () => {
+        const parsed = parseCliArgs(['state', '--agent', 'agent-1', 'i-1', '--timeout=500', 'hold']);
+
+        assert.strictEqual(parsed.command, 'state');
+        assert.deepStrictEqual(parsed.args, ['i-1', 'hold']);
+        assert.strictEqual(parsed.options.agent, 'agent-1');
+        assert.strictEqual(parsed.options.timeout, 500);
+        assert.strictEqual(parsed.options.url, 'wss://localhost:8443/api/relay');
+    });
+
+    test.it('falls back to environment variables', () => {
+        const parsed = parseCliArgs(['tail', '--token', 'flag'], {
+            PEF_RELAY_TOKEN: 'env', PEF_AGENT: 'agent-2', PEF_RELAY_URL: 'ws://localhost:8080/api/relay'
+        });
+
+        assert.strictEqual(parsed.options.token, 'flag');
+        assert.strictEqual(parsed.options.agent, 'agent-2');
+        assert.strictEqual(parsed.options.url, 'ws://localhost:8080/api/relay');
+    });
+
+    test.it('collects --type from every occurrence', () => {
+        const parsed = parseCliArgs(['tail', '--type', 'interaction', '--type=screenPop,processCallLog', '--json']);
+        assert.deepStrictEqual(parsed.options.type, ['interaction', 'screenPop', 'processCallLog']);
+        assert.strictEqual(parsed.options.json, true);
+    });
+
+    test.it('rejects unknown options and missing values', () => {
+        assert.throws(() => parseCliArgs(['dial', '--number', '1']), { message: 'Unknown option --number', usage: true });
+        assert.throws(() => parseCliArgs(['dial', '--agent']), /--agent needs a value/);
+        assert.throws(() => parseCliArgs(['dial', '--timeout', 'soon']), /Invalid timeout "soon"/);
+    });
+});
+
+test.describe('buildCommand', () => {
+    test.it('maps commands onto the softphone messages', () => {
+        assert.deepStrictEqual(buildCommand('dial', ['3172222222']),
+            { type: 'clickToDial', data: { number: '3172222222', autoPlace: true } });
+        assert.deepStrictEqual(buildCommand('status', ['on_queue']),
+            { type: 'updateUserStatus', data: { id: 'ON_QUEUE' } });
+        assert.deepStrictEqual(buildCommand('state', ['i-1', 'securepause']),
+            { type: 'updateInteractionState', data: { id: 'i-1', action: 'securePause' } });
+        assert.deepStrictEqual(buildCommand('view', ['settings']),
+            { type: 'setView', data: { type: 'main', view: { name: 'settings' } } });
+        assert.deepStrictEqual(buildCommand('notify', ['warning', 'Queue', 'is', 'long']),
+            { type: 'sendCustomNotification', data: { type: 'WARNING', message: 'Queue is long' } });
+    });
+
+    test.it('explains what is missing or wrong', () => {
+        assert.throws(() => buildCommand('dial', []), /dial needs a number/);
+        assert.throws(() => buildCommand('status', ['BUSY']), /"BUSY" is not a valid status, use one of AVAILABLE, AWAY, ON_QUEUE/);
+        assert.throws(() => buildCommand('state', ['i-1', 'park']), /"park" is not a valid action/);
+        assert.throws(() => buildCommand('notify', ['INFO']), /notify needs a notification type and a message/);
+        assert.throws(() => buildCommand('hangup', []), /Unknown command "hangup"/);
+    });
+});
+
+test.describe('tail output', () => {
+    test.it('matches subscription messages by their short name', () => {
+        assert.deepStrictEqual(expandTypes(['interaction', 'screenPop', 'userActionSubscription']),
+            ['interaction', 'interactionSubscription', 'screenPop', 'screenPopSubscription', 'userActionSubscription']);
+    });
+
+    test.it('prints one line per event', () => {
+        assert.strictEqual(formatEvent({
+            kind: 'event',
+            agent: 'agent-1',
+            direction: 'outbound',
+            envelope: { type: 'setView', data: { type: 'main' } },
+            relayed: '2020-01-01T10:20:30.456Z'
+        }), '10:20:30.456 agent-1 -> setView {"type":"main"}');
+    });
+});
+
+test.describe('runCli', () => {
+    let server;
+    let relay;
+    let url;
+    let agents;
+    let output;
+
+    const io = {
+        log: line => output.push(line),
+        error: line => output.push('error: ' + line)
+    };
+
+    test.beforeEach(async () => {
+        relay = createEventRelay({});
+        server = http.createServer();
+        server.on('upgrade', relay.handleUpgrade);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = 'ws://127.0.0.1:' + server.address().port + '/api/relay';
+        agents = [];
+        output = [];
+    });
+
+    test.afterEach(async () => {
+        agents.forEach(agent => agent.terminate());
+        await relay.close(0);
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    /**
+     * Connect as the example page of an agent, answering commands with answer(command)
+     */
+    function connectAgent(id, answer) {
+        return new Promise(resolve => {
+            const token = relay.issueAgentToken({ socket: { remoteAddress: '127.0.0.1' } });
+            const agent = new WebSocket(url + '?role=agent&agent=' + id + '&token=' + token, { headers: { Origin: 'http://' + new URL(url).host } });
+            agent.commands = [];
+            agents.push(agent);
+
+            agent.on('message', data => {
+                const message = JSON.parse(data.toString());
+                if (message.kind === 'welcome') {
+                    resolve(agent);
+                } else if (message.kind === 'command') {
+                    agent.commands.push(message);
+                    agent.send(JSON.stringify(Object.assign({ kind: 'commandResult', id: message.id }, answer(message))));
+                }
+            });
+        });
+    }
+
+    test.it('sends a command to the only connected agent', async () => {
+        const agent = await connectAgent('agent-1', () => ({ ok: true, result: null }));
+
+        assert.strictEqual(await runCli(['--url', url, 'dial', '3172222222'], {}, io), 0);
+        assert.deepStrictEqual(agent.commands.map(command => [command.type, command.data]),
+            [['clickToDial', { number: '3172222222', autoPlace: true }]]);
+        assert.deepStrictEqual(output, ['clickToDial done on agent-1']);
+    });
+
+    test.it('reports the softphone\'s error', async () => {
+        await connectAgent('agent-1', () => ({ ok: false, error: { code: 'COMMAND_FAILED', message: 'Unknown interaction: i-9' } }));
+
+        assert.strictEqual(await runCli(['--url', url, 'state', 'i-9', 'hold'], {}, io), 1);
+        assert.deepStrictEqual(output, ['error: updateInteractionState failed on agent-1: COMMAND_FAILED Unknown interaction: i-9']);
+    });
+
+    test.it('needs --agent when there is not exactly one agent', async () => {
+        assert.strictEqual(await runCli(['--url', url, 'view', 'settings'], {}, io), 1);
+        assert.match(output[0], /No agent is connected/);
+
+        await connectAgent('agent-1', () => ({ ok: true, result: null }));
+        const second = await connectAgent('agent-2', () => ({ ok: true, result: 'shown' }));
+        assert.strictEqual(await runCli(['--url', url, 'view', 'settings'], {}, io), 1);
+        assert.match(output[1], /Several agents are connected \(agent-1, agent-2\), choose one with --agent/);
+
+        assert.strictEqual(await runCli(['--url', url, '--agent', 'agent-2', 'view', 'settings'], {}, io), 0);
+        assert.strictEqual(second.commands.length, 1);
+        assert.strictEqual(output[2], 'setView done on agent-2: "shown"');
+    });
+
+    test.it('lists the connected agents', async () => {
+        await connectAgent('agent-1', () => ({}));
+        assert.strictEqual(await runCli(['agents', '--url', url], {}, io), 0);
+        assert.deepStrictEqual(output, ['agent-1']);
+    });
+
+    test.it('tails the messages of the types asked for until the relay closes', async () => {
+        const agent = await connectAgent('agent-1', () => ({}));
+        const tail = runCli(['tail', '--url', url, '--type', 'interaction'], {}, io);
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        agent.send(JSON.stringify({ kind: 'event', direction: 'inbound', envelope: { type: 'screenPop', data: {} } }));
+        agent.send(JSON.stringify({ kind: 'event', direction: 'inbound', envelope: { type: 'interactionSubscription', data: { category: 'add' } } }));
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await relay.close(0);
+
+        assert.strictEqual(await tail, 0);
+        assert.strictEqual(output[0], 'Connected agents: agent-1');
+        assert.match(output[1], /agent-1 <- interactionSubscription \{"category":"add"\}$/);
+        assert.strictEqual(output[2], 'The relay closed the connection');
+        assert.strictEqual(output.length, 3);
+    });
+
+    test.it('explains refused connections and usage errors', async () => {
+        assert.strictEqual(await runCli(['--url', url.replace('/api/relay', '/nowhere'), 'agents'], {}, io), 1);
+        assert.match(output[0], /Could not connect to the relay at .*\/nowhere: 404 Not Found/);
+
+        assert.strictEqual(await runCli(['status'], {}, io), 2);
+        assert.strictEqual(output[1], 'error: status needs a status, see pef-cli --help');
+    });
+});
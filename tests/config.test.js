@@ -0,0 +1,169 @@
+// Tests for lib/config.js: where each server setting comes from and how bad values are reported.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, parseArgs } = require('../lib/config');
+
+const PROJECT_DIR = path.join(__dirname, '..');
+
+let dir;
+
+test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pef-config-'));
+});
+
+test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write a config file in the temporary directory and return its path
+ */
+function writeConfigFile(name, values) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof values === 'string' ? values : JSON.stringify(values));
+    return file;
+}
+
+test.describe('defaults', () => {
+    test.it('listens on unprivileged local ports and generates certificates', () => {
+        const config = loadConfig([], {}, dir);
+
+        assert.strictEqual(config.httpPort, 8080);
+        assert.strictEqual(config.httpsPort, 8443);
+        assert.strictEqual(config.host, '127.0.0.1');
+        assert.strictEqual(config.http, true);
+        assert.strictEqual(config.redirectHttp, false);
+        assert.strictEqual(config.staticRoot, path.join(PROJECT_DIR, 'src'));
+        assert.strictEqual(config.cert, null);
+        assert.strictEqual(config.key, null);
+        assert.strictEqual(config.ca, null);
+        assert.strictEqual(config.certDir, null);
+        assert.strictEqual(config.certHosts, null);
+        assert.strictEqual(config.callLogFile, path.join(PROJECT_DIR, 'data/call-logs.json'));
+        assert.strictEqual(config.contactsFile, path.join(PROJECT_DIR, 'data/contacts.local.json'));
+        assert.strictEqual(config.relayToken, null);
+        assert.strictEqual(config.webhooksFile, path.join(PROJECT_DIR, 'data/webhooks.json'));
+        assert.strictEqual(config.webhookMaxAttempts, 5);
+    });
+});
+
+test.describe('sources', () => {
+    test.it('reads command-line flags in both forms', () => {
+        const config = loadConfig(['--https-port', '8443', '--http-port=8080', '--host', '127.0.0.1', '--redirect-http'], {}, dir);
+
+        assert.strictEqual(config.httpsPort, 8443);
+        assert.strictEqual(config.httpPort, 8080);
+        assert.strictEqual(config.host, '127.0.0.1');
+        assert.strictEqual(config.redirectHttp, true);
+    });
+
+    test.it('disables HTTP with --no-http', () => {
+        assert.strictEqual(loadConfig(['--no-http'], {}, dir).http, false);
+    });
+
+    test.it('reads environment variables, keeping PORT for the HTTP port', () => {
+        assert.strictEqual(loadConfig([], { PORT: '3000' }, dir).httpPort, 3000);
+
+        const config = loadConfig([], {
+            PEF_HTTP_PORT: '8080', PORT: '3000', PEF_HTTP: 'false', PEF_CERT: 'keys/dev.crt', PEF_KEY: 'keys/dev.key'
+        }, dir);
+        assert.strictEqual(config.httpPort, 8080);
+        assert.strictEqual(config.http, false);
+        assert.strictEqual(config.key, path.join(dir, 'keys/dev.key'));
+    });
+
+    test.it('reads pef.config.json from the working directory', () => {
+        writeConfigFile('pef.config.json', { httpsPort: 9443, cert: 'certs/dev.crt', key: 'certs/dev.key' });
+        const config = loadConfig([], {}, dir);
+
+        assert.strictEqual(config.httpsPort, 9443);
+        assert.strictEqual(config.cert, path.join(dir, 'certs/dev.crt'));
+    });
+
+    test.it('resolves paths in a config file relative to the file', () => {
+        fs.mkdirSync(path.join(dir, 'conf'));
+        writeConfigFile('conf/server.json', { staticRoot: '../public' });
+
+        const config = loadConfig(['--config', 'conf/server.json'], {}, dir);
+        assert.strictEqual(config.staticRoot, path.join(dir, 'public'));
+    });
+
+    test.it('prefers flags to environment variables, and both to the config file', () => {
+        const file = writeConfigFile('server.json', { httpsPort: 9443, httpPort: 9080, host: '10.0.0.1' });
+        const config = loadConfig(['--https-port', '8443'], { PEF_CONFIG: file, PEF_HTTP_PORT: '8080' }, dir);
+
+        assert.strictEqual(config.httpsPort, 8443);
+        assert.strictEqual(config.httpPort, 8080);
+        assert.strictEqual(config.host, '10.0.0.1');
+    });
+
+    test.it('reads certificate hosts as a comma-separated list or an array', () => {
+        assert.deepStrictEqual(loadConfig(['--cert-hosts', 'localhost, dev.lan,192.168.1.20'], {}, dir).certHosts,
+            ['localhost', 'dev.lan', '192.168.1.20']);
+
+        writeConfigFile('pef.config.json', { certHosts: ['dev.lan'], certDir: 'certs' });
+        const config = loadConfig([], {}, dir);
+        assert.deepStrictEqual(config.certHosts, ['dev.lan']);
+        assert.strictEqual(config.certDir, path.join(dir, 'certs'));
+    });
+
+    test.it('notices --help', () => {
+        assert.strictEqual(parseArgs(['--help']).help, true);
+    });
+});
+
+test.describe('errors', () => {
+    test.it('rejects invalid ports', () => {
+        assert.throws(() => loadConfig(['--https-port', 'abc'], {}, dir), /Invalid httpsPort from option --https-port: "abc"/);
+        assert.throws(() => loadConfig([], { PEF_HTTP_PORT: '70000' }, dir), /environment variable PEF_HTTP_PORT/);
+    });
+
+    test.it('rejects invalid booleans', () => {
+        assert.throws(() => loadConfig([], { PEF_REDIRECT_HTTP: 'maybe' }, dir), /is not true or false/);
+    });
+
+    test.it('rejects unknown options', () => {
+        assert.throws(() => loadConfig(['--https'], {}, dir), /Unknown option --https/);
+        assert.throws(() => loadConfig(['--no-host'], {}, dir), /--no-host is not an option/);
+    });
+
+    test.it('rejects options without a value', () => {
+        assert.throws(() => loadConfig(['--cert'], {}, dir), /--cert needs a value/);
+    });
+
+    test.it('rejects a certificate without its key', () => {
+        assert.throws(() => loadConfig(['--cert', 'dev.crt'], {}, dir), /Set both cert and key/);
+    });
+
+    test.it('rejects an empty list of certificate hosts', () => {
+        assert.throws(() => loadConfig(['--cert-hosts', ' , '], {}, dir), /is an empty list/);
+    });
+
+    test.it('rejects a missing config file that was asked for', () => {
+        assert.throws(() => loadConfig(['--config', 'missing.json'], {}, dir), /Could not read config file/);
+    });
+
+    test.it('rejects config files that are not JSON or have unknown settings', () => {
+        writeConfigFile('pef.config.json', '{ httpsPort: 1 ');
+        assert.throws(() => loadConfig([], {}, dir), /is not valid JSON/);
+
+        writeConfigFile('pef.config.json', { port: 1 });
+        assert.throws(() => loadConfig([], {}, dir), /Unknown setting "port"/);
+    });
+
+    test.it('rejects config files that do not hold a JSON object', () => {
+        ['null', '[]', '"8443"', '8443'].forEach((content) => {
+            writeConfigFile('pef.config.json', content);
+            assert.throws(() => loadConfig([], {}, dir), /Config file .*pef\.config\.json must hold a JSON object/);
+        });
+    });
+
+    test.it('rejects HTTP and HTTPS on the same port', () => {
+        assert.throws(() => loadConfig(['--http-port', '8443', '--https-port', '8443'], {}, dir), /cannot both use port 8443/);
+        assert.strictEqual(loadConfig(['--http-port', '8443', '--https-port', '8443', '--no-http'], {}, dir).httpsPort, 8443);
+    });
+});
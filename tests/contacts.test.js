@@ -0,0 +1,191 @@
+// Tests for lib/contacts.js: E.164 numbers, the contact file store, search and the REST API.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createContactRouter, createContactStore, toE164, validateContact } = require('../lib/contacts');
+
+const SEED_FILE = path.join(__dirname, '../data/contacts.json');
+
+let dir;
+let file;
+
+test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pef-contacts-'));
+    file = path.join(dir, 'contacts.json');
+});
+
+test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.describe('toE164', () => {
+    test.it('converts numbers written in common formats', () => {
+        assert.strictEqual(toE164('(317) 222-2222'), '+13172222222');
+        assert.strictEqual(toE164('1-800-555-0188'), '+18005550188');
+        assert.strictEqual(toE164('317.555.0175'), '+13175550175');
+        assert.strictEqual(toE164('+44 20 7946 0321'), '+442079460321');
+        assert.strictEqual(toE164('0049 30 901820'), '+4930901820');
+    });
+
+    test.it('rejects what is not a phone number', () => {
+        assert.strictEqual(toE164('555-0101'), null);
+        assert.strictEqual(toE164('call me'), null);
+        assert.strictEqual(toE164('+0 123 456 7890'), null);
+        assert.strictEqual(toE164(''), null);
+    });
+});
+
+test.describe('validateContact', () => {
+    test.it('accepts frameworkcontacts entries', () => {
+        assert.strictEqual(validateContact({ type: 'external', name: 'A', phone: [{ number: '3175550100', label: 'Work' }], email: 'a@example.com' }), null);
+    });
+
+    test.it('explains what is wrong', () => {
+        assert.strictEqual(validateContact({ name: ' ' }), 'name must be a non-empty string');
+        assert.strictEqual(validateContact({ name: 'A', phone: 'x' }), 'phone must be a list of {number, label}');
+        assert.strictEqual(validateContact({ name: 'A', phone: [{ number: '12' }] }), 'phone[0].number "12" is not a phone number');
+        assert.strictEqual(validateContact({ name: 'A', email: 'nope' }), 'email "nope" is not an email address');
+        assert.strictEqual(validateContact({ name: 'A', company: 3 }), 'company must be a string');
+    });
+});
+
+test.describe('createContactStore', () => {
+    test.it('seeds the store from the seed file, with ids and E.164 numbers', () => {
+        fs.writeFileSync(path.join(dir, 'seed.json'), JSON.stringify([{ name: 'Weather Line', phone: [{ number: '(317) 222-2222', label: 'Cell' }] }]));
+        const store = createContactStore(file, path.join(dir, 'seed.json'));
+
+        const [contact] = store.list();
+        assert.match(contact.id, /^C-/);
+        assert.deepStrictEqual(contact.phone, [{ number: '+13172222222', label: 'Cell' }]);
+        assert.strictEqual(contact.type, 'external');
+        assert.ok(fs.existsSync(file));
+    });
+
+    test.it('keeps the store once it exists, even when empty', () => {
+        const store = createContactStore(file, SEED_FILE);
+        store.list().forEach(contact => store.remove(contact.id));
+
+        assert.deepStrictEqual(createContactStore(file, SEED_FILE).list(), []);
+    });
+
+    test.it('creates, replaces and removes contacts', () => {
+        const store = createContactStore(file);
+        const created = store.create({ name: ' Ada ', phone: [{ number: '317-555-0100' }], company: '' });
+        assert.deepStrictEqual(created, { id: created.id, type: 'external', name: 'Ada', phone: [{ number: '+13175550100' }] });
+
+        const replaced = store.replace(created.id, { name: 'Ada Lovelace', company: 'Analytical Engines' });
+        assert.strictEqual(replaced.id, created.id);
+        assert.deepStrictEqual(createContactStore(file).get(created.id), replaced);
+
+        assert.strictEqual(store.replace('C-missing', { name: 'x' }), null);
+        assert.strictEqual(store.remove(created.id), true);
+        assert.strictEqual(store.remove(created.id), false);
+        assert.strictEqual(store.get(created.id), null);
+    });
+
+    test.describe('search', () => {
+        let store;
+
+        test.beforeEach(() => {
+            store = createContactStore(file, SEED_FILE);
+        });
+
+        const names = contacts => contacts.map(contact => contact.name);
+
+        test.it('matches names fuzzily, best match first', () => {
+            assert.deepStrictEqual(names(store.search('jon smith')).slice(0, 1), ['Jonathan Smith']);
+            assert.ok(names(store.search('alise')).indexOf('Alice Johnson') !== -1);
+        });
+
+        test.it('matches companies', () => {
+            assert.deepStrictEqual(names(store.search('acme')), ['Alice Johnson', 'Bob Martinez', 'Henry Walker']);
+        });
+
+        test.it('matches phone numbers whatever their format', () => {
+            assert.deepStrictEqual(names(store.search('(317) 222-2222')), ['Weather Line']);
+            assert.deepStrictEqual(names(store.search('+1 317 222 2222')), ['Weather Line']);
+            assert.deepStrictEqual(names(store.search('2079460321')), ['Elena Petrova']);
+        });
+
+        test.it('matches email addresses', () => {
+            assert.deepStrictEqual(names(store.search('jon.smyth@example')), ['Jon Smyth']);
+        });
+
+        test.it('limits the results and ignores empty searches', () => {
+            assert.strictEqual(store.search('317', 2).length, 2);
+            assert.deepStrictEqual(store.search('  '), []);
+        });
+    });
+});
+
+test.describe('createContactRouter', () => {
+    let server;
+    let baseUrl;
+
+    test.beforeEach(async () => {
+        const app = express();
+        app.use('/api/contacts', createContactRouter(createContactStore(file, SEED_FILE)));
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = 'http://127.0.0.1:' + server.address().port + '/api/contacts';
+    });
+
+    test.afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    /**
+     * Send a JSON request and resolve with { status, headers, body }
+     */
+    async function request(method, url, body) {
+        const response = await fetch(baseUrl + url, {
+            method: method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    }
+
+    test.it('lists and searches contacts in the frameworkcontacts format', async () => {
+        const all = await request('GET', '');
+        assert.strictEqual(all.body.length, 12);
+        assert.strictEqual(all.body[0].name, 'Alice Johnson');
+
+        const found = await request('GET', '?q=' + encodeURIComponent('317-222-2222'));
+        assert.deepStrictEqual(found.body.map(contact => contact.name), ['Weather Line']);
+        assert.deepStrictEqual(found.body[0].phone, [{ number: '+13172222222', label: 'Cell' }]);
+        assert.strictEqual(found.body[0].type, 'external');
+
+        assert.strictEqual((await request('GET', '?q=a&limit=0')).status, 400);
+    });
+
+    test.it('creates, reads, updates and deletes a contact', async () => {
+        const created = await request('POST', '', { name: 'Ada', phone: [{ number: '3175550100', label: 'Work' }] });
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual(created.headers.get('location'), '/api/contacts/' + created.body.id);
+        assert.strictEqual(created.body.phone[0].number, '+13175550100');
+
+        const id = created.body.id;
+        assert.deepStrictEqual((await request('GET', '/' + id)).body, created.body);
+
+        const updated = await request('PUT', '/' + id, { name: 'Ada Lovelace', company: 'Analytical Engines' });
+        assert.strictEqual(updated.status, 200);
+        assert.deepStrictEqual(updated.body, { id: id, type: 'external', name: 'Ada Lovelace', phone: [], company: 'Analytical Engines' });
+
+        assert.strictEqual((await request('DELETE', '/' + id)).status, 204);
+        assert.strictEqual((await request('GET', '/' + id)).status, 404);
+        assert.strictEqual((await request('DELETE', '/' + id)).status, 404);
+        assert.strictEqual((await request('PUT', '/' + id, { name: 'x' })).status, 404);
+    });
+
+    test.it('rejects invalid contacts', async () => {
+        assert.deepStrictEqual(await request('POST', '', { name: 'A', phone: [{ number: 'abc' }] }).then(r => [r.status, r.body]),
+            [400, { error: 'phone[0].number "abc" is not a phone number' }]);
+        assert.strictEqual((await request('POST', '', '{')).status, 400);
+    });
+});
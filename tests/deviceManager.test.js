@@ -0,0 +1,310 @@
+// Tests for the host page script src/scripts/deviceManager.js: its states, the
+// microphone, speaker and ringer selections and the events it sends subscribers.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { flush, plain } = require('./helpers/framework');
+const { loadHostPage, mediaDevice } = require('./helpers/hostPage');
+
+const microphones = [
+    mediaDevice('audioinput', 'default', 'Default'),
+    mediaDevice('audioinput', 'mic-1', 'Headset'),
+    mediaDevice('audioinput', 'mic-2', 'Webcam')
+];
+const speakers = [
+    mediaDevice('audiooutput', 'default', 'Default'),
+    mediaDevice('audiooutput', 'speaker-1', 'Speakers')
+];
+
+let page;
+let events;
+
+test.beforeEach(async () => {
+    page = await loadHostPage();
+    page.mediaDevices.devices = microphones.concat(speakers);
+    events = [];
+    page.evaluate('deviceManager').subscribe(event => events.push(plain(event)));
+});
+
+test.afterEach(() => {
+    page.close();
+});
+
+/**
+ * Run deviceManager.<method>(...args) in the page
+ */
+function call(method, ...args) {
+    const deviceManager = page.evaluate('deviceManager');
+    return deviceManager[method].apply(deviceManager, args);
+}
+
+/**
+ * Make getUserMedia fail with an error of the given name
+ */
+function failGetUserMedia(name) {
+    page.mediaDevices.getUserMedia = () => {
+        const error = new Error(name);
+        error.name = name;
+        return Promise.reject(error);
+    };
+}
+
+test.describe('initialize', () => {
+    test.it('selects the first devices that are not the defaults and becomes ready', async () => {
+        assert.strictEqual(call('getState'), 'uninitialized');
+
+        assert.strictEqual(await call('initialize'), true);
+
+        assert.strictEqual(call('getState'), 'ready');
+        assert.deepStrictEqual(plain(call('getSelection')), { microphone: 'mic-1', speaker: 'speaker-1', ringer: 'speaker-1' });
+        assert.deepStrictEqual(events.filter(event => event.type === 'state').map(event => event.state), ['prompting', 'ready']);
+        assert.deepStrictEqual(page.mediaDevices.calls.filter(c => c.name === 'getUserMedia').map(c => c.constraints), [
+            { audio: true, video: false },
+            { audio: { deviceId: { exact: 'mic-1' } } }
+        ]);
+        assert.ok(page.mediaDevices.streams.every(stream => stream.track.stopped));
+    });
+
+    test.it('selects the default devices when they are the only ones', async () => {
+        page.mediaDevices.devices = [microphones[0], speakers[0]];
+
+        await call('initialize');
+        assert.deepStrictEqual(plain(call('getSelection')), { microphone: 'default', speaker: 'default', ringer: 'default' });
+    });
+
+    test.it('falls back to any microphone when the one selected cannot be opened', async () => {
+        page.mediaDevices.failingDeviceIds = ['mic-1'];
+
+        assert.strictEqual(await call('initialize'), true);
+        assert.strictEqual(call('getSelection').microphone, 'default');
+    });
+
+    test.it('plays on the browser\'s default output when there are no speakers', async () => {
+        page.mediaDevices.devices = microphones;
+
+        await call('initialize');
+        assert.strictEqual(call('getSelection').speaker, '');
+        assert.strictEqual(call('getSelection').ringer, '');
+    });
+
+    test.it('moves to error when no microphone can be opened', async () => {
+        page.mediaDevices.failAll = true;
+
+        assert.strictEqual(await call('initialize'), false);
+        assert.strictEqual(call('getState'), 'error');
+        assert.deepStrictEqual(plain(call('getError')), {
+            name: 'NotReadableError',
+            code: 'DeviceBusy',
+            message: 'Unable to access microphone. It may be in use by another application.',
+            isPermissionError: false
+        });
+    });
+
+    test.it('tells permission errors apart', async () => {
+        failGetUserMedia('NotAllowedError');
+
+        await call('initialize');
+        assert.strictEqual(call('getError').code, 'PermissionDenied');
+        assert.strictEqual(call('getError').isPermissionError, true);
+    });
+
+    test.it('needs a device to start with', async () => {
+        page.mediaDevices.devices = [];
+
+        await call('initialize');
+        assert.strictEqual(call('getError').code, 'NoDevicesFound');
+        assert.ok(page.mediaDevices.calls.every(c => c.name === 'enumerateDevices'));
+    });
+
+    test.it('can be retried after an error', async () => {
+        const getUserMedia = page.mediaDevices.getUserMedia;
+        failGetUserMedia('NotAllowedError');
+        await call('initialize');
+
+        page.mediaDevices.getUserMedia = getUserMedia;
+        assert.strictEqual(await call('initialize'), true);
+        assert.strictEqual(call('getError'), null);
+    });
+});
+
+test.describe('refresh', () => {
+    test.it('does nothing before the devices are ready', async () => {
+        assert.strictEqual(await call('refresh'), false);
+        assert.strictEqual(page.mediaDevices.calls.length, 0);
+    });
+
+    test.it('keeps the selections that are still connected', async () => {
+        await call('initialize');
+        await call('select', 'microphone', 'mic-2');
+        page.mediaDevices.calls = [];
+        events = [];
+
+        assert.strictEqual(await call('refresh'), true);
+        assert.ok(page.mediaDevices.calls.every(c => c.name === 'enumerateDevices'));
+        assert.deepStrictEqual(events.map(event => event.type), ['devices']);
+        assert.strictEqual(call('getSelection').microphone, 'mic-2');
+    });
+
+    test.it('replaces devices that were unplugged', async () => {
+        await call('initialize');
+        events = [];
+        page.mediaDevices.devices = [microphones[0], microphones[2], speakers[0]];
+
+        await call('refresh');
+
+        assert.deepStrictEqual(plain(call('getSelection')), { microphone: 'mic-2', speaker: 'default', ringer: 'default' });
+        assert.deepStrictEqual(events.map(event => [event.type, event.role, event.reason]), [
+            ['selection', 'microphone', 'unavailable'],
+            ['selection', 'speaker', 'unavailable'],
+            ['selection', 'ringer', 'unavailable'],
+            ['devices', undefined, undefined]
+        ]);
+        assert.deepStrictEqual(events[3].devices.inputs.map(d => d.deviceId), ['default', 'mic-2']);
+    });
+
+    test.it('moves to error when the last microphone is unplugged and recovers when one is back', async () => {
+        await call('initialize');
+        page.mediaDevices.devices = speakers;
+
+        assert.strictEqual(await call('refresh'), false);
+        assert.strictEqual(call('getError').code, 'NoMicrophoneFound');
+
+        page.mediaDevices.devices = microphones.concat(speakers);
+        assert.strictEqual(await call('refresh'), true);
+        assert.strictEqual(call('getState'), 'ready');
+    });
+});
+
+test.describe('select', () => {
+    test.beforeEach(async () => {
+        await call('initialize');
+        page.mediaDevices.calls = [];
+        events = [];
+    });
+
+    test.it('selects the speaker and the ringer apart', async () => {
+        assert.strictEqual(await call('select', 'ringer', 'default'), true);
+
+        assert.deepStrictEqual(plain(call('getSelection')), { microphone: 'mic-1', speaker: 'speaker-1', ringer: 'default' });
+        assert.deepStrictEqual(events, [{ type: 'selection', role: 'ringer', deviceId: 'default', previous: 'speaker-1', reason: 'selected' }]);
+    });
+
+    test.it('selects a microphone that opens', async () => {
+        assert.strictEqual(await call('select', 'microphone', 'mic-2'), true);
+        assert.deepStrictEqual(page.mediaDevices.calls.pop().constraints, { audio: { deviceId: { exact: 'mic-2' } } });
+        assert.strictEqual(call('getSelection').microphone, 'mic-2');
+    });
+
+    test.it('keeps the selection when the device is missing or cannot be opened', async () => {
+        page.mediaDevices.failingDeviceIds = ['mic-2'];
+
+        assert.strictEqual(await call('select', 'microphone', 'mic-2'), false);
+        assert.strictEqual(await call('select', 'speaker', 'mic-1'), false);
+        assert.strictEqual(await call('select', 'ringer', 'speaker-9'), false);
+        assert.deepStrictEqual(events, []);
+        await assert.rejects(call('select', 'headset', 'mic-1'), /Unknown audio device role: headset/);
+    });
+});
+
+test.describe('subscribe', () => {
+    test.it('stops calling a listener once it unsubscribed and survives failing ones', async () => {
+        const seen = [];
+        call('subscribe', () => { throw new Error('broken listener'); });
+        const unsubscribe = call('subscribe', event => seen.push(event.type));
+
+        await call('initialize');
+        unsubscribe();
+        await call('refresh');
+        await flush();
+
+        assert.deepStrictEqual(seen, ['state', 'selection', 'selection', 'selection', 'state']);
+        assert.strictEqual(events.filter(event => event.type === 'devices').length, 1);
+    });
+});
+
+test.describe('preferences', () => {
+    /**
+     * Store preferences the way an earlier session would have
+     */
+    function storePreferences(preferences) {
+        page.window.localStorage.setItem('pefAudioDevicePreferences', JSON.stringify(preferences));
+    }
+
+    test.it('remembers the devices chosen but not the ones picked automatically', async () => {
+        await call('initialize');
+        assert.deepStrictEqual(plain(call('getPreferences')), {});
+
+        await call('select', 'microphone', 'mic-2');
+        await call('select', 'ringer', 'default');
+
+        assert.deepStrictEqual(JSON.parse(page.window.localStorage.getItem('pefAudioDevicePreferences')), {
+            microphone: { label: 'Webcam', groupId: 'group-mic-2', deviceId: 'mic-2' },
+            ringer: { label: 'Default', groupId: 'group-default', deviceId: 'default' }
+        });
+    });
+
+    test.it('selects the preferred devices at startup even though their ids changed', async () => {
+        storePreferences({
+            microphone: { label: 'Webcam', groupId: 'group-mic-2', deviceId: 'old-mic' },
+            speaker: { label: 'Speakers', groupId: 'old-group', deviceId: 'old-speaker' }
+        });
+
+        await call('initialize');
+
+        assert.deepStrictEqual(plain(call('getSelection')), { microphone: 'mic-2', speaker: 'speaker-1', ringer: 'speaker-1' });
+        assert.deepStrictEqual(page.mediaDevices.calls.pop().constraints, { audio: { deviceId: { exact: 'mic-2' } } });
+    });
+
+    test.it('falls back once while the preferred device is missing and switches back when it returns', async () => {
+        const headset = mediaDevice('audiooutput', 'headset-1', 'Headset');
+        storePreferences({ speaker: { label: 'Headset', groupId: 'group-headset-1', deviceId: 'headset-1' } });
+
+        await call('initialize');
+        await call('refresh');
+
+        assert.deepStrictEqual(plain(call('getSelection')), { microphone: 'mic-1', speaker: 'speaker-1', ringer: 'speaker-1' });
+        assert.deepStrictEqual(events.filter(event => event.type === 'fallback'), [{
+            type: 'fallback',
+            role: 'speaker',
+            preferred: { label: 'Headset', groupId: 'group-headset-1', deviceId: 'headset-1' },
+            deviceId: 'speaker-1'
+        }]);
+
+        events = [];
+        page.mediaDevices.devices = microphones.concat(speakers, headset);
+        await call('refresh');
+
+        assert.deepStrictEqual(plain(call('getSelection')), { microphone: 'mic-1', speaker: 'headset-1', ringer: 'headset-1' });
+        assert.deepStrictEqual(events.map(event => [event.type, event.role, event.reason]), [
+            ['selection', 'speaker', 'preferred'],
+            ['selection', 'ringer', 'unavailable'],
+            ['devices', undefined, undefined]
+        ]);
+    });
+
+    test.it('ignores preferences it cannot read', async () => {
+        page.window.localStorage.setItem('pefAudioDevicePreferences', '{not json');
+
+        assert.strictEqual(await call('initialize'), true);
+        assert.deepStrictEqual(plain(call('getPreferences')), {});
+    });
+});
+
+test.describe('alert outputs', () => {
+    test.it('ring on the ringer, and on the speaker too once asked', async () => {
+        assert.deepStrictEqual(plain(call('getAlertOutputs')), ['']);
+
+        await call('initialize');
+        await call('select', 'ringer', 'default');
+        assert.deepStrictEqual(plain(call('getAlertOutputs')), ['default']);
+
+        call('setRingOnSpeaker', true);
+        assert.deepStrictEqual(plain(call('getAlertOutputs')), ['default', 'speaker-1']);
+        assert.deepStrictEqual(events.pop(), { type: 'ringOnSpeaker', enabled: true });
+        assert.strictEqual(page.window.localStorage.getItem('pefRingOnSpeaker'), 'true');
+
+        // The speaker is the ringer as well
+        await call('select', 'ringer', 'speaker-1');
+        assert.deepStrictEqual(plain(call('getAlertOutputs')), ['speaker-1']);
+    });
+});
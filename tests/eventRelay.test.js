@@ -0,0 +1,355 @@
+// Tests for lib/eventRelay.js: relaying page messages to subscribers and backend commands to pages.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebSocket = require('ws');
+const { createEventRelay } = require('../lib/eventRelay');
+
+let server;
+let relay;
+let port;
+let sockets;
+// Address connections seem to come from, null for their own
+let peerAddress;
+
+// A request of a page loaded on this machine, which the relay issues agent tokens to
+const LOCAL_REQUEST = { socket: { remoteAddress: '127.0.0.1' } };
+
+/**
+ * Start a relay on a free port of the loopback interface
+ */
+async function startRelay(options) {
+    relay = createEventRelay(options);
+    server = http.createServer();
+    server.on('upgrade', (req, socket, head) => {
+        if (peerAddress) {
+            Object.defineProperty(req.socket, 'remoteAddress', { value: peerAddress });
+        }
+        relay.handleUpgrade(req, socket, head);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+}
+
+/**
+ * Connect to the relay and resolve once the welcome arrives.
+ * The socket keeps every message it receives in socket.received.
+ */
+function connect(query, headers) {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket('ws://127.0.0.1:' + port + '/api/relay?' + query, { headers: headers });
+        socket.received = [];
+        sockets.push(socket);
+
+        socket.on('message', data => {
+            const message = JSON.parse(data.toString());
+            socket.received.push(message);
+            if (message.kind === 'welcome') {
+                resolve(socket);
+            }
+        });
+        socket.on('unexpected-response', (req, res) => reject(Object.assign(new Error('Refused'), { status: res.statusCode })));
+        socket.on('error', reject);
+    });
+}
+
+/**
+ * Connect as the example page of an agent, with a new agent token unless given one
+ */
+function connectAgent(agent, token) {
+    return connect('role=agent&agent=' + agent + '&token=' + encodeURIComponent(token || relay.issueAgentToken(LOCAL_REQUEST)),
+        { Origin: 'http://127.0.0.1:' + port });
+}
+
+/**
+ * Resolve with the next message of a kind a socket receives
+ */
+function nextMessage(socket, kind) {
+    const index = socket.received.findIndex(message => message.kind === kind);
+    if (index !== -1) {
+        return Promise.resolve(socket.received.splice(index, 1)[0]);
+    }
+
+    return new Promise(resolve => {
+        socket.on('message', function listener() {
+            const found = socket.received.findIndex(message => message.kind === kind);
+            if (found !== -1) {
+                socket.off('message', listener);
+                resolve(socket.received.splice(found, 1)[0]);
+            }
+        });
+    });
+}
+
+/**
+ * Give the relay time to pass messages on
+ */
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test.beforeEach(() => {
+    sockets = [];
+    peerAddress = null;
+});
+
+test.afterEach(async () => {
+    sockets.forEach(socket => socket.terminate());
+    await relay.close(0);
+    await new Promise(resolve => server.close(resolve));
+});
+
+test.describe('connecting', () => {
+    test.beforeEach(() => startRelay({}));
+
+    test.it('welcomes clients with the connected agents', async () => {
+        await connectAgent('agent-1');
+        const subscriber = await connect('role=subscriber');
+
+        assert.deepStrictEqual(subscriber.received[0], { kind: 'welcome', role: 'subscriber', agents: ['agent-1'] });
+        assert.deepStrictEqual(relay.getAgents(), ['agent-1']);
+    });
+
+    test.it('only accepts agents from pages served by the same server', async () => {
+        const token = relay.issueAgentToken(LOCAL_REQUEST);
+        await assert.rejects(connect('role=agent&agent=a&token=' + token, { Origin: 'https://evil.example.com' }), { status: 403 });
+        await assert.rejects(connect('role=agent&agent=a b&token=' + token, { Origin: 'http://127.0.0.1:' + port }), { status: 400 });
+    });
+
+    test.it('only accepts agents with a token it issued', async () => {
+        const origin = { Origin: 'http://127.0.0.1:' + port };
+        const [nonce] = relay.issueAgentToken(LOCAL_REQUEST).split('.');
+
+        await assert.rejects(connect('role=agent&agent=a', origin), { status: 401 });
+        await assert.rejects(connect('role=agent&agent=a&token=' + nonce + '.forged', origin), { status: 401 });
+        await assert.rejects(connect('role=agent&agent=a&token=' + createEventRelay().issueAgentToken(LOCAL_REQUEST), origin), { status: 401 });
+    });
+
+    test.it('only issues agent tokens to pages on this machine and only accepts them from there', async () => {
+        assert.strictEqual(relay.issueAgentToken({ socket: { remoteAddress: '203.0.113.9' } }), null);
+
+        const scraped = relay.issueAgentToken(LOCAL_REQUEST);
+        peerAddress = '203.0.113.9';
+        await assert.rejects(connectAgent('agent-1', scraped), { status: 403 });
+        assert.deepStrictEqual(relay.getAgents(), []);
+    });
+
+    test.it('keeps an agent id for the token it first connected with', async () => {
+        const token = relay.issueAgentToken(LOCAL_REQUEST);
+        const first = await connectAgent('agent-1', token);
+        const closed = new Promise(resolve => first.on('close', code => resolve(code)));
+
+        await assert.rejects(connectAgent('agent-1'), { status: 409 });
+        assert.strictEqual(first.readyState, WebSocket.OPEN);
+
+        first.close();
+        await closed;
+        await settle();
+        await assert.rejects(connectAgent('agent-1'), { status: 409 });
+        await connectAgent('agent-1', token);
+    });
+
+    test.it('rejects unknown roles and paths', async () => {
+        await assert.rejects(connect('role=admin'), { status: 400 });
+        await assert.rejects(new Promise((resolve, reject) => {
+            const socket = new WebSocket('ws://127.0.0.1:' + port + '/other');
+            socket.on('unexpected-response', (req, res) => reject(Object.assign(new Error('Refused'), { status: res.statusCode })));
+            socket.on('open', resolve);
+        }), { status: 404 });
+    });
+
+    test.it('tells subscribers when agents come and go', async () => {
+        const subscriber = await connect('role=subscriber');
+        const agent = await connectAgent('agent-1');
+        assert.deepStrictEqual(await nextMessage(subscriber, 'agentConnected'), { kind: 'agentConnected', agent: 'agent-1' });
+
+        agent.close();
+        assert.deepStrictEqual(await nextMessage(subscriber, 'agentDisconnected'), { kind: 'agentDisconnected', agent: 'agent-1' });
+    });
+
+    test.it('replaces an agent\'s connection when it connects again', async () => {
+        const token = relay.issueAgentToken(LOCAL_REQUEST);
+        const first = await connectAgent('agent-1', token);
+        const closed = new Promise(resolve => first.on('close', code => resolve(code)));
+        await connectAgent('agent-1', token);
+
+        assert.strictEqual(await closed, 4000);
+        await settle();
+        assert.deepStrictEqual(relay.getAgents(), ['agent-1']);
+    });
+});
+
+test.describe('tokens', () => {
+    test.beforeEach(() => startRelay({ token: 's3cret' }));
+
+    test.it('requires the token from subscribers and backends', async () => {
+        await assert.rejects(connect('role=subscriber'), { status: 401 });
+        await assert.rejects(connect('role=backend&token=wrong'), { status: 401 });
+
+        await connect('role=subscriber&token=s3cret');
+        await connect('role=backend', { Authorization: 'Bearer s3cret' });
+    });
+
+    test.it('requires it from agents instead of agent tokens', async () => {
+        assert.strictEqual(relay.issueAgentToken(LOCAL_REQUEST), null);
+        await assert.rejects(connectAgent('agent-1', createEventRelay().issueAgentToken(LOCAL_REQUEST)), { status: 401 });
+
+        peerAddress = '203.0.113.9';
+        await connectAgent('agent-1', 's3cret');
+    });
+});
+
+test.describe('events', () => {
+    test.beforeEach(() => startRelay({}));
+
+    test.it('relays agents\' messages to the subscribers that want them', async () => {
+        const everything = await connect('role=subscriber');
+        const screenPops = await connect('role=subscriber&types=screenPop');
+        const otherAgent = await connect('role=subscriber&agent=agent-2');
+        const agent = await connectAgent('agent-1');
+
+        agent.send(JSON.stringify({ kind: 'event', direction: 'inbound', envelope: { id: 'm-1', type: 'screenPop', data: {} } }));
+        agent.send(JSON.stringify({ kind: 'event', direction: 'outbound', envelope: { id: 'm-2', type: 'setView', data: {} } }));
+        await settle();
+
+        const events = socket => socket.received.filter(message => message.kind === 'event');
+        assert.deepStrictEqual(events(everything).map(event => [event.agent, event.direction, event.envelope.id]),
+            [['agent-1', 'inbound', 'm-1'], ['agent-1', 'outbound', 'm-2']]);
+        assert.deepStrictEqual(events(screenPops).map(event => event.envelope.id), ['m-1']);
+        assert.deepStrictEqual(events(otherAgent), []);
+    });
+
+    test.it('passes every event on to onEvent', async () => {
+        await relay.close(0);
+        await new Promise(resolve => server.close(resolve));
+        const seen = [];
+        await startRelay({ onEvent: event => seen.push(event) });
+
+        const agent = await connectAgent('agent-1');
+        agent.send(JSON.stringify({ kind: 'event', direction: 'inbound', envelope: { id: 'm-1', type: 'screenPop', data: {} } }));
+        await settle();
+
+        assert.deepStrictEqual(seen.map(event => [event.agent, event.direction, event.envelope.id]), [['agent-1', 'inbound', 'm-1']]);
+    });
+
+    test.it('only passes on events of agents with the relay token or on this machine', async () => {
+        await relay.close(0);
+        await new Promise(resolve => server.close(resolve));
+        const seen = [];
+        await startRelay({ token: 's3cret', onEvent: event => seen.push(event) });
+        peerAddress = '203.0.113.9';
+        const screenPop = id => JSON.stringify({ kind: 'event', direction: 'inbound', envelope: { id: id, type: 'screenPop', data: {} } });
+
+        const scraped = createEventRelay().issueAgentToken(LOCAL_REQUEST);
+        await assert.rejects(connectAgent('impostor', scraped), { status: 401 });
+
+        const agent = await connectAgent('agent-1', 's3cret');
+        agent.send(screenPop('m-1'));
+        await settle();
+
+        assert.deepStrictEqual(seen.map(event => [event.agent, event.envelope.id]), [['agent-1', 'm-1']]);
+    });
+
+    test.it('keeps relaying when onEvent fails', async () => {
+        await relay.close(0);
+        await new Promise(resolve => server.close(resolve));
+        let calls = 0;
+        await startRelay({
+            onEvent: () => {
+                calls++;
+                if (calls === 1) throw new Error('broken handler');
+                return Promise.reject(new Error('broken delivery'));
+            }
+        });
+
+        const subscriber = await connect('role=subscriber');
+        const agent = await connectAgent('agent-1');
+        agent.send(JSON.stringify({ kind: 'event', direction: 'inbound', envelope: { id: 'm-1', type: 'screenPop', data: {} } }));
+        agent.send(JSON.stringify({ kind: 'event', direction: 'inbound', envelope: { id: 'm-2', type: 'screenPop', data: {} } }));
+        await settle();
+
+        assert.strictEqual(calls, 2);
+        assert.deepStrictEqual(subscriber.received.filter(message => message.kind === 'event').map(event => event.envelope.id), ['m-1', 'm-2']);
+    });
+
+    test.it('answers messages it cannot use with an error', async () => {
+        const subscriber = await connect('role=subscriber');
+        subscriber.send('not json');
+        assert.strictEqual((await nextMessage(subscriber, 'error')).error.code, 'INVALID_MESSAGE');
+
+        subscriber.send(JSON.stringify({ kind: 'command', id: 'c-1', agent: 'agent-1', type: 'setView' }));
+        assert.strictEqual((await nextMessage(subscriber, 'error')).error.code, 'UNSUPPORTED');
+    });
+});
+
+test.describe('commands', () => {
+    test.beforeEach(() => startRelay({ commandTimeout: 200 }));
+
+    test.it('sends commands to the agent and its result back to the backend', async () => {
+        const agent = await connectAgent('agent-1');
+        const backend = await connect('role=backend');
+
+        backend.send(JSON.stringify({ kind: 'command', id: 'c-1', agent: 'agent-1', type: 'clickToDial', data: { number: '3172222222' } }));
+        const command = await nextMessage(agent, 'command');
+        assert.strictEqual(command.type, 'clickToDial');
+        assert.deepStrictEqual(command.data, { number: '3172222222' });
+
+        agent.send(JSON.stringify({ kind: 'commandResult', id: command.id, ok: true, result: 'dialing' }));
+        assert.deepStrictEqual(await nextMessage(backend, 'commandResult'),
+            { kind: 'commandResult', id: 'c-1', agent: 'agent-1', ok: true, result: 'dialing' });
+    });
+
+    test.it('passes on the agent\'s error', async () => {
+        const agent = await connectAgent('agent-1');
+        const backend = await connect('role=backend');
+
+        backend.send(JSON.stringify({ kind: 'command', id: 'c-1', agent: 'agent-1', type: 'setView', data: {} }));
+        const command = await nextMessage(agent, 'command');
+        agent.send(JSON.stringify({ kind: 'commandResult', id: command.id, ok: false, error: { code: 'INVALID_PAYLOAD', message: 'data.view is required' } }));
+
+        assert.deepStrictEqual((await nextMessage(backend, 'commandResult')).error, { code: 'INVALID_PAYLOAD', message: 'data.view is required' });
+    });
+
+    test.it('fails commands for agents that are not connected', async () => {
+        const backend = await connect('role=backend');
+        backend.send(JSON.stringify({ kind: 'command', id: 'c-1', agent: 'nobody', type: 'setView', data: {} }));
+
+        const result = await nextMessage(backend, 'commandResult');
+        assert.strictEqual(result.ok, false);
+        assert.strictEqual(result.error.code, 'AGENT_NOT_CONNECTED');
+    });
+
+    test.it('fails commands the agent does not answer in time', async () => {
+        await connectAgent('agent-1');
+        const backend = await connect('role=backend');
+        backend.send(JSON.stringify({ kind: 'command', id: 'c-1', agent: 'agent-1', type: 'setView', data: {} }));
+
+        assert.strictEqual((await nextMessage(backend, 'commandResult')).error.code, 'TIMEOUT');
+    });
+
+    test.it('fails pending commands when the agent disconnects', async () => {
+        const agent = await connectAgent('agent-1');
+        const backend = await connect('role=backend');
+        backend.send(JSON.stringify({ kind: 'command', id: 'c-1', agent: 'agent-1', type: 'setView', data: {} }));
+        await nextMessage(agent, 'command');
+
+        agent.close();
+        assert.strictEqual((await nextMessage(backend, 'commandResult')).error.code, 'AGENT_DISCONNECTED');
+    });
+
+    test.it('ignores results from other agents', async () => {
+        const agent = await connectAgent('agent-1');
+        const other = await connectAgent('agent-2');
+        const backend = await connect('role=backend');
+
+        backend.send(JSON.stringify({ kind: 'command', id: 'c-1', agent: 'agent-1', type: 'setView', data: {} }));
+        const command = await nextMessage(agent, 'command');
+        other.send(JSON.stringify({ kind: 'commandResult', id: command.id, ok: true, result: 'forged' }));
+        await settle();
+        assert.strictEqual(backend.received.filter(message => message.kind === 'commandResult').length, 0);
+
+        agent.send(JSON.stringify({ kind: 'commandResult', id: command.id, ok: true, result: 'real' }));
+        assert.strictEqual((await nextMessage(backend, 'commandResult')).result, 'real');
+    });
+});
@@ -0,0 +1,561 @@
+// Tests for the host page script src/scripts/example.js: message handling,
+// the audio element pool and reporting the audio devices to the softphone.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { flush, plain } = require('./helpers/framework');
+const { PAGE_ORIGIN, loadHostPage, mediaDevice } = require('./helpers/hostPage');
+
+let page;
+
+test.beforeEach(async () => {
+    page = await loadHostPage();
+    page.evaluate("loadSoftphone('mock')");
+    page.evaluate('initializeAudioPool()');
+    page.evaluate('setupContactSearchProviders()');
+    page.evaluate('setupInteractionDashboard()');
+    page.evaluate('setupMessageHandling()');
+});
+
+test.afterEach(() => {
+    page.close();
+});
+
+test.describe('setupMessageHandling', () => {
+    test.it('shows screen pops and rings', () => {
+        page.document.getElementById('contactSearchProvider').value = 'manual';
+        const envelope = page.sendFromFramework('screenPop', { searchString: '3172222222', interactionId: { id: 'i-1' } });
+
+        assert.deepStrictEqual(JSON.parse(page.document.getElementById('screenPopPayload').value), envelope);
+        assert.ok(page.evaluate('audioPool.some(audio => audio.inUse && audio.src.endsWith(SOUNDS.INCOMING_CALL))'));
+    });
+
+    test.it('adds interaction events to the interaction store', () => {
+        page.sendFromFramework('interactionSubscription', {
+            category: 'add',
+            interaction: { id: 'i-1', state: 'alerting', direction: 'Inbound', ani: '+13172222222' }
+        });
+
+        assert.strictEqual(page.evaluate("interactionStore.get('i-1').state"), 'alerting');
+        assert.strictEqual(page.evaluate('interactionStore.getSelected().id'), 'i-1');
+        assert.ok(page.document.querySelector('#interactionDashboard tr[data-interaction-id="i-1"]'));
+    });
+
+    test.it('saves processCallLog through the call log API and answers with the record id', async () => {
+        page.fetch.on('PUT', '/api/call-logs/i-1', () => ({ status: 201, body: { id: 'CL-1', interactionId: 'i-1' } }));
+        const envelope = page.sendFromFramework('processCallLog', {
+            callLog: { notes: 'n' },
+            interactionId: { id: 'i-1' },
+            eventName: 'interactionDisconnected'
+        });
+        await flush();
+
+        assert.deepStrictEqual(page.fetch.requests.map(request => request.body),
+            [{ eventName: 'interactionDisconnected', callLog: { notes: 'n' } }]);
+        const [reply] = page.sentMessages('callLogResult');
+        assert.strictEqual(reply.replyTo, envelope.id);
+        assert.deepStrictEqual(reply.data, { success: true, id: 'CL-1' });
+    });
+
+    test.it('reports call logs the API could not save', async () => {
+        page.fetch.on('PUT', '/api/call-logs/i-1', () => ({ status: 400, body: { error: 'eventName must be a non-empty string' } }));
+        page.sendFromFramework('processCallLog', { callLog: {}, interactionId: 'i-1', eventName: 'x' });
+        await flush();
+
+        assert.deepStrictEqual(page.sentMessages('callLogResult')[0].data,
+            { success: false, reason: 'eventName must be a non-empty string' });
+    });
+
+    test.it('fails call log saves when asked to, without calling the API', async () => {
+        page.document.getElementById('failCallLogSave').checked = true;
+        page.sendFromFramework('processCallLog', { callLog: {}, interactionId: 'i-1', eventName: 'x' });
+        await flush();
+
+        assert.strictEqual(page.fetch.requests.length, 0);
+        assert.deepStrictEqual(page.sentMessages('callLogResult')[0].data, { success: false, reason: 'Simulated CRM failure' });
+    });
+
+    test.it('shows the saved record when a call log is opened', async () => {
+        page.fetch.on('GET', '/api/call-logs/i-1', () => ({
+            body: {
+                id: 'CL-1',
+                interactionId: 'i-1',
+                subject: 'Billing',
+                notes: 'Called back',
+                associations: { contact: { id: 'c-1', text: 'Weather Line' }, relation: null },
+                attributes: { pt_urlpop: 'x' },
+                events: [{ eventName: 'interactionDisconnected', time: '2020-01-01T00:00:00.000Z' }]
+            }
+        }));
+        page.sendFromFramework('openCallLog', { callLog: { notes: 'Called back' }, interaction: { id: 'i-1' } });
+        await flush();
+
+        const text = page.document.getElementById('callLogRecord').textContent;
+        assert.match(text, /CL-1/);
+        assert.match(text, /Billing/);
+        assert.match(text, /Weather Line/);
+        assert.match(text, /pt_urlpop: x/);
+        assert.match(text, /interactionDisconnected/);
+    });
+
+    test.it('says so when an opened call log was never saved', async () => {
+        page.sendFromFramework('openCallLog', { callLog: {}, interaction: 'i-2' });
+        await flush();
+
+        assert.strictEqual(page.document.getElementById('callLogRecord').textContent, 'No call log saved for i-2 yet');
+    });
+
+    test.it('answers contactSearch with the active provider\'s contacts', async () => {
+        page.document.getElementById('contactSearchProvider').value = 'manual';
+        const envelope = page.sendFromFramework('contactSearch', { searchString: 'Weather' });
+        await flush();
+
+        const [reply] = page.sentMessages('sendContactSearch');
+        assert.strictEqual(reply.replyTo, envelope.id);
+        assert.strictEqual(reply.data[0].name, 'Weather Line');
+        assert.strictEqual(page.document.getElementById('searchText').textContent, ': Weather');
+    });
+
+    test.it('answers with an error when the provider\'s contacts are invalid', async () => {
+        page.document.getElementById('contactSearchProvider').value = 'manual';
+        page.document.getElementById('contactSearchPayload').value = '{"name": "Weather Line"}';
+        const envelope = page.sendFromFramework('contactSearch', { searchString: 'Weather' });
+        await flush();
+
+        const [reply] = page.sentMessages('error');
+        assert.strictEqual(reply.replyTo, envelope.id);
+        assert.strictEqual(reply.data.code, 'INVALID_PAYLOAD');
+        assert.strictEqual(reply.data.message, 'The manual contact search returned invalid contacts');
+        assert.strictEqual(page.sentMessages('sendContactSearch').length, 0);
+    });
+
+    test.it('searches the local directory through the contacts API', async () => {
+        const contact = { id: 'C-1', type: 'external', name: 'Weather Line', phone: [{ number: '+13172222222', label: 'Cell' }] };
+        page.fetch.on('GET', '/api/contacts?q=317%20222', () => ({ body: [contact] }));
+        const envelope = page.sendFromFramework('contactSearch', { searchString: '317 222' });
+        await flush();
+
+        const [reply] = page.sentMessages('sendContactSearch');
+        assert.strictEqual(reply.replyTo, envelope.id);
+        assert.deepStrictEqual(reply.data, [contact]);
+    });
+
+    test.it('answers failed directory searches with an error', async () => {
+        page.fetch.on('GET', '/api/contacts?q=x', () => ({ status: 500, body: { error: 'broken' } }));
+        const envelope = page.sendFromFramework('contactSearch', { searchString: 'x' });
+        await flush();
+
+        const [reply] = page.sentMessages('error');
+        assert.strictEqual(reply.replyTo, envelope.id);
+        assert.strictEqual(reply.data.code, 'SEARCH_FAILED');
+    });
+
+    test.it('shows user action and notification events', () => {
+        const userAction = page.sendFromFramework('userActionSubscription', { category: 'routingStatus', data: { status: 'Available' } });
+        const notification = page.sendFromFramework('notificationSubscription', { category: 'messageReceived', data: {} });
+
+        assert.deepStrictEqual(JSON.parse(page.document.getElementById('userActionSubscriptionPayload').value), userAction);
+        assert.deepStrictEqual(JSON.parse(page.document.getElementById('notificationSubscriptionPayload').value), notification);
+    });
+
+    test.it('settles softphone commands from their commandResponse', async () => {
+        const result = page.evaluate("softphone.setView('calls')");
+        const [command] = page.sentMessages('setView');
+        assert.deepStrictEqual(command.data, { type: 'main', view: { name: 'calls' } });
+
+        page.sendFromFramework('commandResponse', { status: 'ack' }, command.id);
+        page.sendFromFramework('commandResponse', { status: 'result', result: 'ok' }, command.id);
+
+        assert.strictEqual(await result, 'ok');
+    });
+
+    test.it('rejects softphone commands the framework reports as failed', async () => {
+        const result = page.evaluate("softphone.updateInteractionState('i-9', 'hold')");
+        const [command] = page.sentMessages('updateInteractionState');
+
+        page.sendFromFramework('commandResponse', {
+            status: 'error',
+            error: { code: 'COMMAND_FAILED', message: 'Unknown interaction: i-9' }
+        }, command.id);
+
+        await assert.rejects(result, err => err.code === 'COMMAND_FAILED');
+    });
+
+    test.it('records every message in the event log', () => {
+        page.sendFromFramework('userActionSubscription', { category: 'routingStatus' });
+
+        const entries = plain(page.evaluate('eventLogEntries'));
+        assert.strictEqual(entries.length, 1);
+        assert.strictEqual(entries[0].direction, 'inbound');
+        assert.strictEqual(entries[0].type, 'userActionSubscription');
+    });
+
+    test.it('clears the event log filters but keeps its entries', async () => {
+        await page.evaluate('setupEventLog()');
+        page.sendFromFramework('userActionSubscription', { category: 'routingStatus' });
+        page.document.getElementById('eventLogDirection').value = 'outbound';
+        page.evaluate('renderEventLog()');
+        assert.strictEqual(page.document.getElementById('eventLogCount').textContent, '0 of 1 events');
+
+        page.document.getElementById('clearEventLogFilters').click();
+
+        assert.strictEqual(page.document.getElementById('eventLogDirection').value, '');
+        assert.strictEqual(page.document.getElementById('eventLogCount').textContent, '1 of 1 events');
+    });
+
+    test.it('rejects and reports messages from untrusted origins', () => {
+        const rejected = [];
+        page.window.addEventListener('bridgeMessageRejected', event => rejected.push(plain(event.detail)));
+
+        page.receive(JSON.stringify({ type: 'screenPop' }), 'https://evil.example.com');
+
+        assert.deepStrictEqual(rejected, [{ origin: 'https://evil.example.com', count: 1 }]);
+        assert.strictEqual(page.evaluate('getRejectedMessageCount()'), 1);
+        assert.strictEqual(page.document.getElementById('screenPopPayload').value, '');
+        assert.strictEqual(page.sent.length, 0);
+    });
+
+    test.it('only trusts the softphone client that is loaded', () => {
+        const ireland = 'https://apps.mypurecloud.ie';
+        page.evaluate("loadSoftphone('mypurecloud.ie')");
+        page.evaluate("loadSoftphone('mock')");
+
+        page.receive(JSON.stringify({ type: 'screenPop' }), ireland);
+        assert.strictEqual(page.evaluate('getRejectedMessageCount()'), 1);
+
+        page.evaluate("loadSoftphone('mypurecloud.ie')");
+        page.sendFromFramework('screenPop', { searchString: '3172222222', interactionId: { id: 'i-1' } });
+        assert.strictEqual(page.evaluate('getRejectedMessageCount()'), 2);
+        assert.strictEqual(page.document.getElementById('screenPopPayload').value, '');
+        assert.strictEqual(page.evaluate('isTrustedOrigin(' + JSON.stringify(ireland) + ')'), true);
+        assert.strictEqual(page.evaluate("isTrustedOrigin('https://apps.mypurecloud.com')"), true);
+    });
+
+    test.it('ignores non-string messages', () => {
+        page.receive({ type: 'screenPop' });
+
+        assert.strictEqual(page.sent.length, 0);
+        assert.strictEqual(page.evaluate('eventLogEntries.length'), 0);
+    });
+
+    test.it('answers invalid messages with an error', () => {
+        const envelope = page.sendFromFramework('screenPop', { searchString: 42 });
+
+        const [reply] = page.sentMessages('error');
+        assert.strictEqual(reply.replyTo, envelope.id);
+        assert.strictEqual(reply.data.code, 'INVALID_PAYLOAD');
+        assert.strictEqual(page.document.getElementById('screenPopPayload').value, '');
+    });
+
+    test.it('answers host message types sent by the framework with UNKNOWN_TYPE', () => {
+        page.sendFromFramework('clickToDial', { number: '1' });
+
+        assert.strictEqual(page.sentMessages('error')[0].data.code, 'UNKNOWN_TYPE');
+    });
+
+    test.it('never answers an invalid error message', () => {
+        page.sendFromFramework('error', {});
+
+        assert.strictEqual(page.sent.length, 0);
+    });
+
+    test.it('only posts to the softphone origin', () => {
+        page.evaluate("softphone.updateStatus('Available')");
+
+        assert.strictEqual(page.sent[0].targetOrigin, PAGE_ORIGIN);
+    });
+});
+
+test.describe('audio pool', () => {
+    /**
+     * Make every pooled element look like it is playing
+     */
+    function playAll(startTime) {
+        page.evaluate('audioPool').forEach(audio => {
+            Object.defineProperty(audio, 'paused', { value: false, configurable: true });
+            audio.inUse = true;
+            audio.startTime = startTime;
+        });
+    }
+
+    test.it('creates a pool of unused elements', () => {
+        const pool = page.evaluate('audioPool');
+        assert.strictEqual(pool.length, page.evaluate('MAX_AUDIO_POOL_SIZE'));
+        assert.ok(pool.every(audio => audio.inUse === false));
+    });
+
+    test.it('hands out a different unused element each time', () => {
+        const first = page.evaluate('getAudioFromPool()');
+        const second = page.evaluate('getAudioFromPool()');
+
+        assert.notStrictEqual(first, second);
+        assert.strictEqual(first.inUse, true);
+        assert.ok(second.startTime > 0);
+    });
+
+    test.it('resets elements released to the pool', () => {
+        const audio = page.evaluate('playSound(SOUNDS.NOTIFICATION)');
+        assert.ok(audio.safetyTimeout);
+
+        page.window.releaseAudioToPool(audio);
+
+        assert.strictEqual(audio.inUse, false);
+        assert.strictEqual(audio.startTime, null);
+        assert.strictEqual(audio.safetyTimeout, null);
+        assert.strictEqual(audio.onended, null);
+        assert.strictEqual(audio.onerror, null);
+        assert.strictEqual(audio.getAttribute('src'), '');
+        assert.strictEqual(page.window.getAudioFromPool(), audio);
+    });
+
+    test.it('reuses a finished element when every element is in use', () => {
+        playAll(Date.now());
+        const pool = page.evaluate('audioPool');
+        Object.defineProperty(pool[3], 'paused', { value: true, configurable: true });
+
+        assert.strictEqual(page.window.getAudioFromPool(), pool[3]);
+    });
+
+    test.it('reclaims an element that has been playing for more than five seconds', () => {
+        playAll(Date.now());
+        const pool = page.evaluate('audioPool');
+        pool[5].startTime = Date.now() - 6000;
+
+        assert.strictEqual(page.window.getAudioFromPool(), pool[5]);
+        assert.ok(page.logs.some(entry => entry.level === 'warn' && entry.text.indexOf('Reclaiming') !== -1));
+    });
+
+    test.it('forces reuse of the first element when the pool is exhausted', () => {
+        playAll(Date.now());
+        const pool = page.evaluate('audioPool');
+
+        assert.strictEqual(page.window.getAudioFromPool(), pool[0]);
+        assert.strictEqual(page.evaluate('audioPool.length'), pool.length);
+    });
+
+    test.it('creates an element when the pool is empty', () => {
+        page.evaluate('cleanupAudioResources()');
+
+        const audio = page.window.getAudioFromPool();
+        assert.strictEqual(audio.inUse, true);
+        assert.strictEqual(page.evaluate('audioPool.length'), 1);
+        assert.strictEqual(page.evaluate('audioPool[0]'), audio);
+    });
+});
+
+test.describe('audio device status', () => {
+    /**
+     * audioDeviceStatus messages sent to the softphone
+     */
+    function deviceStatuses() {
+        return page.sentMessages('audioDeviceStatus').map(message => message.data);
+    }
+
+    test.beforeEach(() => {
+        page.mediaDevices.devices = [
+            mediaDevice('audioinput', 'default', 'Default'),
+            mediaDevice('audioinput', 'mic-1'),
+            mediaDevice('audiooutput', 'speaker-1', 'Speakers'),
+            mediaDevice('audiooutput', 'speaker-2', 'Headset')
+        ];
+    });
+
+    test.it('reports the devices and the selections once they are ready', async () => {
+        page.evaluate('setupAudioDevices()');
+        await flush();
+
+        assert.deepStrictEqual(deviceStatuses(), [{
+            status: 'initializing',
+            message: 'Waiting for microphone permissions',
+            deviceId: null,
+            outputDeviceId: null,
+            ringerDeviceId: null,
+            ringOnSpeaker: false
+        }, {
+            status: 'ready',
+            deviceId: 'mic-1',
+            outputDeviceId: 'speaker-1',
+            ringerDeviceId: 'speaker-1',
+            ringOnSpeaker: false,
+            inputDevices: [
+                { deviceId: 'default', label: 'Default', kind: 'audioinput' },
+                { deviceId: 'mic-1', label: 'Microphone', kind: 'audioinput' }
+            ],
+            outputDevices: [
+                { deviceId: 'speaker-1', label: 'Speakers', kind: 'audiooutput' },
+                { deviceId: 'speaker-2', label: 'Headset', kind: 'audiooutput' }
+            ]
+        }]);
+        assert.strictEqual(page.document.getElementById('ringerSelect').value, 'speaker-1');
+    });
+
+    test.it('reports devices plugged in or out and selections from the softphone', async () => {
+        page.evaluate('setupAudioDevices()');
+        await flush();
+
+        page.mediaDevices.devices = page.mediaDevices.devices.filter(d => d.deviceId !== 'speaker-1');
+        page.mediaDevices.listeners.devicechange.forEach(listener => listener());
+        await flush();
+
+        page.sendFromFramework('selectAudioDevice', { deviceId: 'default' });
+        await flush();
+
+        const updates = deviceStatuses().slice(2);
+        assert.deepStrictEqual(updates.map(update => [update.status, update.deviceId, update.outputDeviceId, update.ringerDeviceId]), [
+            ['updated', 'mic-1', 'speaker-2', 'speaker-2'],
+            ['updated', 'default', 'speaker-2', 'speaker-2']
+        ]);
+        assert.deepStrictEqual(updates[0].outputDevices, [{ deviceId: 'speaker-2', label: 'Headset', kind: 'audiooutput' }]);
+    });
+
+    test.it('selects the device chosen on the page', async () => {
+        page.evaluate('setupAudioDevices()');
+        await flush();
+
+        const select = page.document.getElementById('speakerSelect');
+        select.value = 'speaker-2';
+        select.dispatchEvent(new page.window.Event('change'));
+        await flush();
+
+        assert.strictEqual(page.evaluate('deviceManager.getSelection().speaker'), 'speaker-2');
+        assert.strictEqual(page.evaluate('deviceManager.getSelection().ringer'), 'speaker-1');
+        assert.strictEqual(deviceStatuses().pop().outputDeviceId, 'speaker-2');
+    });
+
+    test.it('reports why the microphone cannot be used', async () => {
+        page.mediaDevices.getUserMedia = () => {
+            const error = new Error('Permission denied');
+            error.name = 'NotAllowedError';
+            return Promise.reject(error);
+        };
+
+        page.evaluate('setupAudioDevices()');
+        await flush();
+
+        assert.deepStrictEqual(deviceStatuses()[1], {
+            status: 'error',
+            error: 'NotAllowedError',
+            message: 'Microphone access was denied. Please allow microphone access in your browser settings.',
+            isPermissionError: true,
+            deviceId: null,
+            outputDeviceId: null,
+            ringerDeviceId: null,
+            ringOnSpeaker: false
+        });
+        assert.match(page.document.getElementById('webrtc-device-notification').textContent, /Microphone access was denied/);
+    });
+
+    test.it('tells the user when the preferred device is missing and when it is back', async () => {
+        page.window.localStorage.setItem('pefAudioDevicePreferences',
+            JSON.stringify({ microphone: { label: 'Headset', groupId: 'group-mic-9', deviceId: 'mic-9' } }));
+
+        page.evaluate('setupAudioDevices()');
+        await flush();
+
+        const notifications = () => page.sentMessages('sendCustomNotification').map(message => message.data.message);
+        assert.ok(notifications().includes('Your microphone "Headset" is not connected. Using "mic-1" until it is back.'));
+
+        page.mediaDevices.devices.push(mediaDevice('audioinput', 'mic-9', 'Headset'));
+        page.mediaDevices.listeners.devicechange.forEach(listener => listener());
+        await flush();
+
+        assert.strictEqual(notifications().pop(), 'Switched the microphone back to "Headset"');
+        assert.strictEqual(deviceStatuses().pop().deviceId, 'mic-9');
+    });
+
+    test.it('shows device labels as text', async () => {
+        const label = '<img src=x onerror="window.injected = true">';
+        page.window.localStorage.setItem('pefAudioDevicePreferences',
+            JSON.stringify({ speaker: { label: label, groupId: 'group-9', deviceId: 'speaker-9' } }));
+
+        page.evaluate('setupAudioDevices()');
+        await flush();
+
+        const notification = page.document.getElementById('webrtc-device-notification');
+        assert.strictEqual(notification.querySelector('img'), null);
+        assert.match(notification.querySelector('.notification-message').textContent, /^Your speaker "<img src=x/);
+    });
+
+    test.it('plays alerts on the ringer', async () => {
+        page.evaluate('setupAudioDevices()');
+        await flush();
+        await page.evaluate("deviceManager.select('ringer', 'speaker-2')");
+
+        page.window.updateAudioConfiguration({ target: page.document.getElementById('updateAudioConfiguration') });
+
+        assert.strictEqual(page.sentMessages('updateAudioConfiguration')[0].data.deviceId, 'speaker-2');
+    });
+});
+
+test.describe('alert routing', () => {
+    let routed;
+
+    test.beforeEach(async () => {
+        // jsdom cannot choose audio outputs, unlike the browsers that support setSinkId
+        routed = [];
+        page.window.HTMLMediaElement.prototype.setSinkId = function (sinkId) {
+            this.sinkId = sinkId;
+            return Promise.resolve();
+        };
+        page.window.HTMLMediaElement.prototype.play = function () {
+            routed.push(this.sinkId);
+            return Promise.resolve();
+        };
+
+        page.mediaDevices.devices = [
+            mediaDevice('audioinput', 'mic-1', 'Headset'),
+            mediaDevice('audiooutput', 'headset-1', 'Headset'),
+            mediaDevice('audiooutput', 'speaker-1', 'Speakers')
+        ];
+        page.evaluate('setupAudioDevices()');
+        await flush();
+    });
+
+    test.it('plays alerts on the ringer and leaves the speaker to calls', async () => {
+        await page.evaluate("deviceManager.select('ringer', 'speaker-1')");
+
+        const audio = page.evaluate('playSound(SOUNDS.INCOMING_CALL)');
+        await flush();
+
+        assert.strictEqual(audio.sinkId, 'speaker-1');
+        assert.deepStrictEqual(routed, ['speaker-1']);
+        assert.strictEqual(page.evaluate('deviceManager.getSelection().speaker'), 'headset-1');
+    });
+
+    test.it('plays alerts on the speaker too when asked', async () => {
+        await page.evaluate("deviceManager.select('ringer', 'speaker-1')");
+        const checkbox = page.document.getElementById('ringOnSpeaker');
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new page.window.Event('change'));
+
+        page.evaluate('playSound(SOUNDS.MESSAGE)');
+        await flush();
+
+        assert.deepStrictEqual(routed, ['speaker-1', 'headset-1']);
+        assert.strictEqual(page.evaluate('audioPool.filter(audio => audio.inUse).length'), 2);
+        assert.strictEqual(page.window.localStorage.getItem('pefRingOnSpeaker'), 'true');
+        assert.strictEqual(page.sentMessages('audioDeviceStatus').pop().data.ringOnSpeaker, true);
+    });
+
+    test.it('plays on the current output when the ringer cannot be used', async () => {
+        page.window.HTMLMediaElement.prototype.setSinkId = () => Promise.reject(new Error('Requested device not found'));
+
+        page.evaluate('playSound(SOUNDS.NOTIFICATION)');
+        await flush();
+
+        assert.deepStrictEqual(routed, [undefined]);
+    });
+
+    test.it('plays alerts once on the default output when the browser cannot choose outputs', async () => {
+        delete page.window.HTMLMediaElement.prototype.setSinkId;
+        page.evaluate('deviceManager.setRingOnSpeaker(true)');
+
+        page.evaluate('playSound(SOUNDS.NOTIFICATION)');
+        await flush();
+
+        assert.deepStrictEqual(routed, [undefined]);
+        page.evaluate('setupDeviceSelectors()');
+        assert.strictEqual(page.document.getElementById('ringerSelect').disabled, true);
+        assert.strictEqual(page.document.getElementById('ringOnSpeaker').disabled, true);
+    });
+});
@@ -0,0 +1,301 @@
+// Bridge tests for src/framework.js: host messages reach the right PureCloud API
+// and every Framework callback posts the right envelope to the host page.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { HOST_ORIGIN, flush, loadFramework, plain } = require('./helpers/framework');
+
+let framework;
+
+test.beforeEach(() => {
+    framework = loadFramework();
+});
+
+test.afterEach(() => {
+    framework.close();
+});
+
+/**
+ * Last message posted to the host page
+ */
+function lastPosted() {
+    return framework.posted[framework.posted.length - 1];
+}
+
+test.describe('envelopes', () => {
+    test.it('posts protocol envelopes to the trusted host origin', () => {
+        framework.Framework.screenPop('3172222222', { id: 'interaction-1' });
+
+        const { message, targetOrigin } = lastPosted();
+        assert.strictEqual(targetOrigin, HOST_ORIGIN);
+        assert.strictEqual(message.protocol, 'pef-bridge');
+        assert.strictEqual(message.version, 1);
+        assert.strictEqual(message.source, 'framework');
+        assert.match(message.id, /^framework-/);
+        assert.ok(!isNaN(Date.parse(message.timestamp)));
+    });
+
+    test.it('gives every envelope its own id', () => {
+        framework.Framework.screenPop('1', { id: 'a' });
+        framework.Framework.screenPop('2', { id: 'b' });
+
+        const ids = framework.posted.map(entry => entry.message.id);
+        assert.strictEqual(new Set(ids).size, ids.length);
+    });
+});
+
+test.describe('host commands', () => {
+    const commands = [
+        { type: 'clickToDial', data: { number: '3172222222', autoPlace: true }, api: 'clickToDial' },
+        { type: 'addAssociation', data: { type: 'contact', id: '1', text: 'Jane', select: true }, api: 'addAssociation' },
+        { type: 'addAttribute', data: { interactionId: 'i-1', attributes: { PT_URLPop: 'x' } }, api: 'addCustomAttributes' },
+        { type: 'addTransferContext', data: { name: 'Billing', attributes: {} }, api: 'addTransferContext' },
+        { type: 'updateUserStatus', data: { id: 'Available' }, api: 'User.updateStatus' },
+        { type: 'updateInteractionState', data: { action: 'pickup', id: 'i-1' }, api: 'Interaction.updateState' },
+        { type: 'setView', data: { type: 'main', view: { name: 'interactionList' } }, api: 'User.setView' },
+        { type: 'updateAudioConfiguration', data: { call: true, chat: false }, api: 'User.Notification.setAudioConfiguration' },
+        { type: 'sendCustomNotification', data: { message: 'Hi', type: 'INFO', timeout: 5 }, api: 'User.Notification.notifyUser' }
+    ];
+
+    commands.forEach(command => {
+        test.it(command.type + ' calls PureCloud ' + command.api + ' and reports the result', async () => {
+            framework.PureCloud.results[command.api] = 'done';
+            const envelope = framework.sendFromHost(command.type, command.data);
+            await flush();
+
+            assert.deepStrictEqual(framework.PureCloud.calls, [{ name: command.api, data: command.data }]);
+            assert.deepStrictEqual(framework.repliesTo(envelope.id).map(reply => reply.data), [
+                { status: 'ack' },
+                { status: 'result', result: 'done' }
+            ]);
+        });
+    });
+
+    test.it('omits the result of APIs that return nothing', async () => {
+        const envelope = framework.sendFromHost('setView', { type: 'main', view: { name: 'calls' } });
+        await flush();
+
+        assert.deepStrictEqual(framework.repliesTo(envelope.id)[1].data, { status: 'result' });
+    });
+
+    test.it('waits for APIs that return a promise', async () => {
+        framework.PureCloud.results['User.updateStatus'] = () => Promise.resolve({ id: 'Away' });
+        const envelope = framework.sendFromHost('updateUserStatus', { id: 'Away' });
+        await flush();
+
+        assert.deepStrictEqual(framework.repliesTo(envelope.id)[1].data, { status: 'result', result: { id: 'Away' } });
+    });
+
+    test.it('reports a failed API call as a command error', async () => {
+        framework.PureCloud.results['Interaction.updateState'] = () => {
+            throw new Error('Unknown interaction: i-9');
+        };
+        const envelope = framework.sendFromHost('updateInteractionState', { action: 'hold', id: 'i-9' });
+        await flush();
+
+        assert.deepStrictEqual(framework.repliesTo(envelope.id)[1].data, {
+            status: 'error',
+            error: { code: 'COMMAND_FAILED', message: 'Unknown interaction: i-9' }
+        });
+    });
+
+    test.it('keeps the code of a rejected API call', async () => {
+        framework.PureCloud.results.clickToDial = () => Promise.reject(Object.assign(new Error('Busy'), { code: 'AGENT_BUSY' }));
+        const envelope = framework.sendFromHost('clickToDial', { number: '1' });
+        await flush();
+
+        assert.strictEqual(framework.repliesTo(envelope.id)[1].data.error.code, 'AGENT_BUSY');
+    });
+
+    test.it('does not answer audioDeviceStatus', async () => {
+        framework.sendFromHost('audioDeviceStatus', { status: 'ready', deviceId: 'mic-1' });
+        framework.sendFromHost('audioDeviceStatus', {
+            status: 'diagnostics',
+            deviceId: 'mic-1',
+            diagnostics: { test: 'microphone', result: 'silent', rms: 0.002, peak: 0.01, message: 'No sound' }
+        });
+        await flush();
+
+        assert.strictEqual(framework.posted.length, 0);
+        assert.strictEqual(framework.PureCloud.calls.length, 0);
+    });
+});
+
+test.describe('message validation', () => {
+    test.it('rejects and counts messages from untrusted origins', () => {
+        framework.receive('{}', 'https://evil.example.com');
+
+        assert.strictEqual(framework.Framework.getRejectedMessageCount(), 1);
+        assert.strictEqual(framework.posted.length, 0);
+        assert.strictEqual(framework.PureCloud.calls.length, 0);
+    });
+
+    test.it('ignores non-string messages', () => {
+        framework.receive({ type: 'clickToDial' });
+
+        assert.strictEqual(framework.posted.length, 0);
+        assert.strictEqual(framework.PureCloud.calls.length, 0);
+    });
+
+    test.it('answers malformed JSON with PARSE_ERROR', () => {
+        framework.receive('not json');
+
+        assert.strictEqual(lastPosted().message.type, 'error');
+        assert.strictEqual(lastPosted().message.data.code, 'PARSE_ERROR');
+    });
+
+    test.it('answers an unknown type with UNKNOWN_TYPE', () => {
+        const envelope = framework.sendFromHost('dialEveryone', {});
+
+        assert.strictEqual(lastPosted().message.data.code, 'UNKNOWN_TYPE');
+        assert.strictEqual(lastPosted().message.replyTo, envelope.id);
+    });
+
+    test.it('answers an invalid payload with INVALID_PAYLOAD and does not call PureCloud', () => {
+        const envelope = framework.sendFromHost('clickToDial', { autoPlace: true });
+
+        const reply = lastPosted().message;
+        assert.strictEqual(reply.data.code, 'INVALID_PAYLOAD');
+        assert.strictEqual(reply.replyTo, envelope.id);
+        assert.deepStrictEqual(reply.data.details, ['data.number is required']);
+        assert.strictEqual(framework.PureCloud.calls.length, 0);
+    });
+
+    test.it('answers another protocol version with UNSUPPORTED_VERSION', () => {
+        framework.receive(JSON.stringify({
+            protocol: 'pef-bridge', version: 2, id: 'h-1', timestamp: new Date().toISOString(),
+            source: 'host', type: 'clickToDial', data: { number: '1' }
+        }));
+
+        assert.strictEqual(lastPosted().message.data.code, 'UNSUPPORTED_VERSION');
+    });
+
+    test.it('never answers an invalid error message', () => {
+        framework.receive(JSON.stringify({
+            protocol: 'pef-bridge', version: 1, id: 'h-1', timestamp: new Date().toISOString(),
+            source: 'host', type: 'error', data: {}
+        }));
+
+        assert.strictEqual(framework.posted.length, 0);
+    });
+});
+
+test.describe('subscriptions', () => {
+    test.it('subscribes to interaction, user action and notification events', () => {
+        assert.deepStrictEqual(Object.keys(framework.PureCloud.subscriptions).sort(), ['Interaction', 'Notification', 'UserAction']);
+    });
+
+    const subscriptions = [
+        { type: 'Interaction', message: 'interactionSubscription', category: 'add', payload: { id: 'i-1', state: 'alerting' }, key: 'interaction' },
+        { type: 'UserAction', message: 'userActionSubscription', category: 'routingStatus', payload: { status: 'Available' }, key: 'data' },
+        { type: 'Notification', message: 'notificationSubscription', category: 'messageReceived', payload: { message: 'Hi' }, key: 'data' }
+    ];
+
+    subscriptions.forEach(subscription => {
+        test.it('posts ' + subscription.message + ' for ' + subscription.type + ' events', () => {
+            framework.PureCloud.subscriptions[subscription.type](subscription.category, subscription.payload);
+
+            const { message } = lastPosted();
+            assert.strictEqual(message.type, subscription.message);
+            assert.strictEqual(message.data.category, subscription.category);
+            assert.deepStrictEqual(message.data[subscription.key], subscription.payload);
+        });
+    });
+});
+
+test.describe('Framework callbacks', () => {
+    test.it('screenPop posts the search string and interaction', () => {
+        const interaction = { id: 'i-1', ani: 'tel:+13172222222' };
+        framework.Framework.screenPop('3172222222', interaction);
+
+        assert.strictEqual(lastPosted().message.type, 'screenPop');
+        assert.deepStrictEqual(lastPosted().message.data, { searchString: '3172222222', interactionId: interaction });
+    });
+
+    test.it('openCallLog posts the call log and interaction', () => {
+        framework.Framework.openCallLog({ notes: 'n' }, { id: 'i-1' });
+
+        assert.strictEqual(lastPosted().message.type, 'openCallLog');
+        assert.deepStrictEqual(lastPosted().message.data, { callLog: { notes: 'n' }, interaction: { id: 'i-1' } });
+    });
+
+    test.it('processCallLog reports the record id the host saved', () => {
+        const results = [];
+        framework.Framework.processCallLog({ notes: 'n' }, { id: 'i-1' }, 'interactionDisconnected',
+            result => results.push(['success', plain(result)]), () => results.push(['failure']));
+
+        const request = lastPosted().message;
+        assert.strictEqual(request.type, 'processCallLog');
+        assert.deepStrictEqual(request.data, { callLog: { notes: 'n' }, interactionId: { id: 'i-1' }, eventName: 'interactionDisconnected' });
+
+        framework.sendFromHost('callLogResult', { success: true, id: 'CL-1' }, request.id);
+        assert.deepStrictEqual(results, [['success', { id: 'CL-1' }]]);
+    });
+
+    test.it('processCallLog fails when the host could not save', () => {
+        const results = [];
+        framework.Framework.processCallLog({}, { id: 'i-1' }, 'interactionDisconnected',
+            () => results.push('success'), () => results.push('failure'));
+
+        framework.sendFromHost('callLogResult', { success: false, reason: 'CRM down' }, lastPosted().message.id);
+        assert.deepStrictEqual(results, ['failure']);
+    });
+
+    test.it('processCallLog fails when the host rejects the request', () => {
+        const results = [];
+        framework.Framework.processCallLog({}, { id: 'i-1' }, 'interactionDisconnected',
+            () => results.push('success'), () => results.push('failure'));
+
+        framework.sendFromHost('error', { code: 'INVALID_PAYLOAD', message: 'bad' }, lastPosted().message.id);
+        assert.deepStrictEqual(results, ['failure']);
+    });
+
+    test.it('processCallLog fails when the host does not answer in time', async () => {
+        framework.Framework.config.callLogTimeout = 5;
+        const results = [];
+        framework.Framework.processCallLog({}, { id: 'i-1' }, 'interactionDisconnected',
+            () => results.push('success'), () => results.push('failure'));
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.deepStrictEqual(results, ['failure']);
+
+        // A late reply is ignored
+        framework.sendFromHost('callLogResult', { success: true, id: 'CL-1' }, framework.posted[0].message.id);
+        assert.deepStrictEqual(results, ['failure']);
+    });
+
+    test.it('contactSearch returns the contacts the host sends back', () => {
+        const results = [];
+        framework.Framework.contactSearch('Jane', contacts => results.push(plain(contacts)), () => results.push('failure'));
+
+        const request = lastPosted().message;
+        assert.strictEqual(request.type, 'contactSearch');
+        assert.deepStrictEqual(request.data, { searchString: 'Jane' });
+
+        const contacts = [{ type: 'external', name: 'Jane Doe', phone: [{ number: '+13172222222' }] }];
+        framework.sendFromHost('sendContactSearch', contacts, request.id);
+        assert.deepStrictEqual(results, [contacts]);
+    });
+
+    test.it('contactSearch fails a search superseded by a newer one', () => {
+        const results = [];
+        framework.Framework.contactSearch('Ja', () => results.push('first'), () => results.push('first failed'));
+        const first = lastPosted().message;
+        framework.Framework.contactSearch('Jane', () => results.push('second'), () => results.push('second failed'));
+        const second = lastPosted().message;
+
+        assert.deepStrictEqual(results, ['first failed']);
+
+        framework.sendFromHost('sendContactSearch', [], first.id);
+        framework.sendFromHost('sendContactSearch', [], second.id);
+        assert.deepStrictEqual(results, ['first failed', 'second']);
+    });
+
+    test.it('contactSearch fails when the host search fails', () => {
+        const results = [];
+        framework.Framework.contactSearch('Jane', () => results.push('success'), () => results.push('failure'));
+
+        framework.sendFromHost('error', { code: 'SEARCH_FAILED', message: 'down' }, lastPosted().message.id);
+        assert.deepStrictEqual(results, ['failure']);
+    });
+});
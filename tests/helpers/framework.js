@@ -0,0 +1,171 @@
+// Loads framework.js into a jsdom window standing in for the PureCloud client,
+// with a fake window.PureCloud and a fake parent window that records what the
+// framework posts to the host page.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const FRAMEWORK_SOURCE = fs.readFileSync(path.join(__dirname, '../../src/framework.js'), 'utf8');
+const HOST_ORIGIN = 'https://localhost:8443';
+
+let hostMessageCounter = 0;
+
+/**
+ * Copy a value created in the jsdom window into this realm, so deepStrictEqual
+ * compares it by content rather than by prototype
+ */
+function plain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Fake window.PureCloud recording every API call.
+ * Set results[name] to a value or a function(data) to control what a call returns.
+ */
+function createFakePureCloud() {
+    const fake = {
+        calls: [],
+        subscriptions: {},
+        results: {}
+    };
+
+    function api(name) {
+        return function (data) {
+            fake.calls.push({ name: name, data: plain(data) });
+            const result = fake.results[name];
+            return typeof result === 'function' ? result(data) : result;
+        };
+    }
+
+    fake.subscribe = function (subscriptions) {
+        subscriptions.forEach(subscription => {
+            fake.subscriptions[subscription.type] = subscription.callback;
+        });
+    };
+    fake.clickToDial = api('clickToDial');
+    fake.addAssociation = api('addAssociation');
+    fake.addCustomAttributes = api('addCustomAttributes');
+    fake.addTransferContext = api('addTransferContext');
+    fake.User = {
+        updateStatus: api('User.updateStatus'),
+        setView: api('User.setView'),
+        Notification: {
+            setAudioConfiguration: api('User.Notification.setAudioConfiguration'),
+            notifyUser: api('User.Notification.notifyUser')
+        }
+    };
+    fake.Interaction = {
+        updateState: api('Interaction.updateState')
+    };
+
+    return fake;
+}
+
+/**
+ * Collect what a window writes to the console instead of printing it
+ */
+function createRecordingConsole(logs) {
+    const virtualConsole = new VirtualConsole();
+    ['log', 'info', 'warn', 'error'].forEach(level => {
+        virtualConsole.on(level, (...args) => logs.push({ level: level, text: args.join(' ') }));
+    });
+    virtualConsole.on('jsdomError', err => logs.push({ level: 'jsdomError', text: err.message }));
+    return virtualConsole;
+}
+
+/**
+ * Build a host envelope, as scripts/protocol.js would
+ */
+function createHostEnvelope(type, data, replyTo) {
+    const envelope = {
+        protocol: 'pef-bridge',
+        version: 1,
+        id: 'host-test-' + (++hostMessageCounter),
+        timestamp: new Date().toISOString(),
+        source: 'host',
+        type: type,
+        data: data
+    };
+    if (replyTo) {
+        envelope.replyTo = replyTo;
+    }
+    return envelope;
+}
+
+/**
+ * Load framework.js and run its initialSetup
+ */
+function loadFramework() {
+    const logs = [];
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://apps.mypurecloud.com/crm/index.html',
+        referrer: HOST_ORIGIN + '/example.html',
+        runScripts: 'outside-only',
+        virtualConsole: createRecordingConsole(logs)
+    });
+    const window = dom.window;
+
+    const posted = [];
+    Object.defineProperty(window, 'parent', {
+        value: {
+            postMessage: (data, targetOrigin) => posted.push({ message: JSON.parse(data), targetOrigin: targetOrigin })
+        }
+    });
+
+    const PureCloud = createFakePureCloud();
+    window.PureCloud = PureCloud;
+    window.eval(FRAMEWORK_SOURCE);
+    window.Framework.initialSetup();
+
+    return {
+        window: window,
+        Framework: window.Framework,
+        PureCloud: PureCloud,
+        posted: posted,
+        logs: logs,
+
+        /**
+         * Deliver raw message data to the framework as a message event
+         */
+        receive: function (data, origin) {
+            window.dispatchEvent(new window.MessageEvent('message', { data: data, origin: origin || HOST_ORIGIN }));
+        },
+
+        /**
+         * Send a well-formed host message and return its envelope
+         */
+        sendFromHost: function (type, data, replyTo) {
+            const envelope = createHostEnvelope(type, data, replyTo);
+            this.receive(JSON.stringify(envelope));
+            return envelope;
+        },
+
+        /**
+         * Messages posted to the host page that reply to an envelope id
+         */
+        repliesTo: function (id) {
+            return posted.map(entry => entry.message).filter(message => message.replyTo === id);
+        },
+
+        close: function () {
+            window.close();
+        }
+    };
+}
+
+/**
+ * Let pending promise callbacks and zero-delay timers run
+ */
+function flush() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+module.exports = {
+    HOST_ORIGIN,
+    createHostEnvelope,
+    createRecordingConsole,
+    flush,
+    loadFramework,
+    plain
+};
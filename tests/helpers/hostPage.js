@@ -0,0 +1,292 @@
+// Loads src/example.html and its scripts into a jsdom window, with the softphone
+// iframe replaced by a fake window that records what the page posts to it and
+// with stubbed media playback, navigator.mediaDevices, fetch and WebSocket.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { createRecordingConsole, plain } = require('./framework');
+
+const SRC_DIR = path.join(__dirname, '../../src');
+const PAGE_ORIGIN = 'https://localhost';
+
+let frameworkMessageCounter = 0;
+
+/**
+ * Build a framework envelope, as framework.js would
+ */
+function createFrameworkEnvelope(type, data, replyTo) {
+    const envelope = {
+        protocol: 'pef-bridge',
+        version: 1,
+        id: 'framework-test-' + (++frameworkMessageCounter),
+        timestamp: new Date().toISOString(),
+        source: 'framework',
+        type: type,
+        data: data
+    };
+    if (replyTo) {
+        envelope.replyTo = replyTo;
+    }
+    return envelope;
+}
+
+/**
+ * Fake MediaStream holding one audio track from a device
+ */
+function createFakeStream(deviceId) {
+    const track = {
+        kind: 'audio',
+        stopped: false,
+        getSettings: () => ({ deviceId: deviceId }),
+        stop: () => {
+            track.stopped = true;
+        }
+    };
+    return {
+        track: track,
+        getAudioTracks: () => [track],
+        getTracks: () => [track]
+    };
+}
+
+/**
+ * Fake navigator.mediaDevices.
+ * devices lists what enumerateDevices returns; getUserMedia fails for the ids
+ * in failingDeviceIds, and for every request when failAll is set.
+ */
+function createFakeMediaDevices(devices) {
+    const fake = {
+        devices: devices || [],
+        failingDeviceIds: [],
+        failAll: false,
+        calls: [],
+        streams: [],
+        listeners: {}
+    };
+
+    fake.enumerateDevices = function () {
+        fake.calls.push({ name: 'enumerateDevices' });
+        return Promise.resolve(fake.devices.slice());
+    };
+
+    fake.getUserMedia = function (constraints) {
+        fake.calls.push({ name: 'getUserMedia', constraints: plain(constraints) });
+
+        const requested = constraints.audio && constraints.audio.deviceId && constraints.audio.deviceId.exact;
+        if (fake.failAll || fake.failingDeviceIds.indexOf(requested) !== -1) {
+            const error = new Error('Could not start audio source');
+            error.name = 'NotReadableError';
+            return Promise.reject(error);
+        }
+
+        const input = fake.devices.find(d => d.kind === 'audioinput');
+        const stream = createFakeStream(requested || (input ? input.deviceId : 'default'));
+        fake.streams.push(stream);
+        return Promise.resolve(stream);
+    };
+
+    fake.addEventListener = function (type, listener) {
+        fake.listeners[type] = (fake.listeners[type] || []).concat(listener);
+    };
+
+    return fake;
+}
+
+/**
+ * Fake fetch answering from the handlers registered with fetch.on(method, url, handler).
+ * A handler gets { method, url, body } and returns { status, body }; other requests get a 404.
+ */
+function createFakeFetch() {
+    const handlers = {};
+    const requests = [];
+
+    const fakeFetch = function (url, options) {
+        options = options || {};
+        const request = {
+            method: (options.method || 'GET').toUpperCase(),
+            url: String(url),
+            body: options.body ? JSON.parse(options.body) : undefined
+        };
+        requests.push(request);
+
+        const handler = handlers[request.method + ' ' + request.url];
+        const answer = handler ? handler(request) : { status: 404, body: { error: 'Not found' } };
+        const status = answer.status || 200;
+        return Promise.resolve({
+            ok: status >= 200 && status < 300,
+            status: status,
+            json: () => Promise.resolve(answer.body)
+        });
+    };
+
+    fakeFetch.requests = requests;
+    fakeFetch.on = function (method, url, handler) {
+        handlers[method + ' ' + url] = handler;
+    };
+    return fakeFetch;
+}
+
+/**
+ * Fake WebSocket class. Every socket the page opens is kept in FakeWebSocket.sockets;
+ * tests open, close and send messages to it, and read what the page sent from socket.sent.
+ */
+function createFakeWebSocket() {
+    class FakeWebSocket {
+        constructor(url) {
+            this.url = url;
+            this.readyState = FakeWebSocket.CONNECTING;
+            this.sent = [];
+            this.listeners = {};
+            FakeWebSocket.sockets.push(this);
+        }
+
+        addEventListener(type, listener) {
+            this.listeners[type] = (this.listeners[type] || []).concat(listener);
+        }
+
+        send(data) {
+            this.sent.push(JSON.parse(data));
+        }
+
+        emit(type, event) {
+            (this.listeners[type] || []).forEach(listener => listener(event || {}));
+        }
+
+        open() {
+            this.readyState = FakeWebSocket.OPEN;
+            this.emit('open');
+        }
+
+        receive(message) {
+            this.emit('message', { data: JSON.stringify(message) });
+        }
+
+        close(code) {
+            this.readyState = FakeWebSocket.CLOSED;
+            this.emit('close', { code: code || 1006 });
+        }
+    }
+
+    FakeWebSocket.CONNECTING = 0;
+    FakeWebSocket.OPEN = 1;
+    FakeWebSocket.CLOSED = 3;
+    FakeWebSocket.sockets = [];
+    return FakeWebSocket;
+}
+
+/**
+ * Describe a media device the way enumerateDevices does
+ */
+function mediaDevice(kind, deviceId, label) {
+    return { kind: kind, deviceId: deviceId, groupId: 'group-' + deviceId, label: label || '' };
+}
+
+/**
+ * Load the example page with every script it includes, without running its DOMContentLoaded setup.
+ * Resolves with helpers to drive the page.
+ */
+function loadHostPage() {
+    const logs = [];
+    const html = fs.readFileSync(path.join(SRC_DIR, 'example.html'), 'utf8');
+    const dom = new JSDOM(html, {
+        url: PAGE_ORIGIN + '/example.html',
+        runScripts: 'outside-only',
+        virtualConsole: createRecordingConsole(logs)
+    });
+    const window = dom.window;
+
+    return new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve)).then(() => {
+        // Media playback is not implemented by jsdom
+        window.HTMLMediaElement.prototype.play = function () {
+            return Promise.resolve();
+        };
+        window.HTMLMediaElement.prototype.pause = function () {};
+
+        const mediaDevices = createFakeMediaDevices([]);
+        Object.defineProperty(window.navigator, 'mediaDevices', { value: mediaDevices, configurable: true });
+
+        const fetch = createFakeFetch();
+        window.fetch = fetch;
+        const WebSocket = createFakeWebSocket();
+        window.WebSocket = WebSocket;
+
+        // Stand in for the embedded client's window
+        const sent = [];
+        const softphoneWindow = {
+            postMessage: (data, targetOrigin) => sent.push({ message: JSON.parse(data), targetOrigin: targetOrigin })
+        };
+        Object.defineProperty(window.document.getElementById('softphone'), 'contentWindow', {
+            get: () => softphoneWindow
+        });
+
+        // Run each script as a classic script, so their top-level let and const are shared like in a browser
+        const context = dom.getInternalVMContext();
+        const run = (code, filename) => new vm.Script(code, { filename: filename }).runInContext(context);
+
+        // Scripts run after the page loaded, so the page's own setup stays out of the way
+        window.document.querySelectorAll('script').forEach(script => {
+            const src = script.getAttribute('src');
+            if (src) {
+                run(fs.readFileSync(path.join(SRC_DIR, src), 'utf8'), path.join(SRC_DIR, src));
+            } else {
+                run(script.textContent, 'example.html');
+            }
+        });
+
+        return {
+            window: window,
+            document: window.document,
+            mediaDevices: mediaDevices,
+            fetch: fetch,
+            WebSocket: WebSocket,
+            sent: sent,
+            logs: logs,
+
+            /**
+             * Evaluate an expression in the page, e.g. to read its top-level let and const
+             */
+            evaluate: function (expression) {
+                return run(expression, 'evaluate');
+            },
+
+            /**
+             * Deliver raw message data to the page as a message event
+             */
+            receive: function (data, origin) {
+                window.dispatchEvent(new window.MessageEvent('message', { data: data, origin: origin || PAGE_ORIGIN }));
+            },
+
+            /**
+             * Send a well-formed framework message and return its envelope
+             */
+            sendFromFramework: function (type, data, replyTo) {
+                const envelope = createFrameworkEnvelope(type, data, replyTo);
+                this.receive(JSON.stringify(envelope));
+                return envelope;
+            },
+
+            /**
+             * Messages the page sent to the softphone, optionally of one type
+             */
+            sentMessages: function (type) {
+                return sent.map(entry => entry.message).filter(message => !type || message.type === type);
+            },
+
+            close: function () {
+                window.close();
+            }
+        };
+    });
+}
+
+module.exports = {
+    PAGE_ORIGIN,
+    createFakeFetch,
+    createFakeMediaDevices,
+    createFakeWebSocket,
+    createFrameworkEnvelope,
+    loadHostPage,
+    mediaDevice
+};
@@ -0,0 +1,128 @@
+// Tests for the host page script src/scripts/relayClient.js: streaming bridge
+// messages to the event relay and running the commands backends send through it.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { flush } = require('./helpers/framework');
+const { loadHostPage } = require('./helpers/hostPage');
+
+let page;
+let socket;
+
+test.beforeEach(async () => {
+    page = await loadHostPage();
+    page.evaluate("loadSoftphone('mock')");
+    page.evaluate('setupMessageHandling()');
+    page.evaluate("PAGE_CONFIG.relayAgentId = 'agent-7'");
+    page.document.querySelector('meta[name="pef-relay-agent-token"]').setAttribute('content', 'nonce.signature');
+    page.evaluate('setupRelayClient()');
+    socket = page.WebSocket.sockets[0];
+});
+
+test.afterEach(() => {
+    page.close();
+});
+
+/**
+ * Messages of a kind the page sent to the relay
+ */
+function relayed(kind) {
+    return socket.sent.filter(message => message.kind === kind);
+}
+
+test.it('connects to the relay as the configured agent', () => {
+    assert.strictEqual(socket.url, 'wss://localhost/api/relay?role=agent&agent=agent-7&token=nonce.signature');
+
+    socket.open();
+    assert.strictEqual(page.document.getElementById('relayStatus').textContent, 'connected as agent-7');
+});
+
+test.it('streams messages in both directions, including those sent before it connected', () => {
+    const inbound = page.sendFromFramework('userActionSubscription', { category: 'routingStatus' });
+    socket.open();
+    page.evaluate("softphone.setView('calls')");
+
+    const events = relayed('event');
+    assert.deepStrictEqual(events.map(event => [event.direction, event.envelope.type]),
+        [['inbound', 'userActionSubscription'], ['outbound', 'setView']]);
+    assert.deepStrictEqual(events[0].envelope, inbound);
+});
+
+test.it('runs commands from the relay and reports their result', async () => {
+    socket.open();
+    socket.receive({ kind: 'command', id: 'relay-1', type: 'updateUserStatus', data: { id: 'AWAY' } });
+
+    const [command] = page.sentMessages('updateUserStatus');
+    assert.deepStrictEqual(command.data, { id: 'AWAY' });
+    page.sendFromFramework('commandResponse', { status: 'result', result: 'done' }, command.id);
+    await flush();
+
+    assert.deepStrictEqual(relayed('commandResult'), [{ kind: 'commandResult', id: 'relay-1', ok: true, result: 'done' }]);
+});
+
+test.it('reports commands the softphone failed', async () => {
+    socket.open();
+    socket.receive({ kind: 'command', id: 'relay-1', type: 'updateInteractionState', data: { id: 'i-9', action: 'hold' } });
+
+    const [command] = page.sentMessages('updateInteractionState');
+    page.sendFromFramework('commandResponse', {
+        status: 'error',
+        error: { code: 'COMMAND_FAILED', message: 'Unknown interaction: i-9' }
+    }, command.id);
+    await flush();
+
+    assert.deepStrictEqual(relayed('commandResult')[0].error, { code: 'COMMAND_FAILED', message: 'Unknown interaction: i-9' });
+});
+
+test.it('refuses what is not a valid softphone command', () => {
+    socket.open();
+    socket.receive({ kind: 'command', id: 'relay-1', type: 'screenPop', data: {} });
+    socket.receive({ kind: 'command', id: 'relay-2', type: 'setView', data: { type: 'main' } });
+
+    const results = relayed('commandResult');
+    assert.strictEqual(results[0].error.code, 'UNKNOWN_COMMAND');
+    assert.strictEqual(results[1].error.code, 'INVALID_PAYLOAD');
+    assert.match(results[1].error.message, /data\.view is required/);
+    assert.strictEqual(page.sentMessages('setView').length, 0);
+});
+
+test.it('reconnects when the connection drops, but not when another page took over', () => {
+    socket.open();
+    socket.close(1006);
+    assert.strictEqual(page.document.getElementById('relayStatus').textContent, 'disconnected, retrying in 1s');
+
+    page.evaluate('clearTimeout(relayReconnectTimer); connectRelay()');
+    const second = page.WebSocket.sockets[1];
+    second.open();
+    second.close(4000);
+    assert.match(page.document.getElementById('relayStatus').textContent, /connected from another page/);
+    assert.strictEqual(page.evaluate('relayReconnectTimer'), null);
+});
+
+test.it('keeps the token it connected with for reloads and forgets it once refused', () => {
+    socket.open();
+    assert.strictEqual(page.window.sessionStorage.getItem('pefRelayAgentToken'), 'nonce.signature');
+
+    // A reloaded page is served a new token but connects with the one it kept
+    page.document.querySelector('meta[name="pef-relay-agent-token"]').setAttribute('content', 'new.token');
+    socket.close(1006);
+    page.evaluate('clearTimeout(relayReconnectTimer); connectRelay()');
+    const second = page.WebSocket.sockets[1];
+    assert.match(second.url, /&token=nonce\.signature$/);
+
+    // Refused, e.g. after the server restarted
+    second.close(1006);
+    page.evaluate('clearTimeout(relayReconnectTimer); connectRelay()');
+    assert.match(page.WebSocket.sockets[2].url, /&token=new\.token$/);
+});
+
+test.it('connects with the relay token when the page is configured with one', () => {
+    page.evaluate("PAGE_CONFIG.relayToken = 's3cret'");
+    socket.close(1006);
+    page.evaluate('clearTimeout(relayReconnectTimer); connectRelay()');
+    const second = page.WebSocket.sockets[1];
+    second.open();
+
+    assert.match(second.url, /&token=s3cret$/);
+    assert.strictEqual(page.window.sessionStorage.getItem('pefRelayAgentToken'), null);
+});
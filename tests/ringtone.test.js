@@ -0,0 +1,149 @@
+// Tests for the host page script src/scripts/ringtone.js: looping the ringtone while
+// interactions are alerting, escalating it and stopping it once they are not.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { plain } = require('./helpers/framework');
+const { loadHostPage } = require('./helpers/hostPage');
+
+let page;
+
+test.beforeEach(async () => {
+    page = await loadHostPage();
+    page.evaluate("loadSoftphone('mock')");
+    page.evaluate('initializeAudioPool()');
+    page.evaluate('setupMessageHandling()');
+    page.evaluate('setupRingtone()');
+    page.evaluate('PAGE_CONFIG.ringtoneEscalateAfterMs = 0');
+});
+
+test.afterEach(() => {
+    page.evaluate('stopRingtone()');
+    page.close();
+});
+
+/**
+ * Send an Interaction event for an interaction in a state
+ */
+function sendInteraction(category, id, state, fields) {
+    page.sendFromFramework('interactionSubscription', {
+        category: category,
+        interaction: Object.assign({ id: id, state: state, direction: 'Inbound' }, fields)
+    });
+}
+
+/**
+ * Pool elements playing a looping sound, as [file, volume]
+ */
+function looping() {
+    return plain(page.evaluate('audioPool')
+        .filter(audio => audio.looping)
+        .map(audio => [audio.getAttribute('src'), audio.volume]));
+}
+
+test.describe('ringtone', () => {
+    test.it('loops while the interaction is alerting and stops once it is connected', () => {
+        sendInteraction('add', 'i-1', 'alerting');
+        sendInteraction('change', 'i-1', 'alerting', { isRecording: true });
+
+        assert.deepStrictEqual(looping(), [['/sounds/ring.mp3', 0.6]]);
+        const ringing = page.evaluate('audioPool').find(audio => audio.looping);
+        assert.strictEqual(ringing.loop, true);
+        assert.strictEqual(ringing.safetyTimeout, undefined);
+        assert.strictEqual(page.evaluate("isInteractionRinging('i-1')"), true);
+
+        sendInteraction('connect', 'i-1', 'connected');
+
+        assert.deepStrictEqual(looping(), []);
+        assert.strictEqual(ringing.inUse, false);
+        assert.strictEqual(ringing.loop, false);
+        assert.strictEqual(page.evaluate('isRingtonePlaying()'), false);
+    });
+
+    test.it('stops when the interaction is declined or deallocated', () => {
+        sendInteraction('add', 'i-1', 'alerting');
+        sendInteraction('disconnect', 'i-1', 'alerting');
+        assert.deepStrictEqual(looping(), []);
+
+        sendInteraction('add', 'i-2', 'alerting', { isMessage: true });
+        assert.deepStrictEqual(looping(), [['/sounds/message.mp3', 0.6]]);
+        sendInteraction('deallocate', 'i-2', 'alerting');
+        assert.deepStrictEqual(looping(), []);
+    });
+
+    test.it('rings once for several alerting interactions until none is left', () => {
+        sendInteraction('add', 'i-1', 'alerting');
+        sendInteraction('add', 'i-2', 'alerting');
+        assert.deepStrictEqual(looping(), [['/sounds/ring.mp3', 0.6]]);
+
+        sendInteraction('connect', 'i-1', 'connected');
+        assert.deepStrictEqual(looping(), [['/sounds/ring.mp3', 0.6]]);
+
+        sendInteraction('disconnect', 'i-2', 'disconnected');
+        assert.deepStrictEqual(looping(), []);
+    });
+
+    test.it('switches to the sound of the interaction still alerting', () => {
+        sendInteraction('add', 'i-1', 'alerting');
+        sendInteraction('add', 'i-2', 'alerting', { isVoicemail: true });
+
+        sendInteraction('connect', 'i-1', 'connected');
+        assert.deepStrictEqual(looping(), [['/sounds/voicemail.mp3', 0.6]]);
+    });
+
+    test.it('gets louder and adds the secondary sound after a while', async () => {
+        page.evaluate('PAGE_CONFIG.ringtoneEscalateAfterMs = 50');
+        sendInteraction('add', 'i-1', 'alerting');
+        assert.deepStrictEqual(looping(), [['/sounds/ring.mp3', 0.6]]);
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.deepStrictEqual(looping(), [['/sounds/ring.mp3', 1], ['/sounds/notification.mp3', 1]]);
+
+        sendInteraction('connect', 'i-1', 'connected');
+        assert.deepStrictEqual(looping(), []);
+    });
+
+    test.it('does not escalate once answered', async () => {
+        page.evaluate('PAGE_CONFIG.ringtoneEscalateAfterMs = 50');
+        sendInteraction('add', 'i-1', 'alerting');
+        sendInteraction('connect', 'i-1', 'connected');
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.deepStrictEqual(looping(), []);
+    });
+
+    test.it('starts over when the next interaction with the same sound takes over', async () => {
+        page.evaluate('PAGE_CONFIG.ringtoneEscalateAfterMs = 200');
+        sendInteraction('add', 'i-1', 'alerting');
+        await new Promise(resolve => setTimeout(resolve, 100));
+        sendInteraction('add', 'i-2', 'alerting');
+        await new Promise(resolve => setTimeout(resolve, 150));
+        assert.deepStrictEqual(looping(), [['/sounds/ring.mp3', 1], ['/sounds/notification.mp3', 1]]);
+
+        sendInteraction('connect', 'i-1', 'connected');
+        assert.deepStrictEqual(looping(), [['/sounds/ring.mp3', 0.6]]);
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.deepStrictEqual(looping(), [['/sounds/ring.mp3', 1], ['/sounds/notification.mp3', 1]]);
+    });
+
+    test.it('keeps ringing when the audio pool runs out', () => {
+        sendInteraction('add', 'i-1', 'alerting');
+        const ringing = page.evaluate('audioPool').find(audio => audio.looping);
+
+        for (let i = 0; i < page.evaluate('MAX_AUDIO_POOL_SIZE') + 5; i++) {
+            page.evaluate('playSound(SOUNDS.NOTIFICATION)');
+        }
+
+        assert.strictEqual(ringing.looping, true);
+        assert.strictEqual(ringing.getAttribute('src'), '/sounds/ring.mp3');
+    });
+
+    test.it('does not ring again for the screen pop of a ringing interaction', () => {
+        sendInteraction('add', 'i-1', 'alerting');
+        page.document.getElementById('contactSearchProvider').value = 'manual';
+        page.sendFromFramework('screenPop', { searchString: '3172222222', interactionId: { id: 'i-1' } });
+
+        assert.strictEqual(page.evaluate('audioPool.filter(audio => audio.inUse).length'), 1);
+    });
+});
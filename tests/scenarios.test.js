@@ -0,0 +1,59 @@
+// Tests for lib/scenarios.js: listing the scenario files and returning them by name.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const createScenarioRouter = require('../lib/scenarios');
+
+let dir;
+let server;
+let baseUrl;
+
+test.beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pef-scenarios-'));
+    fs.writeFileSync(path.join(dir, 'inbound-call.json'), JSON.stringify({ description: 'An inbound call', steps: [] }));
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{not json');
+    fs.writeFileSync(path.join(dir, 'empty.json'), 'null');
+    fs.writeFileSync(path.join(dir, 'list.json'), '[]');
+
+    const app = express();
+    app.use('/api/scenarios', createScenarioRouter(dir));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = 'http://127.0.0.1:' + server.address().port + '/api/scenarios';
+});
+
+test.afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * GET a URL and resolve with { status, body }
+ */
+async function get(url) {
+    const response = await fetch(baseUrl + url);
+    return { status: response.status, body: await response.json() };
+}
+
+test.it('lists the scenarios, skipping files that are not scenarios', async () => {
+    assert.deepStrictEqual(await get(''), { status: 200, body: [{ name: 'inbound-call', description: 'An inbound call' }] });
+});
+
+test.it('returns a scenario by name', async () => {
+    assert.deepStrictEqual(await get('/inbound-call'), {
+        status: 200,
+        body: { description: 'An inbound call', steps: [], name: 'inbound-call' }
+    });
+    assert.strictEqual((await get('/missing')).status, 404);
+    assert.strictEqual((await get('/..%2Fpackage')).status, 400);
+});
+
+test.it('reports scenario files that do not hold an object', async () => {
+    assert.deepStrictEqual(await get('/empty'), { status: 500, body: { error: 'Scenario empty.json must hold a JSON object' } });
+    assert.deepStrictEqual(await get('/list'), { status: 500, body: { error: 'Scenario list.json must hold a JSON object' } });
+    assert.match((await get('/broken')).body.error, /Scenario broken\.json is not valid JSON/);
+});
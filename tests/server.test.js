@@ -0,0 +1,191 @@
+// Tests for lib/server.js: starting, redirecting, reporting startup errors and shutting down.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { ensureCertificates } = require('../lib/certificates');
+const { loadConfig } = require('../lib/config');
+const { startServer } = require('../lib/server');
+const WebSocket = require('ws');
+
+let certs;
+
+test.before(() => {
+    certs = ensureCertificates({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'pef-server-')), hosts: ['localhost', '127.0.0.1'] });
+});
+
+test.after(() => {
+    fs.rmSync(certs.dir, { recursive: true, force: true });
+});
+
+/**
+ * Configuration listening on free ports of the loopback interface
+ */
+function testConfig(args) {
+    return loadConfig(['--host', '127.0.0.1', '--https-port', '0', '--http-port', '0', '--cert', certs.cert, '--key', certs.key]
+        .concat(args || []), {}, os.tmpdir());
+}
+
+/**
+ * Make a request and resolve with { status, headers, body }
+ */
+function request(client, url) {
+    return new Promise((resolve, reject) => {
+        client.get(url, { ca: fs.readFileSync(certs.ca) }, res => {
+            let body = '';
+            res.on('data', chunk => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: body }));
+        }).on('error', reject);
+    });
+}
+
+test.it('serves the example page over HTTPS and HTTP', async () => {
+    const running = await startServer(testConfig());
+    try {
+        const secure = await request(https, 'https://127.0.0.1:' + running.https.address().port + '/example.html');
+        assert.strictEqual(secure.status, 200);
+        assert.match(secure.body, /softphone/);
+
+        const plain = await request(http, 'http://127.0.0.1:' + running.http.address().port + '/framework.js');
+        assert.strictEqual(plain.status, 200);
+    } finally {
+        await running.close();
+    }
+});
+
+test.it('serves the example page with a new agent token for the event relay on every load', async () => {
+    const running = await startServer(testConfig(['--no-http']));
+    try {
+        const url = 'https://127.0.0.1:' + running.https.address().port + '/example.html';
+        const tokenOf = response => response.body.match(/<meta name="pef-relay-agent-token" content="([^"]+)">/)[1];
+        const first = await request(https, url);
+        const second = await request(https, url);
+
+        assert.strictEqual(first.headers['cache-control'], 'no-store');
+        assert.match(tokenOf(first), /^[\w-]+\.[\w-]+$/);
+        assert.notStrictEqual(tokenOf(first), tokenOf(second));
+    } finally {
+        await running.close();
+    }
+});
+
+test.it('does not let other machines connect as agents, even with a token from the page', async () => {
+    const running = await startServer(testConfig(['--no-http']));
+    const port = running.https.address().port;
+    const tokenOf = response => response.body.match(/<meta name="pef-relay-agent-token" content="([^"]*)">/)[1];
+    let remote = false;
+    // Requests and connections then seem to come from another machine
+    ['request', 'upgrade'].forEach(event => running.https.prependListener(event, req => {
+        if (remote) {
+            Object.defineProperty(req.socket, 'remoteAddress', { value: '203.0.113.9' });
+        }
+    }));
+
+    try {
+        const scraped = tokenOf(await request(https, 'https://127.0.0.1:' + port + '/example.html'));
+        remote = true;
+        assert.strictEqual(tokenOf(await request(https, 'https://127.0.0.1:' + port + '/example.html')), '');
+
+        const status = await new Promise((resolve, reject) => {
+            const socket = new WebSocket('wss://127.0.0.1:' + port + '/api/relay?role=agent&agent=impostor&token=' + scraped, {
+                ca: fs.readFileSync(certs.ca),
+                headers: { Origin: 'https://127.0.0.1:' + port }
+            });
+            socket.on('unexpected-response', (req, res) => resolve(res.statusCode));
+            socket.on('open', () => reject(new Error('The agent was accepted')));
+            socket.on('error', reject);
+        });
+        assert.strictEqual(status, 403);
+        assert.deepStrictEqual(running.relay.getAgents(), []);
+    } finally {
+        await running.close();
+    }
+});
+
+test.it('redirects HTTP to HTTPS when asked to', async () => {
+    const running = await startServer(testConfig(['--redirect-http']));
+    try {
+        const httpsPort = running.https.address().port;
+        const response = await request(http, 'http://127.0.0.1:' + running.http.address().port + '/example.html?x=1');
+
+        assert.strictEqual(response.status, 301);
+        assert.strictEqual(response.headers.location, 'https://127.0.0.1:' + httpsPort + '/example.html?x=1');
+    } finally {
+        await running.close();
+    }
+});
+
+test.it('does not start HTTP when it is disabled', async () => {
+    const running = await startServer(testConfig(['--no-http']));
+    try {
+        assert.strictEqual(running.http, null);
+        assert.ok(running.https.listening);
+    } finally {
+        await running.close();
+    }
+});
+
+test.it('serves another static root', async () => {
+    const running = await startServer(testConfig(['--static-root', path.join(__dirname, '..', 'scenarios')]));
+    try {
+        const response = await request(https, 'https://127.0.0.1:' + running.https.address().port + '/chat-declined.json');
+        assert.strictEqual(response.status, 200);
+    } finally {
+        await running.close();
+    }
+});
+
+test.it('explains a missing certificate', async () => {
+    await assert.rejects(startServer(testConfig(['--cert', 'missing.crt'])),
+        /Could not read the TLS cert file .*missing\.crt \(ENOENT\)\. Point --cert at an existing file/);
+});
+
+test.it('does not start with a webhooks file it cannot use', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pef-server-webhooks-'));
+    const webhooksFile = path.join(dir, 'webhooks.json');
+    fs.writeFileSync(webhooksFile, '{not json');
+
+    try {
+        await assert.rejects(startServer(testConfig(['--webhooks-file', webhooksFile])), /Webhooks file .* is not valid JSON/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test.it('explains a port that is already in use and stops what it started', async () => {
+    const blocker = net.createServer();
+    await new Promise(resolve => blocker.listen(0, '127.0.0.1', resolve));
+    const port = blocker.address().port;
+
+    try {
+        await assert.rejects(startServer(testConfig(['--http-port', String(port)])),
+            new RegExp('Port ' + port + ' is already in use, so http cannot listen'));
+    } finally {
+        await new Promise(resolve => blocker.close(resolve));
+    }
+});
+
+test.it('waits for open requests when closing, up to the timeout', async () => {
+    const running = await startServer(testConfig(['--no-http']));
+    const port = running.https.address().port;
+
+    // Hold a connection open
+    const socket = await new Promise(resolve => {
+        const connection = require('tls').connect(port, '127.0.0.1', { ca: fs.readFileSync(certs.ca) }, () => resolve(connection));
+    });
+    socket.on('error', () => {});
+
+    const started = Date.now();
+    await running.close(100);
+
+    assert.ok(Date.now() - started < 5000);
+    assert.strictEqual(running.https.listening, false);
+    socket.destroy();
+});
@@ -0,0 +1,325 @@
+// Tests for lib/webhooks.js: signing, the webhook store, delivery with retries and
+// dead letters, and the REST API, delivering to bin/webhook-receiver.js.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const {
+    createWebhookDispatcher, createWebhookRouter, createWebhookStore, getWebhookEvent,
+    readDeadLetters, signPayload, validateWebhook, verifySignature
+} = require('../lib/webhooks');
+const { requireRelayToken } = require('../lib/eventRelay');
+const { createWebhookReceiver } = require('../bin/webhook-receiver');
+
+const SECRET = 'a-secret-of-some-length';
+
+let dir;
+let store;
+let deadLetterFile;
+
+test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pef-webhooks-'));
+    store = createWebhookStore(path.join(dir, 'webhooks.json'));
+    deadLetterFile = path.join(dir, 'dead-letters.jsonl');
+});
+
+test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Start the local receiver on a free port, keeping what it prints in receiver.lines
+ */
+async function startReceiver(options) {
+    const lines = [];
+    const receiver = createWebhookReceiver(Object.assign({ secret: SECRET, log: line => lines.push(line) }, options));
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiver.lines = lines;
+    receiver.url = 'http://127.0.0.1:' + receiver.address().port + '/';
+    return receiver;
+}
+
+/**
+ * A relayed event as lib/eventRelay.js passes it on
+ */
+function relayed(type, data, direction) {
+    return { kind: 'event', agent: 'agent-1', direction: direction || 'inbound', envelope: { type: type, data: data } };
+}
+
+test.describe('events', () => {
+    test.it('maps framework messages onto webhook events', () => {
+        assert.strictEqual(getWebhookEvent({ type: 'screenPop', data: {} }), 'screenPop');
+        assert.strictEqual(getWebhookEvent({ type: 'processCallLog', data: {} }), 'processCallLog');
+        assert.strictEqual(getWebhookEvent({ type: 'interactionSubscription', data: { category: 'connect' } }), 'interaction');
+        assert.strictEqual(getWebhookEvent({ type: 'userActionSubscription', data: { category: 'routingStatus' } }), 'userStatus');
+        assert.strictEqual(getWebhookEvent({ type: 'userActionSubscription', data: { category: 'logout' } }), null);
+        assert.strictEqual(getWebhookEvent({ type: 'contactSearch', data: {} }), null);
+    });
+
+    test.it('explains what is wrong with a registration', () => {
+        assert.strictEqual(validateWebhook({ url: 'http://localhost:9090/', events: ['interaction'] }), null);
+        assert.strictEqual(validateWebhook({ url: 'ftp://x/', events: ['interaction'] }), 'url must be an absolute http or https URL');
+        assert.strictEqual(validateWebhook({ url: 'http://x/', events: [] }),
+            'events must be a non-empty list of screenPop, processCallLog, interaction, userStatus');
+        assert.strictEqual(validateWebhook({ url: 'http://x/', events: ['ping'] }),
+            'events[0] "ping" is not one of screenPop, processCallLog, interaction, userStatus');
+        assert.strictEqual(validateWebhook({ url: 'http://x/', events: ['screenPop'], secret: 'short' }),
+            'secret must be a string of at least 16 characters');
+    });
+});
+
+test.describe('signatures', () => {
+    test.it('verifies signatures of recent deliveries only', () => {
+        const now = String(Math.floor(Date.now() / 1000));
+        const signature = signPayload(SECRET, now, '{"a":1}');
+
+        assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+        assert.strictEqual(verifySignature(SECRET, now, '{"a":1}', signature), true);
+        assert.strictEqual(verifySignature(SECRET, now, '{"a":2}', signature), false);
+        assert.strictEqual(verifySignature('another-secret-entirely', now, '{"a":1}', signature), false);
+
+        const old = String(Math.floor(Date.now() / 1000) - 600);
+        assert.strictEqual(verifySignature(SECRET, old, '{"a":1}', signPayload(SECRET, old, '{"a":1}')), false);
+    });
+});
+
+test.describe('createWebhookStore', () => {
+    test.it('generates secrets and keeps them when a webhook is replaced', () => {
+        const created = store.create({ url: 'http://localhost:9090/', events: ['screenPop', 'screenPop'] });
+        assert.match(created.id, /^WH-/);
+        assert.match(created.secret, /^[0-9a-f]{48}$/);
+        assert.deepStrictEqual(created.events, ['screenPop']);
+
+        const replaced = store.replace(created.id, { url: 'http://localhost:9091/', events: ['interaction'] });
+        assert.strictEqual(replaced.secret, created.secret);
+        assert.deepStrictEqual(createWebhookStore(store.file).forEvent('interaction').map(webhook => webhook.url), ['http://localhost:9091/']);
+
+        assert.strictEqual(store.remove(created.id), true);
+        assert.strictEqual(store.get(created.id), null);
+    });
+
+    test.it('refuses a file that is not a list of webhooks', () => {
+        fs.writeFileSync(store.file, '{not json');
+        assert.throws(() => store.load(), /Webhooks file .* is not valid JSON/);
+
+        fs.writeFileSync(store.file, JSON.stringify([{ id: 'WH-1', url: 'http://localhost:9090/' }]));
+        assert.throws(() => createWebhookStore(store.file).load(), /must hold a list of webhooks/);
+        fs.writeFileSync(store.file, '{}');
+        assert.throws(() => createWebhookStore(store.file).load(), /must hold a list of webhooks/);
+    });
+});
+
+test.describe('createWebhookDispatcher', () => {
+    let receiver;
+
+    test.afterEach(async () => {
+        if (receiver) {
+            await new Promise(resolve => receiver.close(resolve));
+            receiver = null;
+        }
+    });
+
+    test.it('posts signed events to the webhooks registered for them', async () => {
+        receiver = await startReceiver({});
+        store.create({ url: receiver.url, events: ['interaction'], secret: SECRET });
+        store.create({ url: receiver.url, events: ['screenPop'], secret: SECRET });
+        const dispatcher = createWebhookDispatcher(store, { deadLetterFile: deadLetterFile });
+
+        const outcomes = await dispatcher.handleRelayEvent(relayed('interactionSubscription', { category: 'connect', interaction: { id: 'i-1' } }));
+
+        assert.deepStrictEqual(outcomes, [{ delivered: true, attempts: 1, status: 204 }]);
+        assert.match(receiver.lines[0], / interaction D-\S+ attempt 1, signature ok$/);
+        const payload = JSON.parse(receiver.lines[1]);
+        assert.strictEqual(payload.event, 'interaction');
+        assert.strictEqual(payload.agent, 'agent-1');
+        assert.strictEqual(payload.type, 'interactionSubscription');
+        assert.deepStrictEqual(payload.data, { category: 'connect', interaction: { id: 'i-1' } });
+    });
+
+    test.it('ignores messages pages sent and messages without an event', async () => {
+        store.create({ url: 'http://127.0.0.1:9/', events: ['screenPop', 'userStatus'] });
+        const dispatcher = createWebhookDispatcher(store, {});
+
+        assert.deepStrictEqual(await dispatcher.handleRelayEvent(relayed('screenPop', {}, 'outbound')), []);
+        assert.deepStrictEqual(await dispatcher.handleRelayEvent(relayed('userActionSubscription', { category: 'login' })), []);
+    });
+
+    test.it('rejects events it cannot look the webhooks up for', async () => {
+        fs.writeFileSync(store.file, '{not json');
+        const dispatcher = createWebhookDispatcher(store, {});
+
+        await assert.rejects(dispatcher.handleRelayEvent(relayed('screenPop', {})), /is not valid JSON/);
+    });
+
+    test.it('retries with exponential backoff until the receiver accepts', async () => {
+        receiver = await startReceiver({ fail: 2 });
+        store.create({ url: receiver.url, events: ['screenPop'], secret: SECRET });
+        const times = [];
+        const dispatcher = createWebhookDispatcher(store, {
+            retryDelay: 30,
+            fetch: (url, init) => {
+                times.push(Date.now());
+                return fetch(url, init);
+            }
+        });
+
+        const [outcome] = await dispatcher.handleRelayEvent(relayed('screenPop', { interactionId: 'i-1' }));
+
+        assert.deepStrictEqual(outcome, { delivered: true, attempts: 3, status: 204 });
+        assert.ok(times[1] - times[0] >= 30);
+        assert.ok(times[2] - times[1] >= 60);
+        const deliveries = receiver.lines.filter(line => line.indexOf('attempt') !== -1).map(line => line.split(' ')[2]);
+        assert.strictEqual(new Set(deliveries).size, 1);
+    });
+
+    test.it('dead-letters deliveries that keep failing', async () => {
+        receiver = await startReceiver({ fail: 10 });
+        const webhook = store.create({ url: receiver.url, events: ['processCallLog'], secret: SECRET });
+        const dispatcher = createWebhookDispatcher(store, { deadLetterFile: deadLetterFile, maxAttempts: 3, retryDelay: 1 });
+
+        const [outcome] = await dispatcher.handleRelayEvent(relayed('processCallLog', { interactionId: 'i-1', eventName: 'interactionDisconnected', callLog: {} }));
+
+        assert.deepStrictEqual(outcome, { delivered: false, attempts: 3, error: 'Answered 503' });
+        const [letter] = readDeadLetters(deadLetterFile);
+        assert.strictEqual(letter.webhook, webhook.id);
+        assert.strictEqual(letter.event, 'processCallLog');
+        assert.strictEqual(letter.attempts, 3);
+        assert.strictEqual(letter.payload.data.interactionId, 'i-1');
+    });
+
+    test.it('does not retry deliveries the receiver refused', async () => {
+        receiver = await startReceiver({});
+        store.create({ url: receiver.url, events: ['screenPop'], secret: 'not-the-receivers-secret' });
+        const dispatcher = createWebhookDispatcher(store, { deadLetterFile: deadLetterFile, retryDelay: 1 });
+
+        const [outcome] = await dispatcher.handleRelayEvent(relayed('screenPop', { interactionId: 'i-1' }));
+
+        assert.deepStrictEqual(outcome, { delivered: false, attempts: 1, error: 'Answered 401' });
+        assert.match(receiver.lines[0], /BAD SIGNATURE/);
+    });
+
+    test.it('retries receivers that cannot be reached', async () => {
+        receiver = await startReceiver({});
+        const url = receiver.url;
+        await new Promise(resolve => receiver.close(resolve));
+        receiver = null;
+        store.create({ url: url, events: ['screenPop'] });
+        const dispatcher = createWebhookDispatcher(store, { deadLetterFile: deadLetterFile, maxAttempts: 2, retryDelay: 1 });
+
+        const [outcome] = await dispatcher.handleRelayEvent(relayed('screenPop', { interactionId: 'i-1' }));
+
+        assert.strictEqual(outcome.attempts, 2);
+        assert.match(outcome.error, /ECONNREFUSED/);
+    });
+
+    test.it('dead-letters retries still waiting when it closes', async () => {
+        receiver = await startReceiver({ fail: 10 });
+        store.create({ url: receiver.url, events: ['screenPop'], secret: SECRET });
+        const dispatcher = createWebhookDispatcher(store, { deadLetterFile: deadLetterFile, retryDelay: 60000 });
+
+        const delivering = dispatcher.handleRelayEvent(relayed('screenPop', { interactionId: 'i-1' }));
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await dispatcher.close();
+
+        const [outcome] = await delivering;
+        assert.deepStrictEqual(outcome, { delivered: false, attempts: 1, error: 'Answered 503, then the server shut down' });
+        assert.strictEqual(readDeadLetters(deadLetterFile).length, 1);
+        assert.deepStrictEqual(await dispatcher.handleRelayEvent(relayed('screenPop', {})), []);
+    });
+});
+
+test.describe('createWebhookRouter', () => {
+    let server;
+    let receiver;
+    let baseUrl;
+
+    test.beforeEach(async () => {
+        receiver = await startReceiver({});
+        const app = express();
+        app.use('/api/webhooks', createWebhookRouter(store, createWebhookDispatcher(store, { deadLetterFile: deadLetterFile }), deadLetterFile));
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = 'http://127.0.0.1:' + server.address().port + '/api/webhooks';
+    });
+
+    test.afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await new Promise(resolve => receiver.close(resolve));
+    });
+
+    /**
+     * Send a JSON request and resolve with { status, headers, body }
+     */
+    async function request(method, url, body) {
+        const response = await fetch(baseUrl + url, {
+            method: method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    }
+
+    test.it('registers, lists, replaces and removes webhooks, only showing the secret on registration', async () => {
+        const created = await request('POST', '', { url: receiver.url, events: ['interaction'], secret: SECRET });
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual(created.headers.get('location'), '/api/webhooks/' + created.body.id);
+        assert.strictEqual(created.body.secret, SECRET);
+
+        const id = created.body.id;
+        const [listed] = (await request('GET', '')).body;
+        assert.strictEqual(listed.id, id);
+        assert.strictEqual(listed.secret, undefined);
+
+        const replaced = await request('PUT', '/' + id, { url: receiver.url, events: ['screenPop', 'userStatus'] });
+        assert.deepStrictEqual(replaced.body.events, ['screenPop', 'userStatus']);
+        assert.strictEqual(replaced.body.secret, undefined);
+        assert.strictEqual(store.get(id).secret, SECRET);
+
+        assert.strictEqual((await request('DELETE', '/' + id)).status, 204);
+        assert.strictEqual((await request('GET', '/' + id)).status, 404);
+    });
+
+    test.it('rejects invalid registrations', async () => {
+        assert.deepStrictEqual(await request('POST', '', { url: 'nope', events: ['screenPop'] }).then(r => [r.status, r.body]),
+            [400, { error: 'url must be an absolute http or https URL' }]);
+        assert.strictEqual((await request('PUT', '/WH-missing', { url: receiver.url, events: ['screenPop'] })).status, 404);
+    });
+
+    test.it('pings a webhook once', async () => {
+        const created = await request('POST', '', { url: receiver.url, events: ['interaction'], secret: SECRET });
+
+        assert.deepStrictEqual((await request('POST', '/' + created.body.id + '/ping')).body, { delivered: true, attempts: 1, status: 204 });
+        assert.match(receiver.lines[0], / ping D-\S+ attempt 1, signature ok$/);
+    });
+
+    test.it('only accepts the clients the relay trusts', async () => {
+        const app = express();
+        app.use('/api/webhooks', requireRelayToken('s3cret'), createWebhookRouter(store, createWebhookDispatcher(store), deadLetterFile));
+        const guarded = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => guarded.once('listening', resolve));
+        const url = 'http://127.0.0.1:' + guarded.address().port + '/api/webhooks';
+
+        try {
+            const refused = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+            assert.deepStrictEqual([refused.status, await refused.json()], [401, { error: 'A valid relay token is required' }]);
+            assert.strictEqual((await fetch(url + '/dead-letters?token=wrong')).status, 401);
+
+            assert.strictEqual((await fetch(url, { headers: { Authorization: 'Bearer s3cret' } })).status, 200);
+            assert.strictEqual((await fetch(url + '/dead-letters?token=s3cret')).status, 200);
+        } finally {
+            await new Promise(resolve => guarded.close(resolve));
+        }
+    });
+
+    test.it('lists dead letters, most recent first', async () => {
+        fs.writeFileSync(deadLetterFile, ['{"delivery":"D-1"}', 'half a li', '{"delivery":"D-2"}', ''].join('\n'));
+
+        assert.deepStrictEqual((await request('GET', '/dead-letters')).body, [{ delivery: 'D-2' }, { delivery: 'D-1' }]);
+        assert.deepStrictEqual((await request('GET', '/dead-letters?limit=1')).body, [{ delivery: 'D-2' }]);
+        assert.strictEqual((await request('GET', '/dead-letters?limit=x')).status, 400);
+    });
+});